@@ -1,53 +1,181 @@
+import { AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT, createAudioEncoder } from "./audio-encoders.js";
+import { createId3Tag, id3ChapterTimes } from "./id3.js";
+import { SUBTITLE_FORMATS, addSubtitleCue, formatSubtitles, subtitleFileName } from "./subtitles.js";
+import { DEFAULT_LOUDNESS, LoudnessMeter, applyGain, normalizationGain } from "./loudness.js";
+import { createTemporaryFile, downloadBlob, removeTemporaryFiles } from "./temp-files.js";
+
 const SAMPLE_RATE = 24000;
+const SPOOL_READ_SIZE = SAMPLE_RATE * Float32Array.BYTES_PER_ELEMENT * 10; // 10 seconds at a time
+
+// A normalized save keeps its raw samples in a temporary file until the whole file has been measured
+async function* readSpool(spool) {
+  await spool.close();
+  const file = await spool.getFile();
+  for (let offset = 0; offset < file.size; offset += SPOOL_READ_SIZE) {
+    yield new Float32Array(await file.slice(offset, offset + SPOOL_READ_SIZE).arrayBuffer());
+  }
+}
+
+function discardTemporaryFile(file) {
+  file.remove().catch((error) => console.warn("Unable to remove the temporary audio file:", error));
+}
 
 export class AudioDiskSaver {
   constructor() {
     this.audioContext = new AudioContext();
     this.fileStream = null;
+    this.fileHandle = null; // Reopened at each checkpoint
     this.totalAudioChunks = 0;
     this.processedAudioChunks = 0;
     this.headerWritten = false;
     this.bytesWritten = 0;
-    // For WAV header updates
-    this.fileSize = 0;
-    this.dataSize = 0;
+    this.encoder = null;
+    // For audiobooks
+    this.tag = null;
+    this.samplesWritten = 0;
+    this.chapterStarts = [];
+    // For subtitles
+    this.fileName = null;
+    this.subtitleFormat = null;
+    this.subtitleDirectory = null;
+    this.cues = [];
+    // For loudness normalization
+    this.loudness = DEFAULT_LOUDNESS;
+    this.normalization = null;
+    // Without a file picker, the file is written to a temporary file and then downloaded
+    // The temporary files of downloads are removed on a visit after this tab is closed, as the browser may still be reading them
+    this.download = null;
+    removeTemporaryFiles();
   }
 
-  async initSave() {
+  // Applies to the files started after this
+  setLoudness(options) {
+    this.loudness = options;
+  }
+
+  // Start a file in one of the AUDIO_FORMATS. Without a file handle, ask where to save it, or in browsers
+  // without a file picker, write it to a temporary file that is downloaded once it is finished.
+  // MP3 files get an ID3 tag with the metadata, and chapter markers at each startChapter().
+  // With a subtitle format, captions of the chunk texts are saved next to the file once it is finished:
+  // in the given directory, or as a download.
+  // With loudness normalization, the audio is only measured as it comes in, and encoded once it is complete.
+  // With a checkpoint from checkpoint(), the file is cut back to it and continued.
+  async initSave(format = DEFAULT_AUDIO_FORMAT, { fileHandle = null, fileName = "audio_stream", metadata = null, subtitles = null, subtitleDirectory = null, resume = null } = {}) {
+    const { name, extension, mimeType } = AUDIO_FORMATS[format];
     try {
-      const fileHandle = await window.showSaveFilePicker({
-        suggestedName: "audio_stream.wav",
-        types: [
-          {
-            description: "Audio Files",
-            accept: { "audio/wav": [".wav"] },
-          },
-        ],
-      });
-      
-      this.fileStream = await fileHandle.createWritable();
+      // Created first, so an unsupported format fails before the file picker opens
+      const encoder = createAudioEncoder(format);
+      const tag = metadata && format === "mp3" ? createId3Tag(metadata) : null;
+      if (resume && (!fileHandle || !encoder.resume || tag)) {
+        throw new Error(`This ${name} file cannot be continued`);
+      }
+      if (!fileHandle && !("showSaveFilePicker" in window)) {
+        await this.initDownload(`${fileName}.${extension}`, mimeType);
+      } else {
+        fileHandle ??= await window.showSaveFilePicker({
+          suggestedName: `${fileName}.${extension}`,
+          types: [
+            {
+              description: name,
+              accept: { [mimeType]: [`.${extension}`] },
+            },
+          ],
+        });
+        this.fileStream = await fileHandle.createWritable({ keepExistingData: resume !== null });
+        this.fileHandle = fileHandle;
+        this.fileName = fileHandle.name;
+      }
+
+      this.encoder = encoder;
+      this.tag = tag;
+      this.subtitleFormat = subtitles;
+      this.subtitleDirectory = subtitleDirectory;
       
-      // Write placeholder WAV header
-      await this.writeWavHeader(); // Writes a standard header
+      if (resume) {
+        // The file was not normalized before the interruption either
+        const start = await this.encoder.start();
+        this.encoder.resume(resume.offset - start.length);
+        await this.fileStream.truncate(resume.offset);
+        await this.fileStream.seek(resume.offset);
+        this.bytesWritten = resume.offset;
+        this.samplesWritten = resume.samples;
+        this.cues = resume.cues.slice();
+        this.headerWritten = true;
+        return;
+      }
+
+      // Write the header, with placeholder sizes until finishEncoding
+      if (this.tag) await this.writeBytes(this.tag.bytes);
+      await this.writeBytes(await this.encoder.start());
       this.headerWritten = true;
+
+      if (this.loudness.enabled) {
+        this.normalization = { options: this.loudness, meter: new LoudnessMeter(), spool: await createTemporaryFile() };
+      }
     } catch (error) {
       console.error("Error initializing file save:", error);
       throw error;
     }
   }
 
+  async initDownload(fileName, mimeType) {
+    this.fileStream = await createTemporaryFile();
+    this.fileName = fileName;
+    this.download = { fileName, mimeType };
+  }
+
+  // Close the file, and offer it as a download when it was written to a temporary file
+  async closeFile() {
+    await this.fileStream.close();
+    if (!this.download) return;
+    const file = await this.fileStream.getFile();
+    downloadBlob(new Blob([file], { type: this.download.mimeType }), this.download.fileName);
+    this.download = null;
+  }
+
+  // Whether the file can be continued from a checkpoint: a picked file, encoded as it comes in,
+  // in a format whose encoder keeps no state between chunks
+  canCheckpoint() {
+    return this.fileHandle !== null && typeof this.encoder?.resume === "function" && !this.normalization && !this.tag;
+  }
+
+  // Make the file playable up to here and commit it to disk, which browsers only do when a file is closed.
+  // Reopening copies the file, so this is not meant for every chunk: callers space checkpoints out as the file grows.
+  async checkpoint() {
+    for (const { offset, bytes } of this.encoder.headerPatches()) {
+      await this.fileStream.seek(offset);
+      await this.fileStream.write(bytes);
+    }
+    await this.fileStream.close();
+    this.fileStream = await this.fileHandle.createWritable({ keepExistingData: true });
+    await this.fileStream.seek(this.bytesWritten);
+    return { offset: this.bytesWritten, samples: this.samplesWritten, cues: this.cues.slice() };
+  }
+
   setTotalChunks(totalChunks) {
     this.totalAudioChunks = totalChunks;
     this.processedAudioChunks = 0;
   }
 
-  async addAudioChunk(audioData) {
+  // A refined estimate of the total, keeping the chunks processed so far
+  updateTotalChunks(totalChunks) {
+    this.totalAudioChunks = totalChunks;
+  }
+
+  async addAudioChunk(audioData, text = "") {
     try {
       if (!this.fileStream) {
         throw new Error("File stream not initialized");
       }
-      await this.fileStream.write(audioData);
-      this.dataSize += audioData.byteLength;
+      const samples = new Float32Array(audioData);
+      addSubtitleCue(this.cues, text, this.samplesWritten, samples.length);
+      if (this.normalization) {
+        this.normalization.meter.add(samples);
+        await this.normalization.spool.write(samples);
+      } else {
+        await this.writeBytes(await this.encoder.encode(samples));
+      }
+      this.samplesWritten += samples.length;
       this.processedAudioChunks++;
       return Math.min((this.processedAudioChunks / this.totalAudioChunks) * 100, 99);
     } catch (error) {
@@ -61,9 +189,8 @@ export class AudioDiskSaver {
       throw new Error("No file stream available");
     }
     try {
-      // Update the WAV header with final sizes
-      await this.updateWavHeader();
-      await this.fileStream.close();
+      await this.finishEncoding();
+      await this.closeFile();
       this.reset();
       return true;
     } catch (error) {
@@ -84,9 +211,9 @@ export class AudioDiskSaver {
       // Give the worker a moment to process the stop message
       await new Promise(resolve => setTimeout(resolve, 100));
       
-      // Update the WAV header before closing to ensure a valid WAV file
-      await this.updateWavHeader();
-      await this.fileStream.close();
+      // Finish the file before closing, so what was written so far can still be played
+      await this.finishEncoding();
+      await this.closeFile();
       console.log("Disk save operation stopped");
       this.reset();
       return true;
@@ -105,79 +232,94 @@ export class AudioDiskSaver {
   }
 
   reset() {
+    // A download that failed leaves its temporary file behind
+    if (this.download && this.fileStream) discardTemporaryFile(this.fileStream);
     this.fileStream = null;
+    this.fileHandle = null;
     this.processedAudioChunks = 0;
     this.headerWritten = false;
     this.bytesWritten = 0;
-    this.fileSize = 0;
-    this.dataSize = 0;
+    this.encoder = null;
+    this.tag = null;
+    this.samplesWritten = 0;
+    this.chapterStarts = [];
+    this.fileName = null;
+    this.subtitleFormat = null;
+    this.subtitleDirectory = null;
+    this.cues = [];
+    if (this.normalization) discardTemporaryFile(this.normalization.spool);
+    this.normalization = null;
+    this.download = null;
+  }
+
+  // Mark the start of the next chapter at the current position
+  startChapter() {
+    this.chapterStarts.push(this.samplesWritten);
   }
 
   getProgress() {
     return Math.min((this.processedAudioChunks / this.totalAudioChunks) * 100, 99);
   }
 
-  // Write WAV header at the start
-  async writeWavHeader() {
-    const headerBuffer = new ArrayBuffer(44);
-    const view = new DataView(headerBuffer);
+  async writeBytes(bytes) {
+    if (bytes.length === 0) return;
+    await this.fileStream.write(bytes);
+    this.bytesWritten += bytes.length;
+  }
+
+  // Write the end of the file, then the header fields that depend on its final size
+  async finishEncoding() {
+    if (this.normalization) {
+      await this.encodeNormalized();
+    }
+    await this.writeBytes(await this.encoder.finish());
+
+    const patches = this.encoder.headerPatches();
+    if (this.tag) {
+      // The encoder's header comes after the tag
+      const tagSize = this.tag.bytes.length;
+      patches.forEach((patch) => (patch.offset += tagSize));
+      const toMilliseconds = (samples) => (samples * 1000) / SAMPLE_RATE;
+      patches.push(...id3ChapterTimes(this.tag, this.chapterStarts.map(toMilliseconds), toMilliseconds(this.samplesWritten)));
+    }
+
+    for (const { offset, bytes } of patches) {
+      await this.fileStream.seek(offset);
+      await this.fileStream.write(bytes);
+    }
 
-    const bitsPerSample = 32; // This file saves as 32-bit float
-    const numChannels = 1;
-    const blockAlign = (numChannels * bitsPerSample) / 8;
-    const byteRate = SAMPLE_RATE * blockAlign;
+    if (this.subtitleFormat) {
+      await this.saveSubtitles();
+    }
+  }
 
-    function writeString(view, offset, string) {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
+  // The second pass of a normalized save: encode the spooled samples with the gain for the whole file
+  async encodeNormalized() {
+    const { options, meter, spool } = this.normalization;
+    const measurement = meter.measure();
+    const gain = normalizationGain(measurement, options);
+    console.log(`Measured ${measurement.integratedLufs.toFixed(1)} LUFS, ${measurement.truePeakDb.toFixed(1)} dBTP, applying ${(20 * Math.log10(gain)).toFixed(1)} dB`);
+    for await (const samples of readSpool(spool)) {
+      applyGain(samples, gain);
+      await this.writeBytes(await this.encoder.encode(samples));
+    }
+  }
+
+  // A failure here is logged, the audio file is still good
+  async saveSubtitles() {
+    const name = subtitleFileName(this.fileName, this.subtitleFormat);
+    const text = formatSubtitles(this.cues, this.subtitleFormat);
+    try {
+      if (this.subtitleDirectory) {
+        const fileHandle = await this.subtitleDirectory.getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(text);
+        await writable.close();
+      } else {
+        downloadBlob(new Blob([text], { type: SUBTITLE_FORMATS[this.subtitleFormat].mimeType }), name);
       }
+    } catch (error) {
+      console.error("Error saving subtitles:", error);
     }
-    
-    // "RIFF" chunk descriptor
-    writeString(view, 0, 'RIFF');
-    
-    // Placeholder for file size (updated later)
-    view.setUint32(4, 0, true);
-    
-    // "WAVE" format
-    writeString(view, 8, 'WAVE');
-    
-    // "fmt " subchunk
-    writeString(view, 12, 'fmt ');
-    
-    view.setUint32(16, 16, true); // Subchunk1Size (16 for PCM)
-    view.setUint16(20, 3, true);  // AudioFormat (3 for float)
-    view.setUint16(22, numChannels, true);  // NumChannels (1 for mono)
-    view.setUint32(24, SAMPLE_RATE, true); // SampleRate (STANDARD RATE)
-    view.setUint32(28, byteRate, true); // ByteRate (STANDARD RATE)
-    view.setUint16(32, blockAlign, true);  // BlockAlign
-    view.setUint16(34, bitsPerSample, true); // BitsPerSample (32 for float)
-    
-    // "data" subchunk
-    writeString(view, 36, 'data');
-    
-    // Placeholder for data size (updated later)
-    view.setUint32(40, 0, true);
-    
-    await this.fileStream.write(headerBuffer);
-    this.bytesWritten = 44; // Header size
-  }
-
-  // Update the WAV header with final sizes
-  async updateWavHeader() {
-    // File size = header (44) + data size - 8 bytes for RIFF/size
-    this.fileSize = this.dataSize + 36;
-    
-    // Seek to file size position (offset 4) and update
-    await this.fileStream.seek(4);
-    const fileSizeBuffer = new ArrayBuffer(4);
-    new DataView(fileSizeBuffer).setUint32(0, this.fileSize, true);
-    await this.fileStream.write(fileSizeBuffer);
-    
-    // Seek to data size position (offset 40) and update
-    await this.fileStream.seek(40);
-    const dataSizeBuffer = new ArrayBuffer(4);
-    new DataView(dataSizeBuffer).setUint32(0, this.dataSize, true);
-    await this.fileStream.write(dataSizeBuffer);
   }
 }
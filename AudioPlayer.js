@@ -1,17 +1,136 @@
 import { updateProgress } from "./updateProgress.js";
+import { DEFAULT_LOUDNESS, RunningNormalizer } from "./loudness.js";
+import { timeStretch } from "./time-stretch.js";
+import { createWavHeader } from "./wav.js";
+import { createTemporaryFile } from "./temp-files.js";
 
 const SAMPLE_RATE = 24000;
+const RESTART_THRESHOLD = 1; // Seconds into a sentence after which "previous" goes back to its start
+const TIME_UPDATE_INTERVAL = 250; // ms between "timeupdate" events while playing
+const MAX_TITLE_LENGTH = 80;
+const MEMORY_LIMIT = SAMPLE_RATE * 15 * 60; // Samples kept in memory, older played segments go to a temporary file
 
-export class AudioPlayer {
+// Plays the segments of a stream in order, and keeps them so the stream can be paused, sought and
+// replayed at another rate. A stopped session is kept until the next one starts, so it can be replayed or saved
+// without generating it again. Dispatches "statechange" when playback starts, pauses, resumes, seeks or stops,
+// "durationchange" when a segment is added, and "timeupdate" while it plays.
+// Headset buttons, media keys and the lock screen control it through the Media Session API; their stop
+// action is dispatched as "stoprequest", so the owner can cancel generation too.
+export class AudioPlayer extends EventTarget {
 
-  constructor(worker) {
+  constructor() {
+    super();
     this.audioContext = new AudioContext();
-    this.audioQueue = [];
+    this.segments = []; // {samples, length, start, text, sentences, onPlayed, played, stretched, spilled}, start in seconds
+    this.duration = 0;
     this.isPlaying = false;
-    this.worker = worker;
+    this.paused = false;
+    this.stopped = false; // Until play() or the next session
+    // Played segments beyond MEMORY_LIMIT are moved to temporary files, and read back when they are needed again
+    this.samplesInMemory = 0;
+    this.spilling = false;
+    this.spillFiles = []; // {file, blob}, the blob reads the file once it is written
+    this.exports = 0; // Sessions being read by sessionAudio(), whose files are kept
+    this.retiredSpillFiles = []; // Of sessions reset while being read, removed once the last read ends
+    this.rate = 1;
     this.totalAudioChunks = 0;
     this.processedAudioChunks = 0;
     this.currentSource = null; // Track current audio source for stopping
+    // Where playback is: the segment, and the time into it at which the current source started
+    this.index = 0;
+    this.offset = 0;
+    this.sourceStartedAt = 0;
+    this.generation = 0; // Changes on stop, so a playback loop that is waiting knows to end
+    this.loudness = DEFAULT_LOUDNESS;
+    this.normalizer = null;
+    this.timer = null;
+    // For the Media Session
+    this.mediaInfo = { title: document.title, voice: "" };
+    this.mediaArtist = null;
+    this.mediaElement = null;
+    this.initMediaSession();
+  }
+
+  initMediaSession() {
+    if (!("mediaSession" in navigator)) return;
+
+    // Browsers only route media keys to a page that plays a media element, so a silent one plays along
+    const silence = new ArrayBuffer(8000 * 2 * 10); // 10 seconds at 8 kHz, 16-bit
+    this.mediaElement = new Audio(URL.createObjectURL(new Blob([createWavHeader(silence.byteLength, 8000, 16), silence], { type: "audio/wav" })));
+    this.mediaElement.loop = true;
+
+    const actions = {
+      play: () => this.play(),
+      pause: () => this.pause(),
+      stop: () => this.dispatchEvent(new Event("stoprequest")),
+      seekto: (details) => this.seek(details.seekTime),
+      nexttrack: () => this.skipSentence(1),
+      previoustrack: () => this.skipSentence(-1),
+    };
+    for (const [action, handler] of Object.entries(actions)) {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (error) {
+        console.warn(`Media Session action "${action}" is not supported:`, error.message);
+      }
+    }
+  }
+
+  // Shown on the lock screen: the title is the first line of the text
+  setMediaInfo(text, voice) {
+    const firstLine = text.trim().split("\n")[0].trim();
+    const title = firstLine.length > MAX_TITLE_LENGTH ? `${firstLine.slice(0, MAX_TITLE_LENGTH - 3)}...` : firstLine;
+    this.mediaInfo = { title: title || document.title, voice };
+    this.mediaArtist = null;
+    this.updateMediaSession();
+  }
+
+  notify(type) {
+    this.dispatchEvent(new Event(type));
+    this.updateMediaSession();
+
+    const running = this.isPlaying && !this.paused;
+    if (running && !this.timer) {
+      this.timer = setInterval(() => this.notify("timeupdate"), TIME_UPDATE_INTERVAL);
+    } else if (!running && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  updateMediaSession() {
+    if (!this.mediaElement) return;
+    const { mediaSession } = navigator;
+    const running = this.isPlaying && !this.paused;
+    mediaSession.playbackState = this.segments.length === 0 ? "none" : running ? "playing" : "paused";
+    if (running) {
+      this.mediaElement.play().catch((error) => console.warn("Unable to start the media session:", error.message));
+    } else {
+      this.mediaElement.pause();
+    }
+
+    if (this.segments.length === 0) {
+      mediaSession.metadata = null;
+      mediaSession.setPositionState?.();
+      this.mediaArtist = null;
+      return;
+    }
+    // The artist line follows the sentence being played
+    const artist = this.getCurrentText();
+    if (artist !== this.mediaArtist) {
+      this.mediaArtist = artist;
+      mediaSession.metadata = new MediaMetadata({ title: this.mediaInfo.title, artist, album: this.mediaInfo.voice });
+    }
+    mediaSession.setPositionState?.({ duration: this.duration, playbackRate: this.rate, position: Math.min(this.getCurrentTime(), this.duration) });
+  }
+
+  setLoudness(options) {
+    this.loudness = options;
+  }
+
+  // Start measuring a new stream, so its gain doesn't follow the previous one's voice
+  resetLoudness() {
+    this.normalizer = this.loudness.enabled ? new RunningNormalizer(this.loudness) : null;
   }
 
   setTotalChunks(totalChunks) {
@@ -19,64 +138,210 @@ export class AudioPlayer {
     this.processedAudioChunks = 0;
   }
 
-  async queueAudio(audioData) {
-    const audioData2 = new Float32Array(audioData);
-    const audioBuffer = this.audioContext.createBuffer(1, audioData2.length, SAMPLE_RATE);
-    audioBuffer.getChannelData(0).set(audioData2);
-    this.audioQueue.push(audioBuffer);
-    this.playAudioQueue();
+  // A refined estimate of the total, keeping the chunks processed so far
+  updateTotalChunks(totalChunks) {
+    this.totalAudioChunks = totalChunks;
+  }
+
+  // onPlayed is called once the buffer has been played or skipped, e.g. to acknowledge it to the worker.
+  // The segment's text and sentence timings let the player skip by sentence.
+  async queueAudio(audioData, onPlayed = null, { text = "", sentences = [] } = {}) {
+    const samples = new Float32Array(audioData);
+    this.normalizer?.process(samples);
+    this.segments.push({ samples, length: samples.length, start: this.duration, text, sentences, onPlayed, played: false, stretched: null, spilled: null });
+    this.duration += samples.length / SAMPLE_RATE;
+    this.samplesInMemory += samples.length;
+    this.notify("durationchange");
+    if (this.samplesInMemory > MEMORY_LIMIT) this.spill();
+    if (!this.stopped) this.playAudioQueue();
   }
 
   async playAudioQueue() {
-    if (this.isPlaying || this.audioQueue.length === 0) return;
+    if (this.isPlaying || this.index >= this.segments.length) return;
 
+    const generation = this.generation;
     this.isPlaying = true;
+    this.notify("statechange");
     try {
-      while (this.audioQueue.length > 0) {
-        const source = this.audioContext.createBufferSource();
-        this.currentSource = source; // Store current source for stopping
-        source.buffer = this.audioQueue.shift();
-        source.connect(this.audioContext.destination);
-
-        // Speed logic is removed from here
-
-        if (this.audioContext.state === "suspended") {
+      while (this.index < this.segments.length && this.generation === generation) {
+        // A paused player stays paused when the next segment arrives
+        if (this.audioContext.state === "suspended" && !this.paused) {
           await this.audioContext.resume();
           console.log("AudioContext resumed.");
         }
 
-        console.log("Playing audio buffer");
-        await new Promise((resolve) => {
+        const index = this.index;
+        if (!this.segments[index].samples) {
+          await this.loadSamples(this.segments[index]);
+          continue; // The position may have changed meanwhile
+        }
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.getBuffer(this.segments[index]);
+        source.connect(this.audioContext.destination);
+
+        const ended = await new Promise((resolve) => {
           source.onended = () => {
-            this.currentSource = null; // Clear reference when playback ends
-            resolve();
+            // A seek or stop has already replaced or cleared the current source
+            const finished = this.currentSource === source;
+            if (finished) this.currentSource = null;
+            resolve(finished);
           };
-          source.start();
+          this.currentSource = source; // Store current source for stopping
+          this.sourceStartedAt = this.audioContext.currentTime;
+          source.start(0, this.offset / this.rate);
         });
 
-        console.log("Audio playback finished.");
-
-        // Update progress tracking
-        this.processedAudioChunks++;
-        const percent = Math.min((this.processedAudioChunks / this.totalAudioChunks) * 100, 99);
-        updateProgress(percent, "Processing text...");
-
-        // --- THIS IS THE FIX ---
-        // Tell the worker we've finished with this chunk and it can send another
-        this.worker.postMessage({type: "buffer_processed"});
-        // --- END FIX ---
+        // Otherwise it was stopped by a seek, which has already moved the position
+        if (ended && this.generation === generation) {
+          this.markPlayed(index);
+          this.index = index + 1;
+          this.offset = 0;
+        }
       }
     } catch (error) {
       console.error("Error during audio playback:", error);
     } finally {
-      this.isPlaying = false;
+      if (this.generation === generation) {
+        this.isPlaying = false;
+        this.notify("statechange");
+      }
+    }
+  }
+
+  // The segment's samples at the current rate, stretched once per rate
+  getBuffer(segment) {
+    if (segment.stretched?.rate !== this.rate) {
+      const samples = timeStretch(segment.samples, this.rate);
+      const audioBuffer = this.audioContext.createBuffer(1, samples.length, SAMPLE_RATE);
+      audioBuffer.getChannelData(0).set(samples);
+      segment.stretched = { rate: this.rate, audioBuffer };
+    }
+    return segment.stretched.audioBuffer;
+  }
+
+  // Call onPlayed for every segment up to the index that hasn't had it yet
+  markPlayed(lastIndex) {
+    for (let i = 0; i <= lastIndex; ++i) {
+      const segment = this.segments[i];
+      if (segment.played) continue;
+      segment.played = true;
+
+      // Update progress tracking
+      this.processedAudioChunks++;
+      const percent = Math.min((this.processedAudioChunks / this.totalAudioChunks) * 100, 99);
+      updateProgress(percent, "Processing text...");
+
+      segment.onPlayed?.();
+    }
+  }
+
+  // The playback position, in seconds of the stream at normal rate
+  getCurrentTime() {
+    const segment = this.segments[this.index];
+    if (!segment) return this.duration;
+    if (!this.currentSource) return segment.start + this.offset;
+    const elapsed = (this.audioContext.currentTime - this.sourceStartedAt) * this.rate;
+    return Math.min(segment.start + this.offset + elapsed, segment.start + segment.length / SAMPLE_RATE);
+  }
+
+  getDuration() {
+    return this.duration;
+  }
+
+  // The sentence being played, or the segment's text when it has no sentence timings
+  getCurrentText() {
+    const segment = this.segments[this.index];
+    if (!segment) return "";
+    const time = this.getCurrentTime() - segment.start;
+    return segment.sentences.find((sentence) => time < sentence.endTime)?.text ?? segment.text;
+  }
+
+  // Pause on the AudioContext, so the source keeps its place
+  async pause() {
+    if (this.paused) return;
+    this.paused = true;
+    await this.audioContext.suspend();
+    this.notify("statechange");
+  }
+
+  // Play a stopped session from where it is, or resume a paused one
+  play() {
+    if (this.paused) return this.resume();
+    if (!this.stopped) return;
+    this.stopped = false;
+    if (this.index >= this.segments.length) this.seek(0);
+    this.playAudioQueue();
+  }
+
+  // Play the session again from the start, without generating it again
+  replay() {
+    if (this.segments.length === 0) return;
+    this.stopped = false;
+    if (this.paused) this.resume();
+    this.seek(0);
+  }
+
+  async resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    await this.audioContext.resume();
+    this.notify("statechange");
+    if (!this.isPlaying) this.playAudioQueue();
+  }
+
+  // Jump to a time within the audio generated so far. Skipped segments count as played.
+  seek(time) {
+    if (this.segments.length === 0) return;
+    time = Math.min(Math.max(time, 0), this.duration);
+    let index = this.segments.findIndex((segment) => time < segment.start + segment.length / SAMPLE_RATE);
+    if (index === -1) index = this.segments.length; // The end, wait for the next segment
+    if (index > 0) this.markPlayed(index - 1);
+
+    this.index = index;
+    this.offset = index < this.segments.length ? time - this.segments[index].start : 0;
+    this.restartSource();
+    this.notify("statechange");
+  }
+
+  // Skip to the start of the next (direction 1) or previous (direction -1) sentence
+  skipSentence(direction) {
+    const starts = this.segments.flatMap(({ start, sentences }) => sentences.length > 0 ? sentences.map((sentence) => start + sentence.startTime) : [start]);
+    const time = this.getCurrentTime();
+    const target = direction > 0
+      ? starts.find((start) => start > time + 0.05) ?? this.duration
+      : starts.findLast((start) => start < time - RESTART_THRESHOLD) ?? 0;
+    this.seek(target);
+  }
+
+  // Change the listening rate. Played segments are time-stretched, not generated again.
+  setRate(rate) {
+    if (rate === this.rate) return;
+    const time = this.getCurrentTime();
+    this.rate = rate;
+    this.seek(time);
+  }
+
+  // Stop the current source, the playback loop picks up from the new position
+  restartSource() {
+    const source = this.currentSource;
+    this.currentSource = null;
+    if (source) {
+      try {
+        source.stop();
+      } catch (error) {
+        console.error("Error stopping current source:", error);
+      }
+    } else if (!this.isPlaying) {
+      this.playAudioQueue();
     }
   }
 
-  // Stop audio playback and clear the queue
+  // Stop audio playback, and go back to the start of the session
   stop() {
     console.log("Stopping audio playback");
-    
+    this.generation++;
+    this.stopped = true;
+
     // Stop the currently playing source if any
     if (this.currentSource) {
       try {
@@ -86,15 +351,118 @@ export class AudioPlayer {
         console.error("Error stopping current source:", error);
       }
     }
-    
-    this.audioQueue = [];
+
+    this.index = 0;
+    this.offset = 0;
     this.isPlaying = false;
-    
-    if (this.worker) {
-      this.worker.postMessage({
-        type: "stop"
-      });
+    if (this.paused) {
+      this.paused = false;
+      this.audioContext.resume();
     }
+    this.notify("statechange");
+  }
+
+  // Stop, and forget the session before a new one starts
+  reset() {
+    this.stop();
+    this.stopped = false;
+    this.segments = [];
+    this.duration = 0;
+    this.samplesInMemory = 0;
+    // A session that is being saved still reads its files, they are removed once it is saved
+    if (this.exports === 0) {
+      this.removeSpillFiles(this.spillFiles);
+    } else {
+      this.retiredSpillFiles.push(...this.spillFiles);
+    }
+    this.spillFiles = [];
+    this.notify("statechange");
+    this.notify("durationchange");
+  }
+
+  removeSpillFiles(spillFiles) {
+    for (const { file } of spillFiles) {
+      file.remove().catch((error) => console.warn("Unable to remove a temporary audio file:", error));
+    }
+  }
+
+  // Move the samples of played segments, oldest first, to a temporary file until a quarter of the limit is free
+  async spill() {
+    if (this.spilling) return;
+    this.spilling = true;
+    const segments = this.segments;
+    try {
+      const chosen = [];
+      let freed = 0;
+      for (let i = 0; i < this.index && this.samplesInMemory - freed > MEMORY_LIMIT * 0.75; ++i) {
+        if (segments[i].samples) {
+          chosen.push(segments[i]);
+          freed += segments[i].length;
+        }
+      }
+      const toWrite = chosen.filter((segment) => !segment.spilled);
+      if (toWrite.length > 0) {
+        const spillFile = { file: await createTemporaryFile(), blob: null };
+        this.spillFiles.push(spillFile);
+        let offset = 0;
+        for (const segment of toWrite) {
+          await spillFile.file.write(segment.samples);
+          offset += segment.length;
+        }
+        await spillFile.file.close();
+        spillFile.blob = await spillFile.file.getFile();
+        offset = 0;
+        for (const segment of toWrite) {
+          segment.spilled = { blob: spillFile.blob, offset };
+          offset += segment.length;
+        }
+      }
+      if (segments !== this.segments) return; // Reset meanwhile
+      // Segments played again while they were written stay in memory
+      for (const segment of chosen) {
+        if (segment.samples && this.segments.indexOf(segment) < this.index) {
+          segment.samples = null;
+          segment.stretched = null;
+          this.samplesInMemory -= segment.length;
+        }
+      }
+    } catch (error) {
+      console.warn("Unable to move played audio to a temporary file, keeping it in memory:", error);
+    } finally {
+      this.spilling = false;
+    }
+  }
+
+  async loadSamples(segment) {
+    const samples = await this.readSpilled(segment);
+    if (!segment.samples) {
+      segment.samples = samples;
+      this.samplesInMemory += samples.length;
+      if (this.samplesInMemory > MEMORY_LIMIT) this.spill();
+    }
+  }
+
+  // The session's segments in order, for saving it. Spilled segments are read back without being kept.
+  async *sessionAudio() {
+    const segments = this.segments;
+    this.exports++;
+    try {
+      for (const segment of segments) {
+        const samples = segment.samples ?? await this.readSpilled(segment);
+        yield { samples, text: segment.text };
+      }
+    } finally {
+      if (--this.exports === 0) {
+        this.removeSpillFiles(this.retiredSpillFiles);
+        this.retiredSpillFiles = [];
+      }
+    }
+  }
+
+  async readSpilled(segment) {
+    const { blob, offset } = segment.spilled;
+    const bytes = Float32Array.BYTES_PER_ELEMENT;
+    return new Float32Array(await blob.slice(offset * bytes, (offset + segment.length) * bytes).arrayBuffer());
   }
 
   close() {
@@ -0,0 +1,226 @@
+// AudiobookExporter.js
+// Saves the text as an audiobook: one MP3 with chapter markers, or one file per chapter and a cue sheet
+
+import { updateProgress } from "./updateProgress.js";
+import { AUDIO_FORMATS } from "./audio-encoders.js";
+import { DEFAULT_HEADING_PATTERN, chapterFileName, createCueSheet, detectChapters, sanitizeFileName } from "./chapters.js";
+import { downloadBlob } from "./temp-files.js";
+
+export class AudiobookExporter {
+  constructor(client, audioDiskSaver, buttonHandler) {
+    this.client = client;
+    this.audioDiskSaver = audioDiskSaver;
+    this.buttonHandler = buttonHandler; // For the voice, speed and format, and to keep its buttons disabled
+    this.cover = null;
+    this.currentJob = null;
+    this.isExporting = false;
+    this.stopRequested = false;
+
+    this.handleDetectClick = this.handleDetectClick.bind(this);
+    this.handleExportClick = this.handleExportClick.bind(this);
+    this.handleCoverChange = this.handleCoverChange.bind(this);
+  }
+
+  init() {
+    document.getElementById("audiobookDetect").addEventListener("click", this.handleDetectClick);
+    document.getElementById("audiobookExport").addEventListener("click", this.handleExportClick);
+    document.getElementById("audiobookCover").addEventListener("change", this.handleCoverChange);
+    document.getElementById("audiobookPattern").placeholder = DEFAULT_HEADING_PATTERN.source;
+  }
+
+  setEnabled(enabled) {
+    if (this.isExporting) return;
+    document.getElementById("audiobookExport").disabled = !enabled;
+  }
+
+  // Throws if the heading pattern is not a valid regex
+  detect(text) {
+    const source = document.getElementById("audiobookPattern").value.trim();
+    return detectChapters(text, {
+      pattern: source ? new RegExp(source, "i") : DEFAULT_HEADING_PATTERN,
+      titleLines: document.getElementById("audiobookTitleLines").checked,
+    });
+  }
+
+  handleDetectClick() {
+    try {
+      this.renderChapters(this.detect(document.getElementById("ta").value));
+    } catch (error) {
+      alert(`Invalid heading pattern: ${error.message}`);
+    }
+  }
+
+  async handleCoverChange(event) {
+    const file = event.target.files[0];
+    this.cover = file ? { mimeType: file.type, data: new Uint8Array(await file.arrayBuffer()) } : null;
+  }
+
+  async handleExportClick() {
+    if (this.isExporting) {
+      // The export loop sees the cancellation and closes the file
+      this.stopRequested = true;
+      this.currentJob?.cancel();
+      return;
+    }
+    if (this.buttonHandler.isCurrentlyStreaming()) {
+      alert("Wait for the current playback or download to finish.");
+      return;
+    }
+
+    const { text, voice, speed, markdown } = this.buttonHandler.getTtsOptions();
+    let chapters;
+    try {
+      chapters = this.detect(text);
+    } catch (error) {
+      alert(`Invalid heading pattern: ${error.message}`);
+      return;
+    }
+    if (chapters.length === 0) {
+      alert("Please enter text to convert");
+      return;
+    }
+    this.renderChapters(chapters);
+
+    const book = {
+      title: document.getElementById("audiobookTitle").value.trim(),
+      author: document.getElementById("audiobookAuthor").value.trim(),
+      cover: this.cover,
+    };
+    chapters = chapters.map((chapter, i) => ({ ...chapter, title: chapter.title || `Chapter ${i + 1}` }));
+
+    this.setExporting(true);
+    try {
+      if (document.getElementById("audiobookLayout").value === "split") {
+        await this.exportChapterFiles(book, chapters, { voice, speed, markdown });
+      } else {
+        await this.exportSingleFile(book, chapters, { voice, speed, markdown });
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        updateProgress(100, "Audiobook export stopped");
+      } else {
+        console.error("Error exporting audiobook:", error);
+        updateProgress(100, `Audiobook export error: ${error.message}`);
+      }
+    } finally {
+      this.setExporting(false);
+    }
+  }
+
+  // One MP3, with the book metadata and a chapter marker at the start of each chapter
+  async exportSingleFile(book, chapters, ttsOptions) {
+    await this.audioDiskSaver.initSave("mp3", {
+      fileName: sanitizeFileName(book.title) || "audiobook",
+      subtitles: this.buttonHandler.getSubtitleFormat(),
+      metadata: { title: book.title, album: book.title, author: book.author, cover: book.cover, chapters: chapters.map((c) => c.title) },
+    });
+
+    try {
+      for (let i = 0; i < chapters.length; ++i) {
+        this.audioDiskSaver.startChapter();
+        await this.synthesizeChapter(chapters, i, ttsOptions);
+      }
+    } catch (error) {
+      await this.audioDiskSaver.stopSave();
+      throw error;
+    }
+    await this.audioDiskSaver.finalizeSave();
+    updateProgress(100, `Audiobook saved with ${chapters.length} chapters`);
+  }
+
+  // One numbered file per chapter in the "Save as" format, and a cue sheet listing them if the format has a cue sheet type.
+  // In browsers that cannot save to a folder, each file is downloaded as it is finished.
+  async exportChapterFiles(book, chapters, ttsOptions) {
+    const format = this.buttonHandler.getSaveFormat();
+    const { extension, cueFileType } = AUDIO_FORMATS[format];
+    const directory = "showDirectoryPicker" in window ? await window.showDirectoryPicker({ id: "kokoro-audiobook", mode: "readwrite" }) : null;
+
+    const saved = [];
+    for (let i = 0; i < chapters.length; ++i) {
+      const fileName = chapterFileName(i, chapters.length, chapters[i].title, extension);
+      await this.audioDiskSaver.initSave(format, {
+        fileHandle: directory ? await directory.getFileHandle(fileName, { create: true }) : null,
+        fileName: fileName.slice(0, -extension.length - 1),
+        subtitles: this.buttonHandler.getSubtitleFormat(),
+        subtitleDirectory: directory,
+        metadata: { title: chapters[i].title, album: book.title, author: book.author, track: `${i + 1}/${chapters.length}`, cover: book.cover },
+      });
+
+      try {
+        await this.synthesizeChapter(chapters, i, ttsOptions);
+      } catch (error) {
+        await this.audioDiskSaver.stopSave();
+        throw error;
+      }
+      await this.audioDiskSaver.finalizeSave();
+      saved.push({ title: chapters[i].title, fileName });
+    }
+
+    const done = directory ? `Saved ${chapters.length} chapters to "${directory.name}"` : `Downloaded ${chapters.length} chapters`;
+    if (!cueFileType) {
+      updateProgress(100, `${done}, without a cue sheet, which has no ${AUDIO_FORMATS[format].name} file type`);
+      return;
+    }
+    const cueSheet = createCueSheet({ title: book.title, author: book.author, chapters: saved }, cueFileType);
+    const cueName = `${sanitizeFileName(book.title) || "audiobook"}.cue`;
+    if (!directory) {
+      downloadBlob(new Blob([cueSheet], { type: "application/x-cue" }), cueName);
+      updateProgress(100, done);
+      return;
+    }
+    const cueHandle = await directory.getFileHandle(cueName, { create: true });
+    const writable = await cueHandle.createWritable();
+    await writable.write(cueSheet);
+    await writable.close();
+    updateProgress(100, done);
+  }
+
+  async synthesizeChapter(chapters, index, { voice, speed, markdown }) {
+    if (this.stopRequested) {
+      throw new DOMException("Audiobook export stopped", "AbortError");
+    }
+    const { title, text } = chapters[index];
+    const label = `Chapter ${index + 1} of ${chapters.length}: ${title}`;
+    updateProgress((index / chapters.length) * 100, label);
+
+    // Segments are acknowledged once written, so a slow disk holds the worker back
+    const job = this.client.generate({ text, voice, speed, markdown }, { autoAck: false });
+    this.currentJob = job;
+    job.addEventListener("started", () => this.audioDiskSaver.setTotalChunks(job.totalSegments));
+    job.addEventListener("total_segments", () => this.audioDiskSaver.updateTotalChunks(job.totalSegments));
+
+    try {
+      for await (const { audio, text: segmentText } of job) {
+        const percent = await this.audioDiskSaver.addAudioChunk(audio, segmentText);
+        job.ack();
+        updateProgress(Math.min(((index + percent / 100) / chapters.length) * 100, 99), label);
+      }
+    } finally {
+      this.currentJob = null;
+    }
+  }
+
+  setExporting(exporting) {
+    this.isExporting = exporting;
+    this.stopRequested = false;
+    if (exporting) {
+      this.buttonHandler.disableButtons();
+      this.buttonHandler.setStreaming(true); // Keeps them disabled when the model is reloaded
+    } else {
+      this.buttonHandler.setStreaming(false);
+      this.buttonHandler.enableButtons();
+    }
+    document.getElementById("audiobookExport").textContent = exporting ? "Stop Export" : "Export Audiobook";
+  }
+
+  renderChapters(chapters) {
+    const list = document.getElementById("audiobookChapters");
+    list.innerHTML = "";
+
+    chapters.forEach((chapter, i) => {
+      const item = document.createElement("li");
+      item.textContent = `${chapter.title || `Chapter ${i + 1}`} (${chapter.text.length.toLocaleString()} characters)`;
+      list.appendChild(item);
+    });
+  }
+}
@@ -62,12 +62,13 @@ export class BackgroundQueueManager {
     });
   }
 
-  async addJob(text, voice, speed, mode = 'stream') {
+  async addJob(text, voice, speed, mode = 'stream', markdown = null) {
     const job = {
       text,
       voice,
       speed,
       mode,
+      markdown,
       status: 'queued',
       createdAt: new Date().toISOString(),
       progress: 0,
@@ -124,25 +125,31 @@ export class BackgroundQueueManager {
         text: job.text,
         voice: job.voice,
         speed: job.speed,
-        mode: job.mode
+        mode: job.mode,
+        markdown: job.markdown ?? null
       } 
     }));
 
     // Note: Job completion is handled by jobComplete() method
   }
 
-  async jobComplete(jobId, audioChunks = null, success = true) {
+  async jobComplete(jobId, audioChunks = null, success = true, cues = null, loudness = null) {
     console.log(`Job ${jobId} complete. Success: ${success}`);
     
+    if (success && loudness) {
+      await this.updateJobLoudness(jobId, loudness);
+    }
+
     if (success && audioChunks && audioChunks.length > 0) {
       // Store audio data
-      await this.saveAudioData(jobId, audioChunks);
+      await this.saveAudioData(jobId, audioChunks, cues);
       await this.updateJobStatus(jobId, 'complete');
       
       // Show notification
       this.showNotification('TTS Complete', `Audio conversion finished! Click to play.`, jobId);
     } else if (success) {
-      // For stream mode (no chunks to save)
+      // For stream mode (no chunks to save, only the subtitles)
+      if (cues) await this.saveAudioData(jobId, null, cues);
       await this.updateJobStatus(jobId, 'complete');
       this.showNotification('TTS Complete', `Audio streaming finished!`, jobId);
     } else {
@@ -217,7 +224,29 @@ export class BackgroundQueueManager {
     });
   }
 
-  async saveAudioData(jobId, audioChunks) {
+  async updateJobLoudness(id, loudness) {
+    const tx = this.db.transaction('queue', 'readwrite');
+    const store = tx.objectStore('queue');
+    
+    return new Promise((resolve, reject) => {
+      const getRequest = store.get(id);
+      getRequest.onsuccess = () => {
+        const job = getRequest.result;
+        if (job) {
+          job.loudness = loudness;
+          
+          const putRequest = store.put(job);
+          putRequest.onsuccess = () => resolve();
+          putRequest.onerror = () => reject(putRequest.error);
+        } else {
+          resolve();
+        }
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  }
+
+  async saveAudioData(jobId, audioChunks, cues = null) {
     const tx = this.db.transaction('audio', 'readwrite');
     const store = tx.objectStore('audio');
     
@@ -225,6 +254,7 @@ export class BackgroundQueueManager {
       const request = store.put({ 
         jobId, 
         chunks: audioChunks,
+        cues,
         savedAt: new Date().toISOString()
       });
       request.onsuccess = () => resolve();
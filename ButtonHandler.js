@@ -1,36 +1,85 @@
 import { updateProgress } from "./updateProgress.js";
+import { SPLIT_TOKENS } from "./tts-protocol.js";
+
+const SAVE_FORMAT_KEY = "kokoro-save-format";
+const SUBTITLE_FORMAT_KEY = "kokoro-subtitle-format";
+const CHECKPOINT_INTERVAL = 30000; // ms between checkpoints of a disk save, each one copies the file
+const CHECKPOINT_BYTES = 16 * 1024 * 1024; // Past this size, the interval grows with the file so copying it stays a small share of the time
 
 export class ButtonHandler {
-  constructor(worker, audioPlayer, audioDiskSaver, getRealSpeedFunc) {
-    this.worker = worker;
+  constructor(client, audioPlayer, audioDiskSaver, getRealSpeedFunc) {
+    this.client = client;
     this.audioPlayer = audioPlayer;
     this.audioDiskSaver = audioDiskSaver;
     this.getRealSpeed = getRealSpeedFunc; 
     this.mode = "none";
     this.isStreaming = false;
     this.queueManager = null; // Will be set externally
+    this.saveRecovery = null; // Likewise, records checkpoints of disk saves
+    this.markdownSettings = null; // Likewise, whether the text is read as Markdown
+    this.checkpointId = null; // Of the disk save in progress
+    this.currentJob = null; // TTSJob of the manual stream or disk save
 
     this.handleStreamButtonClick = this.handleStreamButtonClick.bind(this);
     this.handleDiskButtonClick = this.handleDiskButtonClick.bind(this);
+    this.handleStopRequest = this.handleStopRequest.bind(this);
   }
 
   init() {
     document.getElementById("streamAudioContext").addEventListener("click", this.handleStreamButtonClick);
     document.getElementById("streamDisk").addEventListener("click", this.handleDiskButtonClick);
+    this.audioPlayer.addEventListener("stoprequest", this.handleStopRequest);
+
+    this.restoreSelection("saveFormat", SAVE_FORMAT_KEY);
+    this.restoreSelection("subtitleFormat", SUBTITLE_FORMAT_KEY);
+  }
+
+  // Remember the choice of a select element across visits
+  restoreSelection(id, storageKey) {
+    const select = document.getElementById(id);
+    const saved = localStorage.getItem(storageKey);
+    if (saved !== null && [...select.options].some((option) => option.value === saved)) {
+      select.value = saved;
+    }
+    select.addEventListener("change", () => localStorage.setItem(storageKey, select.value));
   }
   
   setQueueManager(queueManager) {
     this.queueManager = queueManager;
   }
 
+  setSaveRecovery(saveRecovery) {
+    this.saveRecovery = saveRecovery;
+  }
+
+  setMarkdownSettings(markdownSettings) {
+    this.markdownSettings = markdownSettings;
+  }
+
   getTtsOptions() {
     const text = document.getElementById("ta").value;
     const voice = document.getElementById("voiceSelector").value;
     const sliderValue = parseFloat(document.getElementById('speed-slider').value);
     const speed = this.getRealSpeed(sliderValue); 
-    return { text, voice, speed };
+    const markdown = this.markdownSettings?.getOptions() ?? null;
+    return { text, voice, speed, markdown };
   }
   
+  // The name shown in the voice selector, e.g. "Heart (en-us)"
+  getVoiceName() {
+    const voiceSelector = document.getElementById("voiceSelector");
+    return voiceSelector.selectedOptions[0]?.textContent ?? voiceSelector.value;
+  }
+
+  getSaveFormat() {
+    return document.getElementById("saveFormat").value;
+  }
+
+  // "srt", "vtt", or null for no subtitles
+  getSubtitleFormat() {
+    return document.getElementById("subtitleFormat").value || null;
+  }
+
   isQueueModeEnabled() {
     const queueModeCheckbox = document.getElementById("queueMode");
     return queueModeCheckbox && queueModeCheckbox.checked;
@@ -73,6 +122,13 @@ export class ButtonHandler {
     this.showButtonContent(diskBtn, "download");
   }
 
+  disableButtons() {
+    if (this.isStreaming) return;
+
+    document.getElementById("streamAudioContext").disabled = true;
+    document.getElementById("streamDisk").disabled = true;
+  }
+
   updateStreamButtonToStop() {
     const streamBtn = document.getElementById("streamAudioContext");
     if (streamBtn.classList.contains("loading")) {
@@ -100,14 +156,14 @@ export class ButtonHandler {
   async handleStreamButtonClick() {
     // Check if queue mode is enabled
     if (this.isQueueModeEnabled() && this.queueManager) {
-      const { text, voice, speed } = this.getTtsOptions();
+      const { text, voice, speed, markdown } = this.getTtsOptions();
       if (text.trim().length === 0) {
         alert('Please enter text to convert');
         return;
       }
       
       // Add to queue
-      const jobId = await this.queueManager.addJob(text, voice, speed, 'stream');
+      const jobId = await this.queueManager.addJob(text, voice, speed, 'stream', markdown);
       alert(`Job #${jobId} added to queue!\n\nYou can close this tab. You'll get a notification when it's complete.`);
       
       // Clear text area if user wants
@@ -120,36 +176,58 @@ export class ButtonHandler {
     
     // Normal stream mode (existing logic)
     if (this.isStreaming) {
-      this.audioPlayer.stop();
-      this.resetStreamingState();
-      updateProgress(100, "Streaming stopped");
+      this.stopStreaming();
       return;
     }
 
     this.setStreamingState("stream");
     
-    const { text, voice, speed } = this.getTtsOptions();
+    const { text, voice, speed, markdown } = this.getTtsOptions();
     if (text.trim().length === 0) {
         this.resetStreamingState();
         return;
     }
 
     updateProgress(0, "Initializing audio streaming...");
+    this.audioPlayer.reset(); // Forget the previous session, the seek bar covers this one
+    this.audioPlayer.setMediaInfo(text, this.getVoiceName());
     this.audioPlayer.setTotalChunks(text.length / 300);
-    this.worker.postMessage({ type: "generate", text: text, voice: voice, speed: speed });
+    this.audioPlayer.resetLoudness();
+
+    // Segments are acknowledged once played, so the worker stays a few segments ahead
+    const job = this.client.generate({ text, voice, speed, markdown }, { autoAck: false });
+    this.currentJob = job;
+    job.addEventListener("started", () => this.audioPlayer.setTotalChunks(job.totalSegments));
+    job.addEventListener("total_segments", () => this.audioPlayer.updateTotalChunks(job.totalSegments));
+
+    try {
+      for await (const { audio, text: segmentText, sentences } of job) {
+        if (this.currentJob !== job) return; // Stopped, the session ends here
+        this.updateStreamButtonToStop();
+        this.audioPlayer.queueAudio(audio, () => job.ack(), { text: segmentText, sentences });
+      }
+      updateProgress(100, "Job completed successfully!");
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("Streaming error:", error);
+        updateProgress(100, `Error: ${error.message}`);
+      }
+    } finally {
+      this.finishJob(job);
+    }
   }
   
   async handleDiskButtonClick() {
     // Check if queue mode is enabled
     if (this.isQueueModeEnabled() && this.queueManager) {
-      const { text, voice, speed } = this.getTtsOptions();
+      const { text, voice, speed, markdown } = this.getTtsOptions();
       if (text.trim().length === 0) {
         alert('Please enter text to convert');
         return;
       }
       
       // Add to queue
-      const jobId = await this.queueManager.addJob(text, voice, speed, 'disk');
+      const jobId = await this.queueManager.addJob(text, voice, speed, 'disk', markdown);
       alert(`Job #${jobId} added to queue!\n\nYou can close this tab. You'll get a notification when it's complete.\n\nYou can download the audio from the queue list when it's done.`);
       
       // Clear text area if user wants
@@ -162,31 +240,179 @@ export class ButtonHandler {
     
     // Normal disk mode (existing logic)
     if (this.isStreaming) {
-      this.worker.postMessage({ type: "stop" });
+      this.stopCurrentJob();
       await this.audioDiskSaver.stopSave();
+      this.stopCheckpoints(true);
       this.resetStreamingState();
       updateProgress(100, "Disk save stopped");
       return;
     }
 
+    const { text, voice, speed, markdown } = this.getTtsOptions();
+    if (text.trim().length === 0) {
+      return;
+    }
+
+    const interrupted = await this.saveRecovery?.findByText(text).catch(() => null);
+    if (interrupted && confirm(`Saving this text to "${interrupted.fileName}" was interrupted. Continue that save?`)) {
+      await this.resumeDiskSave(interrupted);
+      return;
+    }
+
     this.setStreamingState("disk");
 
+    const format = this.getSaveFormat();
+    const subtitles = this.getSubtitleFormat();
     try {
       updateProgress(0, "Preparing to save audio...");
-      await this.audioDiskSaver.initSave(); 
+      await this.audioDiskSaver.initSave(format, { subtitles });
+    } catch (error) {
+      console.error("Error initializing disk save:", error);
+      updateProgress(100, "File save error!");
+      this.resetStreamingState();
+      return;
+    }
 
-      const { text, voice, speed } = this.getTtsOptions();
-      if (text.trim().length === 0) {
-        this.resetStreamingState();
+    if (this.saveRecovery && this.audioDiskSaver.canCheckpoint()) {
+      try {
+        const checkpoint = await this.audioDiskSaver.checkpoint();
+        const splitSettings = this.getSplitSettings();
+        this.checkpointId = await this.saveRecovery.start({ fileHandle: this.audioDiskSaver.fileHandle, format, subtitles, text, voice, speed, markdown, splitSettings }, checkpoint);
+      } catch (error) {
+        console.warn("Unable to record checkpoints, this save cannot be continued after a crash:", error);
+      }
+    }
+
+    this.audioDiskSaver.setTotalChunks(text.length / 100); 
+    updateProgress(0, "Processing audio for saving...");
+    await this.writeToDisk(this.client.generate({ text, voice, speed, markdown }, { autoAck: false }));
+  }
+
+  // The settings segments are split with, so a save is only continued from the same segment
+  getSplitSettings() {
+    return { lexicon: this.client.lexicon, splitTokens: SPLIT_TOKENS };
+  }
+
+  // Continue an interrupted save from its last checkpoint, into the same file
+  async resumeDiskSave(record) {
+    if (this.isStreaming || document.getElementById("streamDisk").disabled) {
+      alert("Wait until the model is loaded and nothing else is being generated, then continue the save.");
+      return;
+    }
+    // Other lexicon entries or segment sizes move the segments, and the save would skip or repeat text
+    if (JSON.stringify(record.splitSettings) !== JSON.stringify(this.getSplitSettings())) {
+      alert("The lexicon or segment settings changed since this save started, so it can't be continued. Restore them, or save the text again.");
+      return;
+    }
+    // Claimed before the file is cut back, in case another tab continued it in the meantime
+    if (!(await this.saveRecovery.claim(record.id))) {
+      alert("This save is being continued in another tab.");
+      return;
+    }
+
+    try {
+      // Access to the file has to be granted again after a reload, which browsers only allow from a click
+      if (await record.fileHandle.requestPermission({ mode: "readwrite" }) !== "granted") {
+        updateProgress(100, `No access to "${record.fileName}", the save was not continued`);
+        this.saveRecovery.release(record.id);
         return;
       }
+      this.setStreamingState("disk");
+      updateProgress(0, `Continuing "${record.fileName}"...`);
+      await this.audioDiskSaver.initSave(record.format, { fileHandle: record.fileHandle, subtitles: record.subtitles, resume: record });
+    } catch (error) {
+      console.error("Error continuing disk save:", error);
+      updateProgress(100, `File save error: ${error.message}`);
+      this.saveRecovery.release(record.id);
+      this.resetStreamingState();
+      return;
+    }
+
+    this.checkpointId = record.id;
+    document.getElementById("ta").value = record.text;
+    const startIndex = record.chunk + 1;
+    await this.writeToDisk(this.client.generate({ text: record.text, voice: record.voice, speed: record.speed, markdown: record.markdown ?? null, startIndex }, { autoAck: false }), startIndex);
+  }
+
+  // Write a job's segments to the file started by initSave. Segments are acknowledged once written,
+  // so a slow disk holds the worker back. startIndex is the first segment of a continued save.
+  async writeToDisk(job, startIndex = 0) {
+    this.currentJob = job;
+    job.addEventListener("started", () => this.audioDiskSaver.setTotalChunks(job.totalSegments - startIndex));
+    job.addEventListener("total_segments", () => this.audioDiskSaver.updateTotalChunks(job.totalSegments - startIndex));
+    let lastCheckpoint = Date.now();
 
-      this.audioDiskSaver.setTotalChunks(text.length / 100); 
-      updateProgress(0, "Processing audio for saving...");
-      this.worker.postMessage({ type: "generate", text: text, voice: voice, speed: speed });
+    try {
+      for await (const { index, audio, text: segmentText } of job) {
+        if (this.currentJob !== job) return; // Stopped, the file has already been closed
+        this.updateDiskButtonToStop();
+        const percent = await this.audioDiskSaver.addAudioChunk(audio, segmentText);
+        job.ack();
+        updateProgress(percent, "Processing audio for saving...");
+
+        // Each checkpoint copies the file, so large files are checkpointed less often
+        const interval = CHECKPOINT_INTERVAL * Math.max(1, this.audioDiskSaver.bytesWritten / CHECKPOINT_BYTES);
+        if (this.checkpointId !== null && Date.now() - lastCheckpoint >= interval) {
+          const checkpoint = await this.audioDiskSaver.checkpoint();
+          await this.saveRecovery.update(this.checkpointId, index, checkpoint).catch((error) => console.warn("Unable to record a checkpoint:", error));
+          lastCheckpoint = Date.now();
+        }
+      }
+      if (this.currentJob !== job) return;
+      await this.audioDiskSaver.finalizeSave();
+      this.stopCheckpoints(true);
+      updateProgress(100, "Audio saved to disk!");
     } catch (error) {
-      console.error("Error initializing disk save:", error);
-      updateProgress(100, "File save error!");
+      if (error.name === "AbortError") return;
+      console.error("Error saving audio:", error);
+      updateProgress(100, `File save error: ${error.message}`);
+      if (this.currentJob === job) {
+        job.cancel();
+        await this.audioDiskSaver.stopSave();
+        this.stopCheckpoints(false);
+      }
+    } finally {
+      this.finishJob(job);
+    }
+  }
+
+  // Forget the checkpoints of a save that was finished or stopped, or keep them after an error
+  stopCheckpoints(finished) {
+    if (this.checkpointId === null) return;
+    const id = this.checkpointId;
+    this.checkpointId = null;
+    if (finished) {
+      this.saveRecovery.remove(id).catch((error) => console.error("Unable to remove the checkpoint:", error));
+    } else {
+      this.saveRecovery.release(id);
+    }
+  }
+
+  stopStreaming() {
+    this.audioPlayer.stop();
+    this.stopCurrentJob();
+    this.resetStreamingState();
+    updateProgress(100, "Streaming stopped");
+  }
+
+  // Stop from the lock screen or a headset, which also ends generation of a stream in progress
+  handleStopRequest() {
+    if (this.isStreaming && this.mode === "stream") {
+      this.stopStreaming();
+    } else {
+      this.audioPlayer.stop();
+    }
+  }
+
+  stopCurrentJob() {
+    this.currentJob?.cancel();
+    this.currentJob = null;
+  }
+
+  // Reset the buttons when a job ends, unless the user has already stopped it
+  finishJob(job) {
+    if (this.currentJob === job) {
+      this.currentJob = null;
       this.resetStreamingState();
     }
   }
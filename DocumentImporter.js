@@ -0,0 +1,104 @@
+// DocumentImporter.js
+// Loads text, Markdown, HTML, EPUB and DOCX files into the text area, from the file picker or by drag and drop
+
+import { updateProgress } from "./updateProgress.js";
+import { IMPORT_EXTENSIONS, importDocument } from "./document-import.js";
+
+export class DocumentImporter {
+  constructor(queueManager, buttonHandler) {
+    this.queueManager = queueManager; // Takes one job per chapter of an EPUB
+    this.buttonHandler = buttonHandler; // For the voice and speed of those jobs
+
+    this.handleFileChange = this.handleFileChange.bind(this);
+    this.handleDragOver = this.handleDragOver.bind(this);
+    this.handleDragLeave = this.handleDragLeave.bind(this);
+    this.handleDrop = this.handleDrop.bind(this);
+  }
+
+  init() {
+    const input = document.getElementById("importFile");
+    input.accept = IMPORT_EXTENSIONS.join(",");
+    input.addEventListener("change", this.handleFileChange);
+
+    const textArea = document.getElementById("ta");
+    textArea.addEventListener("dragover", this.handleDragOver);
+    textArea.addEventListener("dragleave", this.handleDragLeave);
+    textArea.addEventListener("drop", this.handleDrop);
+  }
+
+  async handleFileChange(event) {
+    const file = event.target.files[0];
+    event.target.value = ""; // The same file can be picked again
+    if (file) {
+      await this.import(file);
+    }
+  }
+
+  // Only files are taken over, dragged text is still dropped into the text area as usual
+  handleDragOver(event) {
+    if (!event.dataTransfer.types.includes("Files")) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+    event.currentTarget.classList.add("drag-over");
+  }
+
+  handleDragLeave(event) {
+    event.currentTarget.classList.remove("drag-over");
+  }
+
+  async handleDrop(event) {
+    event.currentTarget.classList.remove("drag-over");
+    const file = event.dataTransfer.files[0];
+    if (!file) return;
+    event.preventDefault();
+    await this.import(file);
+  }
+
+  async import(file) {
+    let imported;
+    try {
+      updateProgress(0, `Reading "${file.name}"...`);
+      imported = await importDocument(file);
+    } catch (error) {
+      console.error("Import failed:", error);
+      updateProgress(100, `Import error: ${error.message}`);
+      alert(`Unable to import "${file.name}": ${error.message}`);
+      return;
+    }
+
+    const { title, author, chapters } = imported;
+    if (chapters.length === 0) {
+      updateProgress(100, `No text found in "${file.name}"`);
+      return;
+    }
+
+    document.getElementById("ta").value = chapters.map((chapter) => chapter.text).join("\n\n");
+    // The audiobook metadata is only filled in, never overwritten
+    const titleInput = document.getElementById("audiobookTitle");
+    const authorInput = document.getElementById("audiobookAuthor");
+    if (!titleInput.value.trim()) titleInput.value = title;
+    if (!authorInput.value.trim()) authorInput.value = author;
+    updateProgress(100, `Imported "${file.name}": ${chapters.length} ${chapters.length === 1 ? "chapter" : "chapters"}`);
+
+    if (file.name.toLowerCase().endsWith(".epub") && chapters.length > 1) {
+      await this.offerChapterJobs(chapters);
+    }
+  }
+
+  async offerChapterJobs(chapters) {
+    if (!confirm(`Add the ${chapters.length} chapters to the background queue, one job each?\n\nEach job saves its chapter to a file you can download from the queue list.`)) {
+      return;
+    }
+
+    const { voice, speed } = this.buttonHandler.getTtsOptions();
+    try {
+      for (const chapter of chapters) {
+        await this.queueManager.addJob(chapter.text, voice, speed, 'disk');
+      }
+      updateProgress(100, `Added ${chapters.length} chapters to the queue`);
+    } catch (error) {
+      console.error("Unable to queue the chapters:", error);
+      alert(`Unable to queue the chapters: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,214 @@
+// LexiconEditor.js
+// Manages the user pronunciation lexicon with IndexedDB persistence
+
+import { exportLexicon, importLexicon, validateLexiconEntry } from "./lexicon.js";
+
+export class LexiconEditor {
+  constructor(client) {
+    this.client = client;
+    this.db = null;
+    this.entries = [];
+
+    this.handleAddClick = this.handleAddClick.bind(this);
+    this.handleExportClick = this.handleExportClick.bind(this);
+    this.handleImportChange = this.handleImportChange.bind(this);
+  }
+
+  async init() {
+    document.getElementById("lexiconAdd").addEventListener("click", this.handleAddClick);
+    document.getElementById("lexiconExport").addEventListener("click", this.handleExportClick);
+    document.getElementById("lexiconImport").addEventListener("change", this.handleImportChange);
+
+    try {
+      this.db = await this.openDB();
+      this.entries = await this.getAllEntries();
+    } catch (error) {
+      console.warn("Unable to open lexicon database:", error);
+    }
+    this.render();
+    this.sync();
+  }
+
+  async openDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open('KokoroLexiconDatabase', 1);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains('entries')) {
+          db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+        }
+      };
+    });
+  }
+
+  async getAllEntries() {
+    const tx = this.db.transaction('entries', 'readonly');
+    const store = tx.objectStore('entries');
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async addEntry(entry) {
+    const tx = this.db.transaction('entries', 'readwrite');
+    const store = tx.objectStore('entries');
+
+    return new Promise((resolve, reject) => {
+      const request = store.add(entry);
+      request.onsuccess = () => resolve({ ...entry, id: request.result });
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteEntry(id) {
+    const tx = this.db.transaction('entries', 'readwrite');
+    const store = tx.objectStore('entries');
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async replaceAllEntries(entries) {
+    const tx = this.db.transaction('entries', 'readwrite');
+    const store = tx.objectStore('entries');
+    store.clear();
+    for (const entry of entries) {
+      store.add(entry);
+    }
+
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+    return this.getAllEntries();
+  }
+
+  // Send the current entries to the worker, which applies them before phonemization
+  sync() {
+    this.client.setLexicon(this.entries.map(({ id, ...entry }) => entry));
+  }
+
+  async handleAddClick() {
+    let entry;
+    try {
+      entry = validateLexiconEntry({
+        pattern: document.getElementById("lexiconPattern").value,
+        regex: document.getElementById("lexiconRegex").checked,
+        type: document.getElementById("lexiconType").value,
+        replacement: document.getElementById("lexiconReplacement").value,
+      });
+    } catch (error) {
+      alert(`Invalid lexicon entry: ${error.message}`);
+      return;
+    }
+
+    try {
+      this.entries.push(this.db ? await this.addEntry(entry) : entry);
+    } catch (error) {
+      console.error("Error saving lexicon entry:", error);
+      alert("Unable to save the lexicon entry");
+      return;
+    }
+
+    document.getElementById("lexiconPattern").value = "";
+    document.getElementById("lexiconReplacement").value = "";
+    this.render();
+    this.sync();
+  }
+
+  async handleDeleteClick(index) {
+    const [entry] = this.entries.splice(index, 1);
+    if (this.db && entry.id !== undefined) {
+      try {
+        await this.deleteEntry(entry.id);
+      } catch (error) {
+        console.error("Error deleting lexicon entry:", error);
+        alert("Unable to delete the lexicon entry");
+        this.entries.splice(index, 0, entry); // Still saved, so keep it in the list
+        return;
+      }
+    }
+    this.render();
+    this.sync();
+  }
+
+  handleExportClick() {
+    const json = exportLexicon(this.entries.map(({ id, ...entry }) => entry));
+    const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "kokoro-lexicon.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async handleImportChange(event) {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    let entries;
+    try {
+      entries = importLexicon(await file.text());
+    } catch (error) {
+      alert(`Unable to import lexicon: ${error.message}`);
+      return;
+    }
+
+    const replace = this.entries.length > 0 && confirm(
+      `Import ${entries.length} entries.\n\nOK replaces the current lexicon, Cancel adds them to it.`
+    );
+    const merged = replace ? entries : [...this.entries.map(({ id, ...entry }) => entry), ...entries];
+
+    try {
+      this.entries = this.db ? await this.replaceAllEntries(merged) : merged;
+    } catch (error) {
+      console.error("Error importing lexicon:", error);
+      alert("Unable to save the imported lexicon");
+      return;
+    }
+    this.render();
+    this.sync();
+  }
+
+  render() {
+    const list = document.getElementById("lexiconList");
+    list.innerHTML = "";
+
+    if (this.entries.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "settings-hint";
+      empty.textContent = "No pronunciations yet. Words are read as espeak-ng pronounces them.";
+      list.appendChild(empty);
+      return;
+    }
+
+    this.entries.forEach((entry, index) => {
+      const row = document.createElement("div");
+      row.className = "lexicon-entry";
+
+      const pattern = document.createElement("code");
+      pattern.textContent = entry.regex ? `/${entry.pattern}/` : entry.pattern;
+
+      const replacement = document.createElement("span");
+      replacement.textContent = entry.type === "phonemes" ? `/${entry.replacement}/ (IPA)` : `"${entry.replacement}"`;
+
+      const deleteButton = document.createElement("button");
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => this.handleDeleteClick(index));
+
+      row.append(pattern, " → ", replacement, deleteButton);
+      list.appendChild(row);
+    });
+  }
+}
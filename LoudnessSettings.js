@@ -0,0 +1,75 @@
+// LoudnessSettings.js
+// Loudness normalization of playback, disk saves and queue downloads
+
+import { DEFAULT_LOUDNESS, validateLoudness } from "./loudness.js";
+
+const STORAGE_KEY = "kokoro-loudness";
+
+export class LoudnessSettings {
+  constructor(audioPlayer, audioDiskSaver) {
+    this.audioPlayer = audioPlayer;
+    this.audioDiskSaver = audioDiskSaver;
+    this.options = this.loadOptions();
+
+    this.handleChange = this.handleChange.bind(this);
+    this.handleResetClick = this.handleResetClick.bind(this);
+  }
+
+  init() {
+    for (const input of document.querySelectorAll("#loudnessSettings input")) {
+      input.addEventListener("change", this.handleChange);
+    }
+    document.getElementById("loudnessReset").addEventListener("click", this.handleResetClick);
+
+    this.fillForm();
+    this.apply();
+  }
+
+  // Playback picks the options up from its next stream, disk saves from their next file
+  apply() {
+    this.audioPlayer.setLoudness(this.options);
+    this.audioDiskSaver.setLoudness(this.options);
+  }
+
+  readForm() {
+    return {
+      enabled: document.getElementById("loudnessEnabled").checked,
+      targetLufs: document.getElementById("loudnessTarget").value,
+      truePeakDb: document.getElementById("loudnessPeak").value,
+    };
+  }
+
+  fillForm() {
+    document.getElementById("loudnessEnabled").checked = this.options.enabled;
+    document.getElementById("loudnessTarget").value = this.options.targetLufs;
+    document.getElementById("loudnessPeak").value = this.options.truePeakDb;
+  }
+
+  handleChange() {
+    try {
+      this.options = validateLoudness(this.readForm());
+    } catch (error) {
+      alert(`Invalid setting: ${error.message}`);
+      this.fillForm();
+      return;
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.options));
+    this.apply();
+  }
+
+  handleResetClick() {
+    this.options = validateLoudness(DEFAULT_LOUDNESS);
+    localStorage.removeItem(STORAGE_KEY);
+    this.fillForm();
+    this.apply();
+  }
+
+  loadOptions() {
+    try {
+      return validateLoudness(JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {});
+    } catch (error) {
+      console.warn("Ignoring invalid loudness setting:", error.message);
+      return validateLoudness();
+    }
+  }
+}
@@ -0,0 +1,73 @@
+// MarkdownSettings.js
+// Whether the text is read as Markdown, and how its headings and code blocks are read
+
+const STORAGE_KEY = "kokoro-markdown";
+
+export class MarkdownSettings {
+  constructor() {
+    this.options = this.loadOptions(); // {enabled, headingVoice, codeBlocks}
+
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  init() {
+    for (const element of document.querySelectorAll("#markdownSettings input, #markdownSettings select")) {
+      element.addEventListener("change", this.handleChange);
+    }
+    this.fillForm();
+  }
+
+  // The heading voice can be any voice, it is only picked once they are known
+  setVoices(voices) {
+    const select = document.getElementById("markdownHeadingVoice");
+    select.innerHTML = "";
+    const same = document.createElement("option");
+    same.value = "";
+    same.textContent = "Same as the text";
+    select.appendChild(same);
+    for (const [id, voice] of Object.entries(voices)) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = `${voice.name} (${voice.language})`;
+      select.appendChild(option);
+    }
+    select.value = Object.hasOwn(voices, this.options.headingVoice ?? "") ? this.options.headingVoice : "";
+    select.disabled = false;
+  }
+
+  // The options for TTSClient.generate, or null to read the text as it is
+  getOptions() {
+    if (!this.options.enabled) return null;
+    return { headingVoice: this.options.headingVoice, codeBlocks: this.options.codeBlocks };
+  }
+
+  fillForm() {
+    document.getElementById("markdownEnabled").checked = this.options.enabled;
+    document.getElementById("markdownCodeBlocks").value = this.options.codeBlocks;
+  }
+
+  handleChange() {
+    const headingVoice = document.getElementById("markdownHeadingVoice");
+    this.options = {
+      enabled: document.getElementById("markdownEnabled").checked,
+      // Kept while the voices are still loading
+      headingVoice: headingVoice.disabled ? this.options.headingVoice : headingVoice.value || null,
+      codeBlocks: document.getElementById("markdownCodeBlocks").value,
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.options));
+  }
+
+  loadOptions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+      return {
+        enabled: saved.enabled === true,
+        headingVoice: typeof saved.headingVoice === "string" ? saved.headingVoice : null,
+        codeBlocks: saved.codeBlocks === "read" ? "read" : "skip",
+      };
+    } catch (error) {
+      console.warn("Ignoring invalid Markdown setting:", error.message);
+      return { enabled: false, headingVoice: null, codeBlocks: "skip" };
+    }
+  }
+}
@@ -0,0 +1,204 @@
+// ModelSourceSettings.js
+// Chooses where the model and voices are loaded from, and asks the worker to load them
+
+import { DEFAULT_MODEL_SOURCE, validateModelSource } from "./model-source.js";
+
+const STORAGE_KEY = "kokoro-model-source";
+const FOLDER_HANDLE_KEY = "modelFolder";
+
+export class ModelSourceSettings {
+  constructor(client) {
+    this.client = client;
+    this.source = this.loadSource();
+    this.directoryHandle = null;
+    this.db = null;
+
+    this.updateVisibleRows = this.updateVisibleRows.bind(this);
+    this.handleApplyClick = this.handleApplyClick.bind(this);
+    this.handlePickFolderClick = this.handlePickFolderClick.bind(this);
+  }
+
+  async init() {
+    document.getElementById("modelSourceType").addEventListener("change", this.updateVisibleRows);
+    document.getElementById("modelSourceApply").addEventListener("click", this.handleApplyClick);
+    document.getElementById("modelSourcePickFolder").addEventListener("click", this.handlePickFolderClick);
+
+    document.getElementById("modelSourceType").value = this.source.type;
+    document.getElementById("modelSourceModelId").value = this.source.modelId ?? "";
+    document.getElementById("modelSourceBaseUrl").value = this.source.baseUrl ?? "";
+    document.getElementById("modelSourcePath").value = this.source.path ?? "";
+
+    try {
+      this.db = await this.openDB();
+      this.directoryHandle = await this.getStoredHandle();
+    } catch (error) {
+      console.warn("Unable to open settings database:", error);
+    }
+
+    this.updateVisibleRows();
+    this.updateFolderName();
+    await this.load(false);
+  }
+
+  async openDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open('KokoroSettingsDatabase', 1);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains('handles')) {
+          db.createObjectStore('handles', { keyPath: 'name' });
+        }
+      };
+    });
+  }
+
+  async getStoredHandle() {
+    const tx = this.db.transaction('handles', 'readonly');
+    const store = tx.objectStore('handles');
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(FOLDER_HANDLE_KEY);
+      request.onsuccess = () => resolve(request.result?.handle ?? null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async storeHandle(handle) {
+    const tx = this.db.transaction('handles', 'readwrite');
+    const store = tx.objectStore('handles');
+
+    return new Promise((resolve, reject) => {
+      const request = store.put({ name: FOLDER_HANDLE_KEY, handle });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Ask the worker to load the model. Access to a local folder has to be granted again
+  // after a reload, which browsers only allow from a click.
+  async load(fromClick) {
+    let directoryHandle = null;
+    if (this.source.type === "folder") {
+      if (!this.directoryHandle) {
+        this.showStatus("Choose the model folder, then click Load Model.", true);
+        return;
+      }
+      let permission = await this.directoryHandle.queryPermission({ mode: "read" });
+      if (permission !== "granted" && fromClick) {
+        permission = await this.directoryHandle.requestPermission({ mode: "read" });
+      }
+      if (permission !== "granted") {
+        this.showStatus(`Click Load Model to allow reading "${this.directoryHandle.name}" again.`, true);
+        return;
+      }
+      directoryHandle = this.directoryHandle;
+    }
+
+    this.client.loadModel(this.source, directoryHandle);
+  }
+
+  readForm() {
+    return {
+      type: document.getElementById("modelSourceType").value,
+      modelId: document.getElementById("modelSourceModelId").value,
+      baseUrl: document.getElementById("modelSourceBaseUrl").value,
+      path: document.getElementById("modelSourcePath").value,
+    };
+  }
+
+  async handleApplyClick() {
+    let source;
+    try {
+      source = validateModelSource(this.readForm());
+    } catch (error) {
+      alert(`Invalid model source: ${error.message}`);
+      return;
+    }
+
+    this.source = source;
+    this.saveSource();
+    await this.load(true);
+  }
+
+  async handlePickFolderClick() {
+    if (!("showDirectoryPicker" in window)) {
+      alert("This browser cannot open local folders. Use Chrome or Edge, or serve the model from this site.");
+      return;
+    }
+
+    try {
+      this.directoryHandle = await window.showDirectoryPicker({ id: "kokoro-model", mode: "read" });
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("Error choosing model folder:", error);
+      }
+      return;
+    }
+
+    if (this.db) {
+      try {
+        await this.storeHandle(this.directoryHandle);
+      } catch (error) {
+        console.warn("Unable to remember the model folder:", error);
+      }
+    }
+    this.updateFolderName();
+  }
+
+  // Called with the worker's model loading events
+  handleModelStatus(data) {
+    if (data.status === "loading_model_start") {
+      this.showStatus(`Loading ${this.describeSource()} (${data.device})...`);
+    } else if (data.status === "loading_model_ready") {
+      this.showStatus(`Loaded ${this.describeSource()} (${data.device}).`);
+    } else if (data.status === "loading_model_error") {
+      const fallback = data.modelLoaded ? " (the previous model is still in use)" : "";
+      this.showStatus(`Unable to load the model${fallback}: ${data.message}`, true);
+    }
+  }
+
+  describeSource() {
+    switch (this.source.type) {
+      case "mirror": return `${this.source.modelId} from ${this.source.baseUrl}`;
+      case "path": return this.source.path;
+      case "folder": return `folder "${this.directoryHandle?.name}"`;
+      default: return this.source.modelId;
+    }
+  }
+
+  showStatus(text, needsAttention = false) {
+    document.getElementById("modelSourceStatus").textContent = text;
+    if (needsAttention) {
+      document.getElementById("modelSourceSettings").open = true;
+    }
+  }
+
+  updateVisibleRows() {
+    const type = document.getElementById("modelSourceType").value;
+    for (const row of document.querySelectorAll("#modelSourceSettings [data-source-types]")) {
+      row.hidden = !row.dataset.sourceTypes.split(" ").includes(type);
+    }
+  }
+
+  updateFolderName() {
+    document.getElementById("modelSourceFolderName").textContent = this.directoryHandle?.name ?? "No folder chosen";
+  }
+
+  loadSource() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return saved ? validateModelSource(saved) : { ...DEFAULT_MODEL_SOURCE };
+    } catch (error) {
+      console.warn("Ignoring invalid model source setting:", error.message);
+      return { ...DEFAULT_MODEL_SOURCE };
+    }
+  }
+
+  saveSource() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.source));
+  }
+}
@@ -0,0 +1,140 @@
+// PlayerControls.js
+// Pause, skip, seek and listening rate for the audio streamed by AudioPlayer, and replaying or saving the session
+
+import { updateProgress } from "./updateProgress.js";
+
+const RATE_KEY = "kokoro-listening-rate";
+
+// Helper function to format seconds as m:ss
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, "0")}`;
+}
+
+export class PlayerControls {
+  constructor(audioPlayer, audioDiskSaver, buttonHandler) {
+    this.audioPlayer = audioPlayer;
+    this.audioDiskSaver = audioDiskSaver;
+    this.buttonHandler = buttonHandler; // For the save format, and to keep its buttons disabled while saving
+    this.seeking = false; // The seek bar is being dragged
+    this.saving = false;
+
+    this.update = this.update.bind(this);
+    this.handlePauseClick = this.handlePauseClick.bind(this);
+    this.handleRateChange = this.handleRateChange.bind(this);
+    this.handleSaveClick = this.handleSaveClick.bind(this);
+  }
+
+  init() {
+    document.getElementById("playerPause").addEventListener("click", this.handlePauseClick);
+    document.getElementById("playerPrev").addEventListener("click", () => this.audioPlayer.skipSentence(-1));
+    document.getElementById("playerNext").addEventListener("click", () => this.audioPlayer.skipSentence(1));
+    document.getElementById("playerReplay").addEventListener("click", () => this.audioPlayer.replay());
+    document.getElementById("playerSave").addEventListener("click", this.handleSaveClick);
+
+    const seek = document.getElementById("playerSeek");
+    seek.addEventListener("input", () => {
+      this.seeking = true;
+      this.updateTime(Number(seek.value));
+    });
+    seek.addEventListener("change", () => {
+      this.seeking = false;
+      this.audioPlayer.seek(Number(seek.value));
+    });
+
+    const rate = document.getElementById("playerRate");
+    const saved = localStorage.getItem(RATE_KEY);
+    if (saved !== null && [...rate.options].some((option) => option.value === saved)) {
+      rate.value = saved;
+    }
+    rate.addEventListener("change", this.handleRateChange);
+    this.audioPlayer.setRate(Number(rate.value));
+
+    this.audioPlayer.addEventListener("statechange", this.update);
+    this.audioPlayer.addEventListener("durationchange", this.update);
+    this.audioPlayer.addEventListener("timeupdate", this.update);
+    this.update();
+  }
+
+  // Show the controls once there is something to play, and follow the position
+  update() {
+    const player = this.audioPlayer;
+    const duration = player.getDuration();
+    document.getElementById("playerControls").hidden = duration === 0;
+
+    const pause = document.getElementById("playerPause");
+    pause.textContent = player.stopped ? "Play" : player.paused ? "Resume" : "Pause";
+    pause.title = pause.textContent;
+    document.getElementById("playerSave").disabled = this.saving;
+
+    const seek = document.getElementById("playerSeek");
+    seek.max = duration;
+    if (!this.seeking) {
+      seek.value = player.getCurrentTime();
+      this.updateTime(player.getCurrentTime());
+    }
+    document.getElementById("playerSentence").textContent = player.getCurrentText();
+  }
+
+  updateTime(time) {
+    document.getElementById("playerTime").textContent = `${formatTime(time)} / ${formatTime(this.audioPlayer.getDuration())}`;
+  }
+
+  handlePauseClick() {
+    if (this.audioPlayer.paused || this.audioPlayer.stopped) {
+      this.audioPlayer.play();
+    } else {
+      this.audioPlayer.pause();
+    }
+  }
+
+  handleRateChange(event) {
+    localStorage.setItem(RATE_KEY, event.target.value);
+    this.audioPlayer.setRate(Number(event.target.value));
+  }
+
+  // Save the audio of the session so far in the "Save as" format, without generating it again
+  async handleSaveClick() {
+    if (this.buttonHandler.isCurrentlyStreaming()) {
+      alert("Wait for the current playback or download to finish, or stop it.");
+      return;
+    }
+
+    this.setSaving(true);
+    try {
+      updateProgress(0, "Saving the played audio...");
+      await this.audioDiskSaver.initSave(this.buttonHandler.getSaveFormat(), { fileName: "kokoro_session", subtitles: this.buttonHandler.getSubtitleFormat() });
+      this.audioDiskSaver.setTotalChunks(this.audioPlayer.segments.length);
+      try {
+        for await (const { samples, text } of this.audioPlayer.sessionAudio()) {
+          const percent = await this.audioDiskSaver.addAudioChunk(samples.buffer, text);
+          updateProgress(percent, "Saving the played audio...");
+        }
+      } catch (error) {
+        await this.audioDiskSaver.stopSave();
+        throw error;
+      }
+      await this.audioDiskSaver.finalizeSave();
+      updateProgress(100, "Played audio saved!");
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("Error saving the played audio:", error);
+        updateProgress(100, `File save error: ${error.message}`);
+      }
+    } finally {
+      this.setSaving(false);
+    }
+  }
+
+  setSaving(saving) {
+    this.saving = saving;
+    if (saving) {
+      this.buttonHandler.disableButtons();
+      this.buttonHandler.setStreaming(true); // Keeps them disabled when the model is reloaded
+    } else {
+      this.buttonHandler.setStreaming(false);
+      this.buttonHandler.enableButtons();
+    }
+    this.update();
+  }
+}
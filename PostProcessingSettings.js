@@ -0,0 +1,93 @@
+// PostProcessingSettings.js
+// Silence trimming, pauses and fades applied by the worker to every segment
+
+import { DEFAULT_POST_PROCESSING, validatePostProcessing } from "./post-process.js";
+
+const STORAGE_KEY = "kokoro-post-processing";
+
+// Form fields, with the option each one sets
+const PAUSE_FIELDS = {
+  pauseComma: "comma",
+  pauseSentence: "sentence",
+  pauseParagraph: "paragraph",
+  pauseHeading: "heading",
+};
+
+export class PostProcessingSettings {
+  constructor(client) {
+    this.client = client;
+    this.options = this.loadOptions();
+
+    this.handleChange = this.handleChange.bind(this);
+    this.handleResetClick = this.handleResetClick.bind(this);
+  }
+
+  init() {
+    for (const input of document.querySelectorAll("#postProcessingSettings input")) {
+      input.addEventListener("change", this.handleChange);
+    }
+    document.getElementById("postProcessingReset").addEventListener("click", this.handleResetClick);
+
+    this.fillForm();
+    this.sync();
+  }
+
+  // Send the options to the worker, which applies them to the requests after this one
+  sync() {
+    this.client.setPostProcessing(this.options);
+  }
+
+  readForm() {
+    const pauses = {};
+    for (const [id, type] of Object.entries(PAUSE_FIELDS)) {
+      pauses[type] = document.getElementById(id).value;
+    }
+    return {
+      enabled: document.getElementById("postProcessingEnabled").checked,
+      silenceThresholdDb: document.getElementById("silenceThreshold").value,
+      pauses,
+      fadeMs: document.getElementById("fadeLength").value,
+    };
+  }
+
+  fillForm() {
+    document.getElementById("postProcessingEnabled").checked = this.options.enabled;
+    document.getElementById("silenceThreshold").value = this.options.silenceThresholdDb;
+    document.getElementById("fadeLength").value = this.options.fadeMs;
+    for (const [id, type] of Object.entries(PAUSE_FIELDS)) {
+      document.getElementById(id).value = this.options.pauses[type];
+    }
+  }
+
+  handleChange() {
+    try {
+      this.options = validatePostProcessing(this.readForm());
+    } catch (error) {
+      alert(`Invalid setting: ${error.message}`);
+      this.fillForm();
+      return;
+    }
+    this.saveOptions();
+    this.sync();
+  }
+
+  handleResetClick() {
+    this.options = validatePostProcessing(DEFAULT_POST_PROCESSING);
+    localStorage.removeItem(STORAGE_KEY);
+    this.fillForm();
+    this.sync();
+  }
+
+  loadOptions() {
+    try {
+      return validatePostProcessing(JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {});
+    } catch (error) {
+      console.warn("Ignoring invalid post-processing setting:", error.message);
+      return validatePostProcessing();
+    }
+  }
+
+  saveOptions() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.options));
+  }
+}
@@ -0,0 +1,147 @@
+// QueueDisplay.js
+// Lists the background queue jobs, with downloads for the audio and subtitles of completed ones
+
+import { createWavHeader } from "./wav.js";
+import { SUBTITLE_FORMATS, formatSubtitles } from "./subtitles.js";
+import { applyGain, normalizationGain } from "./loudness.js";
+import { downloadBlob } from "./temp-files.js";
+
+export class QueueDisplay {
+  constructor(queueManager, loudnessSettings) {
+    this.queueManager = queueManager;
+    this.loudnessSettings = loudnessSettings;
+  }
+
+  init() {
+    this.queueManager.onQueueUpdate = () => this.render();
+    window.addEventListener("queue-show-job", (event) => {
+      document.getElementById(`queue-job-${event.detail.jobId}`)?.scrollIntoView({ behavior: "smooth" });
+    });
+    return this.render();
+  }
+
+  async render() {
+    const jobs = await this.queueManager.getAllJobs();
+    const stats = await this.queueManager.getQueueStats();
+    document.getElementById("queueStats").textContent =
+      `${stats.queued} queued, ${stats.processing} processing, ${stats.complete} complete`;
+
+    const list = document.getElementById("queueList");
+    list.innerHTML = "";
+
+    if (jobs.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "queue-empty-state";
+      const title = document.createElement("h4");
+      title.textContent = "No jobs in the queue";
+      const hint = document.createElement("p");
+      hint.textContent = "Turn on Background Queue Mode and click Play or Download to add one.";
+      empty.append(title, hint);
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const job of jobs.reverse()) {
+      list.appendChild(this.renderJob(job));
+    }
+  }
+
+  renderJob(job) {
+    const item = document.createElement("div");
+    item.className = `queue-job queue-job-${job.status}`;
+    item.id = `queue-job-${job.id}`;
+
+    const header = document.createElement("div");
+    header.className = "queue-job-header";
+    const status = document.createElement("span");
+    status.className = "queue-job-status";
+    status.textContent = job.status;
+    const mode = document.createElement("span");
+    mode.className = "queue-job-mode";
+    mode.textContent = job.mode === "disk" ? "Download" : "Stream";
+    const id = document.createElement("span");
+    id.className = "queue-job-id";
+    id.textContent = `#${job.id}`;
+    header.append(status, mode, id);
+
+    const text = document.createElement("div");
+    text.className = "queue-job-text";
+    text.textContent = job.text.length > 150 ? `${job.text.substring(0, 150)}...` : job.text;
+
+    const meta = document.createElement("div");
+    meta.className = "queue-job-meta";
+    for (const value of [job.voice, `${Number(job.speed).toFixed(2)}x`, new Date(job.createdAt).toLocaleString()]) {
+      const span = document.createElement("span");
+      span.textContent = value;
+      meta.appendChild(span);
+    }
+    if (Number.isFinite(job.loudness?.integratedLufs)) {
+      const span = document.createElement("span");
+      span.textContent = `${job.loudness.integratedLufs.toFixed(1)} LUFS`;
+      span.title = `True peak ${job.loudness.truePeakDb.toFixed(1)} dBTP`;
+      meta.appendChild(span);
+    }
+    if (job.status === "processing") {
+      const span = document.createElement("span");
+      span.textContent = `${job.chunks}/${job.totalChunks} chunks (${Math.round(job.progress)}%)`;
+      meta.appendChild(span);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "queue-job-actions";
+    if (job.status === "complete") {
+      if (job.mode === "disk") {
+        actions.appendChild(this.createButton("Download Audio", "queue-btn-download", () => this.downloadAudio(job)));
+      }
+      for (const format of Object.keys(SUBTITLE_FORMATS)) {
+        actions.appendChild(this.createButton(`.${SUBTITLE_FORMATS[format].extension}`, "queue-btn-download", () => this.downloadSubtitles(job.id, format)));
+      }
+    }
+    if (job.status !== "processing") {
+      actions.appendChild(this.createButton("Delete", "queue-btn-delete", () => this.queueManager.deleteJob(job.id)));
+    }
+
+    item.append(header, text, meta, actions);
+    return item;
+  }
+
+  createButton(label, className, onClick) {
+    const button = document.createElement("button");
+    button.className = `queue-btn ${className}`;
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  // Normalized with the job's measured loudness, so a batch of jobs comes out at the same level
+  async downloadAudio(job) {
+    const record = await this.queueManager.getAudioData(job.id);
+    if (!record?.chunks) {
+      alert(`No audio was saved for job #${job.id}`);
+      return;
+    }
+    let chunks = record.chunks;
+    const options = this.loudnessSettings.options;
+    if (options.enabled && job.loudness) {
+      const gain = normalizationGain(job.loudness, options);
+      chunks = chunks.map((chunk) => {
+        const samples = new Float32Array(chunk.slice(0));
+        applyGain(samples, gain);
+        return samples;
+      });
+    }
+    const dataSize = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    downloadBlob(new Blob([createWavHeader(dataSize), ...chunks], { type: "audio/wav" }), `kokoro-job-${job.id}.wav`);
+  }
+
+  async downloadSubtitles(jobId, format) {
+    const record = await this.queueManager.getAudioData(jobId);
+    if (!record?.cues) {
+      alert(`No subtitles were saved for job #${jobId}`);
+      return;
+    }
+    const { extension, mimeType } = SUBTITLE_FORMATS[format];
+    downloadBlob(new Blob([formatSubtitles(record.cues, format)], { type: mimeType }), `kokoro-job-${jobId}.${extension}`);
+  }
+
+}
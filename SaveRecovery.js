@@ -0,0 +1,187 @@
+// SaveRecovery.js
+// Keeps a checkpoint of each disk save in progress, and offers to continue the saves a crash or reload interrupted
+
+const SAMPLE_RATE = 24000;
+const LOCK_PREFIX = "kokoro-save-"; // Held by the tab a save runs in
+
+/**
+ * Helper function to hash a text (FNV-1a), to recognize a save of the same text.
+ * @param {string} text The text.
+ * @returns {string} The hash in hex, and the length.
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; ++i) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${(hash >>> 0).toString(16).padStart(8, "0")}-${text.length}`;
+}
+
+function formatDuration(samples) {
+  const seconds = Math.floor(samples / SAMPLE_RATE);
+  const minutes = Math.floor(seconds / 60);
+  return minutes >= 60
+    ? `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}:${String(seconds % 60).padStart(2, "0")}`
+    : `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+export class SaveRecovery {
+  constructor(buttonHandler) {
+    this.buttonHandler = buttonHandler; // Continues the saves
+    this.db = null;
+    this.active = new Set(); // Ids of the saves running in this tab
+    this.locks = new Map(); // Id -> release function of the locks this tab holds
+  }
+
+  async init() {
+    this.db = await this.openDB();
+    await this.render();
+  }
+
+  async openDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open('KokoroCheckpointDatabase', 1);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains('saves')) {
+          const store = db.createObjectStore('saves', { keyPath: 'id', autoIncrement: true });
+          store.createIndex('textHash', 'textHash', { unique: false });
+        }
+      };
+    });
+  }
+
+  request(mode, operation) {
+    const tx = this.db.transaction('saves', mode);
+    const store = tx.objectStore('saves');
+
+    return new Promise((resolve, reject) => {
+      const request = operation(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Start recording the checkpoints of a save. The file handle is stored too, so the browser can
+  // give access to the same file again after a reload. Returns the id for update() and remove().
+  // splitSettings are whatever decides where segments start, which a continued save has to match.
+  async start({ fileHandle, format, subtitles, text, voice, speed, markdown, splitSettings }, checkpoint) {
+    if (!this.db) return null;
+    const record = {
+      fileHandle, fileName: fileHandle.name, format, subtitles, text, textHash: hashText(text), voice, speed, markdown, splitSettings,
+      chunk: -1, ...checkpoint, updatedAt: Date.now(),
+    };
+    const id = await this.request('readwrite', (store) => store.add(record));
+    await this.acquire(id);
+    this.active.add(id);
+    return id;
+  }
+
+  // Hold the lock of a save while it runs in this tab, so other tabs don't offer to continue it.
+  // Resolves to false when another tab holds it.
+  acquire(id) {
+    if (!navigator.locks) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      navigator.locks.request(`${LOCK_PREFIX}${id}`, { ifAvailable: true }, (lock) => {
+        resolve(lock !== null);
+        if (!lock) return;
+        return new Promise((release) => this.locks.set(id, release));
+      });
+    });
+  }
+
+  unlock(id) {
+    this.locks.get(id)?.();
+    this.locks.delete(id);
+  }
+
+  // Ids of the saves running in this tab or another one
+  async getRunning() {
+    const running = new Set(this.active);
+    if (navigator.locks) {
+      const { held } = await navigator.locks.query();
+      for (const { name } of held) {
+        if (name.startsWith(LOCK_PREFIX)) running.add(Number(name.slice(LOCK_PREFIX.length)));
+      }
+    }
+    return running;
+  }
+
+  // Record that every chunk up to `chunk` is in the file, which is `checkpoint.offset` bytes long
+  async update(id, chunk, checkpoint) {
+    const record = await this.request('readonly', (store) => store.get(id));
+    if (!record) return;
+    await this.request('readwrite', (store) => store.put({ ...record, chunk, ...checkpoint, updatedAt: Date.now() }));
+  }
+
+  // Continue an interrupted save in this tab. Resolves to false when another tab is already continuing it.
+  async claim(id) {
+    if (!(await this.acquire(id))) return false;
+    this.active.add(id);
+    this.render().catch((error) => console.error("Unable to list interrupted saves:", error));
+    return true;
+  }
+
+  // A save that ended with an error is kept, so it can be continued
+  release(id) {
+    this.active.delete(id);
+    this.unlock(id);
+    this.render().catch((error) => console.error("Unable to list interrupted saves:", error));
+  }
+
+  async remove(id) {
+    this.active.delete(id);
+    this.unlock(id);
+    await this.request('readwrite', (store) => store.delete(id));
+    await this.render();
+  }
+
+  async getAll() {
+    const records = await this.request('readonly', (store) => store.getAll());
+    return records.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // The latest interrupted save of this text, if there is one
+  async findByText(text) {
+    if (!this.db) return null;
+    const records = await this.request('readonly', (store) => store.index('textHash').getAll(hashText(text)));
+    const running = await this.getRunning();
+    return records.filter((record) => record.text === text && !running.has(record.id)).sort((a, b) => b.updatedAt - a.updatedAt)[0] ?? null;
+  }
+
+  // List the interrupted saves with their Continue and Discard buttons.
+  // Saves running in another tab hold their lock and are left out.
+  async render() {
+    const container = document.getElementById("saveRecovery");
+    const running = await this.getRunning();
+    const records = (await this.getAll()).filter((record) => !running.has(record.id));
+    container.replaceChildren();
+    container.hidden = records.length === 0;
+
+    for (const record of records) {
+      const row = document.createElement("div");
+      row.className = "save-recovery-row";
+
+      const label = document.createElement("span");
+      label.textContent = `Saving "${record.fileName}" was interrupted after ${formatDuration(record.samples)} of audio (${record.chunk + 1} chunks).`;
+
+      const continueButton = document.createElement("button");
+      continueButton.textContent = "Continue";
+      continueButton.addEventListener("click", () => this.buttonHandler.resumeDiskSave(record));
+
+      const discardButton = document.createElement("button");
+      discardButton.textContent = "Discard";
+      discardButton.addEventListener("click", () => {
+        this.remove(record.id).catch((error) => console.error("Unable to discard the checkpoint:", error));
+      });
+
+      row.append(label, continueButton, discardButton);
+      container.appendChild(row);
+    }
+  }
+}
@@ -0,0 +1,194 @@
+// TTSClient.js
+// Talks to worker.js with the job-scoped protocol from tts-protocol.js
+
+import { PROTOCOL_VERSION, TERMINAL_STATUSES } from "./tts-protocol.js";
+
+export class TTSRequestError extends Error {
+  constructor(message, requestId) {
+    super(message);
+    this.name = "TTSRequestError";
+    this.requestId = requestId;
+  }
+}
+
+// One generate request. Segments can be read with `for await`, or followed through
+// "started", "total_segments", "segment" and "segment_failed" events. `done` settles when the worker is finished.
+// `totalSegments` is an estimate until the worker has split the whole text, and "total_segments" follows each change.
+export class TTSJob extends EventTarget {
+  constructor(client, requestId, autoAck) {
+    super();
+    this.client = client;
+    this.id = requestId;
+    this.autoAck = autoAck;
+    this.totalSegments = null;
+    this.finished = false;
+    this.failure = null;
+    this.pending = []; // Segments not yet read from the iterator
+    this.wakeIterator = null;
+
+    this.done = new Promise((resolve, reject) => {
+      this.resolveDone = resolve;
+      this.rejectDone = reject;
+    });
+    this.done.catch(() => {}); // Failures are also thrown from the iterator
+  }
+
+  // Tell the worker a segment has been consumed. Only needed with autoAck disabled.
+  ack() {
+    if (this.finished) return;
+    this.client.post({ type: "buffer_processed", requestId: this.id });
+  }
+
+  cancel() {
+    if (this.finished) return;
+    this.client.post({ type: "cancel", requestId: this.id });
+  }
+
+  handleMessage(data) {
+    switch (data.status) {
+      case "started":
+        this.totalSegments = data.totalSegments;
+        this.dispatchEvent(new CustomEvent("started", { detail: data }));
+        break;
+
+      case "total_segments":
+        this.totalSegments = data.totalSegments;
+        this.dispatchEvent(new CustomEvent("total_segments", { detail: data }));
+        break;
+
+      case "stream_audio_data":
+        if (this.autoAck) this.ack();
+        this.pending.push(data);
+        this.dispatchEvent(new CustomEvent("segment", { detail: data }));
+        break;
+
+      case "segment_failed":
+        console.warn(`Request ${this.id}: segment ${data.index + 1} failed:`, data.message);
+        this.dispatchEvent(new CustomEvent("segment_failed", { detail: data }));
+        break;
+
+      case "complete":
+        this.finish(null, { processedSegments: data.processedSegments, failedSegments: data.failedSegments });
+        break;
+
+      case "cancelled":
+        this.finish(new DOMException(`Request ${this.id} was cancelled`, "AbortError"));
+        break;
+
+      case "error":
+        this.finish(new TTSRequestError(data.message, this.id));
+        break;
+
+      default:
+        console.warn(`Request ${this.id}: unknown status "${data.status}"`);
+    }
+    this.wakeIterator?.();
+  }
+
+  finish(error, summary) {
+    this.finished = true;
+    this.failure = error;
+    if (error) {
+      this.rejectDone(error);
+    } else {
+      this.resolveDone(summary);
+    }
+  }
+
+  // Collect every segment. Only for requests that are not read in any other way.
+  async collect() {
+    const segments = [];
+    for await (const segment of this) {
+      segments.push(segment);
+    }
+    return segments;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this.pending.length > 0) {
+        yield this.pending.shift();
+      } else if (this.finished) {
+        if (this.failure) throw this.failure;
+        return;
+      } else {
+        await new Promise((resolve) => {
+          this.wakeIterator = resolve;
+        });
+        this.wakeIterator = null;
+      }
+    }
+  }
+}
+
+export class TTSClient {
+  constructor(worker) {
+    this.worker = worker;
+    this.jobs = new Map();
+    this.nextId = 1;
+    this.lexicon = []; // The entries last sent to the worker
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.worker.addEventListener("message", this.handleMessage);
+  }
+
+  post(message) {
+    this.worker.postMessage({ v: PROTOCOL_VERSION, ...message });
+  }
+
+  // Start a request. With autoAck, segments are acknowledged as soon as they arrive;
+  // otherwise the caller calls job.ack() once it has played or written each one.
+  // startIndex skips the segments before it, e.g. those an interrupted save has already written.
+  // markdown, when set, holds the options to read the text as Markdown with.
+  generate({ text, voice, speed, startIndex = 0, markdown = null }, { autoAck = true } = {}) {
+    const requestId = `tts-${this.nextId++}`;
+    const job = new TTSJob(this, requestId, autoAck);
+    this.jobs.set(requestId, job);
+    this.post({ type: "generate", requestId, text, voice, speed, startIndex, markdown });
+    return job;
+  }
+
+  cancel(requestId) {
+    this.jobs.get(requestId)?.cancel();
+  }
+
+  cancelAll() {
+    for (const job of this.jobs.values()) {
+      job.cancel();
+    }
+  }
+
+  // Load the model, or switch to another source. A picked folder is passed as its directory handle.
+  loadModel(source, directoryHandle = null) {
+    this.post({ type: "load_model", source, directoryHandle });
+  }
+
+  setLexicon(entries) {
+    this.lexicon = entries;
+    this.post({ type: "set_lexicon", entries });
+  }
+
+  setPostProcessing(options) {
+    this.post({ type: "set_post_processing", options });
+  }
+
+  handleMessage(e) {
+    const data = e.data;
+    if (data.v !== PROTOCOL_VERSION) {
+      console.error(`Worker uses protocol version ${data.v}, expected ${PROTOCOL_VERSION}`);
+      return;
+    }
+    if (!data.requestId) {
+      // Model loading events and unscoped errors are handled by the page
+      if (data.status === "error") console.error("Worker error:", data.message);
+      return;
+    }
+
+    const job = this.jobs.get(data.requestId);
+    if (!job) return;
+    job.handleMessage(data);
+    if (TERMINAL_STATUSES.includes(data.status)) {
+      this.jobs.delete(data.requestId);
+    }
+  }
+}
@@ -0,0 +1,169 @@
+// VoiceBlendEditor.js
+// Builds weighted voice mixes and keeps named blends in localStorage
+
+import { formatVoiceMix, parseVoiceMix } from "./voices.js";
+
+const STORAGE_KEY = "kokoro-voice-blends";
+
+export class VoiceBlendEditor {
+  constructor(voiceSelector) {
+    this.voiceSelector = voiceSelector;
+    this.voices = {};
+    this.blends = this.loadBlends();
+
+    this.updatePreview = this.updatePreview.bind(this);
+    this.handleSaveClick = this.handleSaveClick.bind(this);
+    this.handleDeleteClick = this.handleDeleteClick.bind(this);
+  }
+
+  init() {
+    document.getElementById("blendVoiceA").addEventListener("change", this.updatePreview);
+    document.getElementById("blendVoiceB").addEventListener("change", this.updatePreview);
+    document.getElementById("blendWeight").addEventListener("input", this.updatePreview);
+    document.getElementById("saveBlend").addEventListener("click", this.handleSaveClick);
+    document.getElementById("deleteBlend").addEventListener("click", this.handleDeleteClick);
+  }
+
+  setVoices(voices) {
+    this.voices = voices;
+
+    for (const [selectId, defaultVoice] of [["blendVoiceA", "af_heart"], ["blendVoiceB", "bf_emma"]]) {
+      const select = document.getElementById(selectId);
+      select.innerHTML = "";
+      for (const [id, voice] of Object.entries(voices)) {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = `${voice.name} (${voice.language})`;
+        option.selected = id === defaultVoice;
+        select.appendChild(option);
+      }
+      select.disabled = false;
+    }
+
+    document.getElementById("blendWeight").disabled = false;
+    document.getElementById("saveBlend").disabled = false;
+    document.getElementById("deleteBlend").disabled = false;
+    this.updatePreview();
+    this.populateBlendOptions();
+  }
+
+  // Mix string for the two selected voices and the slider position
+  getMix() {
+    const voiceA = document.getElementById("blendVoiceA").value;
+    const voiceB = document.getElementById("blendVoiceB").value;
+    const weight = parseFloat(document.getElementById("blendWeight").value);
+
+    if (voiceA === voiceB || weight <= 0) {
+      return voiceA;
+    } else if (weight >= 1) {
+      return voiceB;
+    }
+    return formatVoiceMix([
+      { id: voiceA, weight: 1 - weight },
+      { id: voiceB, weight },
+    ]);
+  }
+
+  updatePreview() {
+    const voiceA = document.getElementById("blendVoiceA").value;
+    const voiceB = document.getElementById("blendVoiceB").value;
+    const weight = parseFloat(document.getElementById("blendWeight").value);
+    const nameA = this.voices[voiceA]?.name ?? voiceA;
+    const nameB = this.voices[voiceB]?.name ?? voiceB;
+
+    document.getElementById("blendWeightLabel").textContent =
+      `${Math.round((1 - weight) * 100)}% ${nameA} / ${Math.round(weight * 100)}% ${nameB}`;
+    document.getElementById("blendMix").value = this.getMix();
+  }
+
+  handleSaveClick() {
+    const name = document.getElementById("blendName").value.trim();
+    if (name.length === 0) {
+      alert("Please enter a name for the blend");
+      return;
+    }
+
+    // The mix field can be edited by hand to blend more than two voices
+    let mix;
+    try {
+      mix = formatVoiceMix(parseVoiceMix(document.getElementById("blendMix").value));
+    } catch (error) {
+      alert(`Invalid blend: ${error.message}`);
+      return;
+    }
+
+    const existing = this.blends.find((blend) => blend.name === name);
+    if (existing) {
+      existing.mix = mix;
+    } else {
+      this.blends.push({ name, mix });
+    }
+    this.saveBlends();
+    this.populateBlendOptions();
+    this.voiceSelector.value = mix;
+    console.log(`Saved voice blend "${name}": ${mix}`);
+  }
+
+  handleDeleteClick() {
+    const mix = this.voiceSelector.value;
+    const index = this.blends.findIndex((blend) => blend.mix === mix);
+    if (index === -1) {
+      alert("Select a saved blend in the voice list to delete it");
+      return;
+    }
+    if (!confirm(`Delete the blend "${this.blends[index].name}"?`)) {
+      return;
+    }
+
+    this.blends.splice(index, 1);
+    this.saveBlends();
+    this.populateBlendOptions();
+  }
+
+  // Replace the "Custom Blends" group in the voice selector with the saved blends
+  populateBlendOptions() {
+    const previousValue = this.voiceSelector.value;
+    document.getElementById("blendOptgroup")?.remove();
+
+    if (this.blends.length > 0) {
+      const optgroup = document.createElement("optgroup");
+      optgroup.id = "blendOptgroup";
+      optgroup.label = "Custom Blends";
+      for (const blend of this.blends) {
+        const option = document.createElement("option");
+        option.value = blend.mix;
+        option.textContent = `${blend.name} (blend)`;
+        optgroup.appendChild(option);
+      }
+      this.voiceSelector.appendChild(optgroup);
+    }
+
+    // Keep the current choice, unless it was a blend that has just been deleted
+    this.voiceSelector.value = previousValue;
+    if (!this.voiceSelector.value && this.voiceSelector.options.length > 0) {
+      this.voiceSelector.selectedIndex = 0;
+    }
+  }
+
+  loadBlends() {
+    try {
+      const blends = JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+      return blends.filter((blend) => {
+        try {
+          parseVoiceMix(blend.mix);
+          return true;
+        } catch (error) {
+          console.warn(`Ignoring invalid voice blend "${blend.name}":`, error.message);
+          return false;
+        }
+      });
+    } catch (error) {
+      console.warn("Unable to load voice blends:", error);
+      return [];
+    }
+  }
+
+  saveBlends() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.blends));
+  }
+}
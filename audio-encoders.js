@@ -0,0 +1,663 @@
+// audio-encoders.js - Incremental encoders for the file formats AudioDiskSaver can write
+
+import { createWavHeader, wavSizeFields } from "./wav.js";
+
+const SAMPLE_RATE = 24000;
+
+// `cueFileType` is the FILE type in a cue sheet, null for formats cue sheets have no type for
+export const AUDIO_FORMATS = Object.freeze({
+  "wav-f32": { name: "WAV (32-bit float)", extension: "wav", mimeType: "audio/wav", cueFileType: "WAVE" },
+  "wav-s24": { name: "WAV (24-bit PCM)", extension: "wav", mimeType: "audio/wav", cueFileType: "WAVE" },
+  "wav-s16": { name: "WAV (16-bit PCM)", extension: "wav", mimeType: "audio/wav", cueFileType: "WAVE" },
+  mp3: { name: "MP3", extension: "mp3", mimeType: "audio/mpeg", cueFileType: "MP3" },
+  opus: { name: "Ogg Opus", extension: "opus", mimeType: "audio/ogg", cueFileType: null },
+  flac: { name: "FLAC", extension: "flac", mimeType: "audio/flac", cueFileType: null },
+});
+
+export const DEFAULT_AUDIO_FORMAT = "wav-f32";
+
+/**
+ * An encoder that turns a stream of samples into the bytes of a file, chunk by chunk.
+ * Write the bytes returned by `start`, then by each `encode`, then by `finish`, in that order.
+ * Some formats only know their sizes at the end: write `headerPatches()` over the start of the file last.
+ * @typedef {Object} AudioFileEncoder
+ * @property {() => Promise<Uint8Array>} start Bytes at the start of the file.
+ * @property {(samples: Float32Array) => Promise<Uint8Array>} encode Bytes for the next samples.
+ * @property {() => Promise<Uint8Array>} finish Bytes at the end of the file.
+ * @property {() => {offset: number; bytes: Uint8Array}[]} headerPatches Bytes to overwrite once finished.
+ * @property {(dataSize: number) => void} [resume] Continue a file that already has `dataSize` bytes after the start bytes.
+ *   Only formats whose encoders keep no state between chunks can be continued.
+ */
+
+/**
+ * Helper function to concatenate byte arrays.
+ * @param {Uint8Array[]} chunks The byte arrays.
+ * @returns {Uint8Array} The concatenated bytes.
+ */
+function concatBytes(chunks) {
+  const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Helper function to convert float samples to integers.
+ * @param {Float32Array} samples The samples, between -1 and 1.
+ * @param {number} bits The integer size.
+ * @returns {Int32Array} The integer samples.
+ */
+function toIntegerSamples(samples, bits) {
+  const scale = 2 ** (bits - 1) - 1;
+  const result = new Int32Array(samples.length);
+  for (let i = 0; i < samples.length; ++i) {
+    result[i] = Math.round(Math.max(-1, Math.min(1, samples[i])) * scale);
+  }
+  return result;
+}
+
+class WavEncoder {
+  constructor(bitsPerSample) {
+    this.bitsPerSample = bitsPerSample;
+    this.dataSize = 0;
+  }
+
+  async start() {
+    return new Uint8Array(createWavHeader(0, SAMPLE_RATE, this.bitsPerSample));
+  }
+
+  async encode(samples) {
+    const bytesPerSample = this.bitsPerSample / 8;
+    const view = new DataView(new ArrayBuffer(samples.length * bytesPerSample));
+    if (this.bitsPerSample === 32) {
+      samples.forEach((sample, i) => view.setFloat32(i * 4, sample, true));
+    } else {
+      const integers = toIntegerSamples(samples, this.bitsPerSample);
+      for (let i = 0; i < integers.length; ++i) {
+        if (bytesPerSample === 2) {
+          view.setInt16(i * 2, integers[i], true);
+        } else {
+          view.setUint16(i * 3, integers[i] & 0xffff, true);
+          view.setInt8(i * 3 + 2, integers[i] >> 16);
+        }
+      }
+    }
+    this.dataSize += view.byteLength;
+    return new Uint8Array(view.buffer);
+  }
+
+  async finish() {
+    return new Uint8Array(0);
+  }
+
+  resume(dataSize) {
+    this.dataSize = dataSize;
+  }
+
+  headerPatches() {
+    return wavSizeFields(this.dataSize).map(({ offset, bytes }) => ({ offset, bytes: new Uint8Array(bytes) }));
+  }
+}
+
+class Mp3FileEncoder {
+  constructor({ bitrate = 96 } = {}) {
+    this.bitrate = bitrate;
+    this.encoder = null;
+  }
+
+  async start() {
+    // Loaded on first use, the encoder is large
+    const { Mp3Encoder } = await import("./lamejs.min.js");
+    this.encoder = new Mp3Encoder(1, SAMPLE_RATE, this.bitrate);
+    return new Uint8Array(0);
+  }
+
+  async encode(samples) {
+    const data = this.encoder.encodeBuffer(Int16Array.from(toIntegerSamples(samples, 16)));
+    return new Uint8Array(data.buffer, data.byteOffset, data.length);
+  }
+
+  async finish() {
+    const data = this.encoder.flush();
+    return new Uint8Array(data.buffer, data.byteOffset, data.length);
+  }
+
+  headerPatches() {
+    return []; // Constant bitrate, so players work out the duration from the file size
+  }
+}
+
+// --- OGG OPUS ---
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; ++i) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; ++bit) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+const OPUS_GRANULE_RATE = 48000; // Ogg Opus granule positions always count 48kHz samples
+const OPUS_DEFAULT_PRE_SKIP = 312; // libopus lookahead, when the encoder does not report it
+
+/**
+ * Build one Ogg page holding whole packets.
+ * @param {{serial: number; sequence: number}} stream The logical stream, its page counter is advanced.
+ * @param {Uint8Array[]} packets The packets. Their lacing values must fit in one page.
+ * @param {number} granule The granule position after the last packet.
+ * @param {{bos?: boolean; eos?: boolean}} flags Beginning and end of stream flags.
+ * @returns {Uint8Array} The page.
+ */
+function oggPage(stream, packets, granule, { bos = false, eos = false } = {}) {
+  const lacing = [];
+  for (const packet of packets) {
+    for (let remaining = packet.length; ; remaining -= 255) {
+      lacing.push(Math.min(remaining, 255));
+      if (remaining < 255) break;
+    }
+  }
+
+  const header = new Uint8Array(27 + lacing.length);
+  const view = new DataView(header.buffer);
+  header.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+  view.setUint8(5, (bos ? 0x02 : 0) | (eos ? 0x04 : 0));
+  view.setUint32(6, granule % 2 ** 32, true);
+  view.setUint32(10, Math.floor(granule / 2 ** 32), true);
+  view.setUint32(14, stream.serial, true);
+  view.setUint32(18, stream.sequence++, true);
+  view.setUint8(26, lacing.length);
+  header.set(lacing, 27);
+
+  const page = concatBytes([header, ...packets]);
+  let crc = 0;
+  for (const byte of page) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  new DataView(page.buffer).setUint32(22, crc, true);
+  return page;
+}
+
+/**
+ * Helper function to count the lacing values of a packet.
+ * @param {Uint8Array} packet The packet.
+ * @returns {number} The number of lacing values.
+ */
+function lacingSize(packet) {
+  return Math.floor(packet.length / 255) + 1;
+}
+
+class OggOpusEncoder {
+  constructor({ bitrate = 32000 } = {}) {
+    this.bitrate = bitrate;
+    this.stream = { serial: Math.floor(Math.random() * 2 ** 32), sequence: 0 };
+    this.packets = []; // Encoded packets not yet written, with their duration in 48kHz samples
+    this.preSkip = null;
+    this.inputSamples = 0;
+    this.granule = 0;
+    this.error = null;
+  }
+
+  async start() {
+    if (typeof AudioEncoder === "undefined") {
+      throw new Error("Opus export needs WebCodecs, which this browser does not support.");
+    }
+    const config = { codec: "opus", sampleRate: SAMPLE_RATE, numberOfChannels: 1, bitrate: this.bitrate };
+    const { supported } = await AudioEncoder.isConfigSupported(config);
+    if (!supported) {
+      throw new Error("This browser cannot encode Opus.");
+    }
+
+    this.encoder = new AudioEncoder({
+      output: (chunk, metadata) => this.handleChunk(chunk, metadata),
+      error: (error) => {
+        this.error = error;
+      },
+    });
+    this.encoder.configure(config);
+
+    // The headers need the encoder's pre-skip, so they are written with the first packets
+    return new Uint8Array(0);
+  }
+
+  handleChunk(chunk, metadata) {
+    const description = metadata?.decoderConfig?.description;
+    if (this.preSkip === null) {
+      let head = null;
+      if (description) {
+        head = ArrayBuffer.isView(description)
+          ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+          : new Uint8Array(description);
+      }
+      const isOpusHead = head && head.length >= 12 && String.fromCharCode(...head.subarray(0, 8)) === "OpusHead";
+      this.preSkip = isOpusHead ? head[10] | (head[11] << 8) : OPUS_DEFAULT_PRE_SKIP;
+    }
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const duration = Math.round(((chunk.duration ?? 20000) * OPUS_GRANULE_RATE) / 1e6);
+    this.packets.push({ data, duration });
+  }
+
+  headerPages() {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set([..."OpusHead"].map((char) => char.charCodeAt(0)));
+    view.setUint8(8, 1); // Version
+    view.setUint8(9, 1); // Channels
+    view.setUint16(10, this.preSkip, true);
+    view.setUint32(12, SAMPLE_RATE, true); // Input sample rate, for information only
+    view.setInt16(16, 0, true); // Output gain
+    view.setUint8(18, 0); // Channel mapping family
+
+    const vendor = new TextEncoder().encode("WebCodecs");
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    tags.set([..."OpusTags"].map((char) => char.charCodeAt(0)));
+    new DataView(tags.buffer).setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    // User comment count stays 0
+
+    return [oggPage(this.stream, [head], 0, { bos: true }), oggPage(this.stream, [tags], 0)];
+  }
+
+  // Put the packets received so far into pages. Unless this is the end, the last packet is
+  // held back so the final page, which must carry the end of stream flag, is never empty.
+  takePages(final) {
+    const pages = [];
+    if (this.stream.sequence === 0 && this.preSkip !== null) {
+      pages.push(...this.headerPages());
+    }
+
+    const keep = final ? 0 : 1;
+    while (this.packets.length > keep) {
+      const page = [];
+      let lacing = 0;
+      while (this.packets.length > keep && lacing + lacingSize(this.packets[0].data) <= 255 && page.length < 50) {
+        const { data, duration } = this.packets.shift();
+        lacing += lacingSize(data);
+        this.granule += duration;
+        page.push(data);
+      }
+
+      const eos = final && this.packets.length === 0;
+      // The last granule position also trims the padding of the final packet
+      const granule = eos
+        ? Math.min(this.granule, this.preSkip + Math.round((this.inputSamples * OPUS_GRANULE_RATE) / SAMPLE_RATE))
+        : this.granule;
+      pages.push(oggPage(this.stream, page, granule, { eos }));
+    }
+    return concatBytes(pages);
+  }
+
+  async encode(samples) {
+    if (this.error) throw this.error;
+
+    const audioData = new AudioData({
+      format: "f32",
+      sampleRate: SAMPLE_RATE,
+      numberOfFrames: samples.length,
+      numberOfChannels: 1,
+      timestamp: Math.round((this.inputSamples * 1e6) / SAMPLE_RATE),
+      data: samples,
+    });
+    this.encoder.encode(audioData);
+    audioData.close();
+    this.inputSamples += samples.length;
+
+    // Don't let the encoder fall far behind
+    while (this.encoder.encodeQueueSize > 10) {
+      await new Promise((resolve) => this.encoder.addEventListener("dequeue", resolve, { once: true }));
+    }
+    return this.takePages(false);
+  }
+
+  async finish() {
+    await this.encoder.flush();
+    this.encoder.close();
+    if (this.error) throw this.error;
+    if (this.preSkip === null) {
+      this.preSkip = OPUS_DEFAULT_PRE_SKIP; // No audio at all, still write a valid stream
+    }
+    return this.takePages(true);
+  }
+
+  headerPatches() {
+    return [];
+  }
+}
+
+// --- FLAC ---
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_RICE_PARAMETER = 14; // 15 is the escape code of 4-bit parameters
+const FLAC_MAX_PARTITION_ORDER = 8;
+const FLAC_STREAMINFO_OFFSET = 8; // After "fLaC" and the metadata block header
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; ++i) {
+  let crc8 = i;
+  let crc16 = i << 8;
+  for (let bit = 0; bit < 8; ++bit) {
+    crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+    crc16 = crc16 & 0x8000 ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+  }
+  CRC8_TABLE[i] = crc8;
+  CRC16_TABLE[i] = crc16;
+}
+
+class BitWriter {
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.length = 0; // Whole bytes written
+    this.buffer = 0; // Pending bits, fewer than 8
+    this.bufferBits = 0;
+  }
+
+  write(value, bits) {
+    // Split long values, so the pending bits never overflow 32-bit arithmetic
+    while (bits > 16) {
+      bits -= 16;
+      this.write(Math.floor(value / 2 ** bits) & 0xffff, 16);
+    }
+    this.buffer = (this.buffer << bits) | (value & ((1 << bits) - 1));
+    this.bufferBits += bits;
+    while (this.bufferBits >= 8) {
+      this.bufferBits -= 8;
+      this.pushByte((this.buffer >>> this.bufferBits) & 0xff);
+    }
+    this.buffer &= (1 << this.bufferBits) - 1;
+  }
+
+  writeUnary(zeros) {
+    for (; zeros >= 16; zeros -= 16) {
+      this.write(0, 16);
+    }
+    this.write(1, zeros + 1);
+  }
+
+  alignToByte() {
+    if (this.bufferBits > 0) {
+      this.write(0, 8 - this.bufferBits);
+    }
+  }
+
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const bytes = new Uint8Array(this.bytes.length * 2);
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  getBytes() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+/**
+ * Compute the residual of a fixed FLAC predictor.
+ * @param {Int32Array} samples The block.
+ * @param {number} order The predictor order, 0 to 4.
+ * @returns {Int32Array} The residual, for the samples after the warm-up.
+ */
+function fixedResidual(samples, order) {
+  const residual = new Int32Array(samples.length - order);
+  for (let i = order; i < samples.length; ++i) {
+    const s = samples;
+    switch (order) {
+      case 0: residual[i] = s[i]; break;
+      case 1: residual[i - 1] = s[i] - s[i - 1]; break;
+      case 2: residual[i - 2] = s[i] - 2 * s[i - 1] + s[i - 2]; break;
+      case 3: residual[i - 3] = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3]; break;
+      case 4: residual[i - 4] = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4]; break;
+    }
+  }
+  return residual;
+}
+
+/**
+ * Find the cheapest Rice parameter for a run of folded residuals.
+ * @param {Uint32Array} folded The residuals, mapped to unsigned values.
+ * @param {number} start The first index.
+ * @param {number} end The index after the last.
+ * @returns {{parameter: number; bits: number}} The parameter and the bits it needs.
+ */
+function bestRiceParameter(folded, start, end) {
+  let best = { parameter: 0, bits: Infinity };
+  for (let parameter = 0; parameter <= FLAC_MAX_RICE_PARAMETER; ++parameter) {
+    let bits = (end - start) * (parameter + 1);
+    for (let i = start; i < end; ++i) {
+      bits += folded[i] >>> parameter;
+    }
+    if (bits < best.bits) {
+      best = { parameter, bits };
+    }
+  }
+  return best;
+}
+
+/**
+ * Choose the Rice partitioning of a residual.
+ * @param {Uint32Array} folded The residuals, mapped to unsigned values.
+ * @param {number} blockSize The block size.
+ * @param {number} order The predictor order.
+ * @returns {{partitionOrder: number; parameters: number[]; bits: number}} The cheapest partitioning.
+ */
+function bestPartitioning(folded, blockSize, order) {
+  let best = null;
+  for (let partitionOrder = 0; partitionOrder <= FLAC_MAX_PARTITION_ORDER; ++partitionOrder) {
+    const partitionSize = blockSize >> partitionOrder;
+    if (blockSize % (1 << partitionOrder) !== 0 || partitionSize <= order) break;
+
+    const parameters = [];
+    let bits = 0;
+    for (let partition = 0; partition < 1 << partitionOrder; ++partition) {
+      // The first partition is shorter by the warm-up samples
+      const start = partition === 0 ? 0 : partition * partitionSize - order;
+      const end = (partition + 1) * partitionSize - order;
+      const { parameter, bits: partitionBits } = bestRiceParameter(folded, start, end);
+      parameters.push(parameter);
+      bits += 4 + partitionBits;
+    }
+    if (!best || bits < best.bits) {
+      best = { partitionOrder, parameters, bits };
+    }
+  }
+  return best;
+}
+
+class FlacEncoder {
+  constructor({ bitsPerSample = 16 } = {}) {
+    this.bitsPerSample = bitsPerSample;
+    this.pending = new Int32Array(0); // Samples waiting for a full block
+    this.frameNumber = 0;
+    this.totalSamples = 0;
+    this.minFrameSize = Infinity;
+    this.maxFrameSize = 0;
+  }
+
+  streamInfo() {
+    const writer = new BitWriter();
+    writer.write(FLAC_BLOCK_SIZE, 16); // Minimum block size
+    writer.write(FLAC_BLOCK_SIZE, 16); // Maximum block size
+    writer.write(Number.isFinite(this.minFrameSize) ? this.minFrameSize : 0, 24); // 0 means unknown
+    writer.write(this.maxFrameSize, 24);
+    writer.write(SAMPLE_RATE, 20);
+    writer.write(0, 3); // Channels - 1
+    writer.write(this.bitsPerSample - 1, 5);
+    writer.write(Math.floor(this.totalSamples / 2 ** 32), 4);
+    writer.write(this.totalSamples % 2 ** 32, 32);
+    for (let i = 0; i < 4; ++i) {
+      writer.write(0, 32); // MD5 of the audio, all zeros means not computed
+    }
+    return writer.getBytes().slice();
+  }
+
+  async start() {
+    const header = new Uint8Array([0x66, 0x4c, 0x61, 0x43, 0x80, 0, 0, 34]); // "fLaC", last metadata block, STREAMINFO, 34 bytes
+    return concatBytes([header, this.streamInfo()]);
+  }
+
+  encodeFrame(samples) {
+    const writer = new BitWriter();
+    const bps = this.bitsPerSample;
+
+    // Frame header
+    writer.write(0xfff8, 16); // Sync code, fixed block size
+    const fullBlock = samples.length === FLAC_BLOCK_SIZE;
+    writer.write(fullBlock ? 0b1100 : 0b0111, 4); // 4096, or a 16-bit size at the end of the header
+    writer.write(0b0111, 4); // 24kHz
+    writer.write(0b0000, 4); // Mono
+    writer.write(bps === 24 ? 0b110 : 0b100, 3);
+    writer.write(0, 1);
+    this.writeUtf8Number(writer, this.frameNumber++);
+    if (!fullBlock) {
+      writer.write(samples.length - 1, 16);
+    }
+    let crc8 = 0;
+    for (const byte of writer.getBytes()) {
+      crc8 = CRC8_TABLE[crc8 ^ byte];
+    }
+    writer.write(crc8, 8);
+
+    this.writeSubframe(writer, samples);
+    writer.alignToByte();
+
+    let crc16 = 0;
+    for (const byte of writer.getBytes()) {
+      crc16 = ((crc16 << 8) & 0xffff) ^ CRC16_TABLE[(crc16 >> 8) ^ byte];
+    }
+    writer.write(crc16, 16);
+
+    const frame = writer.getBytes().slice();
+    this.minFrameSize = Math.min(this.minFrameSize, frame.length);
+    this.maxFrameSize = Math.max(this.maxFrameSize, frame.length);
+    return frame;
+  }
+
+  writeUtf8Number(writer, value) {
+    if (value < 0x80) {
+      writer.write(value, 8);
+      return;
+    }
+    const bytes = [];
+    let firstByteBits = 6;
+    while (value >= 2 ** firstByteBits) {
+      bytes.unshift(0x80 | (value & 0x3f));
+      value = Math.floor(value / 64);
+      firstByteBits--;
+    }
+    const prefix = (0xff << (7 - bytes.length)) & 0xff;
+    writer.write(prefix | value, 8);
+    for (const byte of bytes) {
+      writer.write(byte, 8);
+    }
+  }
+
+  writeSubframe(writer, samples) {
+    const bps = this.bitsPerSample;
+
+    // Silence between sentences is common, and costs a single value
+    if (samples.every((sample) => sample === samples[0])) {
+      writer.write(0b00000000, 8); // Constant subframe
+      writer.write(samples[0], bps);
+      return;
+    }
+
+    const maxOrder = Math.min(4, samples.length - 1);
+    let best = null;
+    for (let order = 0; order <= maxOrder; ++order) {
+      const residual = fixedResidual(samples, order);
+      const folded = new Uint32Array(residual.length);
+      for (let i = 0; i < residual.length; ++i) {
+        folded[i] = residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+      }
+      const partitioning = bestPartitioning(folded, samples.length, order);
+      const bits = order * bps + 6 + partitioning.bits;
+      if (!best || bits < best.bits) {
+        best = { order, folded, partitioning, bits };
+      }
+    }
+
+    if (!best || best.bits >= samples.length * bps) {
+      writer.write(0b00000010, 8); // Verbatim subframe
+      for (const sample of samples) {
+        writer.write(sample, bps);
+      }
+      return;
+    }
+
+    const { order, folded, partitioning } = best;
+    writer.write((0b001000 | order) << 1, 8); // Fixed subframe of the chosen order
+    for (let i = 0; i < order; ++i) {
+      writer.write(samples[i], bps);
+    }
+    writer.write(0b00, 2); // Rice coding with 4-bit parameters
+    writer.write(partitioning.partitionOrder, 4);
+    const partitionSize = samples.length >> partitioning.partitionOrder;
+    partitioning.parameters.forEach((parameter, partition) => {
+      writer.write(parameter, 4);
+      const start = partition === 0 ? 0 : partition * partitionSize - order;
+      const end = (partition + 1) * partitionSize - order;
+      for (let i = start; i < end; ++i) {
+        writer.writeUnary(folded[i] >>> parameter);
+        if (parameter > 0) {
+          writer.write(folded[i] & ((1 << parameter) - 1), parameter);
+        }
+      }
+    });
+  }
+
+  async encode(samples) {
+    const integers = toIntegerSamples(samples, this.bitsPerSample);
+    const pending = new Int32Array(this.pending.length + integers.length);
+    pending.set(this.pending);
+    pending.set(integers, this.pending.length);
+
+    const frames = [];
+    let offset = 0;
+    for (; offset + FLAC_BLOCK_SIZE <= pending.length; offset += FLAC_BLOCK_SIZE) {
+      frames.push(this.encodeFrame(pending.subarray(offset, offset + FLAC_BLOCK_SIZE)));
+    }
+    this.pending = pending.slice(offset);
+    this.totalSamples += samples.length;
+    return concatBytes(frames);
+  }
+
+  async finish() {
+    const frame = this.pending.length > 0 ? this.encodeFrame(this.pending) : new Uint8Array(0);
+    this.pending = new Int32Array(0);
+    return frame;
+  }
+
+  headerPatches() {
+    return [{ offset: FLAC_STREAMINFO_OFFSET, bytes: this.streamInfo() }];
+  }
+}
+
+/**
+ * Create an encoder for a file format.
+ * @param {keyof typeof AUDIO_FORMATS} format The format.
+ * @param {Object} [options] Format options
+ * @param {number} [options.bitrate] The bitrate, in kbps for MP3 and in bps for Opus.
+ * @returns {AudioFileEncoder} The encoder.
+ */
+export function createAudioEncoder(format, options = {}) {
+  switch (format) {
+    case "wav-f32": return new WavEncoder(32);
+    case "wav-s24": return new WavEncoder(24);
+    case "wav-s16": return new WavEncoder(16);
+    case "mp3": return new Mp3FileEncoder(options);
+    case "opus": return new OggOpusEncoder(options);
+    case "flac": return new FlacEncoder(options);
+    default:
+      throw new Error(`Unknown audio format "${format}". Should be one of: ${Object.keys(AUDIO_FORMATS).join(", ")}.`);
+  }
+}
@@ -0,0 +1,133 @@
+// chapters.js - Chapter detection and cue sheets for audiobook exports
+
+/**
+ * Default heading pattern: "Chapter 1", "CHAPTER ONE", "Part II: The Return", "Prologue", ...
+ */
+export const DEFAULT_HEADING_PATTERN = /^(?:chapter|part|book|prologue|epilogue|interlude|afterword|foreword|introduction)\b.{0,80}$/i;
+
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * @typedef {Object} Chapter
+ * @property {string} title The heading, as written in the text.
+ * @property {string} text The text of the chapter, heading included so it is read aloud.
+ */
+
+/**
+ * Check if a paragraph is a title line: a single short line, followed by more text,
+ * that does not end like a sentence or a line of dialogue.
+ * @param {string} paragraph The paragraph, trimmed.
+ * @returns {boolean} Whether the paragraph is a title line.
+ */
+export function isTitleLine(paragraph) {
+  return (
+    paragraph.length <= MAX_TITLE_LENGTH &&
+    !paragraph.includes("\n") &&
+    /\p{L}/u.test(paragraph) &&
+    !/[.,;:!?"'”’…)\]-]$/.test(paragraph)
+  );
+}
+
+/**
+ * Split a manuscript into chapters. A paragraph (text between blank lines) starts a chapter when its
+ * first line matches the heading pattern, or, with `titleLines`, when it is a title line such as
+ * "The End of Something by Ernest Hemingway". Text before the first heading becomes an untitled chapter.
+ * @param {string} text The manuscript.
+ * @param {Object} [options] Detection options
+ * @param {RegExp|null} [options.pattern] Pattern matched against the first line of each paragraph, null to disable.
+ * @param {boolean} [options.titleLines=true] Whether single-line paragraphs that look like titles start chapters.
+ * @returns {Chapter[]} The chapters, in order. Without any heading, the whole text is one untitled chapter.
+ */
+export function detectChapters(text, { pattern = DEFAULT_HEADING_PATTERN, titleLines = true } = {}) {
+  const paragraphs = text.replace(/\r\n?/g, "\n").split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean);
+  const chapters = [];
+  let current = null;
+
+  paragraphs.forEach((paragraph, i) => {
+    const firstLine = paragraph.split("\n")[0].trim();
+    const isLast = i === paragraphs.length - 1;
+    const isHeading = (pattern && pattern.test(firstLine)) || (titleLines && !isLast && isTitleLine(paragraph));
+
+    if (isHeading) {
+      current = { title: firstLine, paragraphs: [paragraph] };
+      chapters.push(current);
+    } else {
+      if (!current) {
+        current = { title: "", paragraphs: [] };
+        chapters.push(current);
+      }
+      current.paragraphs.push(paragraph);
+    }
+  });
+
+  // Two headings in a row, like "Chapter 1" then "The Beginning", are one chapter
+  const merged = [];
+  for (const chapter of chapters) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.paragraphs.length === 1 && previous.title && !previous.paragraphs[0].includes("\n")) {
+      previous.title = `${previous.title}: ${chapter.title || chapter.paragraphs[0]}`;
+      previous.paragraphs.push(...chapter.paragraphs);
+    } else {
+      merged.push(chapter);
+    }
+  }
+
+  return merged.map(({ title, paragraphs }) => ({ title, text: paragraphs.join("\n\n") }));
+}
+
+/**
+ * Remove the characters that file systems reject from a name.
+ * @param {string} name The name, e.g. a title.
+ * @returns {string} The name, usable as a file name.
+ */
+export function sanitizeFileName(name) {
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, "").replace(/\s+/g, " ").trim().slice(0, 80);
+}
+
+/**
+ * Build a file name for a chapter: a zero-padded number, then the sanitized title.
+ * @param {number} index The chapter index, from 0.
+ * @param {number} count The number of chapters.
+ * @param {string} title The chapter title.
+ * @param {string} extension The file extension, without the dot.
+ * @returns {string} The file name, e.g. "03 - Chapter Three.mp3".
+ */
+export function chapterFileName(index, count, title, extension) {
+  const number = String(index + 1).padStart(Math.max(2, String(count).length), "0");
+  const name = sanitizeFileName(title);
+  return name ? `${number} - ${name}.${extension}` : `${number}.${extension}`;
+}
+
+/**
+ * Helper function to quote a value in a cue sheet.
+ * @param {string} value The value.
+ * @returns {string} The quoted value.
+ */
+function cueString(value) {
+  return `"${value.replace(/"/g, "'")}"`;
+}
+
+/**
+ * Create a cue sheet for an audiobook saved as one file per chapter.
+ * @param {Object} book The audiobook
+ * @param {string} [book.title] The book title.
+ * @param {string} [book.author] The author.
+ * @param {{title: string; fileName: string}[]} book.chapters The chapters, with the file each one was saved to.
+ * @param {"WAVE"|"MP3"} fileType The FILE type of the chapter files, `cueFileType` in AUDIO_FORMATS.
+ * @returns {string} The cue sheet.
+ */
+export function createCueSheet({ title, author, chapters }, fileType) {
+  const lines = [];
+  if (author) lines.push(`PERFORMER ${cueString(author)}`);
+  if (title) lines.push(`TITLE ${cueString(title)}`);
+
+  chapters.forEach((chapter, i) => {
+    lines.push(`FILE ${cueString(chapter.fileName)} ${fileType}`);
+    lines.push(`  TRACK ${String(i + 1).padStart(2, "0")} AUDIO`);
+    lines.push(`    TITLE ${cueString(chapter.title || `Chapter ${i + 1}`)}`);
+    if (author) lines.push(`    PERFORMER ${cueString(author)}`);
+    lines.push("    INDEX 01 00:00:00");
+  });
+
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+// cli.js - Headless batch synthesis with Node.js
+//
+// Usage: kokoro-web synth chapter.txt --voice af_heart --speed 1.1 -o chapter.wav
+//        kokoro-web synth *.txt --out-dir wav/ --model-dir ./Kokoro-82M-v1.0-ONNX
+//        kokoro-web voices
+
+import { register } from "node:module";
+import { parseArgs } from "node:util";
+import { mkdir, open, readFile, rename, stat, unlink, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import path from "node:path";
+
+import { AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT, createAudioEncoder } from "./audio-encoders.js";
+import { LoudnessMeter, applyGain, normalizationGain, validateLoudness } from "./loudness.js";
+
+// Must be registered before kokoro.js is imported, see node-hooks.js
+register("./node-hooks.js", import.meta.url);
+
+const MODEL_ID = "onnx-community/Kokoro-82M-v1.0-ONNX";
+const SAMPLE_RATE = 24000;
+
+const USAGE = `Usage:
+  kokoro-web synth <file...> [options]    Synthesize text files to audio files
+  kokoro-web voices                       List the available voices
+
+Options:
+  -v, --voice <id>        Voice id or weighted mix, e.g. af_heart:0.7,bf_emma:0.3 (default: af_heart)
+  -s, --speed <number>    Speaking rate (default: 1)
+  -o, --output <file>     Output file, for a single input
+  -f, --format <format>   Output format: wav-f32, wav-s24, wav-s16, mp3, flac (default: wav-f32)
+      --out-dir <dir>     Output directory, files are named after their input (default: next to the input)
+      --model-dir <dir>   Load the model and voices/*.bin from a local copy of ${MODEL_ID}
+      --cache-dir <dir>   Where downloaded voice files are kept (default: ~/.cache/kokoro-web/voices)
+      --dtype <type>      Model precision: fp32, fp16, q8, q4 (default: q8)
+      --lexicon <file>    Pronunciation lexicon exported from the web app
+      --skip-existing     Skip inputs whose output file already exists
+      --raw               Keep each segment's own silence, without trimming, pauses or fades
+      --tokens <count>    Phoneme tokens per segment, or 0 to split every 250 characters (default: 300)
+      --markdown          Read the input as Markdown, the default for .md and .markdown files
+      --headings <voice>  Voice for Markdown headings (default: the --voice)
+      --read-code         Read Markdown code blocks verbatim, instead of saying they are omitted
+      --loudness <lufs>   Normalize each file to this integrated loudness, e.g. -16
+      --true-peak <dbtp>  Highest true peak allowed when normalizing (default: -1)
+  -h, --help              Show this help
+
+Use - as the file to read from standard input (requires --output).`;
+
+/**
+ * Create a voice file loader that reads from the model directory, then from a cache directory,
+ * and downloads to the cache directory as a last resort.
+ * @param {{voicesDir: string|null; cacheDir: string}} options The directories to use.
+ * @param {string} voiceDataUrl The base URL to download missing voices from.
+ * @returns {(id: string) => Promise<ArrayBuffer>} The loader.
+ */
+function createFileVoiceProvider({ voicesDir, cacheDir }, voiceDataUrl) {
+  return async (id) => {
+    const fileName = `${id}.bin`;
+    for (const dir of [voicesDir, cacheDir]) {
+      if (!dir) continue;
+      try {
+        const data = await readFile(path.join(dir, fileName));
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+
+    const url = `${voiceDataUrl}/${fileName}`;
+    let buffer;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      buffer = await response.arrayBuffer();
+    } catch (error) {
+      const searched = [voicesDir, cacheDir].filter(Boolean).join(" or ");
+      throw new Error(`Voice file ${fileName} is not in ${searched} and could not be downloaded from ${url}: ${error.message}`);
+    }
+
+    // Write under a temporary name, so parallel runs never read a partial file
+    await mkdir(cacheDir, { recursive: true });
+    const temporary = path.join(cacheDir, `${fileName}.${process.pid}.tmp`);
+    await writeFile(temporary, new Uint8Array(buffer));
+    await rename(temporary, path.join(cacheDir, fileName));
+    return buffer;
+  };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function exists(file) {
+  try {
+    await stat(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getOutputPath(input, { output, "out-dir": outDir, format }) {
+  if (output) return output;
+  const name = `${path.basename(input, path.extname(input))}.${AUDIO_FORMATS[format].extension}`;
+  return path.join(outDir ?? path.dirname(input), name);
+}
+
+/**
+ * Synthesize one text to an audio file. The file is written under a temporary name while
+ * segments stream in, and renamed once its header is final. With loudness normalization,
+ * the segments are kept in memory until the whole text has been measured.
+ * @returns {Promise<number>} The duration of the audio in seconds.
+ */
+async function synthesizeFile(tts, text, output, { voice, speed, splitTokens, lexicon, markdown, format, postProcess, loudness }) {
+  const temporary = `${output}.part`;
+  const file = await open(temporary, "w");
+  const encoder = createAudioEncoder(format);
+  const meter = loudness ? new LoudnessMeter() : null;
+  const segments = [];
+  let numSamples = 0;
+  try {
+    await file.write(await encoder.start());
+    for await (const { audio } of tts.stream(text, { voice, speed, split_tokens: splitTokens, lexicon, markdown, post_process: postProcess })) {
+      if (meter) {
+        meter.add(audio.audio);
+        segments.push(audio.audio);
+      } else {
+        await file.write(await encoder.encode(audio.audio));
+      }
+      numSamples += audio.audio.length;
+    }
+    if (meter) {
+      const gain = normalizationGain(meter.measure(), loudness);
+      for (const samples of segments) {
+        applyGain(samples, gain);
+        await file.write(await encoder.encode(samples));
+      }
+    }
+    await file.write(await encoder.finish());
+    for (const { offset, bytes } of encoder.headerPatches()) {
+      await file.write(bytes, 0, bytes.byteLength, offset);
+    }
+  } catch (error) {
+    await file.close();
+    await unlink(temporary).catch(() => {});
+    throw error;
+  }
+  await file.close();
+  await rename(temporary, output);
+  return numSamples / SAMPLE_RATE;
+}
+
+async function listVoices() {
+  const { VOICES } = await import("./voices.js");
+  for (const [id, { name, language, gender, overallGrade }] of Object.entries(VOICES)) {
+    console.log(`${id.padEnd(16)}${name.padEnd(14)}${language.padEnd(8)}${gender.padEnd(8)}${overallGrade ?? ""}`);
+  }
+}
+
+async function synth(files, options) {
+  if (files.length === 0) {
+    throw new Error("No input files given.");
+  }
+  if (options.output && files.length > 1) {
+    throw new Error("--output can only be used with a single input, use --out-dir for several.");
+  }
+  if (files.includes("-") && !options.output) {
+    throw new Error("Reading from standard input requires --output.");
+  }
+  const speed = Number(options.speed);
+  if (!Number.isFinite(speed) || speed <= 0) {
+    throw new Error(`Invalid speed "${options.speed}".`);
+  }
+  const splitTokens = Number(options.tokens);
+  if (!Number.isInteger(splitTokens) || splitTokens < 0 || splitTokens > 510) {
+    throw new Error(`Invalid token count "${options.tokens}", should be from 0 to 510.`);
+  }
+  if (options.format === "opus") {
+    throw new Error("Opus is encoded with WebCodecs, which Node.js does not have. Use the web app instead.");
+  }
+  if (!Object.hasOwn(AUDIO_FORMATS, options.format)) {
+    throw new Error(`Unknown format "${options.format}".`);
+  }
+  const loudness = options.loudness === undefined ? null : validateLoudness({ enabled: true, targetLufs: options.loudness, truePeakDb: options["true-peak"] });
+
+  const { KokoroTTS } = await import("./kokoro.js");
+  const { env } = await import("@huggingface/transformers");
+  const { parseVoiceMix, setVoiceFileProvider, VOICE_DATA_URL } = await import("./voices.js");
+  const { compileLexicon, importLexicon } = await import("./lexicon.js");
+  const { DEFAULT_POST_PROCESSING } = await import("./post-process.js");
+  const postProcess = options.raw ? null : DEFAULT_POST_PROCESSING; // The web app's default pauses
+
+  parseVoiceMix(options.voice); // Fail before loading the model
+  if (options.headings) parseVoiceMix(options.headings);
+  const markdownOptions = { headingVoice: options.headings ?? null, codeBlocks: options["read-code"] ? "read" : "skip" };
+
+  let lexicon = null;
+  if (options.lexicon) {
+    lexicon = compileLexicon(importLexicon(await readFile(options.lexicon, "utf8")));
+    console.error(`Loaded ${lexicon.length} lexicon entries`);
+  }
+
+  let modelId = MODEL_ID;
+  let voicesDir = null;
+  if (options["model-dir"]) {
+    const modelDir = path.resolve(options["model-dir"]);
+    env.allowLocalModels = true;
+    env.allowRemoteModels = false;
+    env.localModelPath = path.dirname(modelDir) + path.sep;
+    modelId = path.basename(modelDir);
+    voicesDir = path.join(modelDir, "voices");
+  }
+  const cacheDir = options["cache-dir"] ?? path.join(process.env.XDG_CACHE_HOME ?? path.join(homedir(), ".cache"), "kokoro-web", "voices");
+  setVoiceFileProvider(createFileVoiceProvider({ voicesDir, cacheDir }, VOICE_DATA_URL));
+
+  if (options["out-dir"]) {
+    await mkdir(options["out-dir"], { recursive: true });
+  }
+
+  console.error(`Loading model ${modelId} (${options.dtype})...`);
+  const tts = await KokoroTTS.from_pretrained(modelId, { dtype: options.dtype, device: "cpu" });
+
+  let failures = 0;
+  for (let i = 0; i < files.length; ++i) {
+    const input = files[i];
+    const output = getOutputPath(input, options);
+    const label = `[${i + 1}/${files.length}] ${input} -> ${output}`;
+
+    if (options["skip-existing"] && (await exists(output))) {
+      console.error(`${label}: exists, skipped`);
+      continue;
+    }
+
+    const started = performance.now();
+    try {
+      const text = input === "-" ? await readStdin() : await readFile(input, "utf8");
+      const markdown = options.markdown || /\.(?:md|markdown)$/i.test(input) ? markdownOptions : null;
+      const duration = await synthesizeFile(tts, text, output, { voice: options.voice, speed, splitTokens, lexicon, markdown, format: options.format, postProcess, loudness });
+      const elapsed = (performance.now() - started) / 1000;
+      console.error(`${label}: ${duration.toFixed(1)}s of audio in ${elapsed.toFixed(1)}s`);
+    } catch (error) {
+      failures++;
+      console.error(`${label}: failed: ${error.message}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`${failures} of ${files.length} files failed`);
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      voice: { type: "string", short: "v", default: "af_heart" },
+      speed: { type: "string", short: "s", default: "1" },
+      output: { type: "string", short: "o" },
+      format: { type: "string", short: "f", default: DEFAULT_AUDIO_FORMAT },
+      "out-dir": { type: "string" },
+      "model-dir": { type: "string" },
+      "cache-dir": { type: "string" },
+      dtype: { type: "string", default: "q8" },
+      lexicon: { type: "string" },
+      "skip-existing": { type: "boolean", default: false },
+      raw: { type: "boolean", default: false },
+      tokens: { type: "string", default: "300" },
+      markdown: { type: "boolean", default: false },
+      headings: { type: "string" },
+      "read-code": { type: "boolean", default: false },
+      loudness: { type: "string" },
+      "true-peak": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const [command, ...files] = positionals;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  switch (command) {
+    case "synth":
+      await synth(files, options);
+      break;
+    case "voices":
+      await listVoices();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}".`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  console.error("Run with --help for usage.");
+  process.exitCode = 1;
+});
@@ -0,0 +1,401 @@
+// document-import.js - Extract the readable text of text, Markdown, HTML, EPUB and DOCX files, by chapter.
+// Everything is parsed in the browser, nothing is uploaded.
+
+import { markdownParagraphs, parseMarkdown } from "./markdown.js";
+import { openZip } from "./zip.js";
+
+/**
+ * File extensions that can be imported.
+ */
+export const IMPORT_EXTENSIONS = [".txt", ".md", ".markdown", ".html", ".htm", ".xhtml", ".epub", ".docx"];
+
+/**
+ * @typedef {Object} ImportedDocument
+ * @property {string} title The document title, or "" when it has none.
+ * @property {string} author The author, or "".
+ * @property {import("./chapters.js").Chapter[]} chapters The chapters in reading order, each with its heading
+ *   as the first paragraph. A document without headings is one untitled chapter.
+ */
+
+/**
+ * A paragraph of extracted text. `level` is 1-6 for headings, 0 otherwise.
+ * @typedef {{text: string; level: number}} Paragraph
+ */
+
+const OPS_NAMESPACE = "http://www.idpf.org/2007/ops";
+const WORD_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+// Never read: scripts, navigation, sidebars and form controls
+const SKIPPED_ELEMENTS = new Set(["head", "script", "style", "noscript", "template", "nav", "aside", "svg", "math", "iframe", "object", "button", "select", "textarea"]);
+const BLOCK_ELEMENTS = new Set([
+  "address", "article", "blockquote", "body", "caption", "dd", "div", "dl", "dt", "figcaption", "figure", "footer", "header",
+  "h1", "h2", "h3", "h4", "h5", "h6", "hr", "li", "main", "ol", "p", "pre", "section", "table", "tr", "ul",
+]);
+// Footnote references and bodies, page breaks and back links, marked by EPUB or ARIA semantics
+const NOISE_TYPES = /\b(?:noteref|footnotes?|endnotes?|rearnotes?|pagebreak|backlink|toc)\b/;
+const NOISE_CLASSES = /\b(?:footnotes?|endnotes?|footnote-ref|footnote-back|noteref|pagenum|page-?number)\b/i;
+
+/**
+ * Helper function to collapse whitespace.
+ * @param {string} text The text.
+ * @returns {string} The text on one line, trimmed.
+ */
+function collapse(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Helper function to check if an element is noise: navigation, footnotes, page numbers or hidden content.
+ * @param {Element} element The element.
+ * @returns {boolean} Whether to skip it.
+ */
+function isNoise(element) {
+  if (SKIPPED_ELEMENTS.has(element.localName)) return true;
+  if (element.hasAttribute("hidden") || element.getAttribute("aria-hidden") === "true") return true;
+  const type = `${element.getAttributeNS(OPS_NAMESPACE, "type") ?? element.getAttribute("epub:type") ?? ""} ${element.getAttribute("role") ?? ""}`;
+  if (NOISE_TYPES.test(type) || NOISE_CLASSES.test(element.getAttribute("class") ?? "")) return true;
+  // A superscript link to somewhere in the book is a footnote reference: "word<sup><a href="#n1">1</a></sup>"
+  if (element.localName === "sup" && element.querySelector("a[href]") && /^[\s\d*†‡§¶[\]()]*$/.test(element.textContent)) return true;
+  return false;
+}
+
+/**
+ * Extract the paragraphs of an HTML or XHTML document in reading order.
+ * @param {Document} doc The document.
+ * @returns {Paragraph[]} The paragraphs.
+ */
+function htmlParagraphs(doc) {
+  const paragraphs = [];
+  let text = "";
+  const flush = (level = 0) => {
+    const lines = text.split("\n").map(collapse).filter(Boolean);
+    if (lines.length > 0) paragraphs.push({ text: lines.join("\n"), level });
+    text = "";
+  };
+
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3 || child.nodeType === 4) {
+        text += child.nodeValue; // Text and CDATA
+      } else if (child.nodeType === 1 && !isNoise(child)) {
+        const name = child.localName;
+        if (name === "br") {
+          text += "\n";
+        } else if (name === "img") {
+          continue; // Alt text describes the picture, it is not part of the text
+        } else if (BLOCK_ELEMENTS.has(name)) {
+          flush();
+          walk(child);
+          flush(/^h[1-6]$/.test(name) ? Number(name[1]) : 0);
+        } else {
+          // The cells of a table row are read as one line
+          if ((name === "td" || name === "th") && text.trim()) text += ", ";
+          walk(child);
+        }
+      }
+    }
+  };
+
+  walk(doc.body ?? doc.documentElement);
+  flush();
+  return paragraphs;
+}
+
+/**
+ * Group paragraphs into chapters at the top level of headings. A single top-level heading is taken as
+ * the document title: the chapters start at the level below it, and the title is read before the first one.
+ * @param {Paragraph[]} paragraphs The paragraphs.
+ * @returns {import("./chapters.js").Chapter[]} The chapters.
+ */
+function paragraphsToChapters(paragraphs) {
+  const levels = paragraphs.filter((paragraph) => paragraph.level > 0).map((paragraph) => paragraph.level);
+  let splitLevel = Math.min(...levels);
+  if (levels.filter((level) => level === splitLevel).length === 1 && levels.some((level) => level > splitLevel)) {
+    splitLevel = Math.min(...levels.filter((level) => level > splitLevel));
+  }
+
+  const chapters = [];
+  let pending = []; // Headings above the chapter level
+  for (const paragraph of paragraphs) {
+    if (paragraph.level > 0 && paragraph.level < splitLevel) {
+      pending.push(paragraph.text);
+      continue;
+    }
+    if (paragraph.level === splitLevel || chapters.length === 0) {
+      chapters.push({ title: paragraph.level === splitLevel ? paragraph.text : "", paragraphs: pending });
+      pending = [];
+    }
+    chapters[chapters.length - 1].paragraphs.push(paragraph.text);
+  }
+  if (pending.length > 0) {
+    if (chapters.length === 0) chapters.push({ title: "", paragraphs: [] });
+    chapters[chapters.length - 1].paragraphs.push(...pending);
+  }
+  return chapters.map(({ title, paragraphs }) => ({ title, text: paragraphs.join("\n\n") }));
+}
+
+// --- EPUB ---
+
+/**
+ * Helper function to resolve a link in an archive, relative to the file it is in.
+ * @param {string} base The path of the file with the link.
+ * @param {string} href The link.
+ * @returns {string} The path of the target, without its fragment.
+ */
+function resolvePath(base, href) {
+  const parts = base.split("/").slice(0, -1);
+  for (const part of decodeURIComponent(href.split("#")[0]).split("/")) {
+    if (part === "..") parts.pop();
+    else if (part !== "." && part !== "") parts.push(part);
+  }
+  return parts.join("/");
+}
+
+/**
+ * Helper function to parse XML, and fail on errors.
+ * @param {string} text The XML.
+ * @param {string} [type="application/xml"] The MIME type.
+ * @returns {Document} The document.
+ */
+function parseXml(text, type = "application/xml") {
+  const doc = new DOMParser().parseFromString(text, type);
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Invalid XML");
+  }
+  return doc;
+}
+
+// Content documents are XHTML, but some books have HTML that isn't valid XML
+function parseContentDocument(text) {
+  try {
+    return parseXml(text, "application/xhtml+xml");
+  } catch {
+    return new DOMParser().parseFromString(text, "text/html");
+  }
+}
+
+/**
+ * Helper function to read the table of contents of an EPUB: the EPUB 3 navigation document, or the EPUB 2 NCX.
+ * @returns {Promise<Map<string, string>>} The title of each file the contents link to, by path.
+ */
+async function readEpubToc(zip, manifest, spineToc) {
+  const titles = new Map();
+  const add = (path, title) => {
+    title = collapse(title);
+    if (title && !titles.has(path)) titles.set(path, title);
+  };
+
+  const nav = [...manifest.values()].find((item) => item.properties.includes("nav"));
+  if (nav && zip.has(nav.path)) {
+    const doc = parseContentDocument(await zip.text(nav.path));
+    const navs = [...doc.getElementsByTagName("nav")];
+    const toc = navs.find((element) => /\btoc\b/.test(element.getAttributeNS(OPS_NAMESPACE, "type") ?? element.getAttribute("epub:type") ?? "")) ?? navs[0];
+    for (const link of toc?.getElementsByTagName("a") ?? []) {
+      if (link.getAttribute("href")) add(resolvePath(nav.path, link.getAttribute("href")), link.textContent);
+    }
+    if (titles.size > 0) return titles;
+  }
+
+  const ncx = manifest.get(spineToc) ?? [...manifest.values()].find((item) => item.mediaType === "application/x-dtbncx+xml");
+  if (ncx && zip.has(ncx.path)) {
+    const doc = parseXml(await zip.text(ncx.path));
+    for (const point of doc.getElementsByTagName("navPoint")) {
+      const label = point.getElementsByTagName("text")[0]?.textContent ?? "";
+      const src = point.getElementsByTagName("content")[0]?.getAttribute("src");
+      if (src) add(resolvePath(ncx.path, src), label);
+    }
+  }
+  return titles;
+}
+
+async function importEpub(file) {
+  const zip = await openZip(file);
+  const container = parseXml(await zip.text("META-INF/container.xml"));
+  const opfPath = container.getElementsByTagName("rootfile")[0]?.getAttribute("full-path");
+  if (!opfPath || !zip.has(opfPath)) {
+    throw new Error("No package document in the EPUB");
+  }
+
+  const opf = parseXml(await zip.text(opfPath));
+  const metadata = (name) => collapse(opf.getElementsByTagNameNS("http://purl.org/dc/elements/1.1/", name)[0]?.textContent ?? "");
+  const manifest = new Map();
+  for (const item of opf.getElementsByTagName("item")) {
+    manifest.set(item.getAttribute("id"), {
+      path: resolvePath(opfPath, item.getAttribute("href") ?? ""),
+      mediaType: item.getAttribute("media-type") ?? "",
+      properties: (item.getAttribute("properties") ?? "").split(/\s+/),
+    });
+  }
+  const spine = opf.getElementsByTagName("spine")[0];
+  const toc = await readEpubToc(zip, manifest, spine?.getAttribute("toc"));
+
+  // Files in the contents start chapters, the others continue the chapter before them
+  const chapters = [];
+  for (const itemref of spine?.getElementsByTagName("itemref") ?? []) {
+    const item = manifest.get(itemref.getAttribute("idref"));
+    if (!item || itemref.getAttribute("linear") === "no" || item.properties.includes("nav")) continue;
+    if (!/html/.test(item.mediaType) || !zip.has(item.path)) continue;
+
+    const paragraphs = htmlParagraphs(parseContentDocument(await zip.text(item.path)));
+    if (paragraphs.length === 0) continue; // Cover and other image pages
+
+    const title = toc.get(item.path);
+    if (title || toc.size === 0 || chapters.length === 0) {
+      const heading = title ?? paragraphs.find((paragraph) => paragraph.level > 0)?.text ?? `Chapter ${chapters.length + 1}`;
+      chapters.push({ title: heading, paragraphs: [] });
+      // The heading is read aloud, from the text when it starts with it
+      if (collapse(paragraphs[0].text).toLowerCase() !== heading.toLowerCase() && paragraphs[0].level === 0) {
+        chapters[chapters.length - 1].paragraphs.push(heading);
+      }
+    }
+    chapters[chapters.length - 1].paragraphs.push(...paragraphs.map((paragraph) => paragraph.text));
+  }
+
+  return {
+    title: metadata("title"),
+    author: metadata("creator"),
+    chapters: chapters.map(({ title, paragraphs }) => ({ title, text: paragraphs.join("\n\n") })),
+  };
+}
+
+// --- DOCX ---
+
+/**
+ * Helper function to find the heading level of each paragraph style, from its name ("heading 2") or outline level.
+ * @returns {Promise<Map<string, number>>} The levels, by style id. "Title" is level 1, above "heading 1" at level 2.
+ */
+async function readDocxHeadingStyles(zip) {
+  const levels = new Map();
+  if (!zip.has("word/styles.xml")) return levels;
+  const doc = parseXml(await zip.text("word/styles.xml"));
+  for (const style of doc.getElementsByTagNameNS(WORD_NAMESPACE, "style")) {
+    const id = style.getAttributeNS(WORD_NAMESPACE, "styleId");
+    const name = style.getElementsByTagNameNS(WORD_NAMESPACE, "name")[0]?.getAttributeNS(WORD_NAMESPACE, "val") ?? "";
+    const outline = style.getElementsByTagNameNS(WORD_NAMESPACE, "outlineLvl")[0]?.getAttributeNS(WORD_NAMESPACE, "val");
+    const match = name.match(/^heading (\d)$/i);
+    if (match) levels.set(id, Number(match[1]) + 1);
+    else if (/^title$/i.test(name)) levels.set(id, 1);
+    else if (outline !== undefined && Number(outline) < 9) levels.set(id, Number(outline) + 2);
+  }
+  return levels;
+}
+
+/**
+ * Helper function to read the text of a DOCX paragraph, without deleted text and field codes.
+ * @param {Element} paragraph The w:p element.
+ * @returns {string} The text.
+ */
+function docxParagraphText(paragraph) {
+  let text = "";
+  const walk = (node) => {
+    for (const child of node.children) {
+      if (child.namespaceURI !== WORD_NAMESPACE) continue;
+      switch (child.localName) {
+        case "t":
+          text += child.textContent;
+          break;
+        case "tab":
+          text += " ";
+          break;
+        case "br":
+        case "cr":
+          text += "\n";
+          break;
+        case "noBreakHyphen":
+          text += "-";
+          break;
+        case "del":
+        case "instrText":
+        case "pPr":
+        case "rPr":
+          break;
+        default:
+          walk(child);
+      }
+    }
+  };
+  walk(paragraph);
+  return text;
+}
+
+async function importDocx(file) {
+  const zip = await openZip(file);
+  const doc = parseXml(await zip.text("word/document.xml"));
+  const headingStyles = await readDocxHeadingStyles(zip);
+
+  const paragraphs = [];
+  const walk = (node) => {
+    for (const child of node.children) {
+      if (child.namespaceURI !== WORD_NAMESPACE) continue;
+      if (child.localName === "p") {
+        const style = child.getElementsByTagNameNS(WORD_NAMESPACE, "pStyle")[0]?.getAttributeNS(WORD_NAMESPACE, "val") ?? "";
+        if (/^toc/i.test(style)) continue; // Table of contents entries
+        const text = docxParagraphText(child).split("\n").map(collapse).filter(Boolean).join("\n");
+        if (text) paragraphs.push({ text, level: headingStyles.get(style) ?? 0 });
+      } else if (child.localName === "sdt") {
+        // Content controls, skipped when they hold a table of contents
+        const gallery = child.getElementsByTagNameNS(WORD_NAMESPACE, "docPartGallery")[0]?.getAttributeNS(WORD_NAMESPACE, "val") ?? "";
+        if (!/contents/i.test(gallery)) walk(child);
+      } else if (["body", "tbl", "tr", "tc", "sdtContent", "ins", "smartTag", "customXml"].includes(child.localName)) {
+        walk(child);
+      }
+    }
+  };
+  walk(doc.documentElement);
+
+  let title = "";
+  let author = "";
+  if (zip.has("docProps/core.xml")) {
+    const core = parseXml(await zip.text("docProps/core.xml"));
+    title = collapse(core.getElementsByTagNameNS("http://purl.org/dc/elements/1.1/", "title")[0]?.textContent ?? "");
+    author = collapse(core.getElementsByTagNameNS("http://purl.org/dc/elements/1.1/", "creator")[0]?.textContent ?? "");
+  }
+  return { title, author, chapters: paragraphsToChapters(paragraphs) };
+}
+
+/**
+ * Helper function to find the extension of a file name.
+ * @param {string} name The file name.
+ * @returns {string} The extension in lower case, with the dot.
+ */
+function extensionOf(name) {
+  return name.slice(name.lastIndexOf(".")).toLowerCase();
+}
+
+/**
+ * Import a document, chosen by its file extension.
+ * @param {File} file The file.
+ * @returns {Promise<ImportedDocument>} Its text, by chapter.
+ */
+export async function importDocument(file) {
+  const extension = extensionOf(file.name);
+  const baseName = file.name.slice(0, file.name.length - extension.length);
+
+  switch (extension) {
+    case ".txt":
+      return { title: baseName, author: "", chapters: [{ title: "", text: (await file.text()).replace(/\r\n?/g, "\n").trim() }] };
+
+    case ".md":
+    case ".markdown": {
+      const { blocks, title } = parseMarkdown(await file.text());
+      return { title: title || baseName, author: "", chapters: paragraphsToChapters(markdownParagraphs(blocks)) };
+    }
+
+    case ".html":
+    case ".htm":
+    case ".xhtml": {
+      const doc = new DOMParser().parseFromString(await file.text(), "text/html");
+      const author = doc.querySelector('meta[name="author"]')?.getAttribute("content") ?? "";
+      return { title: collapse(doc.title) || baseName, author: collapse(author), chapters: paragraphsToChapters(htmlParagraphs(doc)) };
+    }
+
+    case ".epub":
+      return importEpub(file);
+
+    case ".docx":
+      return importDocx(file);
+
+    default:
+      throw new Error(`Unsupported file type "${extension}". Import ${IMPORT_EXTENSIONS.join(", ")} files.`);
+  }
+}
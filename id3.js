@@ -0,0 +1,133 @@
+// id3.js - ID3v2.3 tags with chapters, for MP3 audiobooks
+
+// The CTOC frame stores its number of entries in one byte
+export const MAX_ID3_CHAPTERS = 255;
+
+const NO_OFFSET = 0xffffffff; // CHAP byte offsets are unused, players seek by time
+
+/**
+ * @typedef {Object} Id3Metadata
+ * @property {string} [title] The title (TIT2).
+ * @property {string} [album] The album, i.e. the book title (TALB).
+ * @property {string} [author] The author (TPE1).
+ * @property {string} [track] The track number, e.g. "3/12" (TRCK).
+ * @property {{mimeType: string; data: Uint8Array}} [cover] The cover image (APIC).
+ * @property {string[]} [chapters] Chapter titles, for CHAP frames and a table of contents.
+ */
+
+/**
+ * Helper function to encode a text frame body: UTF-16 with a byte order mark.
+ * @param {string} text The text.
+ * @returns {Uint8Array} The frame body.
+ */
+function textBody(text) {
+  const body = new Uint8Array(3 + text.length * 2);
+  body.set([1, 0xff, 0xfe]); // Encoding 1 is UTF-16, then a little-endian byte order mark
+  const view = new DataView(body.buffer);
+  for (let i = 0; i < text.length; ++i) {
+    view.setUint16(3 + i * 2, text.charCodeAt(i), true);
+  }
+  return body;
+}
+
+/**
+ * Helper function to encode an ISO-8859-1 string, with a terminating null byte.
+ * @param {string} text The text, ASCII only.
+ * @returns {Uint8Array} The bytes.
+ */
+function latin1(text) {
+  return Uint8Array.from(text + "\0", (c) => c.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Helper function to build a frame.
+ * @param {string} id The frame id.
+ * @param {Uint8Array[]} parts The parts of the frame body.
+ * @returns {Uint8Array} The frame.
+ */
+function frame(id, parts) {
+  const size = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(10 + size);
+  const view = new DataView(result.buffer);
+  result.set(latin1(id).subarray(0, 4));
+  view.setUint32(4, size); // Plain 32-bit in ID3v2.3, only the tag size is syncsafe
+  let offset = 10;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Create an ID3v2.3 tag to write at the start of an MP3 file. Chapter times are placeholders until
+ * they are known: patch the tag with `id3ChapterTimes` once the audio is encoded.
+ * @param {Id3Metadata} metadata The metadata.
+ * @returns {{bytes: Uint8Array; chapterTimeOffsets: number[]}} The tag, and the offset of each chapter's start time field.
+ */
+export function createId3Tag({ title, album, author, track, cover, chapters = [] }) {
+  if (chapters.length > MAX_ID3_CHAPTERS) {
+    throw new Error(`An MP3 can hold up to ${MAX_ID3_CHAPTERS} chapters, this text has ${chapters.length}. Save one file per chapter instead.`);
+  }
+
+  const frames = [];
+  if (title) frames.push(frame("TIT2", [textBody(title)]));
+  if (album) frames.push(frame("TALB", [textBody(album)]));
+  if (author) frames.push(frame("TPE1", [textBody(author)]));
+  if (track) frames.push(frame("TRCK", [textBody(track)]));
+  if (cover) {
+    // Encoding 0, MIME type, picture type 3 (front cover), empty description
+    frames.push(frame("APIC", [new Uint8Array([0]), latin1(cover.mimeType), new Uint8Array([3, 0]), cover.data]));
+  }
+
+  const chapterTimeOffsets = [];
+  if (chapters.length > 0) {
+    const ids = chapters.map((_, i) => `ch${i}`);
+    frames.push(frame("CTOC", [
+      latin1("toc"),
+      new Uint8Array([0x03, chapters.length]), // Top-level and ordered
+      ...ids.map(latin1),
+    ]));
+
+    // Where each CHAP frame will be in the tag, to find its time fields later
+    let offset = 10 + frames.reduce((sum, f) => sum + f.length, 0);
+    chapters.forEach((chapterTitle, i) => {
+      const times = new Uint8Array(16);
+      new DataView(times.buffer).setUint32(8, NO_OFFSET);
+      new DataView(times.buffer).setUint32(12, NO_OFFSET);
+      const elementId = latin1(ids[i]);
+      const chap = frame("CHAP", [elementId, times, frame("TIT2", [textBody(chapterTitle || `Chapter ${i + 1}`)])]);
+      chapterTimeOffsets.push(offset + 10 + elementId.length);
+      offset += chap.length;
+      frames.push(chap);
+    });
+  }
+
+  const size = frames.reduce((sum, f) => sum + f.length, 0);
+  const bytes = new Uint8Array(10 + size);
+  bytes.set([0x49, 0x44, 0x33, 3, 0, 0]); // "ID3", version 2.3.0, no flags
+  bytes.set([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f], 6); // Syncsafe size
+  let offset = 10;
+  for (const f of frames) {
+    bytes.set(f, offset);
+    offset += f.length;
+  }
+  return { bytes, chapterTimeOffsets };
+}
+
+/**
+ * The start and end time fields of each chapter, for patching a tag written before they were known.
+ * @param {{chapterTimeOffsets: number[]}} tag The tag, as returned by `createId3Tag`.
+ * @param {number[]} startTimes The start time of each chapter, in milliseconds.
+ * @param {number} endTime The duration of the audio, in milliseconds.
+ * @returns {{offset: number; bytes: Uint8Array}[]} The bytes to write at each offset of the tag.
+ */
+export function id3ChapterTimes(tag, startTimes, endTime) {
+  return tag.chapterTimeOffsets.map((offset, i) => {
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, Math.round(startTimes[i] ?? endTime));
+    view.setUint32(4, Math.round(startTimes[i + 1] ?? endTime));
+    return { offset, bytes };
+  });
+}
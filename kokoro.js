@@ -1,10 +1,83 @@
 import { StyleTextToSpeech2Model, AutoTokenizer, Tensor, RawAudio } from "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.3.3/dist/transformers.min.js";
 
-import { phonemize } from "./phonemize.js";
-import { getVoiceData, VOICES } from "./voices.js";
+import { phonemize, strip_literal_phonemes } from "./phonemize.js";
+import { getVoiceData, parseVoiceMix, VOICES } from "./voices.js";
+import { splitTextByTokens, splitTextSmart } from "./semantic-split.js";
+import { alignWords, getPhonemeTimings, groupSentences } from "./word-timing.js";
+import { isSSML, parseSSML } from "./ssml.js";
+import { narrateMarkdown } from "./markdown.js";
+import { applyLexicon } from "./lexicon.js";
+import { findSegmentEnd, getBoundaryType, postProcessSegment } from "./post-process.js";
 
 const STYLE_DIM = 256;
 const SAMPLE_RATE = 24000;
+const MAX_PHONEME_LENGTH = 510; // Context window (512) minus the two padding tokens
+
+const PUNCTUATION_BOUNDARY = /[;:,.!?¡¿—…"»”]+\s+/g;
+const WORD_BOUNDARY = /\s+/g;
+
+/**
+ * Find the end of the last boundary match in a string.
+ * @param {string} text The text to search.
+ * @param {RegExp} regex A global regex matching boundaries.
+ * @returns {number|null} The index just after the last match, or null if there is none.
+ */
+function lastBoundary(text, regex) {
+  let end = null;
+  for (const match of text.matchAll(regex)) {
+    if (match.index > 0) {
+      end = match.index + match[0].length;
+    }
+  }
+  return end;
+}
+
+/**
+ * Split a phoneme string into windows that fit within the model's context window.
+ * Windows are cut after the last punctuation mark that fits, falling back to the last
+ * word break, and finally to a hard cut. Each phoneme is a single token, so the string
+ * length is an upper bound on the number of tokens.
+ * @param {string} phonemes The phonemes to split.
+ * @param {number} [maxLength] The maximum number of phonemes per window.
+ * @returns {{start: number; end: number; phonemes: string}[]} The windows, with their offsets in the input.
+ */
+function splitPhonemes(phonemes, maxLength = MAX_PHONEME_LENGTH) {
+  const windows = [];
+  let start = 0;
+  while (start < phonemes.length) {
+    let end = phonemes.length;
+    if (end - start > maxLength) {
+      const head = phonemes.slice(start, start + maxLength + 1);
+      end = start + (lastBoundary(head, PUNCTUATION_BOUNDARY) ?? lastBoundary(head, WORD_BOUNDARY) ?? maxLength);
+    }
+    const text = phonemes.slice(start, end).trim();
+    if (text.length > 0) {
+      windows.push({ start, end, phonemes: text });
+    }
+    start = end;
+  }
+  return windows;
+}
+
+/**
+ * Concatenate audio buffers into a single buffer.
+ * @param {Float32Array[]} chunks The buffers to join.
+ * @returns {Float32Array} The joined buffer.
+ */
+function concatAudio(chunks) {
+  const result = new Float32Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * @typedef {{word: string; charStart: number; charEnd: number; startTime: number; endTime: number; estimated: boolean}} WordTiming
+ * @typedef {{text: string; charStart: number; charEnd: number; startTime: number; endTime: number; estimated: boolean}} SentenceTiming
+ */
 
 export class KokoroTTS {
   /**
@@ -42,33 +115,348 @@ export class KokoroTTS {
     console.table(VOICES);
   }
 
+  /**
+   * Throw if the voice, or any voice in a mix, is not available.
+   * @param {string} voice The voice id, or a weighted mix such as `af_heart:0.7,bf_emma:0.3`
+   * @returns {string} The language code of the voice. For mixes, the language of the first voice.
+   * @private
+   */
+  _validate_voice(voice) {
+    try {
+      return parseVoiceMix(voice)[0].id.at(0);
+    } catch (error) {
+      console.error(`Voice "${voice}" not found. Available voices:`);
+      console.table(VOICES);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the model tokens of phonemes, without the padding.
+   * @param {string} phonemes The phonemes
+   * @returns {number} The number of tokens
+   * @private
+   */
+  _count_tokens(phonemes) {
+    const { input_ids } = this.tokenizer(phonemes, {
+      truncation: false,
+    });
+    return input_ids.dims.at(-1) - 2;
+  }
+
   /**
    * Generate audio from text.
    *
    * Note: The model will be loaded on the first call, and subsequent calls will use the same model.
+   *
+   * The returned audio has `words` and `sentences` properties with the timing of each word and sentence
+   * of the input. Times are exact when the model predicts durations (e.g. the timestamped ONNX export),
+   * and estimated from the phoneme count otherwise, which is marked by their `estimated` flag.
    * @param {string} text The input text
    * @param {Object} options Additional options
-   * @param {keyof typeof VOICES} [options.voice="af"] The voice style to use
+   * @param {keyof typeof VOICES|string} [options.voice="af_heart"] The voice style to use, or a weighted mix such as `af_heart:0.7,bf_emma:0.3`
    * @param {number} [options.speed=1] The speaking speed
-   * @returns {Promise<RawAudio>} The generated audio
+   * @param {ReturnType<typeof import("./lexicon.js").compileLexicon>} [options.lexicon=null] Pronunciation overrides, applied before phonemization
+   * @returns {Promise<RawAudio & {words: WordTiming[]; sentences: SentenceTiming[]}>} The generated audio
    */
-  async generate(text, { voice = "af", speed = 1 } = {}) {
-    if (!VOICES.hasOwnProperty(voice)) {
-      console.error(`Voice "${voice}" not found. Available voices:`);
-      console.table(VOICES);
-      throw new Error(`Voice "${voice}" not found. Should be one of: ${Object.keys(VOICES).join(", ")}.`);
+  async generate(text, { voice = "af_heart", speed = 1, lexicon = null } = {}) {
+    const language = this._validate_voice(voice); // "a" or "b"
+    const phonemes = await phonemize(applyLexicon(text, lexicon), language);
+    const audio = await this.generate_from_phonemes(phonemes, { voice, speed });
+    audio.words = alignWords(text, phonemes, audio.timings, language);
+    audio.sentences = groupSentences(text, audio.words);
+    return audio;
+  }
+
+  /**
+   * Generate audio from text, one segment at a time.
+   *
+   * The text is split with `splitTextSmart`, and each segment is phonemized and synthesized
+   * only when the consumer asks for the next one, so a slow consumer naturally applies backpressure.
+   * @param {string} text The input text
+   * @param {Object} options Additional options
+   * @param {keyof typeof VOICES|string} [options.voice="af_heart"] The voice style to use, or a weighted mix such as `af_heart:0.7,bf_emma:0.3`
+   * @param {number} [options.speed=1] The speaking speed
+   * @param {number} [options.split_length=250] The maximum number of characters per segment
+   * @param {number} [options.split_tokens=0] Instead of characters, pack whole sentences into segments of up to this many
+   *   phoneme tokens (e.g. 300) with `splitTextByTokens`. Paragraphs are then phonemized one ahead of the segment being generated.
+   * @param {ReturnType<typeof import("./lexicon.js").compileLexicon>} [options.lexicon=null] Pronunciation overrides, applied before phonemization
+   * @param {AbortSignal} [options.signal=null] A signal that stops generation before the next segment
+   * @param {boolean} [options.ssml] Whether the text is SSML. Detected from a leading `<speak>` element by default.
+   *   Breaks are yielded as silent segments with empty text, and text in an unknown `<voice>` is read with `voice`.
+   * @param {import("./markdown.js").MarkdownOptions} [options.markdown=null] Read the text as Markdown, with these options.
+   *   Each heading, paragraph, list item, table row and code block is split on its own. Takes precedence over `ssml`.
+   * @param {boolean} [options.continue_on_error=false] Whether to keep going when a segment fails. Failed segments
+   *   are yielded with `audio` set to null and the cause in `error`.
+   * @param {import("./post-process.js").PostProcessingOptions} [options.post_process=null] Trim each segment's silence
+   *   and end it with the pause for its boundary (comma, sentence, paragraph or heading). Word timings are shifted to match.
+   * @param {number} [options.start_index=0] Skip the segments before this index without generating them, to continue
+   *   an interrupted render. `startSample` then counts from the first generated segment.
+   * @param {(total: number, exact: boolean) => void} [options.split_callback=null] Called with an estimate of the number of
+   *   segments, breaks included, before the first segment is generated, then whenever splitting another paragraph changes it.
+   *   `exact` is true once the whole text is split.
+   * @param {(phonemes: string, options: {voice: string; speed: number}) => Promise<RawAudio>} [options.generate_audio=null]
+   *   Generates the audio of each segment, `generate_from_phonemes` by default. Lets the caller limit the time or retry on another device.
+   *   Word timings are estimated when the audio has no `timings`.
+   * @returns {AsyncGenerator<{index: number; text: string; phonemes: string; audio: RawAudio|null; startSample: number; words: WordTiming[]; sentences: SentenceTiming[]; error?: Error}>} The generated segments
+   */
+  async *stream(text, { voice = "af_heart", speed = 1, split_length = 250, split_tokens = 0, lexicon = null, signal = null, ssml = isSSML(text), markdown = null, continue_on_error = false, post_process = null, start_index = 0, split_callback = null, generate_audio = null } = {}) {
+    const defaultLanguage = this._validate_voice(voice);
+
+    // SSML and Markdown are interpreted first, so breaks, rate changes and voice switches happen between segments
+    const blocks = markdown
+      ? narrateMarkdown(text, { voice, speed, ...markdown })
+      : ssml
+        ? parseSSML(text, { voice, speed })
+        : [{ type: "text", text, voice, speed }];
+
+    // Blocks are split one paragraph at a time, which gives the same segments, to know where paragraphs end
+    const budget = split_tokens > 0 ? split_tokens : split_length; // Phonemes are about as many as characters
+    const units = [];
+    for (const [blockIndex, original] of blocks.entries()) {
+      let block = original;
+      if (block.type === "break") {
+        units.push({ block, blockIndex, estimate: 1 });
+        continue;
+      }
+      let language = defaultLanguage; // "a" or "b"
+      try {
+        language = parseVoiceMix(block.voice)[0].id.at(0);
+      } catch (error) {
+        // An unknown SSML <voice name> doesn't stop the rest of the text
+        console.warn(`Invalid voice "${block.voice}", reading its text with "${voice}":`, error.message);
+        block = { ...block, voice };
+      }
+      const paragraphs = block.text.split(/\n\s*\n/).filter((paragraph) => paragraph.trim());
+      for (const [i, paragraph] of paragraphs.entries()) {
+        const estimate = Math.max(1, Math.ceil(paragraph.trim().length / budget));
+        units.push({ block, blockIndex, language, paragraph, lastOfBlock: i === paragraphs.length - 1, estimate });
+      }
     }
 
-    const language = voice.at(0); // "a" or "b"
-    const phonemes = await phonemize(text, language);
+    // The estimate is refined as paragraphs are split
+    let total = units.reduce((sum, unit) => sum + unit.estimate, 0);
+    let unsplit = units.filter((unit) => unit.paragraph !== undefined).length;
+    split_callback?.(total, unsplit === 0);
+
+    // Paragraphs are split one ahead of generation, so the next one is ready when the current one is done
+    const splitOptions = { split_length, split_tokens, lexicon, signal, continue_on_error };
+    const splits = new Map(); // Unit index -> Promise of its segments
+    const splitAhead = (from) => {
+      let i = from;
+      while (i < units.length && units[i].paragraph === undefined) i++;
+      if (i === units.length || splits.has(i)) return;
+      const promise = this._split_paragraph(units[i].paragraph, units[i].language, splitOptions);
+      promise.catch(() => {}); // Awaited in its turn, or dropped when the stream stops first
+      splits.set(i, promise);
+    };
+    generate_audio ??= (phonemes, options) => this.generate_from_phonemes(phonemes, options);
+
+    let index = 0;
+    let startSample = 0;
+    for (const [unitIndex, { block, blockIndex, language, paragraph, lastOfBlock, estimate }] of units.entries()) {
+      if (block.type === "break") {
+        if (index < start_index) {
+          index++;
+          continue;
+        }
+        signal?.throwIfAborted();
+        const numSamples = Math.round(block.time * SAMPLE_RATE);
+        const audio = new RawAudio(new Float32Array(numSamples), SAMPLE_RATE);
+        yield { index: index++, text: "", phonemes: "", audio, startSample, words: [], sentences: [] };
+        startSample += numSamples;
+        continue;
+      }
+
+      splitAhead(unitIndex);
+      const segments = await splits.get(unitIndex);
+      splits.delete(unitIndex);
+      splitAhead(unitIndex + 1);
+      unsplit--;
+      if (segments.length !== estimate || unsplit === 0) {
+        total += segments.length - estimate;
+        split_callback?.(total, unsplit === 0);
+      }
+
+      const nextBlock = blocks[blockIndex + 1];
+
+      for (const [segmentIndex, { segment, phonemes: segmentPhonemes, following }] of segments.entries()) {
+        if (index < start_index) {
+          index++;
+          continue;
+        }
+        const segmentText = strip_literal_phonemes(segment);
+        let phonemes, audio;
+        try {
+          signal?.throwIfAborted();
+          phonemes = segmentPhonemes ?? (await phonemize(applyLexicon(segment, lexicon), language));
+
+          signal?.throwIfAborted();
+          audio = await generate_audio(phonemes, { voice: block.voice, speed: block.speed });
+        } catch (error) {
+          if (!continue_on_error || error.name === "AbortError") {
+            throw error;
+          }
+          yield { index: index++, text: segmentText, phonemes: phonemes ?? "", audio: null, startSample, words: [], sentences: [], error };
+          continue;
+        }
+        // Audio from a custom generate_audio may come without timings, spread it evenly over the phonemes then
+        const timings = audio.timings ?? getPhonemeTimings(phonemes, null, audio.audio.length);
+        let words = alignWords(segmentText, phonemes, timings, language);
+        let sentences = groupSentences(segmentText, words);
+
+        if (post_process) {
+          // An SSML block can end mid-paragraph, and a break after it is already a pause.
+          // A Markdown block knows its own boundary.
+          const endsParagraph = segmentIndex === segments.length - 1;
+          const isLastOfBlock = lastOfBlock && endsParagraph;
+          const boundary = isLastOfBlock && nextBlock?.type === "break"
+            ? "none"
+            : isLastOfBlock && block.boundary
+              ? block.boundary
+              : getBoundaryType(segment, endsParagraph && (!isLastOfBlock || !nextBlock), following);
+          const { audio: processed, offset } = postProcessSegment(audio.audio, boundary, post_process);
+          const end = processed.length / SAMPLE_RATE;
+          const shift = (timing) => ({
+            ...timing,
+            startTime: Math.min(Math.max(timing.startTime - offset / SAMPLE_RATE, 0), end),
+            endTime: Math.min(Math.max(timing.endTime - offset / SAMPLE_RATE, 0), end),
+          });
+          words = words.map(shift);
+          sentences = sentences.map(shift);
+          audio = new RawAudio(processed, SAMPLE_RATE);
+        }
+
+        // Read the length first, the consumer may transfer the buffer to another thread
+        const numSamples = audio.audio.length;
+        yield { index: index++, text: segmentText, phonemes, audio, startSample, words, sentences };
+        startSample += numSamples;
+      }
+    }
+  }
+
+  /**
+   * Split a paragraph into segments. With `split_tokens`, segments are packed by phoneme tokens and keep the
+   * phonemes they were measured with.
+   * @param {string} paragraph The paragraph
+   * @param {string} language The language code of the block's voice
+   * @param {Object} options The splitting options of `stream`
+   * @returns {Promise<{segment: string; phonemes?: string; following: string}[]>} The segments, with the text after each one
+   * @private
+   */
+  async _split_paragraph(paragraph, language, { split_length, split_tokens, lexicon, signal, continue_on_error }) {
+    signal?.throwIfAborted();
+    let parts = null;
+    if (split_tokens > 0) {
+      try {
+        parts = await splitTextByTokens(paragraph, {
+          phonemize: (part) => phonemize(applyLexicon(part, lexicon), language),
+          countTokens: (phonemes) => this._count_tokens(phonemes),
+          maxTokens: split_tokens,
+          language,
+        });
+      } catch (error) {
+        // Split by characters instead, so the failing segments are reported one by one
+        if (!continue_on_error || error.name === "AbortError") {
+          throw error;
+        }
+      }
+    }
+    parts ??= splitTextSmart(paragraph, split_length, language)
+      .filter((segment) => segment.length > 0)
+      .map((segment) => ({ text: segment }));
+
+    const segments = [];
+    let end = 0;
+    for (const { text: segment, phonemes } of parts) {
+      end = findSegmentEnd(paragraph, segment, end);
+      segments.push({ segment, phonemes, following: paragraph.slice(end) });
+    }
+    return segments;
+  }
+
+  /**
+   * Generate audio from phonemes.
+   *
+   * Inputs longer than the model's context window are split at the best phoneme boundary
+   * (punctuation, then word breaks), each window is synthesized with its own style vector,
+   * and the results are stitched together. The returned audio has a `splits` property that
+   * lists the phoneme spans of each window, which is empty when no split was needed, and a `timings`
+   * property with the start and end sample of every phoneme.
+   * @param {string} phonemes The input phonemes
+   * @param {Object} options Additional options
+   * @param {keyof typeof VOICES|string} [options.voice="af_heart"] The voice style to use, or a weighted mix such as `af_heart:0.7,bf_emma:0.3`
+   * @param {number} [options.speed=1] The speaking speed
+   * @returns {Promise<RawAudio & {splits: {start: number; end: number; phonemes: string}[]; timings: {start: number; end: number}[]}>} The generated audio
+   */
+  async generate_from_phonemes(phonemes, { voice = "af_heart", speed = 1 } = {}) {
     const { input_ids } = this.tokenizer(phonemes, {
-      truncation: true,
+      truncation: false,
     });
 
+    if (input_ids.dims.at(-1) - 2 <= MAX_PHONEME_LENGTH) {
+      const audio = await this.generate_from_ids(input_ids, { voice, speed });
+      audio.splits = [];
+      audio.timings = getPhonemeTimings(phonemes, audio.durations, audio.audio.length);
+      return audio;
+    }
+
+    const windows = splitPhonemes(phonemes);
+    console.warn(
+      `Input is ${input_ids.dims.at(-1) - 2} tokens, which exceeds the limit of ${MAX_PHONEME_LENGTH}. Split into ${windows.length} windows:`,
+      windows.map(({ start, end }) => [start, end]),
+    );
+
+    const chunks = [];
+    const timings = new Array(phonemes.length);
+    let offset = 0;
+    for (const window of windows) {
+      const { input_ids } = this.tokenizer(window.phonemes, {
+        truncation: false,
+      });
+      const { audio, durations } = await this.generate_from_ids(input_ids, { voice, speed });
+      chunks.push(audio);
+
+      // Windows are trimmed, so find where the window's phonemes start in the full string
+      const raw = phonemes.slice(window.start, window.end);
+      const base = window.start + raw.length - raw.trimStart().length;
+      getPhonemeTimings(window.phonemes, durations, audio.length, offset).forEach((timing, i) => {
+        timings[base + i] = timing;
+      });
+      offset += audio.length;
+    }
+
+    // Whitespace trimmed between windows takes no time
+    let last = 0;
+    for (let i = 0; i < timings.length; ++i) {
+      timings[i] ??= { start: last, end: last };
+      last = timings[i].end;
+    }
+
+    const audio = new RawAudio(concatAudio(chunks), SAMPLE_RATE);
+    audio.splits = windows;
+    audio.timings = timings;
+    return audio;
+  }
+
+  /**
+   * Generate audio from input ids. The input must fit within the model's context window.
+   * The returned audio has a `durations` property with the predicted frames per token, or null
+   * if the model does not output durations.
+   * @param {import("@huggingface/transformers").Tensor} input_ids The input ids
+   * @param {Object} options Additional options
+   * @param {keyof typeof VOICES|string} [options.voice="af_heart"] The voice style to use, or a weighted mix such as `af_heart:0.7,bf_emma:0.3`
+   * @param {number} [options.speed=1] The speaking speed
+   * @returns {Promise<RawAudio & {durations: ArrayLike<number|bigint>|null}>} The generated audio
+   */
+  async generate_from_ids(input_ids, { voice = "af_heart", speed = 1 } = {}) {
     // Select voice style based on number of input tokens
-    const num_tokens = Math.max(
-      input_ids.dims.at(-1) - 2, // Without padding;
-      0,
+    const num_tokens = Math.min(
+      Math.max(
+        input_ids.dims.at(-1) - 2, // Without padding;
+        0,
+      ),
+      MAX_PHONEME_LENGTH - 1,
     );
 
     // Load voice style
@@ -83,9 +471,11 @@ export class KokoroTTS {
       speed: new Tensor("float32", [speed], [1]),
     };
 
-    // Generate audio
-    const { waveform } = await this.model(inputs);
+    // Generate audio. Models exported with timestamps also predict a duration for each token.
+    const { waveform, durations } = await this.model(inputs);
 
-    return new RawAudio(waveform.data, SAMPLE_RATE);
+    const audio = new RawAudio(waveform.data, SAMPLE_RATE);
+    audio.durations = durations?.data ?? null;
+    return audio;
   }
 }
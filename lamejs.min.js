@@ -0,0 +1,15 @@
+/*! lamejs 1.2.7 (@breezystack/lamejs), an MP3 encoder ported from LAME. LGPL-3.0, https://github.com/breezystack/lamejs */
+var ma={};function Oe(k){return new Int8Array(k)}function ja(k){return new Int16Array(k)}function qa(k){return new Int32Array(k)}function Fa(k){return new Float32Array(k)}function He(k){return new Float64Array(k)}function Za(k){if(k.length==1)return Fa(k[0]);var Z=k[0];k=k.slice(1);for(var O=[],J=0;J<Z;J++)O.push(Za(k));return O}function Ga(k){if(k.length==1)return qa(k[0]);var Z=k[0];k=k.slice(1);for(var O=[],J=0;J<Z;J++)O.push(Ga(k));return O}function Qa(k){if(k.length==1)return ja(k[0]);var Z=k[0];k=k.slice(1);for(var O=[],J=0;J<Z;J++)O.push(Qa(k));return O}function za(k){if(k.length==1)return new Array(k[0]);var Z=k[0];k=k.slice(1);for(var O=[],J=0;J<Z;J++)O.push(za(k));return O}var Wa={};Wa.fill=function(k,Z,O,J){if(arguments.length==2)for(var h1=0;h1<k.length;h1++)k[h1]=arguments[1];else for(var h1=Z;h1<O;h1++)k[h1]=J};var G0={};G0.arraycopy=function(k,Z,O,J,h1){for(var W=Z+h1;Z<W;)O[J++]=k[Z++]},G0.out={},G0.out.println=function(k){console.log(k)},G0.out.printf=function(){console.log.apply(console,arguments)};var $0={};$0.SQRT2=1.4142135623730951,$0.FAST_LOG10=function(k){return Math.log10(k)},$0.FAST_LOG10_X=function(k,Z){return Math.log10(k)*Z};function R0(k){this.ordinal=k}R0.short_block_allowed=new R0(0),R0.short_block_coupled=new R0(1),R0.short_block_dispensed=new R0(2),R0.short_block_forced=new R0(3);var Ka={};Ka.MAX_VALUE=34028235e31;function h0(k){this.ordinal=k}h0.vbr_off=new h0(0),h0.vbr_mt=new h0(1),h0.vbr_rh=new h0(2),h0.vbr_abr=new h0(3),h0.vbr_mtrh=new h0(4),h0.vbr_default=h0.vbr_mtrh;var Ye=function(k){},z1={System:G0,VbrMode:h0,Float:Ka,ShortBlock:R0,Util:$0,Arrays:Wa,new_array_n:za,new_byte:Oe,new_double:He,new_float:Fa,new_float_n:Za,new_int:qa,new_int_n:Ga,new_short:ja,new_short_n:Qa,assert:Ye},va,Ja;function Ce(){if(Ja)return va;Ja=1;var k=z1,Z=k.System,O=k.Util,J=k.Arrays,h1=k.new_float,W=s0();function z(){var C=[-.1482523854003001,32.308141959636465,296.40344946382766,883.1344870032432,11113.947376231741,1057.2713659324597,305.7402417275812,30.825928907280012,3.8533188138216365,59.42900443849514,709.5899960123345,5281.91112291017,-5829.66483675846,-817.6293103748613,-76.91656988279972,-4.594269939176596,.9063471690191471,.1960342806591213,-.15466694054279598,34.324387823855965,301.8067566458425,817.599602898885,11573.795901679885,1181.2520595540152,321.59731579894424,31.232021761053772,3.7107095756221318,53.650946155329365,684.167428119626,5224.56624370173,-6366.391851890084,-908.9766368219582,-89.83068876699639,-5.411397422890401,.8206787908286602,.3901806440322567,-.16070888947830023,36.147034243915876,304.11815768187864,732.7429163887613,11989.60988270091,1300.012278487897,335.28490093152146,31.48816102859945,3.373875931311736,47.232241542899175,652.7371796173471,5132.414255594984,-6909.087078780055,-1001.9990371107289,-103.62185754286375,-6.104916304710272,.7416505462720353,.5805693545089249,-.16636367662261495,37.751650073343995,303.01103387567713,627.9747488785183,12358.763425278165,1412.2779918482834,346.7496836825721,31.598286663170416,3.1598635433980946,40.57878626349686,616.1671130880391,5007.833007176154,-7454.040671756168,-1095.7960341867115,-118.24411666465777,-6.818469345853504,.6681786379192989,.7653668647301797,-.1716176790982088,39.11551877123304,298.3413246578966,503.5259106886539,12679.589408408976,1516.5821921214542,355.9850766329023,31.395241710249053,2.9164211881972335,33.79716964664243,574.8943997801362,4853.234992253242,-7997.57021486075,-1189.7624067269965,-133.6444792601766,-7.7202770609839915,.5993769336819237,.9427934736519954,-.17645823955292173,40.21879108166477,289.9982036694474,359.3226160751053,12950.259102786438,1612.1013903507662,362.85067106591504,31.045922092242872,2.822222032597987,26.988862316190684,529.8996541764288,4671.371946949588,-8535.899136645805,-1282.5898586244496,-149.58553632943463,-8.643494270763135,.5345111359507916,1.111140466039205,-.36174739330527045,41.04429910497807,277.5463268268618,195.6386023135583,13169.43812144731,1697.6433561479398,367.40983966190305,30.557037410382826,2.531473372857427,20.070154905927314,481.50208566532336,4464.970341588308,-9065.36882077239,-1373.62841526722,-166.1660487028118,-9.58289321133207,.4729647758913199,1.268786568327291,-.36970682634889585,41.393213350082036,261.2935935556502,12.935476055240873,13336.131683328815,1772.508612059496,369.76534388639965,29.751323653701338,2.4023193045459172,13.304795348228817,430.5615775526625,4237.0568611071185,-9581.931701634761,-1461.6913552409758,-183.12733958476446,-10.718010163869403,.41421356237309503,1.414213562373095,-.37677560326535325,41.619486213528496,241.05423794991074,-187.94665032361226,13450.063605744153,1836.153896465782,369.4908799925761,29.001847876923147,2.0714759319987186,6.779591200894186,377.7767837205709,3990.386575512536,-10081.709459700915,-1545.947424837898,-200.3762958015653,-11.864482073055006,.3578057213145241,1.546020906725474,-.3829366947518991,41.1516456456653,216.47684307105183,-406.1569483347166,13511.136535077321,1887.8076599260432,367.3025214564151,28.136213436723654,1.913880671464418,.3829366947518991,323.85365704338597,3728.1472257487526,-10561.233882199509,-1625.2025997821418,-217.62525175416,-13.015432208941645,.3033466836073424,1.66293922460509,-.5822628872992417,40.35639251440489,188.20071124269245,-640.2706748618148,13519.21490106562,1927.6022433578062,362.8197642637487,26.968821921868447,1.7463817695935329,-5.62650678237171,269.3016715297017,3453.386536448852,-11016.145278780888,-1698.6569643425091,-234.7658734267683,-14.16351421663124,.2504869601913055,1.76384252869671,-.5887180101749253,39.23429103868072,155.76096234403798,-889.2492977967378,13475.470561874661,1955.0535223723712,356.4450994756727,25.894952980042156,1.5695032905781554,-11.181939564328772,214.80884394039484,3169.1640829158237,-11443.321309975563,-1765.1588461316153,-251.68908574481912,-15.49755935939164,.198912367379658,1.847759065022573,-.7912582233652842,37.39369355329111,119.699486012458,-1151.0956593239027,13380.446257078214,1970.3952110853447,348.01959814116185,24.731487364283044,1.3850130831637748,-16.421408865300393,161.05030052864092,2878.3322807850063,-11838.991423510031,-1823.985884688674,-268.2854986386903,-16.81724543849939,.1483359875383474,1.913880671464418,-.7960642926861912,35.2322109610459,80.01928065061526,-1424.0212633405113,13235.794061869668,1973.804052543835,337.9908651258184,23.289159354463873,1.3934255946442087,-21.099669467133474,108.48348407242611,2583.700758091299,-12199.726194855148,-1874.2780658979746,-284.2467154529415,-18.11369784385905,.09849140335716425,1.961570560806461,-.998795456205172,32.56307803611191,36.958364584370486,-1706.075448829146,13043.287458812016,1965.3831106103316,326.43182772364605,22.175018750622293,1.198638339011324,-25.371248002043963,57.53505923036915,2288.41886619975,-12522.674544337233,-1914.8400385312243,-299.26241273417224,-19.37805630698734,.04912684976946725,1.990369453344394,.035780907*O.SQRT2*.5/2384e-9,.017876148*O.SQRT2*.5/2384e-9,.003134727*O.SQRT2*.5/2384e-9,.002457142*O.SQRT2*.5/2384e-9,971317e-9*O.SQRT2*.5/2384e-9,218868e-9*O.SQRT2*.5/2384e-9,101566e-9*O.SQRT2*.5/2384e-9,13828e-9*O.SQRT2*.5/2384e-9,12804.797818791945,1945.5515939597317,313.4244966442953,20.801593959731544,1995.1556208053692,9.000838926174497,-29.20218120805369],$=12,u1=36,d=[[2382191739347913e-28,6423305872147834e-28,9400849094049688e-28,1122435026096556e-27,1183840321267481e-27,1122435026096556e-27,940084909404969e-27,6423305872147839e-28,2382191739347918e-28,5456116108943412e-27,4878985199565852e-27,4240448995017367e-27,3559909094758252e-27,2858043359288075e-27,2156177623817898e-27,1475637723558783e-27,8371015190102974e-28,2599706096327376e-28,-5456116108943412e-27,-4878985199565852e-27,-4240448995017367e-27,-3559909094758252e-27,-2858043359288076e-27,-2156177623817898e-27,-1475637723558783e-27,-8371015190102975e-28,-2599706096327376e-28,-2382191739347923e-28,-6423305872147843e-28,-9400849094049696e-28,-1122435026096556e-27,-1183840321267481e-27,-1122435026096556e-27,-9400849094049694e-28,-642330587214784e-27,-2382191739347918e-28],[2382191739347913e-28,6423305872147834e-28,9400849094049688e-28,1122435026096556e-27,1183840321267481e-27,1122435026096556e-27,9400849094049688e-28,6423305872147841e-28,2382191739347918e-28,5456116108943413e-27,4878985199565852e-27,4240448995017367e-27,3559909094758253e-27,2858043359288075e-27,2156177623817898e-27,1475637723558782e-27,8371015190102975e-28,2599706096327376e-28,-5461314069809755e-27,-4921085770524055e-27,-4343405037091838e-27,-3732668368707687e-27,-3093523840190885e-27,-2430835727329465e-27,-1734679010007751e-27,-974825365660928e-27,-2797435120168326e-28,0,0,0,0,0,0,-2283748241799531e-28,-4037858874020686e-28,-2146547464825323e-28],[.1316524975873958,.414213562373095,.7673269879789602,1.091308501069271,1.303225372841206,1.56968557711749,1.920982126971166,2.414213562373094,3.171594802363212,4.510708503662055,7.595754112725146,22.90376554843115,.984807753012208,.6427876096865394,.3420201433256688,.9396926207859084,-.1736481776669303,-.7660444431189779,.8660254037844387,.5,-.5144957554275265,-.4717319685649723,-.3133774542039019,-.1819131996109812,-.09457419252642064,-.04096558288530405,-.01419856857247115,-.003699974673760037,.8574929257125442,.8817419973177052,.9496286491027329,.9833145924917901,.9955178160675857,.9991605581781475,.999899195244447,.9999931550702802],[0,0,0,0,0,0,2283748241799531e-28,4037858874020686e-28,2146547464825323e-28,5461314069809755e-27,4921085770524055e-27,4343405037091838e-27,3732668368707687e-27,3093523840190885e-27,2430835727329466e-27,1734679010007751e-27,974825365660928e-27,2797435120168326e-28,-5456116108943413e-27,-4878985199565852e-27,-4240448995017367e-27,-3559909094758253e-27,-2858043359288075e-27,-2156177623817898e-27,-1475637723558782e-27,-8371015190102975e-28,-2599706096327376e-28,-2382191739347913e-28,-6423305872147834e-28,-9400849094049688e-28,-1122435026096556e-27,-1183840321267481e-27,-1122435026096556e-27,-9400849094049688e-28,-6423305872147841e-28,-2382191739347918e-28]],b=d[W.SHORT_TYPE],L=d[W.SHORT_TYPE],r1=d[W.SHORT_TYPE],G=d[W.SHORT_TYPE],s1=[0,1,16,17,8,9,24,25,4,5,20,21,12,13,28,29,2,3,18,19,10,11,26,27,6,7,22,23,14,15,30,31];function Q(h,g,a){for(var o=10,w=g+238-14-286,P=-15;P<0;P++){var V,A,E;V=C[o+-10],A=h[w+-224]*V,E=h[g+224]*V,V=C[o+-9],A+=h[w+-160]*V,E+=h[g+160]*V,V=C[o+-8],A+=h[w+-96]*V,E+=h[g+96]*V,V=C[o+-7],A+=h[w+-32]*V,E+=h[g+32]*V,V=C[o+-6],A+=h[w+32]*V,E+=h[g+-32]*V,V=C[o+-5],A+=h[w+96]*V,E+=h[g+-96]*V,V=C[o+-4],A+=h[w+160]*V,E+=h[g+-160]*V,V=C[o+-3],A+=h[w+224]*V,E+=h[g+-224]*V,V=C[o+-2],A+=h[g+-256]*V,E-=h[w+256]*V,V=C[o+-1],A+=h[g+-192]*V,E-=h[w+192]*V,V=C[o+0],A+=h[g+-128]*V,E-=h[w+128]*V,V=C[o+1],A+=h[g+-64]*V,E-=h[w+64]*V,V=C[o+2],A+=h[g+0]*V,E-=h[w+0]*V,V=C[o+3],A+=h[g+64]*V,E-=h[w+-64]*V,V=C[o+4],A+=h[g+128]*V,E-=h[w+-128]*V,V=C[o+5],A+=h[g+192]*V,E-=h[w+-192]*V,A*=C[o+6],V=E-A,a[30+P*2]=E+A,a[31+P*2]=C[o+7]*V,o+=18,g--,w++}{var A,E,l1,p;E=h[g+-16]*C[o+-10],A=h[g+-32]*C[o+-2],E+=(h[g+-48]-h[g+16])*C[o+-9],A+=h[g+-96]*C[o+-1],E+=(h[g+-80]+h[g+48])*C[o+-8],A+=h[g+-160]*C[o+0],E+=(h[g+-112]-h[g+80])*C[o+-7],A+=h[g+-224]*C[o+1],E+=(h[g+-144]+h[g+112])*C[o+-6],A-=h[g+32]*C[o+2],E+=(h[g+-176]-h[g+144])*C[o+-5],A-=h[g+96]*C[o+3],E+=(h[g+-208]+h[g+176])*C[o+-4],A-=h[g+160]*C[o+4],E+=(h[g+-240]-h[g+208])*C[o+-3],A-=h[g+224],l1=A-E,p=A+E,E=a[14],A=a[15]-E,a[31]=p+E,a[30]=l1+A,a[15]=l1-A,a[14]=p-E}{var e;e=a[28]-a[0],a[0]+=a[28],a[28]=e*C[o+-2*18+7],e=a[29]-a[1],a[1]+=a[29],a[29]=e*C[o+-2*18+7],e=a[26]-a[2],a[2]+=a[26],a[26]=e*C[o+-4*18+7],e=a[27]-a[3],a[3]+=a[27],a[27]=e*C[o+-4*18+7],e=a[24]-a[4],a[4]+=a[24],a[24]=e*C[o+-6*18+7],e=a[25]-a[5],a[5]+=a[25],a[25]=e*C[o+-6*18+7],e=a[22]-a[6],a[6]+=a[22],a[22]=e*O.SQRT2,e=a[23]-a[7],a[7]+=a[23],a[23]=e*O.SQRT2-a[7],a[7]-=a[6],a[22]-=a[7],a[23]-=a[22],e=a[6],a[6]=a[31]-e,a[31]=a[31]+e,e=a[7],a[7]=a[30]-e,a[30]=a[30]+e,e=a[22],a[22]=a[15]-e,a[15]=a[15]+e,e=a[23],a[23]=a[14]-e,a[14]=a[14]+e,e=a[20]-a[8],a[8]+=a[20],a[20]=e*C[o+-10*18+7],e=a[21]-a[9],a[9]+=a[21],a[21]=e*C[o+-10*18+7],e=a[18]-a[10],a[10]+=a[18],a[18]=e*C[o+-12*18+7],e=a[19]-a[11],a[11]+=a[19],a[19]=e*C[o+-12*18+7],e=a[16]-a[12],a[12]+=a[16],a[16]=e*C[o+-14*18+7],e=a[17]-a[13],a[13]+=a[17],a[17]=e*C[o+-14*18+7],e=-a[20]+a[24],a[20]+=a[24],a[24]=e*C[o+-12*18+7],e=-a[21]+a[25],a[21]+=a[25],a[25]=e*C[o+-12*18+7],e=a[4]-a[8],a[4]+=a[8],a[8]=e*C[o+-12*18+7],e=a[5]-a[9],a[5]+=a[9],a[9]=e*C[o+-12*18+7],e=a[0]-a[12],a[0]+=a[12],a[12]=e*C[o+-4*18+7],e=a[1]-a[13],a[1]+=a[13],a[13]=e*C[o+-4*18+7],e=a[16]-a[28],a[16]+=a[28],a[28]=e*C[o+-4*18+7],e=-a[17]+a[29],a[17]+=a[29],a[29]=e*C[o+-4*18+7],e=O.SQRT2*(a[2]-a[10]),a[2]+=a[10],a[10]=e,e=O.SQRT2*(a[3]-a[11]),a[3]+=a[11],a[11]=e,e=O.SQRT2*(-a[18]+a[26]),a[18]+=a[26],a[26]=e-a[18],e=O.SQRT2*(-a[19]+a[27]),a[19]+=a[27],a[27]=e-a[19],e=a[2],a[19]-=a[3],a[3]-=e,a[2]=a[31]-e,a[31]+=e,e=a[3],a[11]-=a[19],a[18]-=e,a[3]=a[30]-e,a[30]+=e,e=a[18],a[27]-=a[11],a[19]-=e,a[18]=a[15]-e,a[15]+=e,e=a[19],a[10]-=e,a[19]=a[14]-e,a[14]+=e,e=a[10],a[11]-=e,a[10]=a[23]-e,a[23]+=e,e=a[11],a[26]-=e,a[11]=a[22]-e,a[22]+=e,e=a[26],a[27]-=e,a[26]=a[7]-e,a[7]+=e,e=a[27],a[27]=a[6]-e,a[6]+=e,e=O.SQRT2*(a[0]-a[4]),a[0]+=a[4],a[4]=e,e=O.SQRT2*(a[1]-a[5]),a[1]+=a[5],a[5]=e,e=O.SQRT2*(a[16]-a[20]),a[16]+=a[20],a[20]=e,e=O.SQRT2*(a[17]-a[21]),a[17]+=a[21],a[21]=e,e=-O.SQRT2*(a[8]-a[12]),a[8]+=a[12],a[12]=e-a[8],e=-O.SQRT2*(a[9]-a[13]),a[9]+=a[13],a[13]=e-a[9],e=-O.SQRT2*(a[25]-a[29]),a[25]+=a[29],a[29]=e-a[25],e=-O.SQRT2*(a[24]+a[28]),a[24]-=a[28],a[28]=e-a[24],e=a[24]-a[16],a[24]=e,e=a[20]-e,a[20]=e,e=a[28]-e,a[28]=e,e=a[25]-a[17],a[25]=e,e=a[21]-e,a[21]=e,e=a[29]-e,a[29]=e,e=a[17]-a[1],a[17]=e,e=a[9]-e,a[9]=e,e=a[25]-e,a[25]=e,e=a[5]-e,a[5]=e,e=a[21]-e,a[21]=e,e=a[13]-e,a[13]=e,e=a[29]-e,a[29]=e,e=a[1]-a[0],a[1]=e,e=a[16]-e,a[16]=e,e=a[17]-e,a[17]=e,e=a[8]-e,a[8]=e,e=a[9]-e,a[9]=e,e=a[24]-e,a[24]=e,e=a[25]-e,a[25]=e,e=a[4]-e,a[4]=e,e=a[5]-e,a[5]=e,e=a[20]-e,a[20]=e,e=a[21]-e,a[21]=e,e=a[12]-e,a[12]=e,e=a[13]-e,a[13]=e,e=a[28]-e,a[28]=e,e=a[29]-e,a[29]=e,e=a[0],a[0]+=a[31],a[31]-=e,e=a[1],a[1]+=a[30],a[30]-=e,e=a[16],a[16]+=a[15],a[15]-=e,e=a[17],a[17]+=a[14],a[14]-=e,e=a[8],a[8]+=a[23],a[23]-=e,e=a[9],a[9]+=a[22],a[22]-=e,e=a[24],a[24]+=a[7],a[7]-=e,e=a[25],a[25]+=a[6],a[6]-=e,e=a[4],a[4]+=a[27],a[27]-=e,e=a[5],a[5]+=a[26],a[26]-=e,e=a[20],a[20]+=a[11],a[11]-=e,e=a[21],a[21]+=a[10],a[10]-=e,e=a[12],a[12]+=a[19],a[19]-=e,e=a[13],a[13]+=a[18],a[18]-=e,e=a[28],a[28]+=a[3],a[3]-=e,e=a[29],a[29]+=a[2],a[2]-=e}}function M(h,g){for(var a=0;a<3;a++){var o,w,P,V,A,E;V=h[g+2*3]*d[W.SHORT_TYPE][0]-h[g+5*3],o=h[g+0*3]*d[W.SHORT_TYPE][2]-h[g+3*3],w=V+o,P=V-o,V=h[g+5*3]*d[W.SHORT_TYPE][0]+h[g+2*3],o=h[g+3*3]*d[W.SHORT_TYPE][2]+h[g+0*3],A=V+o,E=-V+o,o=(h[g+1*3]*d[W.SHORT_TYPE][1]-h[g+4*3])*2069978111953089e-26,V=(h[g+4*3]*d[W.SHORT_TYPE][1]+h[g+1*3])*2069978111953089e-26,h[g+3*0]=w*190752519173728e-25+o,h[g+3*5]=-A*190752519173728e-25+V,P=P*.8660254037844387*1907525191737281e-26,A=A*.5*1907525191737281e-26+V,h[g+3*1]=P-A,h[g+3*2]=P+A,w=w*.5*1907525191737281e-26-o,E=E*.8660254037844387*1907525191737281e-26,h[g+3*3]=w+E,h[g+3*4]=w-E,g++}}function f(h,g,a){var o,w;{var P,V,A,E,l1,p,e,v;P=a[17]-a[9],A=a[15]-a[11],E=a[14]-a[12],l1=a[0]+a[8],p=a[1]+a[7],e=a[2]+a[6],v=a[3]+a[5],h[g+17]=l1+e-v-(p-a[4]),w=(l1+e-v)*L[19]+(p-a[4]),o=(P-A-E)*L[18],h[g+5]=o+w,h[g+6]=o-w,V=(a[16]-a[10])*L[18],p=p*L[19]+a[4],o=P*L[12]+V+A*L[13]+E*L[14],w=-l1*L[16]+p-e*L[17]+v*L[15],h[g+1]=o+w,h[g+2]=o-w,o=P*L[13]-V-A*L[14]+E*L[12],w=-l1*L[17]+p-e*L[15]+v*L[16],h[g+9]=o+w,h[g+10]=o-w,o=P*L[14]-V+A*L[12]-E*L[13],w=l1*L[15]-p+e*L[16]-v*L[17],h[g+13]=o+w,h[g+14]=o-w}{var x,I,y,F,R,n,r,t;x=a[8]-a[0],y=a[6]-a[2],F=a[5]-a[3],R=a[17]+a[9],n=a[16]+a[10],r=a[15]+a[11],t=a[14]+a[12],h[g+0]=R+r+t+(n+a[13]),o=(R+r+t)*L[19]-(n+a[13]),w=(x-y+F)*L[18],h[g+11]=o+w,h[g+12]=o-w,I=(a[7]-a[1])*L[18],n=a[13]-n*L[19],o=R*L[15]-n+r*L[16]+t*L[17],w=x*L[14]+I+y*L[12]+F*L[13],h[g+3]=o+w,h[g+4]=o-w,o=-R*L[17]+n-r*L[15]-t*L[16],w=x*L[13]+I-y*L[14]-F*L[12],h[g+7]=o+w,h[g+8]=o-w,o=-R*L[16]+n-r*L[17]-t*L[15],w=x*L[12]-I+y*L[13]-F*L[14],h[g+15]=o+w,h[g+16]=o-w}}this.mdct_sub48=function(h,g,a){for(var o=g,w=286,P=0;P<h.channels_out;P++){for(var V=0;V<h.mode_gr;V++){for(var A,E=h.l3_side.tt[V][P],l1=E.xr,p=0,e=h.sb_sample[P][1-V],v=0,x=0;x<18/2;x++)for(Q(o,w,e[v]),Q(o,w+32,e[v+1]),v+=2,w+=64,A=1;A<32;A+=2)e[v-1][A]*=-1;for(A=0;A<32;A++,p+=18){var I=E.block_type,y=h.sb_sample[P][V],F=h.sb_sample[P][1-V];if(E.mixed_block_flag!=0&&A<2&&(I=0),h.amp_filter[A]<1e-12)J.fill(l1,p+0,p+18,0);else{if(h.amp_filter[A]<1)for(var x=0;x<18;x++)F[x][s1[A]]*=h.amp_filter[A];if(I==W.SHORT_TYPE){for(var x=-$/4;x<0;x++){var R=d[W.SHORT_TYPE][x+3];l1[p+x*3+9]=y[9+x][s1[A]]*R-y[8-x][s1[A]],l1[p+x*3+18]=y[14-x][s1[A]]*R+y[15+x][s1[A]],l1[p+x*3+10]=y[15+x][s1[A]]*R-y[14-x][s1[A]],l1[p+x*3+19]=F[2-x][s1[A]]*R+F[3+x][s1[A]],l1[p+x*3+11]=F[3+x][s1[A]]*R-F[2-x][s1[A]],l1[p+x*3+20]=F[8-x][s1[A]]*R+F[9+x][s1[A]]}M(l1,p)}else{for(var n=h1(18),x=-u1/4;x<0;x++){var r,t;r=d[I][x+27]*F[x+9][s1[A]]+d[I][x+36]*F[8-x][s1[A]],t=d[I][x+9]*y[x+9][s1[A]]-d[I][x+18]*y[8-x][s1[A]],n[x+9]=r-t*b[3+x+9],n[x+18]=r*b[3+x+9]+t}f(l1,p,n)}}if(I!=W.SHORT_TYPE&&A!=0)for(var x=7;x>=0;--x){var _,u;_=l1[p+x]*r1[20+x]+l1[p+-1-x]*G[28+x],u=l1[p+x]*G[28+x]-l1[p+-1-x]*r1[20+x],l1[p+-1-x]=_,l1[p+x]=u}}}if(o=a,w=286,h.mode_gr==1)for(var H=0;H<18;H++)Z.arraycopy(h.sb_sample[P][1][H],0,h.sb_sample[P][0][H],0,32)}}}return va=z,va}var ga,Ua;function $a(){if(Ua)return ga;Ua=1;var k=s0(),Z=z1,O=Z.System,J=Z.new_float,h1=Z.new_float_n;function W(){this.l=J(k.SBMAX_l),this.s=h1([k.SBMAX_s,3]);var z=this;this.assign=function(C){O.arraycopy(C.l,0,z.l,0,k.SBMAX_l);for(var $=0;$<k.SBMAX_s;$++)for(var u1=0;u1<3;u1++)z.s[$][u1]=C.s[$][u1]}}return ga=W,ga}var da,ae;function je(){if(ae)return da;ae=1;var k=$a();function Z(){this.thm=new k,this.en=new k}return da=Z,da}function g0(k){var Z=k;this.ordinal=function(){return Z}}g0.STEREO=new g0(0),g0.JOINT_STEREO=new g0(1),g0.DUAL_CHANNEL=new g0(2),g0.MONO=new g0(3),g0.NOT_SET=new g0(4);var Q0=g0,Ma,ee;function s0(){if(ee)return Ma;ee=1;var k=z1,Z=k.System,O=k.VbrMode,J=k.new_array_n,h1=k.new_float,W=k.new_float_n,z=k.new_int,C=k.assert;$.ENCDELAY=576,$.POSTDELAY=1152,$.MDCTDELAY=48,$.FFTOFFSET=224+$.MDCTDELAY,$.DECDELAY=528,$.SBLIMIT=32,$.CBANDS=64,$.SBPSY_l=21,$.SBPSY_s=12,$.SBMAX_l=22,$.SBMAX_s=13,$.PSFB21=6,$.PSFB12=6,$.BLKSIZE=1024,$.HBLKSIZE=$.BLKSIZE/2+1,$.BLKSIZE_s=256,$.HBLKSIZE_s=$.BLKSIZE_s/2+1,$.NORM_TYPE=0,$.START_TYPE=1,$.SHORT_TYPE=2,$.STOP_TYPE=3,$.MPG_MD_LR_LR=0,$.MPG_MD_LR_I=1,$.MPG_MD_MS_LR=2,$.MPG_MD_MS_I=3,$.fircoef=[-.0207887*5,-.0378413*5,-.0432472*5,-.031183*5,779609e-23*5,.0467745*5,.10091*5,.151365*5,.187098*5];function $(){var u1=Ce(),d=je(),b=Q0,L=$.FFTOFFSET,r1=$.MPG_MD_MS_LR,G=null;this.psy=null;var s1=null,Q=null,M=null;this.setModules=function(o,w,P,V){G=o,this.psy=w,s1=w,Q=V,M=P};var f=new u1;function h(o){var w,P;if(o.ATH.useAdjust==0){o.ATH.adjust=1;return}if(P=o.loudness_sq[0][0],w=o.loudness_sq[1][0],o.channels_out==2?(P+=o.loudness_sq[0][1],w+=o.loudness_sq[1][1]):(P+=P,w+=w),o.mode_gr==2&&(P=Math.max(P,w)),P*=.5,P*=o.ATH.aaSensitivityP,P>.03125)o.ATH.adjust>=1?o.ATH.adjust=1:o.ATH.adjust<o.ATH.adjustLimit&&(o.ATH.adjust=o.ATH.adjustLimit),o.ATH.adjustLimit=1;else{var V=31.98*P+625e-6;o.ATH.adjust>=V?(o.ATH.adjust*=V*.075+.925,o.ATH.adjust<V&&(o.ATH.adjust=V)):o.ATH.adjustLimit>=V?o.ATH.adjust=V:o.ATH.adjust<o.ATH.adjustLimit&&(o.ATH.adjust=o.ATH.adjustLimit),o.ATH.adjustLimit=V}}function g(o){var w,P;for(C(0<=o.bitrate_index&&o.bitrate_index<16),C(0<=o.mode_ext&&o.mode_ext<4),o.bitrate_stereoMode_Hist[o.bitrate_index][4]++,o.bitrate_stereoMode_Hist[15][4]++,o.channels_out==2&&(o.bitrate_stereoMode_Hist[o.bitrate_index][o.mode_ext]++,o.bitrate_stereoMode_Hist[15][o.mode_ext]++),w=0;w<o.mode_gr;++w)for(P=0;P<o.channels_out;++P){var V=o.l3_side.tt[w][P].block_type|0;o.l3_side.tt[w][P].mixed_block_flag!=0&&(V=4),o.bitrate_blockType_Hist[o.bitrate_index][V]++,o.bitrate_blockType_Hist[o.bitrate_index][5]++,o.bitrate_blockType_Hist[15][V]++,o.bitrate_blockType_Hist[15][5]++}}function a(o,w){var P=o.internal_flags,V,A;if(P.lame_encode_frame_init==0){var E,l1,p=h1(2014),e=h1(2014);for(P.lame_encode_frame_init=1,E=0,l1=0;E<286+576*(1+P.mode_gr);++E)E<576*P.mode_gr?(p[E]=0,P.channels_out==2&&(e[E]=0)):(p[E]=w[0][l1],P.channels_out==2&&(e[E]=w[1][l1]),++l1);for(A=0;A<P.mode_gr;A++)for(V=0;V<P.channels_out;V++)P.l3_side.tt[A][V].block_type=$.SHORT_TYPE;f.mdct_sub48(P,p,e),C(576>=$.FFTOFFSET),C(P.mf_size>=$.BLKSIZE+o.framesize-$.FFTOFFSET),C(P.mf_size>=512+o.framesize-32)}}this.lame_encode_mp3_frame=function(o,w,P,V,A,E){var l1,p=J([2,2]);p[0][0]=new d,p[0][1]=new d,p[1][0]=new d,p[1][1]=new d;var e=J([2,2]);e[0][0]=new d,e[0][1]=new d,e[1][0]=new d,e[1][1]=new d;var v,x=[null,null],I=o.internal_flags,y=W([2,4]),F=[.5,.5],R=[[0,0],[0,0]],n=[[0,0],[0,0]],r,t,_;if(x[0]=w,x[1]=P,I.lame_encode_frame_init==0&&a(o,x),I.padding=0,(I.slot_lag-=I.frac_SpF)<0&&(I.slot_lag+=o.out_samplerate,I.padding=1),I.psymodel!=0){var u,H=[null,null],U=0,B=z(2);for(_=0;_<I.mode_gr;_++){for(t=0;t<I.channels_out;t++)H[t]=x[t],U=576+_*576-$.FFTOFFSET;if(o.VBR==O.vbr_mtrh||o.VBR==O.vbr_mt?u=s1.L3psycho_anal_vbr(o,H,U,_,p,e,R[_],n[_],y[_],B):u=s1.L3psycho_anal_ns(o,H,U,_,p,e,R[_],n[_],y[_],B),u!=0)return-4;for(o.mode==b.JOINT_STEREO&&(F[_]=y[_][2]+y[_][3],F[_]>0&&(F[_]=y[_][3]/F[_])),t=0;t<I.channels_out;t++){var Y=I.l3_side.tt[_][t];Y.block_type=B[t],Y.mixed_block_flag=0}}}else for(_=0;_<I.mode_gr;_++)for(t=0;t<I.channels_out;t++)I.l3_side.tt[_][t].block_type=$.NORM_TYPE,I.l3_side.tt[_][t].mixed_block_flag=0,n[_][t]=R[_][t]=700;if(h(I),f.mdct_sub48(I,x[0],x[1]),I.mode_ext=$.MPG_MD_LR_LR,o.force_ms)I.mode_ext=$.MPG_MD_MS_LR;else if(o.mode==b.JOINT_STEREO){var n1=0,c1=0;for(_=0;_<I.mode_gr;_++)for(t=0;t<I.channels_out;t++)n1+=n[_][t],c1+=R[_][t];if(n1<=1*c1){var g1=I.l3_side.tt[0],w1=I.l3_side.tt[I.mode_gr-1];g1[0].block_type==g1[1].block_type&&w1[0].block_type==w1[1].block_type&&(I.mode_ext=$.MPG_MD_MS_LR)}}if(I.mode_ext==r1?(v=e,r=n):(v=p,r=R),o.analysis&&I.pinfo!=null)for(_=0;_<I.mode_gr;_++)for(t=0;t<I.channels_out;t++)I.pinfo.ms_ratio[_]=I.ms_ratio[_],I.pinfo.ms_ener_ratio[_]=F[_],I.pinfo.blocktype[_][t]=I.l3_side.tt[_][t].block_type,I.pinfo.pe[_][t]=r[_][t],Z.arraycopy(I.l3_side.tt[_][t].xr,0,I.pinfo.xr[_][t],0,576),I.mode_ext==r1&&(I.pinfo.ers[_][t]=I.pinfo.ers[_][t+2],Z.arraycopy(I.pinfo.energy[_][t+2],0,I.pinfo.energy[_][t],0,I.pinfo.energy[_][t].length));if(o.VBR==O.vbr_off||o.VBR==O.vbr_abr){var M1,d1;for(M1=0;M1<18;M1++)I.nsPsy.pefirbuf[M1]=I.nsPsy.pefirbuf[M1+1];for(d1=0,_=0;_<I.mode_gr;_++)for(t=0;t<I.channels_out;t++)d1+=r[_][t];for(I.nsPsy.pefirbuf[18]=d1,d1=I.nsPsy.pefirbuf[9],M1=0;M1<9;M1++)d1+=(I.nsPsy.pefirbuf[M1]+I.nsPsy.pefirbuf[18-M1])*$.fircoef[M1];for(d1=670*5*I.mode_gr*I.channels_out/d1,_=0;_<I.mode_gr;_++)for(t=0;t<I.channels_out;t++)r[_][t]*=d1}if(I.iteration_loop.iteration_loop(o,r,F,v),G.format_bitstream(o),l1=G.copy_buffer(I,V,A,E,1),o.bWriteVbrTag&&Q.addVbrFrame(o),o.analysis&&I.pinfo!=null){for(t=0;t<I.channels_out;t++){var k1;for(k1=0;k1<L;k1++)I.pinfo.pcmdata[t][k1]=I.pinfo.pcmdata[t][k1+o.framesize];for(k1=L;k1<1600;k1++)I.pinfo.pcmdata[t][k1]=x[t][k1-L]}M.set_frame_pinfo(o,v)}return g(I),l1}}return Ma=$,Ma}var te=z1,se=te.Util,re=te.new_float,U1=s0();function qe(){var k=re(U1.BLKSIZE),Z=re(U1.BLKSIZE_s/2),O=[.9238795325112867,.3826834323650898,.9951847266721969,.0980171403295606,.9996988186962042,.02454122852291229,.9999811752826011,.006135884649154475];function J(W,z,C){var $=0,u1,d,b;C<<=1;var L=z+C;u1=4;do{var r1,G,s1,Q,M,f,h;h=u1>>1,Q=u1,M=u1<<1,f=M+Q,u1=M<<1,d=z,b=d+h;do{var g,a,o,w;a=W[d+0]-W[d+Q],g=W[d+0]+W[d+Q],w=W[d+M]-W[d+f],o=W[d+M]+W[d+f],W[d+M]=g-o,W[d+0]=g+o,W[d+f]=a-w,W[d+Q]=a+w,a=W[b+0]-W[b+Q],g=W[b+0]+W[b+Q],w=se.SQRT2*W[b+f],o=se.SQRT2*W[b+M],W[b+M]=g-o,W[b+0]=g+o,W[b+f]=a-w,W[b+Q]=a+w,b+=u1,d+=u1}while(d<L);for(G=O[$+0],r1=O[$+1],s1=1;s1<h;s1++){var P,V;P=1-2*r1*r1,V=2*r1*G,d=z+s1,b=z+Q-s1;do{var A,E,l1,g,a,p,o,e,w,v;E=V*W[d+Q]-P*W[b+Q],A=P*W[d+Q]+V*W[b+Q],a=W[d+0]-A,g=W[d+0]+A,p=W[b+0]-E,l1=W[b+0]+E,E=V*W[d+f]-P*W[b+f],A=P*W[d+f]+V*W[b+f],w=W[d+M]-A,o=W[d+M]+A,v=W[b+M]-E,e=W[b+M]+E,E=r1*o-G*v,A=G*o+r1*v,W[d+M]=g-A,W[d+0]=g+A,W[b+f]=p-E,W[b+Q]=p+E,E=G*e-r1*w,A=r1*e+G*w,W[b+M]=l1-A,W[b+0]=l1+A,W[d+f]=a-E,W[d+Q]=a+E,b+=u1,d+=u1}while(d<L);P=G,G=P*O[$+0]-r1*O[$+1],r1=P*O[$+1]+r1*O[$+0]}$+=2}while(u1<C)}var h1=[0,128,64,192,32,160,96,224,16,144,80,208,48,176,112,240,8,136,72,200,40,168,104,232,24,152,88,216,56,184,120,248,4,132,68,196,36,164,100,228,20,148,84,212,52,180,116,244,12,140,76,204,44,172,108,236,28,156,92,220,60,188,124,252,2,130,66,194,34,162,98,226,18,146,82,210,50,178,114,242,10,138,74,202,42,170,106,234,26,154,90,218,58,186,122,250,6,134,70,198,38,166,102,230,22,150,86,214,54,182,118,246,14,142,78,206,46,174,110,238,30,158,94,222,62,190,126,254];this.fft_short=function(W,z,C,$,u1){for(var d=0;d<3;d++){var b=U1.BLKSIZE_s/2,L=65535&576/3*(d+1),r1=U1.BLKSIZE_s/8-1;do{var G,s1,Q,M,f,h=h1[r1<<2]&255;G=Z[h]*$[C][u1+h+L],f=Z[127-h]*$[C][u1+h+L+128],s1=G-f,G=G+f,Q=Z[h+64]*$[C][u1+h+L+64],f=Z[63-h]*$[C][u1+h+L+192],M=Q-f,Q=Q+f,b-=4,z[d][b+0]=G+Q,z[d][b+2]=G-Q,z[d][b+1]=s1+M,z[d][b+3]=s1-M,G=Z[h+1]*$[C][u1+h+L+1],f=Z[126-h]*$[C][u1+h+L+129],s1=G-f,G=G+f,Q=Z[h+65]*$[C][u1+h+L+65],f=Z[62-h]*$[C][u1+h+L+193],M=Q-f,Q=Q+f,z[d][b+U1.BLKSIZE_s/2+0]=G+Q,z[d][b+U1.BLKSIZE_s/2+2]=G-Q,z[d][b+U1.BLKSIZE_s/2+1]=s1+M,z[d][b+U1.BLKSIZE_s/2+3]=s1-M}while(--r1>=0);J(z[d],b,U1.BLKSIZE_s/2)}},this.fft_long=function(W,z,C,$,u1){var d=U1.BLKSIZE/8-1,b=U1.BLKSIZE/2;do{var L,r1,G,s1,Q,M=h1[d]&255;L=k[M]*$[C][u1+M],Q=k[M+512]*$[C][u1+M+512],r1=L-Q,L=L+Q,G=k[M+256]*$[C][u1+M+256],Q=k[M+768]*$[C][u1+M+768],s1=G-Q,G=G+Q,b-=4,z[b+0]=L+G,z[b+2]=L-G,z[b+1]=r1+s1,z[b+3]=r1-s1,L=k[M+1]*$[C][u1+M+1],Q=k[M+513]*$[C][u1+M+513],r1=L-Q,L=L+Q,G=k[M+257]*$[C][u1+M+257],Q=k[M+769]*$[C][u1+M+769],s1=G-Q,G=G+Q,z[b+U1.BLKSIZE/2+0]=L+G,z[b+U1.BLKSIZE/2+2]=L-G,z[b+U1.BLKSIZE/2+1]=r1+s1,z[b+U1.BLKSIZE/2+3]=r1-s1}while(--d>=0);J(z,b,U1.BLKSIZE/2)},this.init_fft=function(W){for(var z=0;z<U1.BLKSIZE;z++)k[z]=.42-.5*Math.cos(2*Math.PI*(z+.5)/U1.BLKSIZE)+.08*Math.cos(4*Math.PI*(z+.5)/U1.BLKSIZE);for(var z=0;z<U1.BLKSIZE_s/2;z++)Z[z]=.5*(1-Math.cos(2*Math.PI*(z+.5)/U1.BLKSIZE_s))}}var Fe=qe,A0=z1,D0=A0.VbrMode,ne=A0.Float,X0=A0.ShortBlock,_0=A0.Util,Ze=A0.Arrays,$1=A0.new_float,b0=A0.new_float_n,x0=A0.new_int,D1=A0.assert,Ge=Fe,t1=s0();function Qe(){var k=Q0,Z=new Ge,O=2.302585092994046,J=2,h1=16,W=2,z=16,C=.34,$=1/(14752*14752)/(t1.BLKSIZE/2),u1=.01,d=.8,b=.6,L=.3,r1=3.5,G=21,s1=.2302585093;function Q(l){return l}function M(l,c){for(var S=0,T=0;T<t1.BLKSIZE/2;++T)S+=l[T]*c.ATH.eql_w[T];return S*=$,S}function f(l,c,S,T,N,m,D,j,X,a1,q){var e1=l.internal_flags;if(X<2)Z.fft_long(e1,T[N],X,a1,q),Z.fft_short(e1,m[D],X,a1,q);else if(X==2){for(var b1=t1.BLKSIZE-1;b1>=0;--b1){var y1=T[N+0][b1],_1=T[N+1][b1];T[N+0][b1]=(y1+_1)*_0.SQRT2*.5,T[N+1][b1]=(y1-_1)*_0.SQRT2*.5}for(var x1=2;x1>=0;--x1)for(var b1=t1.BLKSIZE_s-1;b1>=0;--b1){var y1=m[D+0][x1][b1],_1=m[D+1][x1][b1];m[D+0][x1][b1]=(y1+_1)*_0.SQRT2*.5,m[D+1][x1][b1]=(y1-_1)*_0.SQRT2*.5}}c[0]=T[N+0][0],c[0]*=c[0];for(var b1=t1.BLKSIZE/2-1;b1>=0;--b1){var K=T[N+0][t1.BLKSIZE/2-b1],S1=T[N+0][t1.BLKSIZE/2+b1];c[t1.BLKSIZE/2-b1]=(K*K+S1*S1)*.5}for(var x1=2;x1>=0;--x1){S[x1][0]=m[D+0][x1][0],S[x1][0]*=S[x1][0];for(var b1=t1.BLKSIZE_s/2-1;b1>=0;--b1){var K=m[D+0][x1][t1.BLKSIZE_s/2-b1],S1=m[D+0][x1][t1.BLKSIZE_s/2+b1];S[x1][t1.BLKSIZE_s/2-b1]=(K*K+S1*S1)*.5}}{for(var N1=0,b1=11;b1<t1.HBLKSIZE;b1++)N1+=c[b1];e1.tot_ener[X]=N1}if(l.analysis){for(var b1=0;b1<t1.HBLKSIZE;b1++)e1.pinfo.energy[j][X][b1]=e1.pinfo.energy_save[X][b1],e1.pinfo.energy_save[X][b1]=c[b1];e1.pinfo.pe[j][X]=e1.pe[X]}l.athaa_loudapprox==2&&X<2&&(e1.loudness_sq[j][X]=e1.loudness_sq_save[X],e1.loudness_sq_save[X]=M(c,e1))}var h=8,g=23,a=15,o,w,P,V=[1,.79433,.63096,.63096,.63096,.63096,.63096,.25119,.11749];function A(){o=Math.pow(10,(h+1)/16),w=Math.pow(10,(g+1)/16),P=Math.pow(10,a/10)}var E=[3.3246*3.3246,3.23837*3.23837,3.15437*3.15437,3.00412*3.00412,2.86103*2.86103,2.65407*2.65407,2.46209*2.46209,2.284*2.284,2.11879*2.11879,1.96552*1.96552,1.82335*1.82335,1.69146*1.69146,1.56911*1.56911,1.46658*1.46658,1.37074*1.37074,1.31036*1.31036,1.25264*1.25264,1.20648*1.20648,1.16203*1.16203,1.12765*1.12765,1.09428*1.09428,1.0659*1.0659,1.03826*1.03826,1.01895*1.01895,1],l1=[1.33352*1.33352,1.35879*1.35879,1.38454*1.38454,1.39497*1.39497,1.40548*1.40548,1.3537*1.3537,1.30382*1.30382,1.22321*1.22321,1.14758*1.14758,1],p=[2.35364*2.35364,2.29259*2.29259,2.23313*2.23313,2.12675*2.12675,2.02545*2.02545,1.87894*1.87894,1.74303*1.74303,1.61695*1.61695,1.49999*1.49999,1.39148*1.39148,1.29083*1.29083,1.19746*1.19746,1.11084*1.11084,1.03826*1.03826];function e(l,c,S,T,N,m){var D;if(c>l)if(c<l*w)D=c/l;else return l+c;else{if(l>=c*w)return l+c;D=l/c}if(l+=c,T+3<=6){if(D>=o)return l;var j=0|_0.FAST_LOG10_X(D,16);return l*l1[j]}var j=0|_0.FAST_LOG10_X(D,16);if(m!=0?c=N.ATH.cb_s[S]*N.ATH.adjust:c=N.ATH.cb_l[S]*N.ATH.adjust,l<P*c){if(l>c){var X,a1;return X=1,j<=13&&(X=p[j]),a1=_0.FAST_LOG10_X(l/c,10/15),l*((E[j]-X)*a1+X)}return j>13?l:l*p[j]}return l*E[j]}var v=[1.33352*1.33352,1.35879*1.35879,1.38454*1.38454,1.39497*1.39497,1.40548*1.40548,1.3537*1.3537,1.30382*1.30382,1.22321*1.22321,1.14758*1.14758,1];function x(l,c,S){var T;if(l<0&&(l=0),c<0&&(c=0),l<=0)return c;if(c<=0)return l;if(c>l?T=c/l:T=l/c,-2<=S&&S<=2){if(T>=o)return l+c;var N=0|_0.FAST_LOG10_X(T,16);return(l+c)*v[N]}return T<w?l+c:(l<c&&(l=c),l)}function I(l,c){var S=l.internal_flags;if(S.channels_out>1){for(var T=0;T<t1.SBMAX_l;T++){var N=S.thm[0].l[T],m=S.thm[1].l[T];S.thm[0].l[T]+=m*c,S.thm[1].l[T]+=N*c}for(var T=0;T<t1.SBMAX_s;T++)for(var D=0;D<3;D++){var N=S.thm[0].s[T][D],m=S.thm[1].s[T][D];S.thm[0].s[T][D]+=m*c,S.thm[1].s[T][D]+=N*c}}}function y(l){for(var c=0;c<t1.SBMAX_l;c++)if(!(l.thm[0].l[c]>1.58*l.thm[1].l[c]||l.thm[1].l[c]>1.58*l.thm[0].l[c])){var S=l.mld_l[c]*l.en[3].l[c],T=Math.max(l.thm[2].l[c],Math.min(l.thm[3].l[c],S));S=l.mld_l[c]*l.en[2].l[c];var N=Math.max(l.thm[3].l[c],Math.min(l.thm[2].l[c],S));l.thm[2].l[c]=T,l.thm[3].l[c]=N}for(var c=0;c<t1.SBMAX_s;c++)for(var m=0;m<3;m++)if(!(l.thm[0].s[c][m]>1.58*l.thm[1].s[c][m]||l.thm[1].s[c][m]>1.58*l.thm[0].s[c][m])){var S=l.mld_s[c]*l.en[3].s[c][m],T=Math.max(l.thm[2].s[c][m],Math.min(l.thm[3].s[c][m],S));S=l.mld_s[c]*l.en[2].s[c][m];var N=Math.max(l.thm[3].s[c][m],Math.min(l.thm[2].s[c][m],S));l.thm[2].s[c][m]=T,l.thm[3].s[c][m]=N}}function F(l,c,S){var T=c,N=Math.pow(10,S);c*=2,T*=2;for(var m=0;m<t1.SBMAX_l;m++){var D,j,X,a1;if(a1=l.ATH.cb_l[l.bm_l[m]]*N,D=Math.min(Math.max(l.thm[0].l[m],a1),Math.max(l.thm[1].l[m],a1)),j=Math.max(l.thm[2].l[m],a1),X=Math.max(l.thm[3].l[m],a1),D*c<j+X){var q=D*T/(j+X);j*=q,X*=q}l.thm[2].l[m]=Math.min(j,l.thm[2].l[m]),l.thm[3].l[m]=Math.min(X,l.thm[3].l[m])}N*=t1.BLKSIZE_s/t1.BLKSIZE;for(var m=0;m<t1.SBMAX_s;m++)for(var e1=0;e1<3;e1++){var D,j,X,a1;if(a1=l.ATH.cb_s[l.bm_s[m]]*N,D=Math.min(Math.max(l.thm[0].s[m][e1],a1),Math.max(l.thm[1].s[m][e1],a1)),j=Math.max(l.thm[2].s[m][e1],a1),X=Math.max(l.thm[3].s[m][e1],a1),D*c<j+X){var q=D*c/(j+X);j*=q,X*=q}l.thm[2].s[m][e1]=Math.min(l.thm[2].s[m][e1],j),l.thm[3].s[m][e1]=Math.min(l.thm[3].s[m][e1],X)}}function R(l,c,S,T,N){var m,D,j=0,X=0;for(m=D=0;m<t1.SBMAX_s;++D,++m){for(var a1=l.bo_s[m],q=l.npart_s,e1=a1<q?a1:q;D<e1;)D1(c[D]>=0),D1(S[D]>=0),j+=c[D],X+=S[D],D++;if(l.en[T].s[m][N]=j,l.thm[T].s[m][N]=X,D>=q){++m;break}D1(c[D]>=0),D1(S[D]>=0);{var b1=l.PSY.bo_s_weight[m],y1=1-b1;j=b1*c[D],X=b1*S[D],l.en[T].s[m][N]+=j,l.thm[T].s[m][N]+=X,j=y1*c[D],X=y1*S[D]}}for(;m<t1.SBMAX_s;++m)l.en[T].s[m][N]=0,l.thm[T].s[m][N]=0}function n(l,c,S,T){var N,m,D=0,j=0;for(N=m=0;N<t1.SBMAX_l;++m,++N){for(var X=l.bo_l[N],a1=l.npart_l,q=X<a1?X:a1;m<q;)D1(c[m]>=0),D1(S[m]>=0),D+=c[m],j+=S[m],m++;if(l.en[T].l[N]=D,l.thm[T].l[N]=j,m>=a1){++N;break}D1(c[m]>=0),D1(S[m]>=0);{var e1=l.PSY.bo_l_weight[N],b1=1-e1;D=e1*c[m],j=e1*S[m],l.en[T].l[N]+=D,l.thm[T].l[N]+=j,D=b1*c[m],j=b1*S[m]}}for(;N<t1.SBMAX_l;++N)l.en[T].l[N]=0,l.thm[T].l[N]=0}function r(l,c,S,T,N,m){var D=l.internal_flags,j,X;for(X=j=0;X<D.npart_s;++X){for(var a1=0,q=D.numlines_s[X],e1=0;e1<q;++e1,++j){var b1=c[m][j];a1+=b1}S[X]=a1}for(D1(X==D.npart_s),j=X=0;X<D.npart_s;X++){var y1=D.s3ind_s[X][0],_1=D.s3_ss[j++]*S[y1];for(++y1;y1<=D.s3ind_s[X][1];)_1+=D.s3_ss[j]*S[y1],++j,++y1;{var x1=W*D.nb_s1[N][X];T[X]=Math.min(_1,x1)}if(D.blocktype_old[N&1]==t1.SHORT_TYPE){var x1=z*D.nb_s2[N][X],K=T[X];T[X]=Math.min(x1,K)}D.nb_s2[N][X]=D.nb_s1[N][X],D.nb_s1[N][X]=_1,D1(T[X]>=0)}for(;X<=t1.CBANDS;++X)S[X]=0,T[X]=0}function t(l,c,S,T){var N=l.internal_flags;l.short_blocks==X0.short_block_coupled&&!(c[0]!=0&&c[1]!=0)&&(c[0]=c[1]=0);for(var m=0;m<N.channels_out;m++)T[m]=t1.NORM_TYPE,l.short_blocks==X0.short_block_dispensed&&(c[m]=1),l.short_blocks==X0.short_block_forced&&(c[m]=0),c[m]!=0?(D1(N.blocktype_old[m]!=t1.START_TYPE),N.blocktype_old[m]==t1.SHORT_TYPE&&(T[m]=t1.STOP_TYPE)):(T[m]=t1.SHORT_TYPE,N.blocktype_old[m]==t1.NORM_TYPE&&(N.blocktype_old[m]=t1.START_TYPE),N.blocktype_old[m]==t1.STOP_TYPE&&(N.blocktype_old[m]=t1.SHORT_TYPE)),S[m]=N.blocktype_old[m],N.blocktype_old[m]=T[m]}function _(l,c,S){return S>=1?l:S<=0?c:c>0?Math.pow(l/c,S)*c:0}var u=[11.8,13.6,17.2,32,46.5,51.3,57.5,67.1,71.5,84.6,97.6,130];function H(l,c){for(var S=309.07,T=0;T<t1.SBMAX_s-1;T++)for(var N=0;N<3;N++){var m=l.thm.s[T][N];if(m>0){var D=m*c,j=l.en.s[T][N];j>D&&(j>D*1e10?S+=u[T]*(10*O):S+=u[T]*_0.FAST_LOG10(j/D))}}return S}var U=[6.8,5.8,5.8,6.4,6.5,9.9,12.1,14.4,15,18.9,21.6,26.9,34.2,40.2,46.8,56.5,60.7,73.9,85.7,93.4,126.1];function B(l,c){for(var S=281.0575,T=0;T<t1.SBMAX_l-1;T++){var N=l.thm.l[T];if(N>0){var m=N*c,D=l.en.l[T];D>m&&(D>m*1e10?S+=U[T]*(10*O):S+=U[T]*_0.FAST_LOG10(D/m))}}return S}function Y(l,c,S,T,N){var m,D;for(m=D=0;m<l.npart_l;++m){var j=0,X=0,a1;for(a1=0;a1<l.numlines_l[m];++a1,++D){var q=c[D];j+=q,X<q&&(X=q)}S[m]=j,T[m]=X,N[m]=j*l.rnumlines_l[m],D1(l.rnumlines_l[m]>=0),D1(S[m]>=0),D1(T[m]>=0),D1(N[m]>=0)}}function n1(l,c,S,T){var N=V.length-1,m=0,D=S[m]+S[m+1];if(D>0){var j=c[m];j<c[m+1]&&(j=c[m+1]),D1(l.numlines_l[m]+l.numlines_l[m+1]-1>0),D=20*(j*2-D)/(D*(l.numlines_l[m]+l.numlines_l[m+1]-1));var X=0|D;X>N&&(X=N),T[m]=X}else T[m]=0;for(m=1;m<l.npart_l-1;m++)if(D=S[m-1]+S[m]+S[m+1],D>0){var j=c[m-1];j<c[m]&&(j=c[m]),j<c[m+1]&&(j=c[m+1]),D1(l.numlines_l[m-1]+l.numlines_l[m]+l.numlines_l[m+1]-1>0),D=20*(j*3-D)/(D*(l.numlines_l[m-1]+l.numlines_l[m]+l.numlines_l[m+1]-1));var X=0|D;X>N&&(X=N),T[m]=X}else T[m]=0;if(D1(m==l.npart_l-1),D=S[m-1]+S[m],D>0){var j=c[m-1];j<c[m]&&(j=c[m]),D1(l.numlines_l[m-1]+l.numlines_l[m]-1>0),D=20*(j*2-D)/(D*(l.numlines_l[m-1]+l.numlines_l[m]-1));var X=0|D;X>N&&(X=N),T[m]=X}else T[m]=0;D1(m==l.npart_l-1)}var c1=[-865163e-23*2,-.00851586*2,-674764e-23*2,.0209036*2,-336639e-22*2,-.0438162*2,-154175e-22*2,.0931738*2,-552212e-22*2,-.313819*2];this.L3psycho_anal_ns=function(l,c,S,T,N,m,D,j,X,a1){var q=l.internal_flags,e1=b0([2,t1.BLKSIZE]),b1=b0([2,3,t1.BLKSIZE_s]),y1=$1(t1.CBANDS+1),_1=$1(t1.CBANDS+1),x1=$1(t1.CBANDS+2),K=x0(2),S1=x0(2),N1,i1,A1,o1,P1,F1,m1,L1,O1=b0([2,576]),Z1,l0=x0(t1.CBANDS+2),J1=x0(t1.CBANDS+2);for(Ze.fill(J1,0),N1=q.channels_out,l.mode==k.JOINT_STEREO&&(N1=4),l.VBR==D0.vbr_off?Z1=q.ResvMax==0?0:q.ResvSize/q.ResvMax*.5:l.VBR==D0.vbr_rh||l.VBR==D0.vbr_mtrh||l.VBR==D0.vbr_mt?Z1=.6:Z1=1,i1=0;i1<q.channels_out;i1++){var G1=c[i1],r0=S+576-350-G+192;for(o1=0;o1<576;o1++){var f0,c0;for(f0=G1[r0+o1+10],c0=0,P1=0;P1<(G-1)/2-1;P1+=2)f0+=c1[P1]*(G1[r0+o1+P1]+G1[r0+o1+G-P1]),c0+=c1[P1+1]*(G1[r0+o1+P1+1]+G1[r0+o1+G-P1-1]);O1[i1][o1]=f0+c0}N[T][i1].en.assign(q.en[i1]),N[T][i1].thm.assign(q.thm[i1]),N1>2&&(m[T][i1].en.assign(q.en[i1+2]),m[T][i1].thm.assign(q.thm[i1+2]))}for(i1=0;i1<N1;i1++){var m0,v0,t0=$1(12),S0=[0,0,0,0],L0=$1(12),oa=1,Xa,Na=$1(t1.CBANDS),Oa=$1(t1.CBANDS),Q1=[0,0,0,0],Ha=$1(t1.HBLKSIZE),Ya=b0([3,t1.HBLKSIZE_s]);for(D1(q.npart_s<=t1.CBANDS),D1(q.npart_l<=t1.CBANDS),o1=0;o1<3;o1++)t0[o1]=q.nsPsy.last_en_subshort[i1][o1+6],D1(q.nsPsy.last_en_subshort[i1][o1+4]>0),L0[o1]=t0[o1]/q.nsPsy.last_en_subshort[i1][o1+4],S0[0]+=t0[o1];if(i1==2)for(o1=0;o1<576;o1++){var la,fa;la=O1[0][o1],fa=O1[1][o1],O1[0][o1]=la+fa,O1[1][o1]=la-fa}{var Ca=O1[i1&1],j0=0;for(o1=0;o1<9;o1++){for(var Ne=j0+64,e0=1;j0<Ne;j0++)e0<Math.abs(Ca[j0])&&(e0=Math.abs(Ca[j0]));q.nsPsy.last_en_subshort[i1][o1]=t0[o1+3]=e0,S0[1+o1/3]+=e0,e0>t0[o1+3-2]?(D1(t0[o1+3-2]>0),e0=e0/t0[o1+3-2]):t0[o1+3-2]>e0*10?e0=t0[o1+3-2]/(e0*10):e0=0,L0[o1+3]=e0}}if(l.analysis){var ca=L0[0];for(o1=1;o1<12;o1++)ca<L0[o1]&&(ca=L0[o1]);q.pinfo.ers[T][i1]=q.pinfo.ers_save[i1],q.pinfo.ers_save[i1]=ca}for(Xa=i1==3?q.nsPsy.attackthre_s:q.nsPsy.attackthre,o1=0;o1<12;o1++)Q1[o1/3]==0&&L0[o1]>Xa&&(Q1[o1/3]=o1%3+1);for(o1=1;o1<4;o1++){var ha;S0[o1-1]>S0[o1]?(D1(S0[o1]>0),ha=S0[o1-1]/S0[o1]):(D1(S0[o1-1]>0),ha=S0[o1]/S0[o1-1]),ha<1.7&&(Q1[o1]=0,o1==1&&(Q1[0]=0))}for(Q1[0]!=0&&q.nsPsy.lastAttacks[i1]!=0&&(Q1[0]=0),(q.nsPsy.lastAttacks[i1]==3||Q1[0]+Q1[1]+Q1[2]+Q1[3]!=0)&&(oa=0,Q1[1]!=0&&Q1[0]!=0&&(Q1[1]=0),Q1[2]!=0&&Q1[1]!=0&&(Q1[2]=0),Q1[3]!=0&&Q1[2]!=0&&(Q1[3]=0)),i1<2?S1[i1]=oa:oa==0&&(S1[0]=S1[1]=0),X[i1]=q.tot_ener[i1],v0=b1,m0=e1,f(l,Ha,Ya,m0,i1&1,v0,i1&1,T,i1,c,S),Y(q,Ha,y1,Na,Oa),n1(q,Na,Oa,l0),L1=0;L1<3;L1++){var ua,n0;for(r(l,Ya,_1,x1,i1,L1),R(q,_1,x1,i1,L1),m1=0;m1<t1.SBMAX_s;m1++){if(n0=q.thm[i1].s[m1][L1],n0*=d,Q1[L1]>=2||Q1[L1+1]==1){var q0=L1!=0?L1-1:2,e0=_(q.thm[i1].s[m1][q0],n0,b*Z1);n0=Math.min(n0,e0)}if(Q1[L1]==1){var q0=L1!=0?L1-1:2,e0=_(q.thm[i1].s[m1][q0],n0,L*Z1);n0=Math.min(n0,e0)}else if(L1!=0&&Q1[L1-1]==3||L1==0&&q.nsPsy.lastAttacks[i1]==3){var q0=L1!=2?L1+1:0,e0=_(q.thm[i1].s[m1][q0],n0,L*Z1);n0=Math.min(n0,e0)}ua=t0[L1*3+3]+t0[L1*3+4]+t0[L1*3+5],t0[L1*3+5]*6<ua&&(n0*=.5,t0[L1*3+4]*6<ua&&(n0*=.5)),q.thm[i1].s[m1][L1]=n0}}for(q.nsPsy.lastAttacks[i1]=Q1[2],F1=0,A1=0;A1<q.npart_l;A1++){for(var k0=q.s3ind[A1][0],ba=y1[k0]*V[l0[k0]],E0=q.s3_ll[F1++]*ba;++k0<=q.s3ind[A1][1];)ba=y1[k0]*V[l0[k0]],E0=e(E0,q.s3_ll[F1++]*ba,k0,k0-A1,q,0);E0*=.158489319246111,q.blocktype_old[i1&1]==t1.SHORT_TYPE?x1[A1]=E0:x1[A1]=_(Math.min(E0,Math.min(J*q.nb_1[i1][A1],h1*q.nb_2[i1][A1])),E0,Z1),q.nb_2[i1][A1]=q.nb_1[i1][A1],q.nb_1[i1][A1]=E0}for(;A1<=t1.CBANDS;++A1)y1[A1]=0,x1[A1]=0;n(q,y1,x1,i1)}if((l.mode==k.STEREO||l.mode==k.JOINT_STEREO)&&l.interChRatio>0&&I(l,l.interChRatio),l.mode==k.JOINT_STEREO){var pa;y(q),pa=l.msfix,Math.abs(pa)>0&&F(q,pa,l.ATHlower*q.ATH.adjust)}for(t(l,S1,a1,K),i1=0;i1<N1;i1++){var F0,Z0=0,J0,U0;i1>1?(F0=j,Z0=-2,J0=t1.NORM_TYPE,(a1[0]==t1.SHORT_TYPE||a1[1]==t1.SHORT_TYPE)&&(J0=t1.SHORT_TYPE),U0=m[T][i1-2]):(F0=D,Z0=0,J0=a1[i1],U0=N[T][i1]),J0==t1.SHORT_TYPE?F0[Z0+i1]=H(U0,q.masking_lower):F0[Z0+i1]=B(U0,q.masking_lower),l.analysis&&(q.pinfo.pe[T][i1]=F0[Z0+i1])}return 0};function g1(l,c,S,T,N,m,D,j){var X=l.internal_flags;if(T<2)Z.fft_long(X,D[j],T,c,S);else if(T==2)for(var a1=t1.BLKSIZE-1;a1>=0;--a1){var q=D[j+0][a1],e1=D[j+1][a1];D[j+0][a1]=(q+e1)*_0.SQRT2*.5,D[j+1][a1]=(q-e1)*_0.SQRT2*.5}m[0]=D[j+0][0],m[0]*=m[0];for(var a1=t1.BLKSIZE/2-1;a1>=0;--a1){var b1=D[j+0][t1.BLKSIZE/2-a1],y1=D[j+0][t1.BLKSIZE/2+a1];m[t1.BLKSIZE/2-a1]=(b1*b1+y1*y1)*.5}{for(var _1=0,a1=11;a1<t1.HBLKSIZE;a1++)_1+=m[a1];X.tot_ener[T]=_1}if(l.analysis){for(var a1=0;a1<t1.HBLKSIZE;a1++)X.pinfo.energy[N][T][a1]=X.pinfo.energy_save[T][a1],X.pinfo.energy_save[T][a1]=m[a1];X.pinfo.pe[N][T]=X.pe[T]}}function w1(l,c,S,T,N,m,D,j){var X=l.internal_flags;if(N==0&&T<2&&Z.fft_short(X,D[j],T,c,S),T==2)for(var a1=t1.BLKSIZE_s-1;a1>=0;--a1){var q=D[j+0][N][a1],e1=D[j+1][N][a1];D[j+0][N][a1]=(q+e1)*_0.SQRT2*.5,D[j+1][N][a1]=(q-e1)*_0.SQRT2*.5}m[N][0]=D[j+0][N][0],m[N][0]*=m[N][0];for(var a1=t1.BLKSIZE_s/2-1;a1>=0;--a1){var b1=D[j+0][N][t1.BLKSIZE_s/2-a1],y1=D[j+0][N][t1.BLKSIZE_s/2+a1];m[N][t1.BLKSIZE_s/2-a1]=(b1*b1+y1*y1)*.5}}function M1(l,c,S,T){var N=l.internal_flags;l.athaa_loudapprox==2&&S<2&&(N.loudness_sq[c][S]=N.loudness_sq_save[S],N.loudness_sq_save[S]=M(T,N))}var d1=[-865163e-23*2,-.00851586*2,-674764e-23*2,.0209036*2,-336639e-22*2,-.0438162*2,-154175e-22*2,.0931738*2,-552212e-22*2,-.313819*2];function k1(l,c,S,T,N,m,D,j,X,a1){for(var q=b0([2,576]),e1=l.internal_flags,b1=e1.channels_out,y1=l.mode==k.JOINT_STEREO?4:b1,_1=0;_1<b1;_1++){firbuf=c[_1];for(var x1=S+576-350-G+192,K=0;K<576;K++){var S1,N1;S1=firbuf[x1+K+10],N1=0;for(var i1=0;i1<(G-1)/2-1;i1+=2)S1+=d1[i1]*(firbuf[x1+K+i1]+firbuf[x1+K+G-i1]),N1+=d1[i1+1]*(firbuf[x1+K+i1+1]+firbuf[x1+K+G-i1-1]);q[_1][K]=S1+N1}N[T][_1].en.assign(e1.en[_1]),N[T][_1].thm.assign(e1.thm[_1]),y1>2&&(m[T][_1].en.assign(e1.en[_1+2]),m[T][_1].thm.assign(e1.thm[_1+2]))}for(var _1=0;_1<y1;_1++){var A1=$1(12),o1=$1(12),P1=[0,0,0,0],F1=q[_1&1],m1=0,L1=_1==3?e1.nsPsy.attackthre_s:e1.nsPsy.attackthre,O1=1;if(_1==2)for(var K=0,i1=576;i1>0;++K,--i1){var Z1=q[0][K],l0=q[1][K];q[0][K]=Z1+l0,q[1][K]=Z1-l0}for(var K=0;K<3;K++)o1[K]=e1.nsPsy.last_en_subshort[_1][K+6],D1(e1.nsPsy.last_en_subshort[_1][K+4]>0),A1[K]=o1[K]/e1.nsPsy.last_en_subshort[_1][K+4],P1[0]+=o1[K];for(var K=0;K<9;K++){for(var J1=m1+64,G1=1;m1<J1;m1++)G1<Math.abs(F1[m1])&&(G1=Math.abs(F1[m1]));e1.nsPsy.last_en_subshort[_1][K]=o1[K+3]=G1,P1[1+K/3]+=G1,G1>o1[K+3-2]?(D1(o1[K+3-2]>0),G1=G1/o1[K+3-2]):o1[K+3-2]>G1*10?G1=o1[K+3-2]/(G1*10):G1=0,A1[K+3]=G1}for(var K=0;K<3;++K){var r0=o1[K*3+3]+o1[K*3+4]+o1[K*3+5],f0=1;o1[K*3+5]*6<r0&&(f0*=.5,o1[K*3+4]*6<r0&&(f0*=.5)),j[_1][K]=f0}if(l.analysis){for(var c0=A1[0],K=1;K<12;K++)c0<A1[K]&&(c0=A1[K]);e1.pinfo.ers[T][_1]=e1.pinfo.ers_save[_1],e1.pinfo.ers_save[_1]=c0}for(var K=0;K<12;K++)X[_1][K/3]==0&&A1[K]>L1&&(X[_1][K/3]=K%3+1);for(var K=1;K<4;K++){var m0=P1[K-1],v0=P1[K],t0=Math.max(m0,v0);t0<4e4&&m0<1.7*v0&&v0<1.7*m0&&(K==1&&X[_1][0]<=X[_1][K]&&(X[_1][0]=0),X[_1][K]=0)}X[_1][0]<=e1.nsPsy.lastAttacks[_1]&&(X[_1][0]=0),(e1.nsPsy.lastAttacks[_1]==3||X[_1][0]+X[_1][1]+X[_1][2]+X[_1][3]!=0)&&(O1=0,X[_1][1]!=0&&X[_1][0]!=0&&(X[_1][1]=0),X[_1][2]!=0&&X[_1][1]!=0&&(X[_1][2]=0),X[_1][3]!=0&&X[_1][2]!=0&&(X[_1][3]=0)),_1<2?a1[_1]=O1:O1==0&&(a1[0]=a1[1]=0),D[_1]=e1.tot_ener[_1]}}function q1(l,c,S){if(S==0)for(var T=0;T<l.npart_s;T++)l.nb_s2[c][T]=l.nb_s1[c][T],l.nb_s1[c][T]=0}function u0(l,c){for(var S=0;S<l.npart_l;S++)l.nb_2[c][S]=l.nb_1[c][S],l.nb_1[c][S]=0}function s(l,c,S,T){var N=V.length-1,m=0,D=S[m]+S[m+1];if(D>0){var j=c[m];j<c[m+1]&&(j=c[m+1]),D1(l.numlines_s[m]+l.numlines_s[m+1]-1>0),D=20*(j*2-D)/(D*(l.numlines_s[m]+l.numlines_s[m+1]-1));var X=0|D;X>N&&(X=N),T[m]=X}else T[m]=0;for(m=1;m<l.npart_s-1;m++)if(D=S[m-1]+S[m]+S[m+1],D1(m+1<l.npart_s),D>0){var j=c[m-1];j<c[m]&&(j=c[m]),j<c[m+1]&&(j=c[m+1]),D1(l.numlines_s[m-1]+l.numlines_s[m]+l.numlines_s[m+1]-1>0),D=20*(j*3-D)/(D*(l.numlines_s[m-1]+l.numlines_s[m]+l.numlines_s[m+1]-1));var X=0|D;X>N&&(X=N),T[m]=X}else T[m]=0;if(D1(m==l.npart_s-1),D=S[m-1]+S[m],D>0){var j=c[m-1];j<c[m]&&(j=c[m]),D1(l.numlines_s[m-1]+l.numlines_s[m]-1>0),D=20*(j*2-D)/(D*(l.numlines_s[m-1]+l.numlines_s[m]-1));var X=0|D;X>N&&(X=N),T[m]=X}else T[m]=0;D1(m==l.npart_s-1)}function i(l,c,S,T,N,m){var D=l.internal_flags,j=new float[t1.CBANDS],X=$1(t1.CBANDS),a1,q,e1,b1=new int[t1.CBANDS];for(e1=q=0;e1<D.npart_s;++e1){var y1=0,_1=0,x1=D.numlines_s[e1];for(a1=0;a1<x1;++a1,++q){var K=c[m][q];y1+=K,_1<K&&(_1=K)}S[e1]=y1,j[e1]=_1,X[e1]=y1/x1,D1(X[e1]>=0)}for(D1(e1==D.npart_s);e1<t1.CBANDS;++e1)j[e1]=0,X[e1]=0;for(s(D,j,X,b1),q=e1=0;e1<D.npart_s;e1++){var S1=D.s3ind_s[e1][0],N1=D.s3ind_s[e1][1],i1,A1,o1,P1,F1;for(i1=b1[S1],A1=1,P1=D.s3_ss[q]*S[S1]*V[b1[S1]],++q,++S1;S1<=N1;)i1+=b1[S1],A1+=1,o1=D.s3_ss[q]*S[S1]*V[b1[S1]],P1=x(P1,o1,S1-e1),++q,++S1;i1=(1+2*i1)/(2*A1),F1=V[i1]*.5,P1*=F1,T[e1]=P1,D.nb_s2[N][e1]=D.nb_s1[N][e1],D.nb_s1[N][e1]=P1,o1=j[e1],o1*=D.minval_s[e1],o1*=F1,T[e1]>o1&&(T[e1]=o1),D.masking_lower>1&&(T[e1]*=D.masking_lower),T[e1]>S[e1]&&(T[e1]=S[e1]),D.masking_lower<1&&(T[e1]*=D.masking_lower),D1(T[e1]>=0)}for(;e1<t1.CBANDS;++e1)S[e1]=0,T[e1]=0}function v1(l,c,S,T,N){var m=$1(t1.CBANDS),D=$1(t1.CBANDS),j=x0(t1.CBANDS+2),X;Y(l,c,S,m,D),n1(l,m,D,j);var a1=0;for(X=0;X<l.npart_l;X++){var q,e1,b1,y1,_1=l.s3ind[X][0],x1=l.s3ind[X][1],K=0,S1=0;for(K=j[_1],S1+=1,e1=l.s3_ll[a1]*S[_1]*V[j[_1]],++a1,++_1;_1<=x1;)K+=j[_1],S1+=1,q=l.s3_ll[a1]*S[_1]*V[j[_1]],y1=x(e1,q,_1-X),e1=y1,++a1,++_1;if(K=(1+2*K)/(2*S1),b1=V[K]*.5,e1*=b1,l.blocktype_old[N&1]==t1.SHORT_TYPE){var N1=J*l.nb_1[N][X];N1>0?T[X]=Math.min(e1,N1):T[X]=Math.min(e1,S[X]*L)}else{var i1=h1*l.nb_2[N][X],A1=J*l.nb_1[N][X],N1;i1<=0&&(i1=e1),A1<=0&&(A1=e1),l.blocktype_old[N&1]==t1.NORM_TYPE?N1=Math.min(A1,i1):N1=A1,T[X]=Math.min(e1,N1)}l.nb_2[N][X]=l.nb_1[N][X],l.nb_1[N][X]=e1,q=m[X],q*=l.minval_l[X],q*=b1,T[X]>q&&(T[X]=q),l.masking_lower>1&&(T[X]*=l.masking_lower),T[X]>S[X]&&(T[X]=S[X]),l.masking_lower<1&&(T[X]*=l.masking_lower),D1(T[X]>=0)}for(;X<t1.CBANDS;++X)S[X]=0,T[X]=0}function R1(l,c){var S=l.internal_flags;l.short_blocks==X0.short_block_coupled&&!(c[0]!=0&&c[1]!=0)&&(c[0]=c[1]=0);for(var T=0;T<S.channels_out;T++)l.short_blocks==X0.short_block_dispensed&&(c[T]=1),l.short_blocks==X0.short_block_forced&&(c[T]=0)}function I1(l,c,S){for(var T=l.internal_flags,N=0;N<T.channels_out;N++){var m=t1.NORM_TYPE;c[N]!=0?(D1(T.blocktype_old[N]!=t1.START_TYPE),T.blocktype_old[N]==t1.SHORT_TYPE&&(m=t1.STOP_TYPE)):(m=t1.SHORT_TYPE,T.blocktype_old[N]==t1.NORM_TYPE&&(T.blocktype_old[N]=t1.START_TYPE),T.blocktype_old[N]==t1.STOP_TYPE&&(T.blocktype_old[N]=t1.SHORT_TYPE)),S[N]=T.blocktype_old[N],T.blocktype_old[N]=m}}function V1(l,c,S,T,N,m,D){for(var j=m*2,X=m>0?Math.pow(10,N):1,a1,q,e1=0;e1<D;++e1){var b1=l[2][e1],y1=l[3][e1],_1=c[0][e1],x1=c[1][e1],K=c[2][e1],S1=c[3][e1];if(_1<=1.58*x1&&x1<=1.58*_1){var N1=S[e1]*y1,i1=S[e1]*b1;q=Math.max(K,Math.min(S1,N1)),a1=Math.max(S1,Math.min(K,i1))}else q=K,a1=S1;if(m>0){var A1,o1,P1=T[e1]*X;if(A1=Math.min(Math.max(_1,P1),Math.max(x1,P1)),K=Math.max(q,P1),S1=Math.max(a1,P1),o1=K+S1,o1>0&&A1*j<o1){var F1=A1*j/o1;K*=F1,S1*=F1}q=Math.min(K,q),a1=Math.min(S1,a1)}q>b1&&(q=b1),a1>y1&&(a1=y1),c[2][e1]=q,c[3][e1]=a1}}this.L3psycho_anal_vbr=function(l,c,S,T,N,m,D,j,X,a1){var q=l.internal_flags,e1,b1,y1=$1(t1.HBLKSIZE),_1=b0([3,t1.HBLKSIZE_s]),x1=b0([2,t1.BLKSIZE]),K=b0([2,3,t1.BLKSIZE_s]),S1=b0([4,t1.CBANDS]),N1=b0([4,t1.CBANDS]),i1=b0([4,3]),A1=.6,o1=[[0,0,0,0],[0,0,0,0],[0,0,0,0],[0,0,0,0]],P1=x0(2),F1=l.mode==k.JOINT_STEREO?4:q.channels_out;k1(l,c,S,T,N,m,X,i1,o1,P1),R1(l,P1);{for(var m1=0;m1<F1;m1++){var L1=m1&1;e1=x1,g1(l,c,S,m1,T,y1,e1,L1),M1(l,T,m1,y1),P1[L1]!=0?v1(q,y1,S1[m1],N1[m1],m1):u0(q,m1)}P1[0]+P1[1]==2&&l.mode==k.JOINT_STEREO&&V1(S1,N1,q.mld_cb_l,q.ATH.cb_l,l.ATHlower*q.ATH.adjust,l.msfix,q.npart_l);for(var m1=0;m1<F1;m1++){var L1=m1&1;P1[L1]!=0&&n(q,S1[m1],N1[m1],m1)}}{for(var O1=0;O1<3;O1++){for(var m1=0;m1<F1;++m1){var L1=m1&1;P1[L1]!=0?q1(q,m1,O1):(b1=K,w1(l,c,S,m1,O1,_1,b1,L1),i(l,_1,S1[m1],N1[m1],m1,O1))}P1[0]+P1[1]==0&&l.mode==k.JOINT_STEREO&&V1(S1,N1,q.mld_cb_s,q.ATH.cb_s,l.ATHlower*q.ATH.adjust,l.msfix,q.npart_s);for(var m1=0;m1<F1;++m1){var L1=m1&1;P1[L1]==0&&R(q,S1[m1],N1[m1],m1,O1)}}for(var m1=0;m1<F1;m1++){var L1=m1&1;if(P1[L1]==0)for(var Z1=0;Z1<t1.SBMAX_s;Z1++){for(var l0=$1(3),O1=0;O1<3;O1++){var J1=q.thm[m1].s[Z1][O1];if(J1*=d,o1[m1][O1]>=2||o1[m1][O1+1]==1){var G1=O1!=0?O1-1:2,r0=_(q.thm[m1].s[Z1][G1],J1,b*A1);J1=Math.min(J1,r0)}else if(o1[m1][O1]==1){var G1=O1!=0?O1-1:2,r0=_(q.thm[m1].s[Z1][G1],J1,L*A1);J1=Math.min(J1,r0)}else if(O1!=0&&o1[m1][O1-1]==3||O1==0&&q.nsPsy.lastAttacks[m1]==3){var G1=O1!=2?O1+1:0,r0=_(q.thm[m1].s[Z1][G1],J1,L*A1);J1=Math.min(J1,r0)}J1*=i1[m1][O1],l0[O1]=J1}for(var O1=0;O1<3;O1++)q.thm[m1].s[Z1][O1]=l0[O1]}}}for(var m1=0;m1<F1;m1++)q.nsPsy.lastAttacks[m1]=o1[m1][2];I1(l,P1,a1);for(var m1=0;m1<F1;m1++){var f0,c0,m0,v0;m1>1?(f0=j,c0=-2,m0=t1.NORM_TYPE,(a1[0]==t1.SHORT_TYPE||a1[1]==t1.SHORT_TYPE)&&(m0=t1.SHORT_TYPE),v0=m[T][m1-2]):(f0=D,c0=0,m0=a1[m1],v0=N[T][m1]),m0==t1.SHORT_TYPE?f0[c0+m1]=H(v0,q.masking_lower):f0[c0+m1]=B(v0,q.masking_lower),l.analysis&&(q.pinfo.pe[T][m1]=f0[c0+m1])}return 0};function T1(l,c){var S=l,T;return S>=0?T=-S*27:T=S*c,T<=-72?0:Math.exp(T*s1)}function B1(l){var c=0,S=0;{var T=0,N,m;for(T=0;T1(T,l)>1e-20;T-=1);for(N=T,m=0;Math.abs(m-N)>1e-12;)T=(m+N)/2,T1(T,l)>0?m=T:N=T;c=N}{var T=0,N,m;for(T=0;T1(T,l)>1e-20;T+=1);for(N=0,m=T;Math.abs(m-N)>1e-12;)T=(m+N)/2,T1(T,l)>0?N=T:m=T;S=m}{var D=0,j=1e3,X;for(X=0;X<=j;++X){var T=c+X*(S-c)/j,a1=T1(T,l);D+=a1}{var q=(j+1)/(D*(S-c));return q}}}function X1(l){var c,S,T,N;return c=l,c>=0?c*=3:c*=1.5,c>=.5&&c<=2.5?(N=c-.5,S=8*(N*N-2*N)):S=0,c+=.474,T=15.811389+7.5*c-17.5*Math.sqrt(1+c*c),T<=-60?0:(c=Math.exp((S+T)*s1),c/=.6609193,c)}function E1(l){return l<0&&(l=0),l=l*.001,13*Math.atan(.76*l)+3.5*Math.atan(l*l/(7.5*7.5))}function p1(l,c,S,T,N,m,D,j,X,a1,q,e1){var b1=$1(t1.CBANDS+1),y1=j/(e1>15?2*576:2*192),_1=x0(t1.HBLKSIZE),x1;j/=X;var K=0,S1=0;for(x1=0;x1<t1.CBANDS;x1++){var N1,i1;for(N1=E1(j*K),b1[x1]=j*K,i1=K;E1(j*i1)-N1<C&&i1<=X/2;i1++);for(l[x1]=i1-K,S1=x1+1;K<i1;)D1(K<t1.HBLKSIZE),_1[K++]=x1;if(K>X/2){K=X/2,++x1;break}}D1(x1<t1.CBANDS),b1[x1]=j*K;for(var A1=0;A1<e1;A1++){var o1,P1,F1,m1,L1;F1=a1[A1],m1=a1[A1+1],o1=0|Math.floor(.5+q*(F1-.5)),o1<0&&(o1=0),P1=0|Math.floor(.5+q*(m1-.5)),P1>X/2&&(P1=X/2),S[A1]=(_1[o1]+_1[P1])/2,c[A1]=_1[P1];var O1=y1*m1;D[A1]=(O1-b1[c[A1]])/(b1[c[A1]+1]-b1[c[A1]]),D[A1]<0?D[A1]=0:D[A1]>1&&(D[A1]=1),L1=E1(j*a1[A1]*q),L1=Math.min(L1,15.5)/15.5,m[A1]=Math.pow(10,1.25*(1-Math.cos(Math.PI*L1))-2.5)}K=0;for(var Z1=0;Z1<S1;Z1++){var l0=l[Z1],N1,J1;N1=E1(j*K),J1=E1(j*(K+l0-1)),T[Z1]=.5*(N1+J1),N1=E1(j*(K-.5)),J1=E1(j*(K+l0-.5)),N[Z1]=J1-N1,K+=l0}return S1}function j1(l,c,S,T,N,m){var D=b0([t1.CBANDS,t1.CBANDS]),j,X=0;if(m)for(var a1=0;a1<c;a1++)for(j=0;j<c;j++){var q=X1(S[a1]-S[j])*T[j];D[a1][j]=q*N[a1]}else for(j=0;j<c;j++)for(var e1=15+Math.min(21/S[j],12),b1=B1(e1),a1=0;a1<c;a1++){var q=b1*T1(S[a1]-S[j],e1)*T[j];D[a1][j]=q*N[a1]}for(var a1=0;a1<c;a1++){for(j=0;j<c&&!(D[a1][j]>0);j++);for(l[a1][0]=j,j=c-1;j>0&&!(D[a1][j]>0);j--);l[a1][1]=j,X+=l[a1][1]-l[a1][0]+1}for(var y1=$1(X),_1=0,a1=0;a1<c;a1++)for(j=l[a1][0];j<=l[a1][1];j++)y1[_1++]=D[a1][j];return y1}function a0(l){var c=E1(l);return c=Math.min(c,15.5)/15.5,Math.pow(10,1.25*(1-Math.cos(Math.PI*c))-2.5)}this.psymodel_init=function(l){var c=l.internal_flags,S,T=!0,N=13,m=24,D=0,j=0,X=-8.25,a1=-4.5,q=$1(t1.CBANDS),e1=$1(t1.CBANDS),b1=$1(t1.CBANDS),y1=l.out_samplerate;switch(l.experimentalZ){default:case 0:T=!0;break;case 1:T=!(l.VBR==D0.vbr_mtrh||l.VBR==D0.vbr_mt);break;case 2:T=!1;break;case 3:N=8,D=-1.75,j=-.0125,X=-8.25,a1=-2.25;break}for(c.ms_ener_ratio_old=.25,c.blocktype_old[0]=c.blocktype_old[1]=t1.NORM_TYPE,S=0;S<4;++S){for(var K=0;K<t1.CBANDS;++K)c.nb_1[S][K]=1e20,c.nb_2[S][K]=1e20,c.nb_s1[S][K]=c.nb_s2[S][K]=1;for(var _1=0;_1<t1.SBMAX_l;_1++)c.en[S].l[_1]=1e20,c.thm[S].l[_1]=1e20;for(var K=0;K<3;++K){for(var _1=0;_1<t1.SBMAX_s;_1++)c.en[S].s[_1][K]=1e20,c.thm[S].s[_1][K]=1e20;c.nsPsy.lastAttacks[S]=0}for(var K=0;K<9;K++)c.nsPsy.last_en_subshort[S][K]=10}for(c.loudness_sq_save[0]=c.loudness_sq_save[1]=0,c.npart_l=p1(c.numlines_l,c.bo_l,c.bm_l,q,e1,c.mld_l,c.PSY.bo_l_weight,y1,t1.BLKSIZE,c.scalefac_band.l,t1.BLKSIZE/(2*576),t1.SBMAX_l),D1(c.npart_l<t1.CBANDS),S=0;S<c.npart_l;S++){var x1=D;q[S]>=N&&(x1=j*(q[S]-N)/(m-N)+D*(m-q[S])/(m-N)),b1[S]=Math.pow(10,x1/10),c.numlines_l[S]>0?c.rnumlines_l[S]=1/c.numlines_l[S]:c.rnumlines_l[S]=0}c.s3_ll=j1(c.s3ind,c.npart_l,q,e1,b1,T);var K=0;for(S=0;S<c.npart_l;S++){var S1;S1=ne.MAX_VALUE;for(var N1=0;N1<c.numlines_l[S];N1++,K++){var i1=y1*K/(1e3*t1.BLKSIZE),A1;A1=this.ATHformula(i1*1e3,l)-20,A1=Math.pow(10,.1*A1),A1*=c.numlines_l[S],S1>A1&&(S1=A1)}c.ATH.cb_l[S]=S1,S1=-20+q[S]*20/10,S1>6&&(S1=100),S1<-15&&(S1=-15),S1-=8,c.minval_l[S]=Math.pow(10,S1/10)*c.numlines_l[S]}for(c.npart_s=p1(c.numlines_s,c.bo_s,c.bm_s,q,e1,c.mld_s,c.PSY.bo_s_weight,y1,t1.BLKSIZE_s,c.scalefac_band.s,t1.BLKSIZE_s/(2*192),t1.SBMAX_s),D1(c.npart_s<t1.CBANDS),K=0,S=0;S<c.npart_s;S++){var S1,x1=X;q[S]>=N&&(x1=a1*(q[S]-N)/(m-N)+X*(m-q[S])/(m-N)),b1[S]=Math.pow(10,x1/10),S1=ne.MAX_VALUE;for(var N1=0;N1<c.numlines_s[S];N1++,K++){var i1=y1*K/(1e3*t1.BLKSIZE_s),A1;A1=this.ATHformula(i1*1e3,l)-20,A1=Math.pow(10,.1*A1),A1*=c.numlines_s[S],S1>A1&&(S1=A1)}c.ATH.cb_s[S]=S1,S1=-7+q[S]*7/12,q[S]>12&&(S1*=1+Math.log(1+S1)*3.1),q[S]<12&&(S1*=1+Math.log(1-S1)*2.3),S1<-15&&(S1=-15),S1-=8,c.minval_s[S]=Math.pow(10,S1/10)*c.numlines_s[S]}c.s3_ss=j1(c.s3ind_s,c.npart_s,q,e1,b1,T),A(),Z.init_fft(c),c.decay=Math.exp(-1*O/(u1*y1/192));{var o1;o1=r1,l.exp_nspsytune&2&&(o1=1),Math.abs(l.msfix)>0&&(o1=l.msfix),l.msfix=o1;for(var P1=0;P1<c.npart_l;P1++)c.s3ind[P1][1]>c.npart_l-1&&(c.s3ind[P1][1]=c.npart_l-1)}var F1=576*c.mode_gr/y1;if(c.ATH.decay=Math.pow(10,-12/10*F1),c.ATH.adjust=.01,c.ATH.adjustLimit=1,D1(c.bo_l[t1.SBMAX_l-1]<=c.npart_l),D1(c.bo_s[t1.SBMAX_s-1]<=c.npart_s),l.ATHtype!=-1){var i1,m1=l.out_samplerate/t1.BLKSIZE,L1=0;for(i1=0,S=0;S<t1.BLKSIZE/2;++S)i1+=m1,c.ATH.eql_w[S]=1/Math.pow(10,this.ATHformula(i1,l)/10),L1+=c.ATH.eql_w[S];for(L1=1/L1,S=t1.BLKSIZE/2;--S>=0;)c.ATH.eql_w[S]*=L1}{for(var P1=K=0;P1<c.npart_s;++P1)for(S=0;S<c.numlines_s[P1];++S)++K;for(var P1=K=0;P1<c.npart_l;++P1)for(S=0;S<c.numlines_l[P1];++S)++K}for(K=0,S=0;S<c.npart_l;S++){var i1=y1*(K+c.numlines_l[S]/2)/(1*t1.BLKSIZE);c.mld_cb_l[S]=a0(i1),K+=c.numlines_l[S]}for(;S<t1.CBANDS;++S)c.mld_cb_l[S]=1;for(K=0,S=0;S<c.npart_s;S++){var i1=y1*(K+c.numlines_s[S]/2)/(1*t1.BLKSIZE_s);c.mld_cb_s[S]=a0(i1),K+=c.numlines_s[S]}for(;S<t1.CBANDS;++S)c.mld_cb_s[S]=1;return 0};function H1(l,c){l<-.3&&(l=3410),l/=1e3,l=Math.max(.1,l);var S=3.64*Math.pow(l,-.8)-6.8*Math.exp(-.6*Math.pow(l-3.4,2))+6*Math.exp(-.15*Math.pow(l-8.7,2))+(.6+.04*c)*.001*Math.pow(l,4);return S}this.ATHformula=function(l,c){var S;switch(c.ATHtype){case 0:S=H1(l,9);break;case 1:S=H1(l,-1);break;case 2:S=H1(l,0);break;case 3:S=H1(l,1)+6;break;case 4:S=H1(l,c.ATHcurve);break;default:S=H1(l,0);break}return S}}var ze=Qe,We=Q0;function Ke(){this.class_id=0,this.num_samples=0,this.num_channels=0,this.in_samplerate=0,this.out_samplerate=0,this.scale=0,this.scale_left=0,this.scale_right=0,this.analysis=!1,this.bWriteVbrTag=!1,this.decode_only=!1,this.quality=0,this.mode=We.STEREO,this.force_ms=!1,this.free_format=!1,this.findReplayGain=!1,this.decode_on_the_fly=!1,this.write_id3tag_automatic=!1,this.brate=0,this.compression_ratio=0,this.copyright=0,this.original=0,this.extension=0,this.emphasis=0,this.error_protection=0,this.strict_ISO=!1,this.disable_reservoir=!1,this.quant_comp=0,this.quant_comp_short=0,this.experimentalY=!1,this.experimentalZ=0,this.exp_nspsytune=0,this.preset=0,this.VBR=null,this.VBR_q_frac=0,this.VBR_q=0,this.VBR_mean_bitrate_kbps=0,this.VBR_min_bitrate_kbps=0,this.VBR_max_bitrate_kbps=0,this.VBR_hard_min=0,this.lowpassfreq=0,this.highpassfreq=0,this.lowpasswidth=0,this.highpasswidth=0,this.maskingadjust=0,this.maskingadjust_short=0,this.ATHonly=!1,this.ATHshort=!1,this.noATH=!1,this.ATHtype=0,this.ATHcurve=0,this.ATHlower=0,this.athaa_type=0,this.athaa_loudapprox=0,this.athaa_sensitivity=0,this.short_blocks=null,this.useTemporal=!1,this.interChRatio=0,this.msfix=0,this.tune=!1,this.tune_value_a=0,this.version=0,this.encoder_delay=0,this.encoder_padding=0,this.framesize=0,this.frameNum=0,this.lame_allocated_gfp=0,this.internal_flags=null}var Je=Ke,Ue=s0(),_e={};_e.SFBMAX=Ue.SBMAX_s*3;var aa=_e,ie=z1,$e=ie.new_float,y0=ie.new_int,Sa=aa;function a2(){this.xr=$e(576),this.l3_enc=y0(576),this.scalefac=y0(Sa.SFBMAX),this.xrpow_max=0,this.part2_3_length=0,this.big_values=0,this.count1=0,this.global_gain=0,this.scalefac_compress=0,this.block_type=0,this.mixed_block_flag=0,this.table_select=y0(3),this.subblock_gain=y0(4),this.region0_count=0,this.region1_count=0,this.preflag=0,this.scalefac_scale=0,this.count1table_select=0,this.part2_length=0,this.sfb_lmax=0,this.sfb_smin=0,this.psy_lmax=0,this.sfbmax=0,this.psymax=0,this.sfbdivide=0,this.width=y0(Sa.SFBMAX),this.window=y0(Sa.SFBMAX),this.count1bits=0,this.sfb_partition_table=null,this.slen=y0(4),this.max_nonzero_coeff=0;var k=this;function Z(J){return new Int32Array(J)}function O(J){return new Float32Array(J)}this.assign=function(J){k.xr=O(J.xr),k.l3_enc=Z(J.l3_enc),k.scalefac=Z(J.scalefac),k.xrpow_max=J.xrpow_max,k.part2_3_length=J.part2_3_length,k.big_values=J.big_values,k.count1=J.count1,k.global_gain=J.global_gain,k.scalefac_compress=J.scalefac_compress,k.block_type=J.block_type,k.mixed_block_flag=J.mixed_block_flag,k.table_select=Z(J.table_select),k.subblock_gain=Z(J.subblock_gain),k.region0_count=J.region0_count,k.region1_count=J.region1_count,k.preflag=J.preflag,k.scalefac_scale=J.scalefac_scale,k.count1table_select=J.count1table_select,k.part2_length=J.part2_length,k.sfb_lmax=J.sfb_lmax,k.sfb_smin=J.sfb_smin,k.psy_lmax=J.psy_lmax,k.sfbmax=J.sfbmax,k.psymax=J.psymax,k.sfbdivide=J.sfbdivide,k.width=Z(J.width),k.window=Z(J.window),k.count1bits=J.count1bits,k.sfb_partition_table=J.sfb_partition_table.slice(0),k.slen=Z(J.slen),k.max_nonzero_coeff=J.max_nonzero_coeff}}var wa=a2,e2=z1,oe=e2.new_int,t2=wa;function s2(){this.tt=[[null,null],[null,null]],this.main_data_begin=0,this.private_bits=0,this.resvDrain_pre=0,this.resvDrain_post=0,this.scfsi=[oe(4),oe(4)];for(var k=0;k<2;k++)for(var Z=0;Z<2;Z++)this.tt[k][Z]=new t2}var r2=s2,le=z1,ea=le.System,ta=le.new_int,sa=s0();function n2(k,Z,O,J){this.l=ta(1+sa.SBMAX_l),this.s=ta(1+sa.SBMAX_s),this.psfb21=ta(1+sa.PSFB21),this.psfb12=ta(1+sa.PSFB12);var h1=this.l,W=this.s;arguments.length==4&&(this.arrL=arguments[0],this.arrS=arguments[1],this.arr21=arguments[2],this.arr12=arguments[3],ea.arraycopy(this.arrL,0,h1,0,Math.min(this.arrL.length,this.l.length)),ea.arraycopy(this.arrS,0,W,0,Math.min(this.arrS.length,this.s.length)),ea.arraycopy(this.arr21,0,this.psfb21,0,Math.min(this.arr21.length,this.psfb21.length)),ea.arraycopy(this.arr12,0,this.psfb12,0,Math.min(this.arr12.length,this.psfb12.length)))}var fe=n2,Ra=z1,Aa=Ra.new_float,_2=Ra.new_float_n,i2=Ra.new_int,ce=s0();function o2(){this.last_en_subshort=_2([4,9]),this.lastAttacks=i2(4),this.pefirbuf=Aa(19),this.longfact=Aa(ce.SBMAX_l),this.shortfact=Aa(ce.SBMAX_s),this.attackthre=0,this.attackthre_s=0}var l2=o2;function f2(){this.sum=0,this.seen=0,this.want=0,this.pos=0,this.size=0,this.bag=null,this.nVbrNumFrames=0,this.nBytesWritten=0,this.TotalFrameSize=0}var c2=f2,N0=z1,h2=N0.new_byte,u2=N0.new_double,p0=N0.new_float,P0=N0.new_float_n,d0=N0.new_int,ra=N0.new_int_n,b2=r2,p2=fe,m2=l2,v2=c2,he=$a(),W1=s0(),g2=aa;B0.MFSIZE=3*1152+W1.ENCDELAY-W1.MDCTDELAY,B0.MAX_HEADER_BUF=256,B0.MAX_BITS_PER_CHANNEL=4095,B0.MAX_BITS_PER_GRANULE=7680,B0.BPC=320;function B0(){var k=40;this.Class_ID=0,this.lame_encode_frame_init=0,this.iteration_init_init=0,this.fill_buffer_resample_init=0,this.mfbuf=P0([2,B0.MFSIZE]),this.mode_gr=0,this.channels_in=0,this.channels_out=0,this.resample_ratio=0,this.mf_samples_to_encode=0,this.mf_size=0,this.VBR_min_bitrate=0,this.VBR_max_bitrate=0,this.bitrate_index=0,this.samplerate_index=0,this.mode_ext=0,this.lowpass1=0,this.lowpass2=0,this.highpass1=0,this.highpass2=0,this.noise_shaping=0,this.noise_shaping_amp=0,this.substep_shaping=0,this.psymodel=0,this.noise_shaping_stop=0,this.subblock_gain=0,this.use_best_huffman=0,this.full_outer_loop=0,this.l3_side=new b2,this.ms_ratio=p0(2),this.padding=0,this.frac_SpF=0,this.slot_lag=0,this.tag_spec=null,this.nMusicCRC=0,this.OldValue=d0(2),this.CurrentStep=d0(2),this.masking_lower=0,this.bv_scf=d0(576),this.pseudohalf=d0(g2.SFBMAX),this.sfb21_extra=!1,this.inbuf_old=new Array(2),this.blackfilt=new Array(2*B0.BPC+1),this.itime=u2(2),this.sideinfo_len=0,this.sb_sample=P0([2,2,18,W1.SBLIMIT]),this.amp_filter=p0(32);function Z(){this.write_timing=0,this.ptr=0,this.buf=h2(k)}this.header=new Array(B0.MAX_HEADER_BUF),this.h_ptr=0,this.w_ptr=0,this.ancillary_flag=0,this.ResvSize=0,this.ResvMax=0,this.scalefac_band=new p2,this.minval_l=p0(W1.CBANDS),this.minval_s=p0(W1.CBANDS),this.nb_1=P0([4,W1.CBANDS]),this.nb_2=P0([4,W1.CBANDS]),this.nb_s1=P0([4,W1.CBANDS]),this.nb_s2=P0([4,W1.CBANDS]),this.s3_ss=null,this.s3_ll=null,this.decay=0,this.thm=new Array(4),this.en=new Array(4),this.tot_ener=p0(4),this.loudness_sq=P0([2,2]),this.loudness_sq_save=p0(2),this.mld_l=p0(W1.SBMAX_l),this.mld_s=p0(W1.SBMAX_s),this.bm_l=d0(W1.SBMAX_l),this.bo_l=d0(W1.SBMAX_l),this.bm_s=d0(W1.SBMAX_s),this.bo_s=d0(W1.SBMAX_s),this.npart_l=0,this.npart_s=0,this.s3ind=ra([W1.CBANDS,2]),this.s3ind_s=ra([W1.CBANDS,2]),this.numlines_s=d0(W1.CBANDS),this.numlines_l=d0(W1.CBANDS),this.rnumlines_l=p0(W1.CBANDS),this.mld_cb_l=p0(W1.CBANDS),this.mld_cb_s=p0(W1.CBANDS),this.numlines_s_num1=0,this.numlines_l_num1=0,this.pe=p0(4),this.ms_ratio_s_old=0,this.ms_ratio_l_old=0,this.ms_ener_ratio_old=0,this.blocktype_old=d0(2),this.nsPsy=new m2,this.VBR_seek_table=new v2,this.ATH=null,this.PSY=null,this.nogap_total=0,this.nogap_current=0,this.decode_on_the_fly=!0,this.findReplayGain=!0,this.findPeakSample=!0,this.PeakSample=0,this.RadioGain=0,this.AudiophileGain=0,this.rgdata=null,this.noclipGainChange=0,this.noclipScale=0,this.bitrate_stereoMode_Hist=ra([16,5]),this.bitrate_blockType_Hist=ra([16,6]),this.pinfo=null,this.hip=null,this.in_buffer_nsamples=0,this.in_buffer_0=null,this.in_buffer_1=null,this.iteration_loop=null;for(var O=0;O<this.en.length;O++)this.en[O]=new he;for(var O=0;O<this.thm.length;O++)this.thm[O]=new he;for(var O=0;O<this.header.length;O++)this.header[O]=new Z}var na=B0,d2=z1,V0=d2.new_float,I0=s0();function M2(){this.useAdjust=0,this.aaSensitivityP=0,this.adjust=0,this.adjustLimit=0,this.decay=0,this.floor=0,this.l=V0(I0.SBMAX_l),this.s=V0(I0.SBMAX_s),this.psfb21=V0(I0.PSFB21),this.psfb12=V0(I0.PSFB12),this.cb_l=V0(I0.CBANDS),this.cb_s=V0(I0.CBANDS),this.eql_w=V0(I0.BLKSIZE/2)}var S2=M2,ue=z1,i0=ue.System,be=ue.Arrays;K1.STEPS_per_dB=100,K1.MAX_dB=120,K1.GAIN_NOT_ENOUGH_SAMPLES=-24601,K1.GAIN_ANALYSIS_ERROR=0,K1.GAIN_ANALYSIS_OK=1,K1.INIT_GAIN_ANALYSIS_ERROR=0,K1.INIT_GAIN_ANALYSIS_OK=1,K1.YULE_ORDER=10,K1.MAX_ORDER=K1.YULE_ORDER,K1.MAX_SAMP_FREQ=48e3,K1.RMS_WINDOW_TIME_NUMERATOR=1,K1.RMS_WINDOW_TIME_DENOMINATOR=20,K1.MAX_SAMPLES_PER_WINDOW=K1.MAX_SAMP_FREQ*K1.RMS_WINDOW_TIME_NUMERATOR/K1.RMS_WINDOW_TIME_DENOMINATOR+1;function K1(){var k=64.82,Z=.95,O=K1.RMS_WINDOW_TIME_NUMERATOR,J=K1.RMS_WINDOW_TIME_DENOMINATOR,h1=[[.038575994352,-3.84664617118067,-.02160367184185,7.81501653005538,-.00123395316851,-11.34170355132042,-9291677959e-14,13.05504219327545,-.01655260341619,-12.28759895145294,.02161526843274,9.4829380631979,-.02074045215285,-5.87257861775999,.00594298065125,2.75465861874613,.00306428023191,-.86984376593551,.00012025322027,.13919314567432,.00288463683916],[.0541865640643,-3.47845948550071,-.02911007808948,6.36317777566148,-.00848709379851,-8.54751527471874,-.00851165645469,9.4769360780128,-.00834990904936,-8.81498681370155,.02245293253339,6.85401540936998,-.02596338512915,-4.39470996079559,.01624864962975,2.19611684890774,-.00240879051584,-.75104302451432,.00674613682247,.13149317958808,-.00187763777362],[.15457299681924,-2.37898834973084,-.09331049056315,2.84868151156327,-.06247880153653,-2.64577170229825,.02163541888798,2.23697657451713,-.05588393329856,-1.67148153367602,.04781476674921,1.00595954808547,.00222312597743,-.45953458054983,.03174092540049,.16378164858596,-.01390589421898,-.05032077717131,.00651420667831,.0234789740702,-.00881362733839],[.30296907319327,-1.61273165137247,-.22613988682123,1.0797749225997,-.08587323730772,-.2565625775407,.03282930172664,-.1627671912044,-.00915702933434,-.22638893773906,-.02364141202522,.39120800788284,-.00584456039913,-.22138138954925,.06276101321749,.04500235387352,-828086748e-14,.02005851806501,.00205861885564,.00302439095741,-.02950134983287],[.33642304856132,-1.49858979367799,-.2557224142557,.87350271418188,-.11828570177555,.12205022308084,.11921148675203,-.80774944671438,-.07834489609479,.47854794562326,-.0046997791438,-.12453458140019,-.0058950022444,-.04067510197014,.05724228140351,.08333755284107,.00832043980773,-.04237348025746,-.0163538138454,.02977207319925,-.0176017656815],[.4491525660845,-.62820619233671,-.14351757464547,.29661783706366,-.22784394429749,-.372563729424,-.01419140100551,.00213767857124,.04078262797139,-.42029820170918,-.12398163381748,.22199650564824,.04097565135648,.00613424350682,.10478503600251,.06747620744683,-.01863887810927,.05784820375801,-.03193428438915,.03222754072173,.00541907748707],[.56619470757641,-1.04800335126349,-.75464456939302,.29156311971249,.1624213774223,-.26806001042947,.16744243493672,.00819999645858,-.18901604199609,.45054734505008,.3093178284183,-.33032403314006,-.27562961986224,.0673936833311,.00647310677246,-.04784254229033,.08647503780351,.01639907836189,-.0378898455484,.01807364323573,-.00588215443421],[.58100494960553,-.51035327095184,-.53174909058578,-.31863563325245,-.14289799034253,-.20256413484477,.17520704835522,.1472815413433,.02377945217615,.38952639978999,.15558449135573,-.23313271880868,-.25344790059353,-.05246019024463,.01628462406333,-.02505961724053,.06920467763959,.02442357316099,-.03721611395801,.01818801111503,-.00749618797172],[.53648789255105,-.2504987195602,-.42163034350696,-.43193942311114,-.00275953611929,-.03424681017675,.04267842219415,-.04678328784242,-.10214864179676,.26408300200955,.14590772289388,.15113130533216,-.02459864859345,-.17556493366449,-.11202315195388,-.18823009262115,-.04060034127,.05477720428674,.0478866554818,.0470440968812,-.02217936801134]],W=[[.98621192462708,-1.97223372919527,-1.97242384925416,.97261396931306,.98621192462708],[.98500175787242,-1.96977855582618,-1.97000351574484,.9702284756635,.98500175787242],[.97938932735214,-1.95835380975398,-1.95877865470428,.95920349965459,.97938932735214],[.97531843204928,-1.95002759149878,-1.95063686409857,.95124613669835,.97531843204928],[.97316523498161,-1.94561023566527,-1.94633046996323,.94705070426118,.97316523498161],[.96454515552826,-1.92783286977036,-1.92909031105652,.93034775234268,.96454515552826],[.96009142950541,-1.91858953033784,-1.92018285901082,.92177618768381,.96009142950541],[.95856916599601,-1.9154210807478,-1.91713833199203,.91885558323625,.95856916599601],[.94597685600279,-1.88903307939452,-1.89195371200558,.89487434461664,.94597685600279]];function z(b,L,r1,G,s1,Q){for(;s1--!=0;)r1[G]=1e-10+b[L+0]*Q[0]-r1[G-1]*Q[1]+b[L-1]*Q[2]-r1[G-2]*Q[3]+b[L-2]*Q[4]-r1[G-3]*Q[5]+b[L-3]*Q[6]-r1[G-4]*Q[7]+b[L-4]*Q[8]-r1[G-5]*Q[9]+b[L-5]*Q[10]-r1[G-6]*Q[11]+b[L-6]*Q[12]-r1[G-7]*Q[13]+b[L-7]*Q[14]-r1[G-8]*Q[15]+b[L-8]*Q[16]-r1[G-9]*Q[17]+b[L-9]*Q[18]-r1[G-10]*Q[19]+b[L-10]*Q[20],++G,++L}function C(b,L,r1,G,s1,Q){for(;s1--!=0;)r1[G]=b[L+0]*Q[0]-r1[G-1]*Q[1]+b[L-1]*Q[2]-r1[G-2]*Q[3]+b[L-2]*Q[4],++G,++L}function $(b,L){for(var r1=0;r1<MAX_ORDER;r1++)b.linprebuf[r1]=b.lstepbuf[r1]=b.loutbuf[r1]=b.rinprebuf[r1]=b.rstepbuf[r1]=b.routbuf[r1]=0;switch(0|L){case 48e3:b.reqindex=0;break;case 44100:b.reqindex=1;break;case 32e3:b.reqindex=2;break;case 24e3:b.reqindex=3;break;case 22050:b.reqindex=4;break;case 16e3:b.reqindex=5;break;case 12e3:b.reqindex=6;break;case 11025:b.reqindex=7;break;case 8e3:b.reqindex=8;break;default:return INIT_GAIN_ANALYSIS_ERROR}return b.sampleWindow=0|(L*O+J-1)/J,b.lsum=0,b.rsum=0,b.totsamp=0,be.ill(b.A,0),INIT_GAIN_ANALYSIS_OK}this.InitGainAnalysis=function(b,L){return $(b,L)!=INIT_GAIN_ANALYSIS_OK?INIT_GAIN_ANALYSIS_ERROR:(b.linpre=MAX_ORDER,b.rinpre=MAX_ORDER,b.lstep=MAX_ORDER,b.rstep=MAX_ORDER,b.lout=MAX_ORDER,b.rout=MAX_ORDER,be.fill(b.B,0),INIT_GAIN_ANALYSIS_OK)};function u1(b){return b*b}this.AnalyzeSamples=function(b,L,r1,G,s1,Q,M){var f,h,g,a,o,w,P;if(Q==0)return GAIN_ANALYSIS_OK;switch(P=0,o=Q,M){case 1:G=L,s1=r1;break;case 2:break;default:return GAIN_ANALYSIS_ERROR}for(Q<MAX_ORDER?(i0.arraycopy(L,r1,b.linprebuf,MAX_ORDER,Q),i0.arraycopy(G,s1,b.rinprebuf,MAX_ORDER,Q)):(i0.arraycopy(L,r1,b.linprebuf,MAX_ORDER,MAX_ORDER),i0.arraycopy(G,s1,b.rinprebuf,MAX_ORDER,MAX_ORDER));o>0;){w=o>b.sampleWindow-b.totsamp?b.sampleWindow-b.totsamp:o,P<MAX_ORDER?(f=b.linpre+P,h=b.linprebuf,g=b.rinpre+P,a=b.rinprebuf,w>MAX_ORDER-P&&(w=MAX_ORDER-P)):(f=r1+P,h=L,g=s1+P,a=G),z(h,f,b.lstepbuf,b.lstep+b.totsamp,w,h1[b.reqindex]),z(a,g,b.rstepbuf,b.rstep+b.totsamp,w,h1[b.reqindex]),C(b.lstepbuf,b.lstep+b.totsamp,b.loutbuf,b.lout+b.totsamp,w,W[b.reqindex]),C(b.rstepbuf,b.rstep+b.totsamp,b.routbuf,b.rout+b.totsamp,w,W[b.reqindex]),f=b.lout+b.totsamp,h=b.loutbuf,g=b.rout+b.totsamp,a=b.routbuf;for(var V=w%8;V--!=0;)b.lsum+=u1(h[f++]),b.rsum+=u1(a[g++]);for(V=w/8;V--!=0;)b.lsum+=u1(h[f+0])+u1(h[f+1])+u1(h[f+2])+u1(h[f+3])+u1(h[f+4])+u1(h[f+5])+u1(h[f+6])+u1(h[f+7]),f+=8,b.rsum+=u1(a[g+0])+u1(a[g+1])+u1(a[g+2])+u1(a[g+3])+u1(a[g+4])+u1(a[g+5])+u1(a[g+6])+u1(a[g+7]),g+=8;if(o-=w,P+=w,b.totsamp+=w,b.totsamp==b.sampleWindow){var A=K1.STEPS_per_dB*10*Math.log10((b.lsum+b.rsum)/b.totsamp*.5+1e-37),E=A<=0?0:0|A;E>=b.A.length&&(E=b.A.length-1),b.A[E]++,b.lsum=b.rsum=0,i0.arraycopy(b.loutbuf,b.totsamp,b.loutbuf,0,MAX_ORDER),i0.arraycopy(b.routbuf,b.totsamp,b.routbuf,0,MAX_ORDER),i0.arraycopy(b.lstepbuf,b.totsamp,b.lstepbuf,0,MAX_ORDER),i0.arraycopy(b.rstepbuf,b.totsamp,b.rstepbuf,0,MAX_ORDER),b.totsamp=0}if(b.totsamp>b.sampleWindow)return GAIN_ANALYSIS_ERROR}return Q<MAX_ORDER?(i0.arraycopy(b.linprebuf,Q,b.linprebuf,0,MAX_ORDER-Q),i0.arraycopy(b.rinprebuf,Q,b.rinprebuf,0,MAX_ORDER-Q),i0.arraycopy(L,r1,b.linprebuf,MAX_ORDER-Q,Q),i0.arraycopy(G,s1,b.rinprebuf,MAX_ORDER-Q,Q)):(i0.arraycopy(L,r1+Q-MAX_ORDER,b.linprebuf,0,MAX_ORDER),i0.arraycopy(G,s1+Q-MAX_ORDER,b.rinprebuf,0,MAX_ORDER)),GAIN_ANALYSIS_OK};function d(b,L){var r1,G=0;for(r1=0;r1<L;r1++)G+=b[r1];if(G==0)return GAIN_NOT_ENOUGH_SAMPLES;var s1=0|Math.ceil(G*(1-Z));for(r1=L;r1-- >0&&!((s1-=b[r1])<=0););return k-r1/K1.STEPS_per_dB}this.GetTitleGain=function(b){for(var L=d(b.A,b.A.length),r1=0;r1<b.A.length;r1++)b.B[r1]+=b.A[r1],b.A[r1]=0;for(var r1=0;r1<MAX_ORDER;r1++)b.linprebuf[r1]=b.lstepbuf[r1]=b.loutbuf[r1]=b.rinprebuf[r1]=b.rstepbuf[r1]=b.routbuf[r1]=0;return b.totsamp=0,b.lsum=b.rsum=0,L}}var pe=K1,me=z1,O0=me.new_float,ve=me.new_int,o0=pe;function w2(){this.linprebuf=O0(o0.MAX_ORDER*2),this.linpre=0,this.lstepbuf=O0(o0.MAX_SAMPLES_PER_WINDOW+o0.MAX_ORDER),this.lstep=0,this.loutbuf=O0(o0.MAX_SAMPLES_PER_WINDOW+o0.MAX_ORDER),this.lout=0,this.rinprebuf=O0(o0.MAX_ORDER*2),this.rinpre=0,this.rstepbuf=O0(o0.MAX_SAMPLES_PER_WINDOW+o0.MAX_ORDER),this.rstep=0,this.routbuf=O0(o0.MAX_SAMPLES_PER_WINDOW+o0.MAX_ORDER),this.rout=0,this.sampleWindow=0,this.totsamp=0,this.lsum=0,this.rsum=0,this.freqindex=0,this.first=0,this.A=ve(0|o0.STEPS_per_dB*o0.MAX_dB),this.B=ve(0|o0.STEPS_per_dB*o0.MAX_dB)}var R2=w2;function A2(k){this.bits=k}var ge=A2,Ba=z1,de=Ba.new_float,B2=Ba.new_int,Me=Ba.assert,T2=ge,Se=s0(),k2=aa,E2=na;function x2(k){var Z=k;this.quantize=Z,this.iteration_loop=function(O,J,h1,W){var z=O.internal_flags,C=de(k2.SFBMAX),$=de(576),u1=B2(2),d=0,b,L=z.l3_side,r1=new T2(d);this.quantize.rv.ResvFrameBegin(O,r1),d=r1.bits;for(var G=0;G<z.mode_gr;G++){b=this.quantize.qupvt.on_pe(O,J,u1,d,G,G),z.mode_ext==Se.MPG_MD_MS_LR&&(this.quantize.ms_convert(z.l3_side,G),this.quantize.qupvt.reduce_side(u1,h1[G],d,b));for(var s1=0;s1<z.channels_out;s1++){var Q,M,f=L.tt[G][s1];f.block_type!=Se.SHORT_TYPE?(Q=0,M=z.PSY.mask_adjust-Q):(Q=0,M=z.PSY.mask_adjust_short-Q),z.masking_lower=Math.pow(10,M*.1),this.quantize.init_outer_loop(z,f),this.quantize.init_xrpow(z,f,$)&&(this.quantize.qupvt.calc_xmin(O,W[G][s1],f,C),this.quantize.outer_loop(O,f,C,$,s1,u1[s1])),this.quantize.iteration_finish_one(z,G,s1),Me(f.part2_3_length<=E2.MAX_BITS_PER_CHANNEL),Me(f.part2_3_length<=u1[s1])}}this.quantize.rv.ResvFrameEnd(z,d)}}var y2=x2;function Y1(k,Z,O,J){this.xlen=k,this.linmax=Z,this.table=O,this.hlen=J}var f1={};f1.t1HB=[1,1,1,0],f1.t2HB=[1,2,1,3,1,1,3,2,0],f1.t3HB=[3,2,1,1,1,1,3,2,0],f1.t5HB=[1,2,6,5,3,1,4,4,7,5,7,1,6,1,1,0],f1.t6HB=[7,3,5,1,6,2,3,2,5,4,4,1,3,3,2,0],f1.t7HB=[1,2,10,19,16,10,3,3,7,10,5,3,11,4,13,17,8,4,12,11,18,15,11,2,7,6,9,14,3,1,6,4,5,3,2,0],f1.t8HB=[3,4,6,18,12,5,5,1,2,16,9,3,7,3,5,14,7,3,19,17,15,13,10,4,13,5,8,11,5,1,12,4,4,1,1,0],f1.t9HB=[7,5,9,14,15,7,6,4,5,5,6,7,7,6,8,8,8,5,15,6,9,10,5,1,11,7,9,6,4,1,14,4,6,2,6,0],f1.t10HB=[1,2,10,23,35,30,12,17,3,3,8,12,18,21,12,7,11,9,15,21,32,40,19,6,14,13,22,34,46,23,18,7,20,19,33,47,27,22,9,3,31,22,41,26,21,20,5,3,14,13,10,11,16,6,5,1,9,8,7,8,4,4,2,0],f1.t11HB=[3,4,10,24,34,33,21,15,5,3,4,10,32,17,11,10,11,7,13,18,30,31,20,5,25,11,19,59,27,18,12,5,35,33,31,58,30,16,7,5,28,26,32,19,17,15,8,14,14,12,9,13,14,9,4,1,11,4,6,6,6,3,2,0],f1.t12HB=[9,6,16,33,41,39,38,26,7,5,6,9,23,16,26,11,17,7,11,14,21,30,10,7,17,10,15,12,18,28,14,5,32,13,22,19,18,16,9,5,40,17,31,29,17,13,4,2,27,12,11,15,10,7,4,1,27,12,8,12,6,3,1,0],f1.t13HB=[1,5,14,21,34,51,46,71,42,52,68,52,67,44,43,19,3,4,12,19,31,26,44,33,31,24,32,24,31,35,22,14,15,13,23,36,59,49,77,65,29,40,30,40,27,33,42,16,22,20,37,61,56,79,73,64,43,76,56,37,26,31,25,14,35,16,60,57,97,75,114,91,54,73,55,41,48,53,23,24,58,27,50,96,76,70,93,84,77,58,79,29,74,49,41,17,47,45,78,74,115,94,90,79,69,83,71,50,59,38,36,15,72,34,56,95,92,85,91,90,86,73,77,65,51,44,43,42,43,20,30,44,55,78,72,87,78,61,46,54,37,30,20,16,53,25,41,37,44,59,54,81,66,76,57,54,37,18,39,11,35,33,31,57,42,82,72,80,47,58,55,21,22,26,38,22,53,25,23,38,70,60,51,36,55,26,34,23,27,14,9,7,34,32,28,39,49,75,30,52,48,40,52,28,18,17,9,5,45,21,34,64,56,50,49,45,31,19,12,15,10,7,6,3,48,23,20,39,36,35,53,21,16,23,13,10,6,1,4,2,16,15,17,27,25,20,29,11,17,12,16,8,1,1,0,1],f1.t15HB=[7,12,18,53,47,76,124,108,89,123,108,119,107,81,122,63,13,5,16,27,46,36,61,51,42,70,52,83,65,41,59,36,19,17,15,24,41,34,59,48,40,64,50,78,62,80,56,33,29,28,25,43,39,63,55,93,76,59,93,72,54,75,50,29,52,22,42,40,67,57,95,79,72,57,89,69,49,66,46,27,77,37,35,66,58,52,91,74,62,48,79,63,90,62,40,38,125,32,60,56,50,92,78,65,55,87,71,51,73,51,70,30,109,53,49,94,88,75,66,122,91,73,56,42,64,44,21,25,90,43,41,77,73,63,56,92,77,66,47,67,48,53,36,20,71,34,67,60,58,49,88,76,67,106,71,54,38,39,23,15,109,53,51,47,90,82,58,57,48,72,57,41,23,27,62,9,86,42,40,37,70,64,52,43,70,55,42,25,29,18,11,11,118,68,30,55,50,46,74,65,49,39,24,16,22,13,14,7,91,44,39,38,34,63,52,45,31,52,28,19,14,8,9,3,123,60,58,53,47,43,32,22,37,24,17,12,15,10,2,1,71,37,34,30,28,20,17,26,21,16,10,6,8,6,2,0],f1.t16HB=[1,5,14,44,74,63,110,93,172,149,138,242,225,195,376,17,3,4,12,20,35,62,53,47,83,75,68,119,201,107,207,9,15,13,23,38,67,58,103,90,161,72,127,117,110,209,206,16,45,21,39,69,64,114,99,87,158,140,252,212,199,387,365,26,75,36,68,65,115,101,179,164,155,264,246,226,395,382,362,9,66,30,59,56,102,185,173,265,142,253,232,400,388,378,445,16,111,54,52,100,184,178,160,133,257,244,228,217,385,366,715,10,98,48,91,88,165,157,148,261,248,407,397,372,380,889,884,8,85,84,81,159,156,143,260,249,427,401,392,383,727,713,708,7,154,76,73,141,131,256,245,426,406,394,384,735,359,710,352,11,139,129,67,125,247,233,229,219,393,743,737,720,885,882,439,4,243,120,118,115,227,223,396,746,742,736,721,712,706,223,436,6,202,224,222,218,216,389,386,381,364,888,443,707,440,437,1728,4,747,211,210,208,370,379,734,723,714,1735,883,877,876,3459,865,2,377,369,102,187,726,722,358,711,709,866,1734,871,3458,870,434,0,12,10,7,11,10,17,11,9,13,12,10,7,5,3,1,3],f1.t24HB=[15,13,46,80,146,262,248,434,426,669,653,649,621,517,1032,88,14,12,21,38,71,130,122,216,209,198,327,345,319,297,279,42,47,22,41,74,68,128,120,221,207,194,182,340,315,295,541,18,81,39,75,70,134,125,116,220,204,190,178,325,311,293,271,16,147,72,69,135,127,118,112,210,200,188,352,323,306,285,540,14,263,66,129,126,119,114,214,202,192,180,341,317,301,281,262,12,249,123,121,117,113,215,206,195,185,347,330,308,291,272,520,10,435,115,111,109,211,203,196,187,353,332,313,298,283,531,381,17,427,212,208,205,201,193,186,177,169,320,303,286,268,514,377,16,335,199,197,191,189,181,174,333,321,305,289,275,521,379,371,11,668,184,183,179,175,344,331,314,304,290,277,530,383,373,366,10,652,346,171,168,164,318,309,299,287,276,263,513,375,368,362,6,648,322,316,312,307,302,292,284,269,261,512,376,370,364,359,4,620,300,296,294,288,282,273,266,515,380,374,369,365,361,357,2,1033,280,278,274,267,264,259,382,378,372,367,363,360,358,356,0,43,20,19,17,15,13,11,9,7,6,4,7,5,3,1,3],f1.t32HB=[1,10,8,20,12,20,16,32,14,12,24,0,28,16,24,16],f1.t33HB=[15,28,26,48,22,40,36,64,14,24,20,32,12,16,8,0],f1.t1l=[1,4,3,5],f1.t2l=[1,4,7,4,5,7,6,7,8],f1.t3l=[2,3,7,4,4,7,6,7,8],f1.t5l=[1,4,7,8,4,5,8,9,7,8,9,10,8,8,9,10],f1.t6l=[3,4,6,8,4,4,6,7,5,6,7,8,7,7,8,9],f1.t7l=[1,4,7,9,9,10,4,6,8,9,9,10,7,7,9,10,10,11,8,9,10,11,11,11,8,9,10,11,11,12,9,10,11,12,12,12],f1.t8l=[2,4,7,9,9,10,4,4,6,10,10,10,7,6,8,10,10,11,9,10,10,11,11,12,9,9,10,11,12,12,10,10,11,11,13,13],f1.t9l=[3,4,6,7,9,10,4,5,6,7,8,10,5,6,7,8,9,10,7,7,8,9,9,10,8,8,9,9,10,11,9,9,10,10,11,11],f1.t10l=[1,4,7,9,10,10,10,11,4,6,8,9,10,11,10,10,7,8,9,10,11,12,11,11,8,9,10,11,12,12,11,12,9,10,11,12,12,12,12,12,10,11,12,12,13,13,12,13,9,10,11,12,12,12,13,13,10,10,11,12,12,13,13,13],f1.t11l=[2,4,6,8,9,10,9,10,4,5,6,8,10,10,9,10,6,7,8,9,10,11,10,10,8,8,9,11,10,12,10,11,9,10,10,11,11,12,11,12,9,10,11,12,12,13,12,13,9,9,9,10,11,12,12,12,9,9,10,11,12,12,12,12],f1.t12l=[4,4,6,8,9,10,10,10,4,5,6,7,9,9,10,10,6,6,7,8,9,10,9,10,7,7,8,8,9,10,10,10,8,8,9,9,10,10,10,11,9,9,10,10,10,11,10,11,9,9,9,10,10,11,11,12,10,10,10,11,11,11,11,12],f1.t13l=[1,5,7,8,9,10,10,11,10,11,12,12,13,13,14,14,4,6,8,9,10,10,11,11,11,11,12,12,13,14,14,14,7,8,9,10,11,11,12,12,11,12,12,13,13,14,15,15,8,9,10,11,11,12,12,12,12,13,13,13,13,14,15,15,9,9,11,11,12,12,13,13,12,13,13,14,14,15,15,16,10,10,11,12,12,12,13,13,13,13,14,13,15,15,16,16,10,11,12,12,13,13,13,13,13,14,14,14,15,15,16,16,11,11,12,13,13,13,14,14,14,14,15,15,15,16,18,18,10,10,11,12,12,13,13,14,14,14,14,15,15,16,17,17,11,11,12,12,13,13,13,15,14,15,15,16,16,16,18,17,11,12,12,13,13,14,14,15,14,15,16,15,16,17,18,19,12,12,12,13,14,14,14,14,15,15,15,16,17,17,17,18,12,13,13,14,14,15,14,15,16,16,17,17,17,18,18,18,13,13,14,15,15,15,16,16,16,16,16,17,18,17,18,18,14,14,14,15,15,15,17,16,16,19,17,17,17,19,18,18,13,14,15,16,16,16,17,16,17,17,18,18,21,20,21,18],f1.t15l=[3,5,6,8,8,9,10,10,10,11,11,12,12,12,13,14,5,5,7,8,9,9,10,10,10,11,11,12,12,12,13,13,6,7,7,8,9,9,10,10,10,11,11,12,12,13,13,13,7,8,8,9,9,10,10,11,11,11,12,12,12,13,13,13,8,8,9,9,10,10,11,11,11,11,12,12,12,13,13,13,9,9,9,10,10,10,11,11,11,11,12,12,13,13,13,14,10,9,10,10,10,11,11,11,11,12,12,12,13,13,14,14,10,10,10,11,11,11,11,12,12,12,12,12,13,13,13,14,10,10,10,11,11,11,11,12,12,12,12,13,13,14,14,14,10,10,11,11,11,11,12,12,12,13,13,13,13,14,14,14,11,11,11,11,12,12,12,12,12,13,13,13,13,14,15,14,11,11,11,11,12,12,12,12,13,13,13,13,14,14,14,15,12,12,11,12,12,12,13,13,13,13,13,13,14,14,15,15,12,12,12,12,12,13,13,13,13,14,14,14,14,14,15,15,13,13,13,13,13,13,13,13,14,14,14,14,15,15,14,15,13,13,13,13,13,13,13,14,14,14,14,14,15,15,15,15],f1.t16_5l=[1,5,7,9,10,10,11,11,12,12,12,13,13,13,14,11,4,6,8,9,10,11,11,11,12,12,12,13,14,13,14,11,7,8,9,10,11,11,12,12,13,12,13,13,13,14,14,12,9,9,10,11,11,12,12,12,13,13,14,14,14,15,15,13,10,10,11,11,12,12,13,13,13,14,14,14,15,15,15,12,10,10,11,11,12,13,13,14,13,14,14,15,15,15,16,13,11,11,11,12,13,13,13,13,14,14,14,14,15,15,16,13,11,11,12,12,13,13,13,14,14,15,15,15,15,17,17,13,11,12,12,13,13,13,14,14,15,15,15,15,16,16,16,13,12,12,12,13,13,14,14,15,15,15,15,16,15,16,15,14,12,13,12,13,14,14,14,14,15,16,16,16,17,17,16,13,13,13,13,13,14,14,15,16,16,16,16,16,16,15,16,14,13,14,14,14,14,15,15,15,15,17,16,16,16,16,18,14,15,14,14,14,15,15,16,16,16,18,17,17,17,19,17,14,14,15,13,14,16,16,15,16,16,17,18,17,19,17,16,14,11,11,11,12,12,13,13,13,14,14,14,14,14,14,14,12],f1.t16l=[1,5,7,9,10,10,11,11,12,12,12,13,13,13,14,10,4,6,8,9,10,11,11,11,12,12,12,13,14,13,14,10,7,8,9,10,11,11,12,12,13,12,13,13,13,14,14,11,9,9,10,11,11,12,12,12,13,13,14,14,14,15,15,12,10,10,11,11,12,12,13,13,13,14,14,14,15,15,15,11,10,10,11,11,12,13,13,14,13,14,14,15,15,15,16,12,11,11,11,12,13,13,13,13,14,14,14,14,15,15,16,12,11,11,12,12,13,13,13,14,14,15,15,15,15,17,17,12,11,12,12,13,13,13,14,14,15,15,15,15,16,16,16,12,12,12,12,13,13,14,14,15,15,15,15,16,15,16,15,13,12,13,12,13,14,14,14,14,15,16,16,16,17,17,16,12,13,13,13,13,14,14,15,16,16,16,16,16,16,15,16,13,13,14,14,14,14,15,15,15,15,17,16,16,16,16,18,13,15,14,14,14,15,15,16,16,16,18,17,17,17,19,17,13,14,15,13,14,16,16,15,16,16,17,18,17,19,17,16,13,10,10,10,11,11,12,12,12,13,13,13,13,13,13,13,10],f1.t24l=[4,5,7,8,9,10,10,11,11,12,12,12,12,12,13,10,5,6,7,8,9,10,10,11,11,11,12,12,12,12,12,10,7,7,8,9,9,10,10,11,11,11,11,12,12,12,13,9,8,8,9,9,10,10,10,11,11,11,11,12,12,12,12,9,9,9,9,10,10,10,10,11,11,11,12,12,12,12,13,9,10,9,10,10,10,10,11,11,11,11,12,12,12,12,12,9,10,10,10,10,10,11,11,11,11,12,12,12,12,12,13,9,11,10,10,10,11,11,11,11,12,12,12,12,12,13,13,10,11,11,11,11,11,11,11,11,11,12,12,12,12,13,13,10,11,11,11,11,11,11,11,12,12,12,12,12,13,13,13,10,12,11,11,11,11,12,12,12,12,12,12,13,13,13,13,10,12,12,11,11,11,12,12,12,12,12,12,13,13,13,13,10,12,12,12,12,12,12,12,12,12,12,13,13,13,13,13,10,12,12,12,12,12,12,12,12,13,13,13,13,13,13,13,10,13,12,12,12,12,12,12,13,13,13,13,13,13,13,13,10,9,9,9,9,9,9,9,9,9,9,9,10,10,10,10,6],f1.t32l=[1,5,5,7,5,8,7,9,5,7,7,9,7,9,9,10],f1.t33l=[4,5,5,6,5,6,6,7,5,6,6,7,6,7,7,8],f1.ht=[new Y1(0,0,null,null),new Y1(2,0,f1.t1HB,f1.t1l),new Y1(3,0,f1.t2HB,f1.t2l),new Y1(3,0,f1.t3HB,f1.t3l),new Y1(0,0,null,null),new Y1(4,0,f1.t5HB,f1.t5l),new Y1(4,0,f1.t6HB,f1.t6l),new Y1(6,0,f1.t7HB,f1.t7l),new Y1(6,0,f1.t8HB,f1.t8l),new Y1(6,0,f1.t9HB,f1.t9l),new Y1(8,0,f1.t10HB,f1.t10l),new Y1(8,0,f1.t11HB,f1.t11l),new Y1(8,0,f1.t12HB,f1.t12l),new Y1(16,0,f1.t13HB,f1.t13l),new Y1(0,0,null,f1.t16_5l),new Y1(16,0,f1.t15HB,f1.t15l),new Y1(1,1,f1.t16HB,f1.t16l),new Y1(2,3,f1.t16HB,f1.t16l),new Y1(3,7,f1.t16HB,f1.t16l),new Y1(4,15,f1.t16HB,f1.t16l),new Y1(6,63,f1.t16HB,f1.t16l),new Y1(8,255,f1.t16HB,f1.t16l),new Y1(10,1023,f1.t16HB,f1.t16l),new Y1(13,8191,f1.t16HB,f1.t16l),new Y1(4,15,f1.t24HB,f1.t24l),new Y1(5,31,f1.t24HB,f1.t24l),new Y1(6,63,f1.t24HB,f1.t24l),new Y1(7,127,f1.t24HB,f1.t24l),new Y1(8,255,f1.t24HB,f1.t24l),new Y1(9,511,f1.t24HB,f1.t24l),new Y1(11,2047,f1.t24HB,f1.t24l),new Y1(13,8191,f1.t24HB,f1.t24l),new Y1(0,0,f1.t32HB,f1.t32l),new Y1(0,0,f1.t33HB,f1.t33l)],f1.largetbl=[65540,327685,458759,589832,655369,655370,720906,720907,786443,786444,786444,851980,851980,851980,917517,655370,262149,393222,524295,589832,655369,720906,720906,720907,786443,786443,786444,851980,917516,851980,917516,655370,458759,524295,589832,655369,720905,720906,786442,786443,851979,786443,851979,851980,851980,917516,917517,720905,589832,589832,655369,720905,720906,786442,786442,786443,851979,851979,917515,917516,917516,983052,983052,786441,655369,655369,720905,720906,786442,786442,851978,851979,851979,917515,917516,917516,983052,983052,983053,720905,655370,655369,720906,720906,786442,851978,851979,917515,851979,917515,917516,983052,983052,983052,1048588,786441,720906,720906,720906,786442,851978,851979,851979,851979,917515,917516,917516,917516,983052,983052,1048589,786441,720907,720906,786442,786442,851979,851979,851979,917515,917516,983052,983052,983052,983052,1114125,1114125,786442,720907,786443,786443,851979,851979,851979,917515,917515,983051,983052,983052,983052,1048588,1048589,1048589,786442,786443,786443,786443,851979,851979,917515,917515,983052,983052,983052,983052,1048588,983053,1048589,983053,851978,786444,851979,786443,851979,917515,917516,917516,917516,983052,1048588,1048588,1048589,1114125,1114125,1048589,786442,851980,851980,851979,851979,917515,917516,983052,1048588,1048588,1048588,1048588,1048589,1048589,983053,1048589,851978,851980,917516,917516,917516,917516,983052,983052,983052,983052,1114124,1048589,1048589,1048589,1048589,1179661,851978,983052,917516,917516,917516,983052,983052,1048588,1048588,1048589,1179661,1114125,1114125,1114125,1245197,1114125,851978,917517,983052,851980,917516,1048588,1048588,983052,1048589,1048589,1114125,1179661,1114125,1245197,1114125,1048589,851978,655369,655369,655369,720905,720905,786441,786441,786441,851977,851977,851977,851978,851978,851978,851978,655366],f1.table23=[65538,262147,458759,262148,327684,458759,393222,458759,524296],f1.table56=[65539,262148,458758,524296,262148,327684,524294,589831,458757,524294,589831,655368,524295,524295,589832,655369],f1.bitrate_table=[[0,8,16,24,32,40,48,56,64,80,96,112,128,144,160,-1],[0,32,40,48,56,64,80,96,112,128,160,192,224,256,320,-1],[0,8,16,24,32,40,48,56,64,-1,-1,-1,-1,-1,-1,-1]],f1.samplerate_table=[[22050,24e3,16e3,-1],[44100,48e3,32e3,-1],[11025,12e3,8e3,-1]],f1.scfsi_band=[0,6,11,16,21];var Ta=f1,ka,we;function Re(){if(we)return ka;we=1;var k=fe,Z=z1,O=Z.VbrMode,J=Z.Float,h1=Z.Util,W=Z.new_float,z=Z.new_int,C=Z.assert,$=s0(),u1=ge,d=na;b.Q_MAX=257,b.Q_MAX2=116,b.LARGE_BITS=1e5,b.IXMAX_VAL=8206;function b(){var L=ya(),r1=null,G=null,s1=null;this.setModules=function(v,x,I){r1=v,G=x,s1=I};function Q(v){return C(0<=v+b.Q_MAX2&&v<b.Q_MAX),P[v+b.Q_MAX2]}this.IPOW20=function(v){return C(0<=v&&v<b.Q_MAX),V[v]};var M=2220446049250313e-31,f=b.IXMAX_VAL,h=f+2,g=b.Q_MAX,a=b.Q_MAX2;b.LARGE_BITS;var o=100;this.nr_of_sfb_block=[[[6,5,5,5],[9,9,9,9],[6,9,9,9]],[[6,5,7,3],[9,9,12,6],[6,9,12,6]],[[11,10,0,0],[18,18,0,0],[15,18,0,0]],[[7,7,7,0],[12,12,12,0],[6,15,12,0]],[[6,6,6,3],[12,9,9,6],[6,12,9,6]],[[8,8,5,0],[15,12,9,0],[6,18,9,0]]];var w=[0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,2,2,3,3,3,2,0];this.pretab=w,this.sfBandIndex=[new k([0,6,12,18,24,30,36,44,54,66,80,96,116,140,168,200,238,284,336,396,464,522,576],[0,4,8,12,18,24,32,42,56,74,100,132,174,192],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0]),new k([0,6,12,18,24,30,36,44,54,66,80,96,114,136,162,194,232,278,332,394,464,540,576],[0,4,8,12,18,26,36,48,62,80,104,136,180,192],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0]),new k([0,6,12,18,24,30,36,44,54,66,80,96,116,140,168,200,238,284,336,396,464,522,576],[0,4,8,12,18,26,36,48,62,80,104,134,174,192],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0]),new k([0,4,8,12,16,20,24,30,36,44,52,62,74,90,110,134,162,196,238,288,342,418,576],[0,4,8,12,16,22,30,40,52,66,84,106,136,192],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0]),new k([0,4,8,12,16,20,24,30,36,42,50,60,72,88,106,128,156,190,230,276,330,384,576],[0,4,8,12,16,22,28,38,50,64,80,100,126,192],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0]),new k([0,4,8,12,16,20,24,30,36,44,54,66,82,102,126,156,194,240,296,364,448,550,576],[0,4,8,12,16,22,30,42,58,78,104,138,180,192],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0]),new k([0,6,12,18,24,30,36,44,54,66,80,96,116,140,168,200,238,284,336,396,464,522,576],[0/3,12/3,24/3,36/3,54/3,78/3,108/3,144/3,186/3,240/3,312/3,402/3,522/3,576/3],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0]),new k([0,6,12,18,24,30,36,44,54,66,80,96,116,140,168,200,238,284,336,396,464,522,576],[0/3,12/3,24/3,36/3,54/3,78/3,108/3,144/3,186/3,240/3,312/3,402/3,522/3,576/3],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0]),new k([0,12,24,36,48,60,72,88,108,132,160,192,232,280,336,400,476,566,568,570,572,574,576],[0/3,24/3,48/3,72/3,108/3,156/3,216/3,288/3,372/3,480/3,486/3,492/3,498/3,576/3],[0,0,0,0,0,0,0],[0,0,0,0,0,0,0])];var P=W(g+a+1),V=W(g),A=W(h),E=W(h);this.adj43=E;function l1(v,x){var I=s1.ATHformula(x,v);return I-=o,I=Math.pow(10,I/10+v.ATHlower),I}function p(v){for(var x=v.internal_flags.ATH.l,I=v.internal_flags.ATH.psfb21,y=v.internal_flags.ATH.s,F=v.internal_flags.ATH.psfb12,R=v.internal_flags,n=v.out_samplerate,r=0;r<$.SBMAX_l;r++){var t=R.scalefac_band.l[r],_=R.scalefac_band.l[r+1];x[r]=J.MAX_VALUE;for(var u=t;u<_;u++){var H=u*n/1152,U=l1(v,H);x[r]=Math.min(x[r],U)}}for(var r=0;r<$.PSFB21;r++){var t=R.scalefac_band.psfb21[r],_=R.scalefac_band.psfb21[r+1];I[r]=J.MAX_VALUE;for(var u=t;u<_;u++){var H=u*n/1152,U=l1(v,H);I[r]=Math.min(I[r],U)}}for(var r=0;r<$.SBMAX_s;r++){var t=R.scalefac_band.s[r],_=R.scalefac_band.s[r+1];y[r]=J.MAX_VALUE;for(var u=t;u<_;u++){var H=u*n/384,U=l1(v,H);y[r]=Math.min(y[r],U)}y[r]*=R.scalefac_band.s[r+1]-R.scalefac_band.s[r]}for(var r=0;r<$.PSFB12;r++){var t=R.scalefac_band.psfb12[r],_=R.scalefac_band.psfb12[r+1];F[r]=J.MAX_VALUE;for(var u=t;u<_;u++){var H=u*n/384,U=l1(v,H);F[r]=Math.min(F[r],U)}F[r]*=R.scalefac_band.s[13]-R.scalefac_band.s[12]}if(v.noATH){for(var r=0;r<$.SBMAX_l;r++)x[r]=1e-20;for(var r=0;r<$.PSFB21;r++)I[r]=1e-20;for(var r=0;r<$.SBMAX_s;r++)y[r]=1e-20;for(var r=0;r<$.PSFB12;r++)F[r]=1e-20}R.ATH.floor=10*Math.log10(l1(v,-1))}this.iteration_init=function(v){var x=v.internal_flags,I=x.l3_side,y;if(x.iteration_init_init==0){for(x.iteration_init_init=1,I.main_data_begin=0,p(v),A[0]=0,y=1;y<h;y++)A[y]=Math.pow(y,4/3);for(y=0;y<h-1;y++)E[y]=y+1-Math.pow(.5*(A[y]+A[y+1]),.75);for(E[y]=.5,y=0;y<g;y++)V[y]=Math.pow(2,(y-210)*-.1875);for(y=0;y<=g+a;y++)P[y]=Math.pow(2,(y-210-a)*.25);r1.huffman_init(x);{var F,R,n,r;for(y=v.exp_nspsytune>>2&63,y>=32&&(y-=64),F=Math.pow(10,y/4/10),y=v.exp_nspsytune>>8&63,y>=32&&(y-=64),R=Math.pow(10,y/4/10),y=v.exp_nspsytune>>14&63,y>=32&&(y-=64),n=Math.pow(10,y/4/10),y=v.exp_nspsytune>>20&63,y>=32&&(y-=64),r=n*Math.pow(10,y/4/10),y=0;y<$.SBMAX_l;y++){var t;y<=6?t=F:y<=13?t=R:y<=20?t=n:t=r,x.nsPsy.longfact[y]=t}for(y=0;y<$.SBMAX_s;y++){var t;y<=5?t=F:y<=10?t=R:y<=11?t=n:t=r,x.nsPsy.shortfact[y]=t}}}},this.on_pe=function(v,x,I,y,F,R){var n=v.internal_flags,r=0,t,_=z(2),u,H=new u1(r),U=G.ResvMaxBits(v,y,H,R);r=H.bits;var B=r+U;for(B>d.MAX_BITS_PER_GRANULE&&(B=d.MAX_BITS_PER_GRANULE),t=0,u=0;u<n.channels_out;++u)I[u]=Math.min(d.MAX_BITS_PER_CHANNEL,r/n.channels_out),_[u]=0|I[u]*x[F][u]/700-I[u],_[u]>y*3/4&&(_[u]=y*3/4),_[u]<0&&(_[u]=0),_[u]+I[u]>d.MAX_BITS_PER_CHANNEL&&(_[u]=Math.max(0,d.MAX_BITS_PER_CHANNEL-I[u])),t+=_[u];if(t>U)for(u=0;u<n.channels_out;++u)_[u]=U*_[u]/t;for(u=0;u<n.channels_out;++u)I[u]+=_[u],U-=_[u];for(t=0,u=0;u<n.channels_out;++u)t+=I[u];if(t>d.MAX_BITS_PER_GRANULE){var Y=0;for(u=0;u<n.channels_out;++u)I[u]*=d.MAX_BITS_PER_GRANULE,I[u]/=t,Y+=I[u]}return B},this.reduce_side=function(v,x,I,y){C(v[0]+v[1]<=d.MAX_BITS_PER_GRANULE);var F=.33*(.5-x)/.5;F<0&&(F=0),F>.5&&(F=.5);var R=0|F*.5*(v[0]+v[1]);R>d.MAX_BITS_PER_CHANNEL-v[0]&&(R=d.MAX_BITS_PER_CHANNEL-v[0]),R<0&&(R=0),v[1]>=125&&(v[1]-R>125?(v[0]<I&&(v[0]+=R),v[1]-=R):(v[0]+=v[1]-125,v[1]=125)),R=v[0]+v[1],R>y&&(v[0]=y*v[0]/R,v[1]=y*v[1]/R),C(v[0]<=d.MAX_BITS_PER_CHANNEL),C(v[1]<=d.MAX_BITS_PER_CHANNEL),C(v[0]+v[1]<=d.MAX_BITS_PER_GRANULE)},this.athAdjust=function(v,x,I){var y=90.30873362,F=94.82444863,R=h1.FAST_LOG10_X(x,10),n=v*v,r=0;return R-=I,n>1e-20&&(r=1+h1.FAST_LOG10_X(n,10/y)),r<0&&(r=0),R*=r,R+=I+y-F,Math.pow(10,.1*R)},this.calc_xmin=function(v,x,I,y){var F=0,R=v.internal_flags,n,r=0,t=0,_=R.ATH,u=I.xr,H=v.VBR==O.vbr_mtrh?1:0,U=R.masking_lower;for((v.VBR==O.vbr_mtrh||v.VBR==O.vbr_mt)&&(U=1),n=0;n<I.psy_lmax;n++){var B,Y,n1,c1,g1,w1;v.VBR==O.vbr_rh||v.VBR==O.vbr_mtrh?Y=athAdjust(_.adjust,_.l[n],_.floor):Y=_.adjust*_.l[n],g1=I.width[n],n1=Y/g1,c1=M,w1=g1>>1,B=0;do{var M1,d1;M1=u[r]*u[r],B+=M1,c1+=M1<n1?M1:n1,r++,d1=u[r]*u[r],B+=d1,c1+=d1<n1?d1:n1,r++}while(--w1>0);if(B>Y&&t++,n==$.SBPSY_l){var k1=Y*R.nsPsy.longfact[n];c1<k1&&(c1=k1)}if(H!=0&&(Y=c1),!v.ATHonly){var q1=x.en.l[n];if(q1>0){var k1;k1=B*x.thm.l[n]*U/q1,H!=0&&(k1*=R.nsPsy.longfact[n]),Y<k1&&(Y=k1)}}H!=0?y[F++]=Y:y[F++]=Y*R.nsPsy.longfact[n]}var u0=575;if(I.block_type!=$.SHORT_TYPE)for(var s=576;s--!=0&&L.EQ(u[s],0);)u0=s;I.max_nonzero_coeff=u0;for(var i=I.sfb_smin;n<I.psymax;i++,n+=3){var g1,v1,R1;for(v.VBR==O.vbr_rh||v.VBR==O.vbr_mtrh?R1=athAdjust(_.adjust,_.s[i],_.floor):R1=_.adjust*_.s[i],g1=I.width[n],v1=0;v1<3;v1++){var B=0,Y,n1,c1,w1=g1>>1;n1=R1/g1,c1=M;do{var M1,d1;M1=u[r]*u[r],B+=M1,c1+=M1<n1?M1:n1,r++,d1=u[r]*u[r],B+=d1,c1+=d1<n1?d1:n1,r++}while(--w1>0);if(B>R1&&t++,i==$.SBPSY_s){var k1=R1*R.nsPsy.shortfact[i];c1<k1&&(c1=k1)}if(H!=0?Y=c1:Y=R1,!v.ATHonly&&!v.ATHshort){var q1=x.en.s[i][v1];if(q1>0){var k1;k1=B*x.thm.s[i][v1]*U/q1,H!=0&&(k1*=R.nsPsy.shortfact[i]),Y<k1&&(Y=k1)}}H!=0?y[F++]=Y:y[F++]=Y*R.nsPsy.shortfact[i]}v.useTemporal&&(y[F-3]>y[F-3+1]&&(y[F-3+1]+=(y[F-3]-y[F-3+1])*R.decay),y[F-3+1]>y[F-3+2]&&(y[F-3+2]+=(y[F-3+1]-y[F-3+2])*R.decay))}return t};function e(v){this.s=v}this.calc_noise_core=function(v,x,I,y){var F=0,R=x.s,n=v.l3_enc;if(R>v.count1)for(;I--!=0;){var r;r=v.xr[R],R++,F+=r*r,r=v.xr[R],R++,F+=r*r}else if(R>v.big_values){var t=W(2);for(t[0]=0,t[1]=y;I--!=0;){var r;r=Math.abs(v.xr[R])-t[n[R]],R++,F+=r*r,r=Math.abs(v.xr[R])-t[n[R]],R++,F+=r*r}}else for(;I--!=0;){var r;r=Math.abs(v.xr[R])-A[n[R]]*y,R++,F+=r*r,r=Math.abs(v.xr[R])-A[n[R]]*y,R++,F+=r*r}return x.s=R,F},this.calc_noise=function(v,x,I,y,F){var R=0,n=0,r,t,_=0,u=0,H=0,U=-20,B=0,Y=v.scalefac,n1=0;for(y.over_SSD=0,r=0;r<v.psymax;r++){var c1=v.global_gain-(Y[n1++]+(v.preflag!=0?w[r]:0)<<v.scalefac_scale+1)-v.subblock_gain[v.window[r]]*8,g1=0;if(F!=null&&F.step[r]==c1)g1=F.noise[r],B+=v.width[r],I[R++]=g1/x[n++],g1=F.noise_log[r];else{var w1=Q(c1);if(t=v.width[r]>>1,B+v.width[r]>v.max_nonzero_coeff){var M1;M1=v.max_nonzero_coeff-B+1,M1>0?t=M1>>1:t=0}var d1=new e(B);g1=this.calc_noise_core(v,d1,t,w1),B=d1.s,F!=null&&(F.step[r]=c1,F.noise[r]=g1),g1=I[R++]=g1/x[n++],g1=h1.FAST_LOG10(Math.max(g1,1e-20)),F!=null&&(F.noise_log[r]=g1)}if(F!=null&&(F.global_gain=v.global_gain),H+=g1,g1>0){var k1;k1=Math.max(0|g1*10+.5,1),y.over_SSD+=k1*k1,_++,u+=g1}U=Math.max(U,g1)}return y.over_count=_,y.tot_noise=H,y.over_noise=u,y.max_noise=U,_},this.set_pinfo=function(v,x,I,y,F){var R=v.internal_flags,n,r,t,_,u,H=x.scalefac_scale==0?.5:1,U=x.scalefac,B=W(L3Side.SFBMAX),Y=W(L3Side.SFBMAX),n1=new CalcNoiseResult;calc_xmin(v,I,x,B),calc_noise(x,B,Y,n1,null);var c1=0;for(r=x.sfb_lmax,x.block_type!=$.SHORT_TYPE&&x.mixed_block_flag==0&&(r=22),n=0;n<r;n++){var g1=R.scalefac_band.l[n],w1=R.scalefac_band.l[n+1],M1=w1-g1;for(_=0;c1<w1;c1++)_+=x.xr[c1]*x.xr[c1];_/=M1,u=1e15,R.pinfo.en[y][F][n]=u*_,R.pinfo.xfsf[y][F][n]=u*B[n]*Y[n]/M1,I.en.l[n]>0&&!v.ATHonly?_=_/I.en.l[n]:_=0,R.pinfo.thr[y][F][n]=u*Math.max(_*I.thm.l[n],R.ATH.l[n]),R.pinfo.LAMEsfb[y][F][n]=0,x.preflag!=0&&n>=11&&(R.pinfo.LAMEsfb[y][F][n]=-H*w[n]),n<$.SBPSY_l&&(C(U[n]>=0),R.pinfo.LAMEsfb[y][F][n]-=H*U[n])}if(x.block_type==$.SHORT_TYPE)for(r=n,n=x.sfb_smin;n<$.SBMAX_s;n++)for(var g1=R.scalefac_band.s[n],w1=R.scalefac_band.s[n+1],M1=w1-g1,d1=0;d1<3;d1++){for(_=0,t=g1;t<w1;t++)_+=x.xr[c1]*x.xr[c1],c1++;_=Math.max(_/M1,1e-20),u=1e15,R.pinfo.en_s[y][F][3*n+d1]=u*_,R.pinfo.xfsf_s[y][F][3*n+d1]=u*B[r]*Y[r]/M1,I.en.s[n][d1]>0?_=_/I.en.s[n][d1]:_=0,(v.ATHonly||v.ATHshort)&&(_=0),R.pinfo.thr_s[y][F][3*n+d1]=u*Math.max(_*I.thm.s[n][d1],R.ATH.s[n]),R.pinfo.LAMEsfb_s[y][F][3*n+d1]=-2*x.subblock_gain[d1],n<$.SBPSY_s&&(R.pinfo.LAMEsfb_s[y][F][3*n+d1]-=H*U[r]),r++}R.pinfo.LAMEqss[y][F]=x.global_gain,R.pinfo.LAMEmainbits[y][F]=x.part2_3_length+x.part2_length,R.pinfo.LAMEsfbits[y][F]=x.part2_length,R.pinfo.over[y][F]=n1.over_count,R.pinfo.max_noise[y][F]=n1.max_noise*10,R.pinfo.over_noise[y][F]=n1.over_noise*10,R.pinfo.tot_noise[y][F]=n1.tot_noise*10,R.pinfo.over_SSD[y][F]=n1.over_SSD}}return ka=b,ka}var Ea,Ae;function Be(){if(Ae)return Ea;Ae=1;var k=z1,Z=k.System,O=k.Arrays,J=k.new_int,h1=k.assert,W=s0(),z=Ta,C=wa,$=Re();function u1(){var d=null;this.qupvt=null,this.setModules=function(R){this.qupvt=R,d=R};function b(R){this.bits=0|R}var L=[[0,0],[0,0],[0,0],[0,0],[0,0],[0,1],[1,1],[1,1],[1,2],[2,2],[2,3],[2,3],[3,4],[3,4],[3,4],[4,5],[4,5],[4,6],[5,6],[5,6],[5,7],[6,7],[6,7]];function r1(R,n,r,t,_,u){var H=.5946/n;for(R=R>>1;R--!=0;)_[u++]=H>r[t++]?0:1,_[u++]=H>r[t++]?0:1}function G(R,n,r,t,_,u){R=R>>1;var H=R%2;for(R=R>>1;R--!=0;){var U,B,Y,n1,c1,g1,w1,M1;U=r[t++]*n,B=r[t++]*n,c1=0|U,Y=r[t++]*n,g1=0|B,n1=r[t++]*n,w1=0|Y,U+=d.adj43[c1],M1=0|n1,B+=d.adj43[g1],_[u++]=0|U,Y+=d.adj43[w1],_[u++]=0|B,n1+=d.adj43[M1],_[u++]=0|Y,_[u++]=0|n1}if(H!=0){var U,B,c1,g1;U=r[t++]*n,B=r[t++]*n,c1=0|U,g1=0|B,U+=d.adj43[c1],B+=d.adj43[g1],_[u++]=0|U,_[u++]=0|B}}function s1(R,n,r,t,_){var u,H,U=0,B,Y=0,n1=0,c1=0,g1=n,w1=0,M1=g1,d1=0,k1=R,q1=0;for(B=_!=null&&t.global_gain==_.global_gain,t.block_type==W.SHORT_TYPE?H=38:H=21,u=0;u<=H;u++){var u0=-1;if((B||t.block_type==W.NORM_TYPE)&&(u0=t.global_gain-(t.scalefac[u]+(t.preflag!=0?d.pretab[u]:0)<<t.scalefac_scale+1)-t.subblock_gain[t.window[u]]*8),h1(t.width[u]>=0),B&&_.step[u]==u0)Y!=0&&(G(Y,r,k1,q1,M1,d1),Y=0),n1!=0&&(r1(n1,r,k1,q1,M1,d1),n1=0);else{var s=t.width[u];if(U+t.width[u]>t.max_nonzero_coeff){var i;i=t.max_nonzero_coeff-U+1,O.fill(n,t.max_nonzero_coeff,576,0),s=i,s<0&&(s=0),u=H+1}if(Y==0&&n1==0&&(M1=g1,d1=w1,k1=R,q1=c1),_!=null&&_.sfb_count1>0&&u>=_.sfb_count1&&_.step[u]>0&&u0>=_.step[u]?(Y!=0&&(G(Y,r,k1,q1,M1,d1),Y=0,M1=g1,d1=w1,k1=R,q1=c1),n1+=s):(n1!=0&&(r1(n1,r,k1,q1,M1,d1),n1=0,M1=g1,d1=w1,k1=R,q1=c1),Y+=s),s<=0){n1!=0&&(r1(n1,r,k1,q1,M1,d1),n1=0),Y!=0&&(G(Y,r,k1,q1,M1,d1),Y=0);break}}u<=H&&(w1+=t.width[u],c1+=t.width[u],U+=t.width[u])}Y!=0&&(G(Y,r,k1,q1,M1,d1),Y=0),n1!=0&&(r1(n1,r,k1,q1,M1,d1),n1=0)}function Q(R,n,r){var t=0,_=0;do{var u=R[n++],H=R[n++];t<u&&(t=u),_<H&&(_=H)}while(n<r);return t<_&&(t=_),t}function M(R,n,r,t,_,u){var H=z.ht[t].xlen*65536+z.ht[_].xlen,U=0,B;do{var Y=R[n++],n1=R[n++];Y!=0&&(Y>14&&(Y=15,U+=H),Y*=16),n1!=0&&(n1>14&&(n1=15,U+=H),Y+=n1),U+=z.largetbl[Y]}while(n<r);return B=U&65535,U>>=16,U>B&&(U=B,t=_),u.bits+=U,t}function f(R,n,r,t){var _=0,u=z.ht[1].hlen;do{var H=R[n+0]*2+R[n+1];n+=2,_+=u[H]}while(n<r);return t.bits+=_,1}function h(R,n,r,t,_){var u=0,H,U=z.ht[t].xlen,B;t==2?B=z.table23:B=z.table56;do{var Y=R[n+0]*U+R[n+1];n+=2,u+=B[Y]}while(n<r);return H=u&65535,u>>=16,u>H&&(u=H,t++),_.bits+=u,t}function g(R,n,r,t,_){var u=0,H=0,U=0,B=z.ht[t].xlen,Y=z.ht[t].hlen,n1=z.ht[t+1].hlen,c1=z.ht[t+2].hlen;do{var g1=R[n+0]*B+R[n+1];n+=2,u+=Y[g1],H+=n1[g1],U+=c1[g1]}while(n<r);var w1=t;return u>H&&(u=H,w1++),u>U&&(u=U,w1=t+2),_.bits+=u,w1}var a=[1,2,5,7,7,10,10,13,13,13,13,13,13,13,13];function o(R,n,r,t){var _=Q(R,n,r);switch(_){case 0:return _;case 1:return f(R,n,r,t);case 2:case 3:return h(R,n,r,a[_-1],t);case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 14:case 15:return g(R,n,r,a[_-1],t);default:if(_>$.IXMAX_VAL)return t.bits=$.LARGE_BITS,-1;_-=15;var u;for(u=24;u<32&&!(z.ht[u].linmax>=_);u++);var H;for(H=u-8;H<24&&!(z.ht[H].linmax>=_);H++);return M(R,n,r,H,u,t)}}this.noquant_count_bits=function(R,n,r){var t=n.l3_enc,_=Math.min(576,n.max_nonzero_coeff+2>>1<<1);for(r!=null&&(r.sfb_count1=0);_>1&&!(t[_-1]|t[_-2]);_-=2);n.count1=_;for(var u=0,H=0;_>3;_-=4){var U;if(((t[_-1]|t[_-2]|t[_-3]|t[_-4])&2147483647)>1)break;U=((t[_-4]*2+t[_-3])*2+t[_-2])*2+t[_-1],u+=z.t32l[U],H+=z.t33l[U]}var B=u;if(n.count1table_select=0,u>H&&(B=H,n.count1table_select=1),n.count1bits=B,n.big_values=_,_==0)return B;if(n.block_type==W.SHORT_TYPE)u=3*R.scalefac_band.s[3],u>n.big_values&&(u=n.big_values),H=n.big_values;else if(n.block_type==W.NORM_TYPE){if(u=n.region0_count=R.bv_scf[_-2],H=n.region1_count=R.bv_scf[_-1],h1(u+H+2<W.SBPSY_l),H=R.scalefac_band.l[u+H+2],u=R.scalefac_band.l[u+1],H<_){var Y=new b(B);n.table_select[2]=o(t,H,_,Y),B=Y.bits}}else n.region0_count=7,n.region1_count=W.SBMAX_l-1-7-1,u=R.scalefac_band.l[8],H=_,u>H&&(u=H);if(u=Math.min(u,_),H=Math.min(H,_),0<u){var Y=new b(B);n.table_select[0]=o(t,0,u,Y),B=Y.bits}if(u<H){var Y=new b(B);n.table_select[1]=o(t,u,H,Y),B=Y.bits}if(R.use_best_huffman==2&&(n.part2_3_length=B,best_huffman_divide(R,n),B=n.part2_3_length),r!=null&&n.block_type==W.NORM_TYPE){for(var n1=0;R.scalefac_band.l[n1]<n.big_values;)n1++;r.sfb_count1=n1}return B},this.count_bits=function(R,n,r,t){var _=r.l3_enc,u=$.IXMAX_VAL/d.IPOW20(r.global_gain);if(r.xrpow_max>u)return $.LARGE_BITS;if(s1(n,_,d.IPOW20(r.global_gain),r,t),R.substep_shaping&2)for(var H=0,U=r.global_gain+r.scalefac_scale,B=.634521682242439/d.IPOW20(U),Y=0;Y<r.sfbmax;Y++){var n1=r.width[Y];if(R.pseudohalf[Y]==0)H+=n1;else{var c1;for(c1=H,H+=n1;c1<H;++c1)_[c1]=n[c1]>=B?_[c1]:0}}return this.noquant_count_bits(R,r,t)};function w(R,n,r,t,_,u,H){for(var U=n.big_values,B=0;B<=22;B++)t[B]=$.LARGE_BITS;for(var B=0;B<16;B++){var Y=R.scalefac_band.l[B+1];if(Y>=U)break;var n1=0,c1=new b(n1),g1=o(r,0,Y,c1);n1=c1.bits;for(var w1=0;w1<8;w1++){var M1=R.scalefac_band.l[B+w1+2];if(M1>=U)break;var d1=n1;c1=new b(d1);var k1=o(r,Y,M1,c1);d1=c1.bits,t[B+w1]>d1&&(t[B+w1]=d1,_[B+w1]=B,u[B+w1]=g1,H[B+w1]=k1)}}}function P(R,n,r,t,_,u,H,U){for(var B=n.big_values,Y=2;Y<W.SBMAX_l+1;Y++){var n1=R.scalefac_band.l[Y];if(n1>=B)break;var c1=_[Y-2]+n.count1bits;if(r.part2_3_length<=c1)break;var g1=new b(c1),w1=o(t,n1,B,g1);c1=g1.bits,!(r.part2_3_length<=c1)&&(r.assign(n),r.part2_3_length=c1,r.region0_count=u[Y-2],r.region1_count=Y-2-u[Y-2],r.table_select[0]=H[Y-2],r.table_select[1]=U[Y-2],r.table_select[2]=w1)}}this.best_huffman_divide=function(R,n){var r=new C,t=n.l3_enc,_=J(23),u=J(23),H=J(23),U=J(23);if(!(n.block_type==W.SHORT_TYPE&&R.mode_gr==1)){r.assign(n),n.block_type==W.NORM_TYPE&&(w(R,n,t,_,u,H,U),P(R,r,n,t,_,u,H,U));var B=r.big_values;if(!(B==0||(t[B-2]|t[B-1])>1)&&(B=n.count1+2,!(B>576))){r.assign(n),r.count1=B;for(var Y=0,n1=0;B>r.big_values;B-=4){var c1=((t[B-4]*2+t[B-3])*2+t[B-2])*2+t[B-1];Y+=z.t32l[c1],n1+=z.t33l[c1]}if(r.big_values=B,r.count1table_select=0,Y>n1&&(Y=n1,r.count1table_select=1),r.count1bits=Y,r.block_type==W.NORM_TYPE)P(R,r,n,t,_,u,H,U);else{if(r.part2_3_length=Y,Y=R.scalefac_band.l[8],Y>B&&(Y=B),Y>0){var g1=new b(r.part2_3_length);r.table_select[0]=o(t,0,Y,g1),r.part2_3_length=g1.bits}if(B>Y){var g1=new b(r.part2_3_length);r.table_select[1]=o(t,Y,B,g1),r.part2_3_length=g1.bits}n.part2_3_length>r.part2_3_length&&n.assign(r)}}}};var V=[1,1,1,1,8,2,2,2,4,4,4,8,8,8,16,16],A=[1,2,4,8,1,2,4,8,2,4,8,2,4,8,4,8],E=[0,0,0,0,3,1,1,1,2,2,2,3,3,3,4,4],l1=[0,1,2,3,0,1,2,3,1,2,3,1,2,3,2,3];u1.slen1_tab=E,u1.slen2_tab=l1;function p(R,n){for(var r,t=n.tt[1][R],_=n.tt[0][R],u=0;u<z.scfsi_band.length-1;u++){for(r=z.scfsi_band[u];r<z.scfsi_band[u+1]&&!(_.scalefac[r]!=t.scalefac[r]&&t.scalefac[r]>=0);r++);if(r==z.scfsi_band[u+1]){for(r=z.scfsi_band[u];r<z.scfsi_band[u+1];r++)t.scalefac[r]=-1;n.scfsi[R][u]=1}}var H=0,U=0;for(r=0;r<11;r++)t.scalefac[r]!=-1&&(U++,H<t.scalefac[r]&&(H=t.scalefac[r]));for(var B=0,Y=0;r<W.SBPSY_l;r++)t.scalefac[r]!=-1&&(Y++,B<t.scalefac[r]&&(B=t.scalefac[r]));for(var u=0;u<16;u++)if(H<V[u]&&B<A[u]){var n1=E[u]*U+l1[u]*Y;t.part2_length>n1&&(t.part2_length=n1,t.scalefac_compress=u)}}this.best_scalefac_store=function(R,n,r,t){var _=t.tt[n][r],u,H,U,B,Y=0;for(U=0,u=0;u<_.sfbmax;u++){var n1=_.width[u];for(U+=n1,B=-n1;B<0&&_.l3_enc[B+U]==0;B++);B==0&&(_.scalefac[u]=Y=-2)}if(_.scalefac_scale==0&&_.preflag==0){var c1=0;for(u=0;u<_.sfbmax;u++)_.scalefac[u]>0&&(c1|=_.scalefac[u]);if(!(c1&1)&&c1!=0){for(u=0;u<_.sfbmax;u++)_.scalefac[u]>0&&(_.scalefac[u]>>=1);_.scalefac_scale=Y=1}}if(_.preflag==0&&_.block_type!=W.SHORT_TYPE&&R.mode_gr==2){for(u=11;u<W.SBPSY_l&&!(_.scalefac[u]<d.pretab[u]&&_.scalefac[u]!=-2);u++);if(u==W.SBPSY_l){for(u=11;u<W.SBPSY_l;u++)_.scalefac[u]>0&&(_.scalefac[u]-=d.pretab[u]);_.preflag=Y=1}}for(H=0;H<4;H++)t.scfsi[r][H]=0;for(R.mode_gr==2&&n==1&&t.tt[0][r].block_type!=W.SHORT_TYPE&&t.tt[1][r].block_type!=W.SHORT_TYPE&&(p(r,t),Y=0),u=0;u<_.sfbmax;u++)_.scalefac[u]==-2&&(_.scalefac[u]=0);Y!=0&&(R.mode_gr==2?this.scale_bitcount(_):this.scale_bitcount_lsf(R,_))};function e(R,n){for(var r=0;r<n;++r)if(R[r]<0)return!1;return!0}var v=[0,18,36,54,54,36,54,72,54,72,90,72,90,108,108,126],x=[0,18,36,54,51,35,53,71,52,70,88,69,87,105,104,122],I=[0,10,20,30,33,21,31,41,32,42,52,43,53,63,64,74];this.scale_bitcount=function(R){var n,r,t=0,_=0,u,H=R.scalefac;if(h1(e(H,R.sfbmax)),R.block_type==W.SHORT_TYPE)u=v,R.mixed_block_flag!=0&&(u=x);else if(u=I,R.preflag==0){for(r=11;r<W.SBPSY_l&&!(H[r]<d.pretab[r]);r++);if(r==W.SBPSY_l)for(R.preflag=1,r=11;r<W.SBPSY_l;r++)H[r]-=d.pretab[r]}for(r=0;r<R.sfbdivide;r++)t<H[r]&&(t=H[r]);for(;r<R.sfbmax;r++)_<H[r]&&(_=H[r]);for(R.part2_length=$.LARGE_BITS,n=0;n<16;n++)t<V[n]&&_<A[n]&&R.part2_length>u[n]&&(R.part2_length=u[n],R.scalefac_compress=n);return R.part2_length==$.LARGE_BITS};var y=[[15,15,7,7],[15,15,7,0],[7,3,0,0],[15,31,31,0],[7,7,7,0],[3,3,0,0]];this.scale_bitcount_lsf=function(R,n){var r,t,_,u,H,U,B,Y,n1=J(4),c1=n.scalefac;for(n.preflag!=0?r=2:r=0,B=0;B<4;B++)n1[B]=0;if(n.block_type==W.SHORT_TYPE){t=1;var g1=d.nr_of_sfb_block[r][t];for(Y=0,_=0;_<4;_++)for(u=g1[_]/3,B=0;B<u;B++,Y++)for(H=0;H<3;H++)c1[Y*3+H]>n1[_]&&(n1[_]=c1[Y*3+H])}else{t=0;var g1=d.nr_of_sfb_block[r][t];for(Y=0,_=0;_<4;_++)for(u=g1[_],B=0;B<u;B++,Y++)c1[Y]>n1[_]&&(n1[_]=c1[Y])}for(U=!1,_=0;_<4;_++)n1[_]>y[r][_]&&(U=!0);if(!U){var w1,M1,d1,k1;for(n.sfb_partition_table=d.nr_of_sfb_block[r][t],_=0;_<4;_++)n.slen[_]=F[n1[_]];switch(w1=n.slen[0],M1=n.slen[1],d1=n.slen[2],k1=n.slen[3],r){case 0:n.scalefac_compress=(w1*5+M1<<4)+(d1<<2)+k1;break;case 1:n.scalefac_compress=400+(w1*5+M1<<2)+d1;break;case 2:n.scalefac_compress=500+w1*3+M1;break;default:Z.err.printf(`intensity stereo not implemented yet
+`);break}}if(!U)for(h1(n.sfb_partition_table!=null),n.part2_length=0,_=0;_<4;_++)n.part2_length+=n.slen[_]*n.sfb_partition_table[_];return U};var F=[0,1,2,2,3,3,3,3,4,4,4,4,4,4,4,4];this.huffman_init=function(R){for(var n=2;n<=576;n+=2){for(var r=0,t;R.scalefac_band.l[++r]<n;);for(t=L[r][0];R.scalefac_band.l[t+1]>n;)t--;for(t<0&&(t=L[r][0]),R.bv_scf[n-2]=t,t=L[r][1];R.scalefac_band.l[t+R.bv_scf[n-2]+2]>n;)t--;t<0&&(t=L[r][1]),R.bv_scf[n-1]=t}}}return Ea=u1,Ea}var xa,Te;function ya(){if(Te)return xa;Te=1;var k=z1,Z=k.System,O=k.Arrays,J=k.new_byte,h1=k.new_float_n,W=k.new_int,z=k.assert,C=Be(),$=Ta,u1=s0(),d=na;b.EQ=function(L,r1){return Math.abs(L)>Math.abs(r1)?Math.abs(L-r1)<=Math.abs(L)*1e-6:Math.abs(L-r1)<=Math.abs(r1)*1e-6},b.NEQ=function(L,r1){return!b.EQ(L,r1)};function b(){var L=Va(),r1=this,G=32773,s1=null,Q=null,M=null,f=null;this.setModules=function(n,r,t,_){s1=n,Q=r,M=t,f=_};var h=null,g=0,a=0,o=0;this.getframebits=function(n){var r=n.internal_flags,t;r.bitrate_index!=0?t=$.bitrate_table[n.version][r.bitrate_index]:t=n.brate;var _=0|(n.version+1)*72e3*t/n.out_samplerate+r.padding;return 8*_};function w(n){Z.arraycopy(n.header[n.w_ptr].buf,0,h,a,n.sideinfo_len),a+=n.sideinfo_len,g+=n.sideinfo_len*8,n.w_ptr=n.w_ptr+1&d.MAX_HEADER_BUF-1}function P(n,r,t){for(;t>0;){var _;o==0&&(o=8,a++,z(a<L.LAME_MAXMP3BUFFER),z(n.header[n.w_ptr].write_timing>=g),n.header[n.w_ptr].write_timing==g&&w(n),h[a]=0),_=Math.min(t,o),t-=_,o-=_,h[a]|=r>>t<<o,g+=_}}function V(n,r,t){for(;t>0;){var _;o==0&&(o=8,a++,z(a<L.LAME_MAXMP3BUFFER),h[a]=0),_=Math.min(t,o),t-=_,o-=_,h[a]|=r>>t<<o,g+=_}}function A(n,r){var t=n.internal_flags,_;if(r>=8&&(P(t,76,8),r-=8),r>=8&&(P(t,65,8),r-=8),r>=8&&(P(t,77,8),r-=8),r>=8&&(P(t,69,8),r-=8),r>=32){var u=M.getLameShortVersion();if(r>=32)for(_=0;_<u.length&&r>=8;++_)r-=8,P(t,u.charAt(_),8)}for(;r>=1;r-=1)P(t,t.ancillary_flag,1),t.ancillary_flag^=n.disable_reservoir?0:1}function E(n,r,t){for(var _=n.header[n.h_ptr].ptr;t>0;){var u=Math.min(t,8-(_&7));t-=u,n.header[n.h_ptr].buf[_>>3]|=r>>t<<8-(_&7)-u,_+=u}n.header[n.h_ptr].ptr=_}function l1(n,r){n<<=8;for(var t=0;t<8;t++)n<<=1,r<<=1,(r^n)&65536&&(r^=G);return r}this.CRC_writeheader=function(n,r){var t=65535;t=l1(r[2]&255,t),t=l1(r[3]&255,t);for(var _=6;_<n.sideinfo_len;_++)t=l1(r[_]&255,t);r[4]=byte(t>>8),r[5]=byte(t&255)};function p(n,r){var t=n.internal_flags,_,u,H;if(_=t.l3_side,t.header[t.h_ptr].ptr=0,O.fill(t.header[t.h_ptr].buf,0,t.sideinfo_len,0),n.out_samplerate<16e3?E(t,4094,12):E(t,4095,12),E(t,n.version,1),E(t,1,2),E(t,n.error_protection?0:1,1),E(t,t.bitrate_index,4),E(t,t.samplerate_index,2),E(t,t.padding,1),E(t,n.extension,1),E(t,n.mode.ordinal(),2),E(t,t.mode_ext,2),E(t,n.copyright,1),E(t,n.original,1),E(t,n.emphasis,2),n.error_protection&&E(t,0,16),n.version==1){for(z(_.main_data_begin>=0),E(t,_.main_data_begin,9),t.channels_out==2?E(t,_.private_bits,3):E(t,_.private_bits,5),H=0;H<t.channels_out;H++){var U;for(U=0;U<4;U++)E(t,_.scfsi[H][U],1)}for(u=0;u<2;u++)for(H=0;H<t.channels_out;H++){var B=_.tt[u][H];E(t,B.part2_3_length+B.part2_length,12),E(t,B.big_values/2,9),E(t,B.global_gain,8),E(t,B.scalefac_compress,4),B.block_type!=u1.NORM_TYPE?(E(t,1,1),E(t,B.block_type,2),E(t,B.mixed_block_flag,1),B.table_select[0]==14&&(B.table_select[0]=16),E(t,B.table_select[0],5),B.table_select[1]==14&&(B.table_select[1]=16),E(t,B.table_select[1],5),E(t,B.subblock_gain[0],3),E(t,B.subblock_gain[1],3),E(t,B.subblock_gain[2],3)):(E(t,0,1),B.table_select[0]==14&&(B.table_select[0]=16),E(t,B.table_select[0],5),B.table_select[1]==14&&(B.table_select[1]=16),E(t,B.table_select[1],5),B.table_select[2]==14&&(B.table_select[2]=16),E(t,B.table_select[2],5),z(0<=B.region0_count&&B.region0_count<16),z(0<=B.region1_count&&B.region1_count<8),E(t,B.region0_count,4),E(t,B.region1_count,3)),E(t,B.preflag,1),E(t,B.scalefac_scale,1),E(t,B.count1table_select,1)}}else for(z(_.main_data_begin>=0),E(t,_.main_data_begin,8),E(t,_.private_bits,t.channels_out),u=0,H=0;H<t.channels_out;H++){var B=_.tt[u][H];E(t,B.part2_3_length+B.part2_length,12),E(t,B.big_values/2,9),E(t,B.global_gain,8),E(t,B.scalefac_compress,9),B.block_type!=u1.NORM_TYPE?(E(t,1,1),E(t,B.block_type,2),E(t,B.mixed_block_flag,1),B.table_select[0]==14&&(B.table_select[0]=16),E(t,B.table_select[0],5),B.table_select[1]==14&&(B.table_select[1]=16),E(t,B.table_select[1],5),E(t,B.subblock_gain[0],3),E(t,B.subblock_gain[1],3),E(t,B.subblock_gain[2],3)):(E(t,0,1),B.table_select[0]==14&&(B.table_select[0]=16),E(t,B.table_select[0],5),B.table_select[1]==14&&(B.table_select[1]=16),E(t,B.table_select[1],5),B.table_select[2]==14&&(B.table_select[2]=16),E(t,B.table_select[2],5),z(0<=B.region0_count&&B.region0_count<16),z(0<=B.region1_count&&B.region1_count<8),E(t,B.region0_count,4),E(t,B.region1_count,3)),E(t,B.scalefac_scale,1),E(t,B.count1table_select,1)}n.error_protection&&CRC_writeheader(t,t.header[t.h_ptr].buf);{var Y=t.h_ptr;z(t.header[Y].ptr==t.sideinfo_len*8),t.h_ptr=Y+1&d.MAX_HEADER_BUF-1,t.header[t.h_ptr].write_timing=t.header[Y].write_timing+r,t.h_ptr==t.w_ptr&&Z.err.println(`Error: MAX_HEADER_BUF too small in bitstream.c 
+`)}}function e(n,r){var t=$.ht[r.count1table_select+32],_,u=0,H=r.big_values,U=r.big_values;for(z(r.count1table_select<2),_=(r.count1-r.big_values)/4;_>0;--_){var B=0,Y=0,n1;n1=r.l3_enc[H+0],n1!=0&&(Y+=8,r.xr[U+0]<0&&B++),n1=r.l3_enc[H+1],n1!=0&&(Y+=4,B*=2,r.xr[U+1]<0&&B++),n1=r.l3_enc[H+2],n1!=0&&(Y+=2,B*=2,r.xr[U+2]<0&&B++),n1=r.l3_enc[H+3],n1!=0&&(Y++,B*=2,r.xr[U+3]<0&&B++),H+=4,U+=4,P(n,B+t.table[Y],t.hlen[Y]),u+=t.hlen[Y]}return u}function v(n,r,t,_,u){var H=$.ht[r],U=0;if(r==0)return U;for(var B=t;B<_;B+=2){var Y=0,n1=0,c1=H.xlen,g1=H.xlen,w1=0,M1=u.l3_enc[B],d1=u.l3_enc[B+1];if(M1!=0&&(u.xr[B]<0&&w1++,Y--),r>15){if(M1>14){var k1=M1-15;z(k1<=H.linmax),w1|=k1<<1,n1=c1,M1=15}if(d1>14){var q1=d1-15;z(q1<=H.linmax),w1<<=c1,w1|=q1,n1+=c1,d1=15}g1=16}d1!=0&&(w1<<=1,u.xr[B+1]<0&&w1++,Y--),M1=M1*g1+d1,n1-=Y,Y+=H.hlen[M1],P(n,H.table[M1],Y),P(n,w1,n1),U+=Y+n1}return U}function x(n,r){var t=3*n.scalefac_band.s[3];t>r.big_values&&(t=r.big_values);var _=v(n,r.table_select[0],0,t,r);return _+=v(n,r.table_select[1],t,r.big_values,r),_}function I(n,r){var t,_,u,H;t=r.big_values;var U=r.region0_count+1;return z(U<n.scalefac_band.l.length),u=n.scalefac_band.l[U],U+=r.region1_count+1,z(U<n.scalefac_band.l.length),H=n.scalefac_band.l[U],u>t&&(u=t),H>t&&(H=t),_=v(n,r.table_select[0],0,u,r),_+=v(n,r.table_select[1],u,H,r),_+=v(n,r.table_select[2],H,t,r),_}function y(n){var r,t,_,u,H=0,U=n.internal_flags,B=U.l3_side;if(n.version==1)for(r=0;r<2;r++)for(t=0;t<U.channels_out;t++){var Y=B.tt[r][t],n1=C.slen1_tab[Y.scalefac_compress],c1=C.slen2_tab[Y.scalefac_compress];for(u=0,_=0;_<Y.sfbdivide;_++)Y.scalefac[_]!=-1&&(P(U,Y.scalefac[_],n1),u+=n1);for(;_<Y.sfbmax;_++)Y.scalefac[_]!=-1&&(P(U,Y.scalefac[_],c1),u+=c1);z(u==Y.part2_length),Y.block_type==u1.SHORT_TYPE?u+=x(U,Y):u+=I(U,Y),u+=e(U,Y),z(u==Y.part2_3_length+Y.part2_length),H+=u}else for(r=0,t=0;t<U.channels_out;t++){var Y=B.tt[r][t],g1,w1,M1=0;if(z(Y.sfb_partition_table!=null),u=0,_=0,w1=0,Y.block_type==u1.SHORT_TYPE){for(;w1<4;w1++){var d1=Y.sfb_partition_table[w1]/3,k1=Y.slen[w1];for(g1=0;g1<d1;g1++,_++)P(U,Math.max(Y.scalefac[_*3+0],0),k1),P(U,Math.max(Y.scalefac[_*3+1],0),k1),P(U,Math.max(Y.scalefac[_*3+2],0),k1),M1+=3*k1}u+=x(U,Y)}else{for(;w1<4;w1++){var d1=Y.sfb_partition_table[w1],k1=Y.slen[w1];for(g1=0;g1<d1;g1++,_++)P(U,Math.max(Y.scalefac[_],0),k1),M1+=k1}u+=I(U,Y)}u+=e(U,Y),z(u==Y.part2_3_length),z(M1==Y.part2_length),H+=M1+u}return H}function F(){this.total=0}function R(n,r){var t=n.internal_flags,_,u,H,U,B;return B=t.w_ptr,U=t.h_ptr-1,U==-1&&(U=d.MAX_HEADER_BUF-1),_=t.header[U].write_timing-g,r.total=_,_>=0&&(u=1+U-B,U<B&&(u=1+U-B+d.MAX_HEADER_BUF),_-=u*8*t.sideinfo_len),H=r1.getframebits(n),_+=H,r.total+=H,r.total%8!=0?r.total=1+r.total/8:r.total=r.total/8,r.total+=a+1,_<0&&Z.err.println(`strange error flushing buffer ... 
+`),_}this.flush_bitstream=function(n){var r=n.internal_flags,t,_,u=r.h_ptr-1;if(u==-1&&(u=d.MAX_HEADER_BUF-1),t=r.l3_side,!((_=R(n,new F))<0)){if(A(n,_),z(r.header[u].write_timing+this.getframebits(n)==g),r.ResvSize=0,t.main_data_begin=0,r.findReplayGain){var H=s1.GetTitleGain(r.rgdata);z(NEQ(H,GainAnalysis.GAIN_NOT_ENOUGH_SAMPLES)),r.RadioGain=Math.floor(H*10+.5)|0}r.findPeakSample&&(r.noclipGainChange=Math.ceil(Math.log10(r.PeakSample/32767)*20*10)|0,r.noclipGainChange>0&&(EQ(n.scale,1)||EQ(n.scale,0))?r.noclipScale=Math.floor(32767/r.PeakSample*100)/100:r.noclipScale=-1)}},this.add_dummy_byte=function(n,r,t){for(var _=n.internal_flags,u;t-- >0;)for(V(_,r,8),u=0;u<d.MAX_HEADER_BUF;++u)_.header[u].write_timing+=8},this.format_bitstream=function(n){var r=n.internal_flags,t;t=r.l3_side;var _=this.getframebits(n);A(n,t.resvDrain_pre),p(n,_);var u=8*r.sideinfo_len;if(u+=y(n),A(n,t.resvDrain_post),u+=t.resvDrain_post,t.main_data_begin+=(_-u)/8,R(n,new F)!=r.ResvSize&&Z.err.println("Internal buffer inconsistency. flushbits <> ResvSize"),t.main_data_begin*8!=r.ResvSize&&(Z.err.printf(`bit reservoir error: 
+l3_side.main_data_begin: %d 
+Resvoir size:             %d 
+resv drain (post)         %d 
+resv drain (pre)          %d 
+header and sideinfo:      %d 
+data bits:                %d 
+total bits:               %d (remainder: %d) 
+bitsperframe:             %d 
+`,8*t.main_data_begin,r.ResvSize,t.resvDrain_post,t.resvDrain_pre,8*r.sideinfo_len,u-t.resvDrain_post-8*r.sideinfo_len,u,u%8,_),Z.err.println("This is a fatal error.  It has several possible causes:"),Z.err.println("90%%  LAME compiled with buggy version of gcc using advanced optimizations"),Z.err.println(" 9%%  Your system is overclocked"),Z.err.println(" 1%%  bug in LAME encoding library"),r.ResvSize=t.main_data_begin*8),g>1e9){var H;for(H=0;H<d.MAX_HEADER_BUF;++H)r.header[H].write_timing-=g;g=0}return 0},this.copy_buffer=function(n,r,t,_,u){var H=a+1;if(H<=0)return 0;if(_!=0&&H>_)return-1;if(Z.arraycopy(h,0,r,t,H),a=-1,o=0,u!=0){var U=W(1);if(U[0]=n.nMusicCRC,f.updateMusicCRC(U,r,t,H),n.nMusicCRC=U[0],H>0&&(n.VBR_seek_table.nBytesWritten+=H),n.decode_on_the_fly){for(var B=h1([2,1152]),Y=H,n1=-1,c1;n1!=0;)if(n1=Q.hip_decode1_unclipped(n.hip,r,t,Y,B[0],B[1]),Y=0,n1==-1&&(n1=0),n1>0){if(n.findPeakSample){for(c1=0;c1<n1;c1++)B[0][c1]>n.PeakSample?n.PeakSample=B[0][c1]:-B[0][c1]>n.PeakSample&&(n.PeakSample=-B[0][c1]);if(n.channels_out>1)for(c1=0;c1<n1;c1++)B[1][c1]>n.PeakSample?n.PeakSample=B[1][c1]:-B[1][c1]>n.PeakSample&&(n.PeakSample=-B[1][c1])}if(n.findReplayGain&&s1.AnalyzeSamples(n.rgdata,B[0],0,B[1],0,n1,n.channels_out)==GainAnalysis.GAIN_ANALYSIS_ERROR)return-6}}}return H},this.init_bit_stream_w=function(n){h=J(L.LAME_MAXMP3BUFFER),n.h_ptr=n.w_ptr=0,n.header[n.h_ptr].write_timing=0,a=-1,o=0,g=0}}return xa=b,xa}var Pa,ke;function Va(){if(ke)return Pa;ke=1;var k=z1,Z=k.System,O=k.VbrMode,J=k.ShortBlock,h1=k.new_float,W=k.new_int_n,z=k.new_short_n,C=k.assert,$=ze,u1=Je,d=na,b=S2,L=R2,r1=y2,G=ya(),s1=Ta,Q=s0();function M(){var f=Q0,h=this,g=128*1024;M.V9=410,M.V8=420,M.V7=430,M.V6=440,M.V5=450,M.V4=460,M.V3=470,M.V2=480,M.V1=490,M.V0=500,M.R3MIX=1e3,M.STANDARD=1001,M.EXTREME=1002,M.INSANE=1003,M.STANDARD_FAST=1004,M.EXTREME_FAST=1005,M.MEDIUM=1006,M.MEDIUM_FAST=1007;var a=16384+g;M.LAME_MAXMP3BUFFER=a;var o,w,P,V,A,E=new $,l1,p,e;this.enc=new Q,this.setModules=function(s,i,v1,R1,I1,V1,T1,B1,X1){o=s,w=i,P=v1,V=R1,A=I1,l1=V1,p=B1,e=X1,this.enc.setModules(w,E,V,l1)};function v(){this.mask_adjust=0,this.mask_adjust_short=0,this.bo_l_weight=h1(Q.SBMAX_l),this.bo_s_weight=h1(Q.SBMAX_s)}function x(){this.lowerlimit=0}function I(s,i){this.lowpass=i}var y=4294479419;function F(s){var i;return s.class_id=y,i=s.internal_flags=new d,s.mode=f.NOT_SET,s.original=1,s.in_samplerate=44100,s.num_channels=2,s.num_samples=-1,s.bWriteVbrTag=!0,s.quality=-1,s.short_blocks=null,i.subblock_gain=-1,s.lowpassfreq=0,s.highpassfreq=0,s.lowpasswidth=-1,s.highpasswidth=-1,s.VBR=O.vbr_off,s.VBR_q=4,s.ATHcurve=-1,s.VBR_mean_bitrate_kbps=128,s.VBR_min_bitrate_kbps=0,s.VBR_max_bitrate_kbps=0,s.VBR_hard_min=0,i.VBR_min_bitrate=1,i.VBR_max_bitrate=13,s.quant_comp=-1,s.quant_comp_short=-1,s.msfix=-1,i.resample_ratio=1,i.OldValue[0]=180,i.OldValue[1]=180,i.CurrentStep[0]=4,i.CurrentStep[1]=4,i.masking_lower=1,i.nsPsy.attackthre=-1,i.nsPsy.attackthre_s=-1,s.scale=-1,s.athaa_type=-1,s.ATHtype=-1,s.athaa_loudapprox=-1,s.athaa_sensitivity=0,s.useTemporal=null,s.interChRatio=-1,i.mf_samples_to_encode=Q.ENCDELAY+Q.POSTDELAY,s.encoder_padding=0,i.mf_size=Q.ENCDELAY-Q.MDCTDELAY,s.findReplayGain=!1,s.decode_on_the_fly=!1,i.decode_on_the_fly=!1,i.findReplayGain=!1,i.findPeakSample=!1,i.RadioGain=0,i.AudiophileGain=0,i.noclipGainChange=0,i.noclipScale=-1,s.preset=0,s.write_id3tag_automatic=!0,0}this.lame_init=function(){var s=new u1;return F(s),s.lame_allocated_gfp=1,s};function R(s){return s>1?0:s<=0?1:Math.cos(Math.PI/2*s)}this.nearestBitrateFullIndex=function(s){var i=[8,16,24,32,40,48,56,64,80,96,112,128,160,192,224,256,320],v1=0,R1=0,I1=0,V1=0;V1=i[16],I1=16,R1=i[16],v1=16;for(var T1=0;T1<16;T1++)if(Math.max(s,i[T1+1])!=s){V1=i[T1+1],I1=T1+1,R1=i[T1],v1=T1;break}return V1-s>s-R1?v1:I1};function n(s,i){var v1=44100;return i>=48e3?v1=48e3:i>=44100?v1=44100:i>=32e3?v1=32e3:i>=24e3?v1=24e3:i>=22050?v1=22050:i>=16e3?v1=16e3:i>=12e3?v1=12e3:i>=11025?v1=11025:i>=8e3&&(v1=8e3),s==-1?v1:(s<=15960&&(v1=44100),s<=15250&&(v1=32e3),s<=11220&&(v1=24e3),s<=9970&&(v1=22050),s<=7230&&(v1=16e3),s<=5420&&(v1=12e3),s<=4510&&(v1=11025),s<=3970&&(v1=8e3),i<v1?i>44100?48e3:i>32e3?44100:i>24e3?32e3:i>22050?24e3:i>16e3?22050:i>12e3?16e3:i>11025?12e3:i>8e3?11025:8e3:v1)}function r(s,i){switch(s){case 44100:return i.version=1,0;case 48e3:return i.version=1,1;case 32e3:return i.version=1,2;case 22050:return i.version=0,0;case 24e3:return i.version=0,1;case 16e3:return i.version=0,2;case 11025:return i.version=0,0;case 12e3:return i.version=0,1;case 8e3:return i.version=0,2;default:return i.version=0,-1}}function t(s,i,v1){v1<16e3&&(i=2);for(var R1=s1.bitrate_table[i][1],I1=2;I1<=14;I1++)s1.bitrate_table[i][I1]>0&&Math.abs(s1.bitrate_table[i][I1]-s)<Math.abs(R1-s)&&(R1=s1.bitrate_table[i][I1]);return R1}function _(s,i,v1){v1<16e3&&(i=2);for(var R1=0;R1<=14;R1++)if(s1.bitrate_table[i][R1]>0&&s1.bitrate_table[i][R1]==s)return R1;return-1}function u(s,i){var v1=[new I(8,2e3),new I(16,3700),new I(24,3900),new I(32,5500),new I(40,7e3),new I(48,7500),new I(56,1e4),new I(64,11e3),new I(80,13500),new I(96,15100),new I(112,15600),new I(128,17e3),new I(160,17500),new I(192,18600),new I(224,19400),new I(256,19700),new I(320,20500)],R1=h.nearestBitrateFullIndex(i);s.lowerlimit=v1[R1].lowpass}function H(s){var i=s.internal_flags,v1=32,R1=-1;if(i.lowpass1>0){for(var I1=999,V1=0;V1<=31;V1++){var T1=V1/31;T1>=i.lowpass2&&(v1=Math.min(v1,V1)),i.lowpass1<T1&&T1<i.lowpass2&&(I1=Math.min(I1,V1))}I1==999?i.lowpass1=(v1-.75)/31:i.lowpass1=(I1-.75)/31,i.lowpass2=v1/31}if(i.highpass2>0&&i.highpass2<.9*(.75/31)&&(i.highpass1=0,i.highpass2=0,Z.err.println(`Warning: highpass filter disabled.  highpass frequency too small
+`)),i.highpass2>0){for(var B1=-1,V1=0;V1<=31;V1++){var T1=V1/31;T1<=i.highpass1&&(R1=Math.max(R1,V1)),i.highpass1<T1&&T1<i.highpass2&&(B1=Math.max(B1,V1))}i.highpass1=R1/31,B1==-1?i.highpass2=(R1+.75)/31:i.highpass2=(B1+.75)/31}for(var V1=0;V1<32;V1++){var X1,E1,T1=V1/31;i.highpass2>i.highpass1?X1=R((i.highpass2-T1)/(i.highpass2-i.highpass1+1e-20)):X1=1,i.lowpass2>i.lowpass1?E1=R((T1-i.lowpass1)/(i.lowpass2-i.lowpass1+1e-20)):E1=1,i.amp_filter[V1]=X1*E1}}function U(s){var i=s.internal_flags;switch(s.quality){default:case 9:i.psymodel=0,i.noise_shaping=0,i.noise_shaping_amp=0,i.noise_shaping_stop=0,i.use_best_huffman=0,i.full_outer_loop=0;break;case 8:s.quality=7;case 7:i.psymodel=1,i.noise_shaping=0,i.noise_shaping_amp=0,i.noise_shaping_stop=0,i.use_best_huffman=0,i.full_outer_loop=0;break;case 6:i.psymodel=1,i.noise_shaping==0&&(i.noise_shaping=1),i.noise_shaping_amp=0,i.noise_shaping_stop=0,i.subblock_gain==-1&&(i.subblock_gain=1),i.use_best_huffman=0,i.full_outer_loop=0;break;case 5:i.psymodel=1,i.noise_shaping==0&&(i.noise_shaping=1),i.noise_shaping_amp=0,i.noise_shaping_stop=0,i.subblock_gain==-1&&(i.subblock_gain=1),i.use_best_huffman=0,i.full_outer_loop=0;break;case 4:i.psymodel=1,i.noise_shaping==0&&(i.noise_shaping=1),i.noise_shaping_amp=0,i.noise_shaping_stop=0,i.subblock_gain==-1&&(i.subblock_gain=1),i.use_best_huffman=1,i.full_outer_loop=0;break;case 3:i.psymodel=1,i.noise_shaping==0&&(i.noise_shaping=1),i.noise_shaping_amp=1,i.noise_shaping_stop=1,i.subblock_gain==-1&&(i.subblock_gain=1),i.use_best_huffman=1,i.full_outer_loop=0;break;case 2:i.psymodel=1,i.noise_shaping==0&&(i.noise_shaping=1),i.substep_shaping==0&&(i.substep_shaping=2),i.noise_shaping_amp=1,i.noise_shaping_stop=1,i.subblock_gain==-1&&(i.subblock_gain=1),i.use_best_huffman=1,i.full_outer_loop=0;break;case 1:i.psymodel=1,i.noise_shaping==0&&(i.noise_shaping=1),i.substep_shaping==0&&(i.substep_shaping=2),i.noise_shaping_amp=2,i.noise_shaping_stop=1,i.subblock_gain==-1&&(i.subblock_gain=1),i.use_best_huffman=1,i.full_outer_loop=0;break;case 0:i.psymodel=1,i.noise_shaping==0&&(i.noise_shaping=1),i.substep_shaping==0&&(i.substep_shaping=2),i.noise_shaping_amp=2,i.noise_shaping_stop=1,i.subblock_gain==-1&&(i.subblock_gain=1),i.use_best_huffman=1,i.full_outer_loop=0;break}}function B(s){var i=s.internal_flags;s.frameNum=0,s.write_id3tag_automatic&&p.id3tag_write_v2(s),i.bitrate_stereoMode_Hist=W([16,5]),i.bitrate_blockType_Hist=W([16,6]),i.PeakSample=0,s.bWriteVbrTag&&l1.InitVbrTag(s)}this.lame_init_params=function(s){var i=s.internal_flags;if(i.Class_ID=0,i.ATH==null&&(i.ATH=new b),i.PSY==null&&(i.PSY=new v),i.rgdata==null&&(i.rgdata=new L),i.channels_in=s.num_channels,i.channels_in==1&&(s.mode=f.MONO),i.channels_out=s.mode==f.MONO?1:2,i.mode_ext=Q.MPG_MD_MS_LR,s.mode==f.MONO&&(s.force_ms=!1),s.VBR==O.vbr_off&&s.VBR_mean_bitrate_kbps!=128&&s.brate==0&&(s.brate=s.VBR_mean_bitrate_kbps),s.VBR==O.vbr_off||s.VBR==O.vbr_mtrh||s.VBR==O.vbr_mt||(s.free_format=!1),s.VBR==O.vbr_off&&s.brate==0&&G.EQ(s.compression_ratio,0)&&(s.compression_ratio=11.025),s.VBR==O.vbr_off&&s.compression_ratio>0&&(s.out_samplerate==0&&(s.out_samplerate=map2MP3Frequency(int(.97*s.in_samplerate))),s.brate=0|s.out_samplerate*16*i.channels_out/(1e3*s.compression_ratio),i.samplerate_index=r(s.out_samplerate,s),s.free_format||(s.brate=t(s.brate,s.version,s.out_samplerate))),s.out_samplerate!=0&&(s.out_samplerate<16e3?(s.VBR_mean_bitrate_kbps=Math.max(s.VBR_mean_bitrate_kbps,8),s.VBR_mean_bitrate_kbps=Math.min(s.VBR_mean_bitrate_kbps,64)):s.out_samplerate<32e3?(s.VBR_mean_bitrate_kbps=Math.max(s.VBR_mean_bitrate_kbps,8),s.VBR_mean_bitrate_kbps=Math.min(s.VBR_mean_bitrate_kbps,160)):(s.VBR_mean_bitrate_kbps=Math.max(s.VBR_mean_bitrate_kbps,32),s.VBR_mean_bitrate_kbps=Math.min(s.VBR_mean_bitrate_kbps,320))),s.lowpassfreq==0){var v1=16e3;switch(s.VBR){case O.vbr_off:{var R1=new x;u(R1,s.brate),v1=R1.lowerlimit;break}case O.vbr_abr:{var R1=new x;u(R1,s.VBR_mean_bitrate_kbps),v1=R1.lowerlimit;break}case O.vbr_rh:{var I1=[19500,19e3,18600,18e3,17500,16e3,15600,14900,12500,1e4,3950];if(0<=s.VBR_q&&s.VBR_q<=9){var V1=I1[s.VBR_q],T1=I1[s.VBR_q+1],B1=s.VBR_q_frac;v1=linear_int(V1,T1,B1)}else v1=19500;break}default:{var I1=[19500,19e3,18500,18e3,17500,16500,15500,14500,12500,9500,3950];if(0<=s.VBR_q&&s.VBR_q<=9){var V1=I1[s.VBR_q],T1=I1[s.VBR_q+1],B1=s.VBR_q_frac;v1=linear_int(V1,T1,B1)}else v1=19500}}s.mode==f.MONO&&(s.VBR==O.vbr_off||s.VBR==O.vbr_abr)&&(v1*=1.5),s.lowpassfreq=v1|0}if(s.out_samplerate==0&&(2*s.lowpassfreq>s.in_samplerate&&(s.lowpassfreq=s.in_samplerate/2),s.out_samplerate=n(s.lowpassfreq|0,s.in_samplerate)),s.lowpassfreq=Math.min(20500,s.lowpassfreq),s.lowpassfreq=Math.min(s.out_samplerate/2,s.lowpassfreq),s.VBR==O.vbr_off&&(s.compression_ratio=s.out_samplerate*16*i.channels_out/(1e3*s.brate)),s.VBR==O.vbr_abr&&(s.compression_ratio=s.out_samplerate*16*i.channels_out/(1e3*s.VBR_mean_bitrate_kbps)),s.bWriteVbrTag||(s.findReplayGain=!1,s.decode_on_the_fly=!1,i.findPeakSample=!1),i.findReplayGain=s.findReplayGain,i.decode_on_the_fly=s.decode_on_the_fly,i.decode_on_the_fly&&(i.findPeakSample=!0),i.findReplayGain&&o.InitGainAnalysis(i.rgdata,s.out_samplerate)==GainAnalysis.INIT_GAIN_ANALYSIS_ERROR)return s.internal_flags=null,-6;switch(i.decode_on_the_fly&&!s.decode_only&&(i.hip!=null&&e.hip_decode_exit(i.hip),i.hip=e.hip_decode_init()),i.mode_gr=s.out_samplerate<=24e3?1:2,s.framesize=576*i.mode_gr,s.encoder_delay=Q.ENCDELAY,i.resample_ratio=s.in_samplerate/s.out_samplerate,s.VBR){case O.vbr_mt:case O.vbr_rh:case O.vbr_mtrh:{var X1=[5.7,6.5,7.3,8.2,10,11.9,13,14,15,16.5];s.compression_ratio=X1[s.VBR_q]}break;case O.vbr_abr:s.compression_ratio=s.out_samplerate*16*i.channels_out/(1e3*s.VBR_mean_bitrate_kbps);break;default:s.compression_ratio=s.out_samplerate*16*i.channels_out/(1e3*s.brate);break}if(s.mode==f.NOT_SET&&(s.mode=f.JOINT_STEREO),s.highpassfreq>0?(i.highpass1=2*s.highpassfreq,s.highpasswidth>=0?i.highpass2=2*(s.highpassfreq+s.highpasswidth):i.highpass2=1*2*s.highpassfreq,i.highpass1/=s.out_samplerate,i.highpass2/=s.out_samplerate):(i.highpass1=0,i.highpass2=0),s.lowpassfreq>0?(i.lowpass2=2*s.lowpassfreq,s.lowpasswidth>=0?(i.lowpass1=2*(s.lowpassfreq-s.lowpasswidth),i.lowpass1<0&&(i.lowpass1=0)):i.lowpass1=1*2*s.lowpassfreq,i.lowpass1/=s.out_samplerate,i.lowpass2/=s.out_samplerate):(i.lowpass1=0,i.lowpass2=0),H(s),i.samplerate_index=r(s.out_samplerate,s),i.samplerate_index<0)return s.internal_flags=null,-1;if(s.VBR==O.vbr_off){if(s.free_format)i.bitrate_index=0;else if(s.brate=t(s.brate,s.version,s.out_samplerate),i.bitrate_index=_(s.brate,s.version,s.out_samplerate),i.bitrate_index<=0)return s.internal_flags=null,-1}else i.bitrate_index=1;s.analysis&&(s.bWriteVbrTag=!1),i.pinfo!=null&&(s.bWriteVbrTag=!1),w.init_bit_stream_w(i);for(var E1=i.samplerate_index+3*s.version+6*(s.out_samplerate<16e3?1:0),p1=0;p1<Q.SBMAX_l+1;p1++)i.scalefac_band.l[p1]=V.sfBandIndex[E1].l[p1];for(var p1=0;p1<Q.PSFB21+1;p1++){var j1=(i.scalefac_band.l[22]-i.scalefac_band.l[21])/Q.PSFB21,a0=i.scalefac_band.l[21]+p1*j1;i.scalefac_band.psfb21[p1]=a0}i.scalefac_band.psfb21[Q.PSFB21]=576;for(var p1=0;p1<Q.SBMAX_s+1;p1++)i.scalefac_band.s[p1]=V.sfBandIndex[E1].s[p1];for(var p1=0;p1<Q.PSFB12+1;p1++){var j1=(i.scalefac_band.s[13]-i.scalefac_band.s[12])/Q.PSFB12,a0=i.scalefac_band.s[12]+p1*j1;i.scalefac_band.psfb12[p1]=a0}i.scalefac_band.psfb12[Q.PSFB12]=192,s.version==1?i.sideinfo_len=i.channels_out==1?21:36:i.sideinfo_len=i.channels_out==1?13:21,s.error_protection&&(i.sideinfo_len+=2),B(s),i.Class_ID=y;{var H1;for(H1=0;H1<19;H1++)i.nsPsy.pefirbuf[H1]=700*i.mode_gr*i.channels_out;s.ATHtype==-1&&(s.ATHtype=4)}switch(C(s.VBR_q<=9),C(s.VBR_q>=0),s.VBR){case O.vbr_mt:s.VBR=O.vbr_mtrh;case O.vbr_mtrh:{s.useTemporal==null&&(s.useTemporal=!1),P.apply_preset(s,500-s.VBR_q*10,0),s.quality<0&&(s.quality=LAME_DEFAULT_QUALITY),s.quality<5&&(s.quality=0),s.quality>5&&(s.quality=5),i.PSY.mask_adjust=s.maskingadjust,i.PSY.mask_adjust_short=s.maskingadjust_short,s.experimentalY?i.sfb21_extra=!1:i.sfb21_extra=s.out_samplerate>44e3,i.iteration_loop=new VBRNewIterationLoop(A);break}case O.vbr_rh:{P.apply_preset(s,500-s.VBR_q*10,0),i.PSY.mask_adjust=s.maskingadjust,i.PSY.mask_adjust_short=s.maskingadjust_short,s.experimentalY?i.sfb21_extra=!1:i.sfb21_extra=s.out_samplerate>44e3,s.quality>6&&(s.quality=6),s.quality<0&&(s.quality=LAME_DEFAULT_QUALITY),i.iteration_loop=new VBROldIterationLoop(A);break}default:{var l;i.sfb21_extra=!1,s.quality<0&&(s.quality=LAME_DEFAULT_QUALITY),l=s.VBR,l==O.vbr_off&&(s.VBR_mean_bitrate_kbps=s.brate),P.apply_preset(s,s.VBR_mean_bitrate_kbps,0),s.VBR=l,i.PSY.mask_adjust=s.maskingadjust,i.PSY.mask_adjust_short=s.maskingadjust_short,l==O.vbr_off?i.iteration_loop=new r1(A):i.iteration_loop=new ABRIterationLoop(A);break}}if(C(s.scale>=0),s.VBR!=O.vbr_off){if(i.VBR_min_bitrate=1,i.VBR_max_bitrate=14,s.out_samplerate<16e3&&(i.VBR_max_bitrate=8),s.VBR_min_bitrate_kbps!=0&&(s.VBR_min_bitrate_kbps=t(s.VBR_min_bitrate_kbps,s.version,s.out_samplerate),i.VBR_min_bitrate=_(s.VBR_min_bitrate_kbps,s.version,s.out_samplerate),i.VBR_min_bitrate<0)||s.VBR_max_bitrate_kbps!=0&&(s.VBR_max_bitrate_kbps=t(s.VBR_max_bitrate_kbps,s.version,s.out_samplerate),i.VBR_max_bitrate=_(s.VBR_max_bitrate_kbps,s.version,s.out_samplerate),i.VBR_max_bitrate<0))return-1;s.VBR_min_bitrate_kbps=s1.bitrate_table[s.version][i.VBR_min_bitrate],s.VBR_max_bitrate_kbps=s1.bitrate_table[s.version][i.VBR_max_bitrate],s.VBR_mean_bitrate_kbps=Math.min(s1.bitrate_table[s.version][i.VBR_max_bitrate],s.VBR_mean_bitrate_kbps),s.VBR_mean_bitrate_kbps=Math.max(s1.bitrate_table[s.version][i.VBR_min_bitrate],s.VBR_mean_bitrate_kbps)}return s.tune&&(i.PSY.mask_adjust+=s.tune_value_a,i.PSY.mask_adjust_short+=s.tune_value_a),U(s),C(s.scale>=0),s.athaa_type<0?i.ATH.useAdjust=3:i.ATH.useAdjust=s.athaa_type,i.ATH.aaSensitivityP=Math.pow(10,s.athaa_sensitivity/-10),s.short_blocks==null&&(s.short_blocks=J.short_block_allowed),s.short_blocks==J.short_block_allowed&&(s.mode==f.JOINT_STEREO||s.mode==f.STEREO)&&(s.short_blocks=J.short_block_coupled),s.quant_comp<0&&(s.quant_comp=1),s.quant_comp_short<0&&(s.quant_comp_short=0),s.msfix<0&&(s.msfix=0),s.exp_nspsytune=s.exp_nspsytune|1,s.internal_flags.nsPsy.attackthre<0&&(s.internal_flags.nsPsy.attackthre=$.NSATTACKTHRE),s.internal_flags.nsPsy.attackthre_s<0&&(s.internal_flags.nsPsy.attackthre_s=$.NSATTACKTHRE_S),C(s.scale>=0),s.scale<0&&(s.scale=1),s.ATHtype<0&&(s.ATHtype=4),s.ATHcurve<0&&(s.ATHcurve=4),s.athaa_loudapprox<0&&(s.athaa_loudapprox=2),s.interChRatio<0&&(s.interChRatio=0),s.useTemporal==null&&(s.useTemporal=!0),i.slot_lag=i.frac_SpF=0,s.VBR==O.vbr_off&&(i.slot_lag=i.frac_SpF=(s.version+1)*72e3*s.brate%s.out_samplerate|0),V.iteration_init(s),E.psymodel_init(s),C(s.scale>=0),0};function Y(s,i){(s.in_buffer_0==null||s.in_buffer_nsamples<i)&&(s.in_buffer_0=h1(i),s.in_buffer_1=h1(i),s.in_buffer_nsamples=i)}this.lame_encode_flush=function(s,i,v1,R1){var I1=s.internal_flags,V1=z([2,1152]),T1=0,B1,X1,E1,p1,j1=I1.mf_samples_to_encode-Q.POSTDELAY,a0=n1(s);if(I1.mf_samples_to_encode<1)return 0;for(B1=0,s.in_samplerate!=s.out_samplerate&&(j1+=16*s.out_samplerate/s.in_samplerate),E1=s.framesize-j1%s.framesize,E1<576&&(E1+=s.framesize),s.encoder_padding=E1,p1=(j1+E1)/s.framesize;p1>0&&T1>=0;){var H1=a0-I1.mf_size,l=s.frameNum;H1*=s.in_samplerate,H1/=s.out_samplerate,H1>1152&&(H1=1152),H1<1&&(H1=1),X1=R1-B1,R1==0&&(X1=0),T1=this.lame_encode_buffer(s,V1[0],V1[1],H1,i,v1,X1),v1+=T1,B1+=T1,p1-=l!=s.frameNum?1:0}if(I1.mf_samples_to_encode=0,T1<0||(X1=R1-B1,R1==0&&(X1=0),w.flush_bitstream(s),T1=w.copy_buffer(I1,i,v1,X1,1),T1<0))return T1;if(v1+=T1,B1+=T1,X1=R1-B1,R1==0&&(X1=0),s.write_id3tag_automatic){if(p.id3tag_write_v1(s),T1=w.copy_buffer(I1,i,v1,X1,0),T1<0)return T1;B1+=T1}return B1},this.lame_encode_buffer=function(s,i,v1,R1,I1,V1,T1){var B1=s.internal_flags,X1=[null,null];if(B1.Class_ID!=y)return-3;if(R1==0)return 0;Y(B1,R1),X1[0]=B1.in_buffer_0,X1[1]=B1.in_buffer_1;for(var E1=0;E1<R1;E1++)X1[0][E1]=i[E1],B1.channels_in>1&&(X1[1][E1]=v1[E1]);return c1(s,X1[0],X1[1],R1,I1,V1,T1)};function n1(s){var i=Q.BLKSIZE+s.framesize-Q.FFTOFFSET;return i=Math.max(i,512+s.framesize-32),i}function c1(s,i,v1,R1,I1,V1,T1){var B1=s.internal_flags,X1=0,E1,p1,j1,a0,H1,l=[null,null],c=[null,null];if(B1.Class_ID!=y)return-3;if(R1==0)return 0;if(H1=w.copy_buffer(B1,I1,V1,T1,0),H1<0)return H1;if(V1+=H1,X1+=H1,c[0]=i,c[1]=v1,G.NEQ(s.scale,0)&&G.NEQ(s.scale,1))for(p1=0;p1<R1;++p1)c[0][p1]*=s.scale,B1.channels_out==2&&(c[1][p1]*=s.scale);if(G.NEQ(s.scale_left,0)&&G.NEQ(s.scale_left,1))for(p1=0;p1<R1;++p1)c[0][p1]*=s.scale_left;if(G.NEQ(s.scale_right,0)&&G.NEQ(s.scale_right,1))for(p1=0;p1<R1;++p1)c[1][p1]*=s.scale_right;if(s.num_channels==2&&B1.channels_out==1)for(p1=0;p1<R1;++p1)c[0][p1]=.5*(c[0][p1]+c[1][p1]),c[1][p1]=0;a0=n1(s),l[0]=B1.mfbuf[0],l[1]=B1.mfbuf[1];for(var S=0;R1>0;){var T=[null,null],N=0,m=0;T[0]=c[0],T[1]=c[1];var D=new w1;if(u0(s,l,T,S,R1,D),N=D.n_in,m=D.n_out,B1.findReplayGain&&!B1.decode_on_the_fly&&o.AnalyzeSamples(B1.rgdata,l[0],B1.mf_size,l[1],B1.mf_size,m,B1.channels_out)==GainAnalysis.GAIN_ANALYSIS_ERROR)return-6;if(R1-=N,S+=N,B1.channels_out==2,B1.mf_size+=m,C(B1.mf_size<=d.MFSIZE),B1.mf_samples_to_encode<1&&(B1.mf_samples_to_encode=Q.ENCDELAY+Q.POSTDELAY),B1.mf_samples_to_encode+=m,B1.mf_size>=a0){var j=T1-X1;if(T1==0&&(j=0),E1=g1(s,l[0],l[1],I1,V1,j),E1<0)return E1;for(V1+=E1,X1+=E1,B1.mf_size-=s.framesize,B1.mf_samples_to_encode-=s.framesize,j1=0;j1<B1.channels_out;j1++)for(p1=0;p1<B1.mf_size;p1++)l[j1][p1]=l[j1][p1+s.framesize]}}return X1}function g1(s,i,v1,R1,I1,V1){var T1=h.enc.lame_encode_mp3_frame(s,i,v1,R1,I1,V1);return s.frameNum++,T1}function w1(){this.n_in=0,this.n_out=0}function M1(){this.num_used=0}function d1(s,i){return i!=0?d1(i,s%i):s}function k1(s,i,v1){var R1=Math.PI*i;s/=v1,s<0&&(s=0),s>1&&(s=1);var I1=s-.5,V1=.42-.5*Math.cos(2*s*Math.PI)+.08*Math.cos(4*s*Math.PI);return Math.abs(I1)<1e-9?R1/Math.PI:V1*Math.sin(v1*R1*I1)/(Math.PI*v1*I1)}function q1(s,i,v1,R1,I1,V1,T1,B1,X1){var E1=s.internal_flags,p1,j1=0,a0,H1=s.out_samplerate/d1(s.out_samplerate,s.in_samplerate);H1>d.BPC&&(H1=d.BPC);var l=Math.abs(E1.resample_ratio-Math.floor(.5+E1.resample_ratio))<1e-4?1:0,c=1/E1.resample_ratio;c>1&&(c=1);var S=31;S%2==0&&--S,S+=l;var T=S+1;if(E1.fill_buffer_resample_init==0){for(E1.inbuf_old[0]=h1(T),E1.inbuf_old[1]=h1(T),p1=0;p1<=2*H1;++p1)E1.blackfilt[p1]=h1(T);for(E1.itime[0]=0,E1.itime[1]=0,j1=0;j1<=2*H1;j1++){var N=0,m=(j1-H1)/(2*H1);for(p1=0;p1<=S;p1++)N+=E1.blackfilt[j1][p1]=k1(p1-m,c,S);for(p1=0;p1<=S;p1++)E1.blackfilt[j1][p1]/=N}E1.fill_buffer_resample_init=1}var D=E1.inbuf_old[X1];for(a0=0;a0<R1;a0++){var j,X;if(j=a0*E1.resample_ratio,j1=0|Math.floor(j-E1.itime[X1]),S+j1-S/2>=T1)break;var m=j-E1.itime[X1]-(j1+.5*(S%2));X=0|Math.floor(m*2*H1+H1+.5);var a1=0;for(p1=0;p1<=S;++p1){var q=0|p1+j1-S/2,e1;e1=q<0?D[T+q]:I1[V1+q],a1+=e1*E1.blackfilt[X][p1]}i[v1+a0]=a1}if(B1.num_used=Math.min(T1,S+j1-S/2),E1.itime[X1]+=B1.num_used-a0*E1.resample_ratio,B1.num_used>=T)for(p1=0;p1<T;p1++)D[p1]=I1[V1+B1.num_used+p1-T];else{var b1=T-B1.num_used;for(p1=0;p1<b1;++p1)D[p1]=D[p1+B1.num_used];for(j1=0;p1<T;++p1,++j1)D[p1]=I1[V1+j1];C(j1==B1.num_used)}return a0}function u0(s,i,v1,R1,I1,V1){var T1=s.internal_flags;if(T1.resample_ratio<.9999||T1.resample_ratio>1.0001)for(var B1=0;B1<T1.channels_out;B1++){var X1=new M1;V1.n_out=q1(s,i[B1],T1.mf_size,s.framesize,v1[B1],R1,I1,X1,B1),V1.n_in=X1.num_used}else{V1.n_out=Math.min(s.framesize,I1),V1.n_in=V1.n_out;for(var E1=0;E1<V1.n_out;++E1)i[0][T1.mf_size+E1]=v1[0][R1+E1],T1.channels_out==2&&(i[1][T1.mf_size+E1]=v1[1][R1+E1])}}}return Pa=M,Pa}var P2=z1,w0=P2.VbrMode;function V2(){var k=Va();function Z(d,b,L,r1,G,s1,Q,M,f,h,g,a,o,w,P){this.vbr_q=d,this.quant_comp=b,this.quant_comp_s=L,this.expY=r1,this.st_lrm=G,this.st_s=s1,this.masking_adj=Q,this.masking_adj_short=M,this.ath_lower=f,this.ath_curve=h,this.ath_sensitivity=g,this.interch=a,this.safejoint=o,this.sfb21mod=w,this.msfix=P}function O(d,b,L,r1,G,s1,Q,M,f,h,g,a,o,w){this.quant_comp=b,this.quant_comp_s=L,this.safejoint=r1,this.nsmsfix=G,this.st_lrm=s1,this.st_s=Q,this.nsbass=M,this.scale=f,this.masking_adj=h,this.ath_lower=g,this.ath_curve=a,this.interch=o,this.sfscale=w}var J;this.setModules=function(d){J=d};var h1=[new Z(0,9,9,0,5.2,125,-4.2,-6.3,4.8,1,0,0,2,21,.97),new Z(1,9,9,0,5.3,125,-3.6,-5.6,4.5,1.5,0,0,2,21,1.35),new Z(2,9,9,0,5.6,125,-2.2,-3.5,2.8,2,0,0,2,21,1.49),new Z(3,9,9,1,5.8,130,-1.8,-2.8,2.6,3,-4,0,2,20,1.64),new Z(4,9,9,1,6,135,-.7,-1.1,1.1,3.5,-8,0,2,0,1.79),new Z(5,9,9,1,6.4,140,.5,.4,-7.5,4,-12,2e-4,0,0,1.95),new Z(6,9,9,1,6.6,145,.67,.65,-14.7,6.5,-19,4e-4,0,0,2.3),new Z(7,9,9,1,6.6,145,.8,.75,-19.7,8,-22,6e-4,0,0,2.7),new Z(8,9,9,1,6.6,145,1.2,1.15,-27.5,10,-23,7e-4,0,0,0),new Z(9,9,9,1,6.6,145,1.6,1.6,-36,11,-25,8e-4,0,0,0),new Z(10,9,9,1,6.6,145,2,2,-36,12,-25,8e-4,0,0,0)],W=[new Z(0,9,9,0,4.2,25,-7,-4,7.5,1,0,0,2,26,.97),new Z(1,9,9,0,4.2,25,-5.6,-3.6,4.5,1.5,0,0,2,21,1.35),new Z(2,9,9,0,4.2,25,-4.4,-1.8,2,2,0,0,2,18,1.49),new Z(3,9,9,1,4.2,25,-3.4,-1.25,1.1,3,-4,0,2,15,1.64),new Z(4,9,9,1,4.2,25,-2.2,.1,0,3.5,-8,0,2,0,1.79),new Z(5,9,9,1,4.2,25,-1,1.65,-7.7,4,-12,2e-4,0,0,1.95),new Z(6,9,9,1,4.2,25,-0,2.47,-7.7,6.5,-19,4e-4,0,0,2),new Z(7,9,9,1,4.2,25,.5,2,-14.5,8,-22,6e-4,0,0,2),new Z(8,9,9,1,4.2,25,1,2.4,-22,10,-23,7e-4,0,0,2),new Z(9,9,9,1,4.2,25,1.5,2.95,-30,11,-25,8e-4,0,0,2),new Z(10,9,9,1,4.2,25,2,2.95,-36,12,-30,8e-4,0,0,2)];function z(d,b,L){var r1=d.VBR==w0.vbr_rh?h1:W,G=d.VBR_q_frac,s1=r1[b],Q=r1[b+1],M=s1;s1.st_lrm=s1.st_lrm+G*(Q.st_lrm-s1.st_lrm),s1.st_s=s1.st_s+G*(Q.st_s-s1.st_s),s1.masking_adj=s1.masking_adj+G*(Q.masking_adj-s1.masking_adj),s1.masking_adj_short=s1.masking_adj_short+G*(Q.masking_adj_short-s1.masking_adj_short),s1.ath_lower=s1.ath_lower+G*(Q.ath_lower-s1.ath_lower),s1.ath_curve=s1.ath_curve+G*(Q.ath_curve-s1.ath_curve),s1.ath_sensitivity=s1.ath_sensitivity+G*(Q.ath_sensitivity-s1.ath_sensitivity),s1.interch=s1.interch+G*(Q.interch-s1.interch),s1.msfix=s1.msfix+G*(Q.msfix-s1.msfix),u1(d,M.vbr_q),L!=0?d.quant_comp=M.quant_comp:Math.abs(d.quant_comp- -1)>0||(d.quant_comp=M.quant_comp),L!=0?d.quant_comp_short=M.quant_comp_s:Math.abs(d.quant_comp_short- -1)>0||(d.quant_comp_short=M.quant_comp_s),M.expY!=0&&(d.experimentalY=M.expY!=0),L!=0?d.internal_flags.nsPsy.attackthre=M.st_lrm:Math.abs(d.internal_flags.nsPsy.attackthre- -1)>0||(d.internal_flags.nsPsy.attackthre=M.st_lrm),L!=0?d.internal_flags.nsPsy.attackthre_s=M.st_s:Math.abs(d.internal_flags.nsPsy.attackthre_s- -1)>0||(d.internal_flags.nsPsy.attackthre_s=M.st_s),L!=0?d.maskingadjust=M.masking_adj:Math.abs(d.maskingadjust-0)>0||(d.maskingadjust=M.masking_adj),L!=0?d.maskingadjust_short=M.masking_adj_short:Math.abs(d.maskingadjust_short-0)>0||(d.maskingadjust_short=M.masking_adj_short),L!=0?d.ATHlower=-M.ath_lower/10:Math.abs(-d.ATHlower*10-0)>0||(d.ATHlower=-M.ath_lower/10),L!=0?d.ATHcurve=M.ath_curve:Math.abs(d.ATHcurve- -1)>0||(d.ATHcurve=M.ath_curve),L!=0?d.athaa_sensitivity=M.ath_sensitivity:Math.abs(d.athaa_sensitivity- -1)>0||(d.athaa_sensitivity=M.ath_sensitivity),M.interch>0&&(L!=0?d.interChRatio=M.interch:Math.abs(d.interChRatio- -1)>0||(d.interChRatio=M.interch)),M.safejoint>0&&(d.exp_nspsytune=d.exp_nspsytune|M.safejoint),M.sfb21mod>0&&(d.exp_nspsytune=d.exp_nspsytune|M.sfb21mod<<20),L!=0?d.msfix=M.msfix:Math.abs(d.msfix- -1)>0||(d.msfix=M.msfix),L==0&&(d.VBR_q=b,d.VBR_q_frac=G)}var C=[new O(8,9,9,0,0,6.6,145,0,.95,0,-30,11,.0012,1),new O(16,9,9,0,0,6.6,145,0,.95,0,-25,11,.001,1),new O(24,9,9,0,0,6.6,145,0,.95,0,-20,11,.001,1),new O(32,9,9,0,0,6.6,145,0,.95,0,-15,11,.001,1),new O(40,9,9,0,0,6.6,145,0,.95,0,-10,11,9e-4,1),new O(48,9,9,0,0,6.6,145,0,.95,0,-10,11,9e-4,1),new O(56,9,9,0,0,6.6,145,0,.95,0,-6,11,8e-4,1),new O(64,9,9,0,0,6.6,145,0,.95,0,-2,11,8e-4,1),new O(80,9,9,0,0,6.6,145,0,.95,0,0,8,7e-4,1),new O(96,9,9,0,2.5,6.6,145,0,.95,0,1,5.5,6e-4,1),new O(112,9,9,0,2.25,6.6,145,0,.95,0,2,4.5,5e-4,1),new O(128,9,9,0,1.95,6.4,140,0,.95,0,3,4,2e-4,1),new O(160,9,9,1,1.79,6,135,0,.95,-2,5,3.5,0,1),new O(192,9,9,1,1.49,5.6,125,0,.97,-4,7,3,0,0),new O(224,9,9,1,1.25,5.2,125,0,.98,-6,9,2,0,0),new O(256,9,9,1,.97,5.2,125,0,1,-8,10,1,0,0),new O(320,9,9,1,.9,5.2,125,0,1,-10,12,0,0,0)];function $(d,b,L){var r1=b,G=J.nearestBitrateFullIndex(b);if(d.VBR=w0.vbr_abr,d.VBR_mean_bitrate_kbps=r1,d.VBR_mean_bitrate_kbps=Math.min(d.VBR_mean_bitrate_kbps,320),d.VBR_mean_bitrate_kbps=Math.max(d.VBR_mean_bitrate_kbps,8),d.brate=d.VBR_mean_bitrate_kbps,d.VBR_mean_bitrate_kbps>320&&(d.disable_reservoir=!0),C[G].safejoint>0&&(d.exp_nspsytune=d.exp_nspsytune|2),C[G].sfscale>0&&(d.internal_flags.noise_shaping=2),Math.abs(C[G].nsbass)>0){var s1=int(C[G].nsbass*4);s1<0&&(s1+=64),d.exp_nspsytune=d.exp_nspsytune|s1<<2}return L!=0?d.quant_comp=C[G].quant_comp:Math.abs(d.quant_comp- -1)>0||(d.quant_comp=C[G].quant_comp),L!=0?d.quant_comp_short=C[G].quant_comp_s:Math.abs(d.quant_comp_short- -1)>0||(d.quant_comp_short=C[G].quant_comp_s),L!=0?d.msfix=C[G].nsmsfix:Math.abs(d.msfix- -1)>0||(d.msfix=C[G].nsmsfix),L!=0?d.internal_flags.nsPsy.attackthre=C[G].st_lrm:Math.abs(d.internal_flags.nsPsy.attackthre- -1)>0||(d.internal_flags.nsPsy.attackthre=C[G].st_lrm),L!=0?d.internal_flags.nsPsy.attackthre_s=C[G].st_s:Math.abs(d.internal_flags.nsPsy.attackthre_s- -1)>0||(d.internal_flags.nsPsy.attackthre_s=C[G].st_s),L!=0?d.scale=C[G].scale:Math.abs(d.scale- -1)>0||(d.scale=C[G].scale),L!=0?d.maskingadjust=C[G].masking_adj:Math.abs(d.maskingadjust-0)>0||(d.maskingadjust=C[G].masking_adj),C[G].masking_adj>0?L!=0?d.maskingadjust_short=C[G].masking_adj*.9:Math.abs(d.maskingadjust_short-0)>0||(d.maskingadjust_short=C[G].masking_adj*.9):L!=0?d.maskingadjust_short=C[G].masking_adj*1.1:Math.abs(d.maskingadjust_short-0)>0||(d.maskingadjust_short=C[G].masking_adj*1.1),L!=0?d.ATHlower=-C[G].ath_lower/10:Math.abs(-d.ATHlower*10-0)>0||(d.ATHlower=-C[G].ath_lower/10),L!=0?d.ATHcurve=C[G].ath_curve:Math.abs(d.ATHcurve- -1)>0||(d.ATHcurve=C[G].ath_curve),L!=0?d.interChRatio=C[G].interch:Math.abs(d.interChRatio- -1)>0||(d.interChRatio=C[G].interch),b}this.apply_preset=function(d,b,L){switch(b){case k.R3MIX:{b=k.V3,d.VBR=w0.vbr_mtrh;break}case k.MEDIUM:{b=k.V4,d.VBR=w0.vbr_rh;break}case k.MEDIUM_FAST:{b=k.V4,d.VBR=w0.vbr_mtrh;break}case k.STANDARD:{b=k.V2,d.VBR=w0.vbr_rh;break}case k.STANDARD_FAST:{b=k.V2,d.VBR=w0.vbr_mtrh;break}case k.EXTREME:{b=k.V0,d.VBR=w0.vbr_rh;break}case k.EXTREME_FAST:{b=k.V0,d.VBR=w0.vbr_mtrh;break}case k.INSANE:return b=320,d.preset=b,$(d,b,L),d.VBR=w0.vbr_off,b}switch(d.preset=b,b){case k.V9:return z(d,9,L),b;case k.V8:return z(d,8,L),b;case k.V7:return z(d,7,L),b;case k.V6:return z(d,6,L),b;case k.V5:return z(d,5,L),b;case k.V4:return z(d,4,L),b;case k.V3:return z(d,3,L),b;case k.V2:return z(d,2,L),b;case k.V1:return z(d,1,L),b;case k.V0:return z(d,0,L),b}return 8<=b&&b<=320?$(d,b,L):(d.preset=0,b)};function u1(d,b){var L=0;return 0>b&&(L=-1,b=0),9<b&&(L=-1,b=9),d.VBR_q=b,d.VBR_q_frac=0,L}}var I2=V2;function L2(){this.setModules=function(k,Z){}}var D2=L2;function X2(){this.over_noise=0,this.tot_noise=0,this.max_noise=0,this.over_count=0,this.over_SSD=0,this.bits=0}var N2=X2,Ee=z1,xe=Ee.new_float,O2=Ee.new_int;function H2(){this.global_gain=0,this.sfb_count1=0,this.step=O2(39),this.noise=xe(39),this.noise_log=xe(39)}var Y2=H2,H0=z1,T0=H0.System,ye=H0.VbrMode,Ia=H0.Util,Y0=H0.Arrays,z0=H0.new_float,W0=H0.assert,C2=D2,La=N2,j2=Y2,C1=s0(),Pe=wa,Ve=aa;function q2(){var k;this.rv=null;var Z;this.qupvt=null;var O,J=new C2,h1;this.setModules=function(M,f,h,g){k=M,Z=f,this.rv=f,O=h,this.qupvt=h,h1=g,J.setModules(O,h1)},this.ms_convert=function(M,f){for(var h=0;h<576;++h){var g=M.tt[f][0].xr[h],a=M.tt[f][1].xr[h];M.tt[f][0].xr[h]=(g+a)*(Ia.SQRT2*.5),M.tt[f][1].xr[h]=(g-a)*(Ia.SQRT2*.5)}};function W(M,f,h,g){g=0;for(var a=0;a<=h;++a){var o=Math.abs(M.xr[a]);g+=o,f[a]=Math.sqrt(o*Math.sqrt(o)),f[a]>M.xrpow_max&&(M.xrpow_max=f[a])}return g}this.init_xrpow=function(M,f,h){var g=0,a=0|f.max_nonzero_coeff;if(f.xrpow_max=0,Y0.fill(h,a,576,0),g=W(f,h,a,g),g>1e-20){var o=0;M.substep_shaping&2&&(o=1);for(var w=0;w<f.psymax;w++)M.pseudohalf[w]=o;return!0}return Y0.fill(f.l3_enc,0,576,0),!1};function z(M,f){var h=M.ATH,g=f.xr;if(f.block_type!=C1.SHORT_TYPE)for(var a=!1,o=C1.PSFB21-1;o>=0&&!a;o--){var w=M.scalefac_band.psfb21[o],P=M.scalefac_band.psfb21[o+1],V=O.athAdjust(h.adjust,h.psfb21[o],h.floor);M.nsPsy.longfact[21]>1e-12&&(V*=M.nsPsy.longfact[21]);for(var A=P-1;A>=w;A--)if(Math.abs(g[A])<V)g[A]=0;else{a=!0;break}}else for(var E=0;E<3;E++)for(var a=!1,o=C1.PSFB12-1;o>=0&&!a;o--){var w=M.scalefac_band.s[12]*3+(M.scalefac_band.s[13]-M.scalefac_band.s[12])*E+(M.scalefac_band.psfb12[o]-M.scalefac_band.psfb12[0]),P=w+(M.scalefac_band.psfb12[o+1]-M.scalefac_band.psfb12[o]),l1=O.athAdjust(h.adjust,h.psfb12[o],h.floor);M.nsPsy.shortfact[12]>1e-12&&(l1*=M.nsPsy.shortfact[12]);for(var A=P-1;A>=w;A--)if(Math.abs(g[A])<l1)g[A]=0;else{a=!0;break}}}this.init_outer_loop=function(M,f){f.part2_3_length=0,f.big_values=0,f.count1=0,f.global_gain=210,f.scalefac_compress=0,f.table_select[0]=0,f.table_select[1]=0,f.table_select[2]=0,f.subblock_gain[0]=0,f.subblock_gain[1]=0,f.subblock_gain[2]=0,f.subblock_gain[3]=0,f.region0_count=0,f.region1_count=0,f.preflag=0,f.scalefac_scale=0,f.count1table_select=0,f.part2_length=0,f.sfb_lmax=C1.SBPSY_l,f.sfb_smin=C1.SBPSY_s,f.psy_lmax=M.sfb21_extra?C1.SBMAX_l:C1.SBPSY_l,f.psymax=f.psy_lmax,f.sfbmax=f.sfb_lmax,f.sfbdivide=11;for(var h=0;h<C1.SBMAX_l;h++)f.width[h]=M.scalefac_band.l[h+1]-M.scalefac_band.l[h],f.window[h]=3;if(f.block_type==C1.SHORT_TYPE){var g=z0(576);f.sfb_smin=0,f.sfb_lmax=0,f.mixed_block_flag!=0&&(f.sfb_smin=3,f.sfb_lmax=M.mode_gr*2+4),f.psymax=f.sfb_lmax+3*((M.sfb21_extra?C1.SBMAX_s:C1.SBPSY_s)-f.sfb_smin),f.sfbmax=f.sfb_lmax+3*(C1.SBPSY_s-f.sfb_smin),f.sfbdivide=f.sfbmax-18,f.psy_lmax=f.sfb_lmax;var a=M.scalefac_band.l[f.sfb_lmax];T0.arraycopy(f.xr,0,g,0,576);for(var h=f.sfb_smin;h<C1.SBMAX_s;h++)for(var o=M.scalefac_band.s[h],w=M.scalefac_band.s[h+1],P=0;P<3;P++)for(var V=o;V<w;V++)f.xr[a++]=g[3*V+P];for(var A=f.sfb_lmax,h=f.sfb_smin;h<C1.SBMAX_s;h++)f.width[A]=f.width[A+1]=f.width[A+2]=M.scalefac_band.s[h+1]-M.scalefac_band.s[h],f.window[A]=0,f.window[A+1]=1,f.window[A+2]=2,A+=3}f.count1bits=0,f.sfb_partition_table=O.nr_of_sfb_block[0][0],f.slen[0]=0,f.slen[1]=0,f.slen[2]=0,f.slen[3]=0,f.max_nonzero_coeff=575,Y0.fill(f.scalefac,0),z(M,f)};function C(M){this.ordinal=M}C.BINSEARCH_NONE=new C(0),C.BINSEARCH_UP=new C(1),C.BINSEARCH_DOWN=new C(2);function $(M,f,h,g,a){var o,w=M.CurrentStep[g],P=!1,V=M.OldValue[g],A=C.BINSEARCH_NONE;for(f.global_gain=V,h-=f.part2_length;;){var E;if(o=h1.count_bits(M,a,f,null),w==1||o==h)break;o>h?(A==C.BINSEARCH_DOWN&&(P=!0),P&&(w/=2),A=C.BINSEARCH_UP,E=w):(A==C.BINSEARCH_UP&&(P=!0),P&&(w/=2),A=C.BINSEARCH_DOWN,E=-w),f.global_gain+=E,f.global_gain<0&&(f.global_gain=0,P=!0),f.global_gain>255&&(f.global_gain=255,P=!0)}for(W0(f.global_gain>=0),W0(f.global_gain<256);o>h&&f.global_gain<255;)f.global_gain++,o=h1.count_bits(M,a,f,null);return M.CurrentStep[g]=V-f.global_gain>=4?4:2,M.OldValue[g]=f.global_gain,f.part2_3_length=o,o}this.trancate_smallspectrums=function(M,f,h,g){var a=z0(Ve.SFBMAX);if(!(!(M.substep_shaping&4)&&f.block_type==C1.SHORT_TYPE||M.substep_shaping&128)){O.calc_noise(f,h,a,new La,null);for(var w=0;w<576;w++){var o=0;f.l3_enc[w]!=0&&(o=Math.abs(f.xr[w])),g[w]=o}var w=0,P=8;f.block_type==C1.SHORT_TYPE&&(P=6);do{var V,A,E,l1,p=f.width[P];if(w+=p,!(a[P]>=1)&&(Y0.sort(g,w-p,p),!BitStream.EQ(g[w-1],0))){V=(1-a[P])*h[P],A=0,l1=0;do{var e;for(E=1;l1+E<p&&!BitStream.NEQ(g[l1+w-p],g[l1+w+E-p]);E++);if(e=g[l1+w-p]*g[l1+w-p]*E,V<e){l1!=0&&(A=g[l1+w-p-1]);break}V-=e,l1+=E}while(l1<p);if(!BitStream.EQ(A,0))do Math.abs(f.xr[w-p])<=A&&(f.l3_enc[w-p]=0);while(--p>0)}}while(++P<f.psymax);f.part2_3_length=h1.noquant_count_bits(M,f,null)}};function u1(M){for(var f=0;f<M.sfbmax;f++)if(M.scalefac[f]+M.subblock_gain[M.window[f]]==0)return!1;return!0}function d(M){return Ia.FAST_LOG10(.368+.632*M*M*M)}function b(M,f){for(var h=1e-37,g=0;g<f.psymax;g++)h+=d(M[g]);return Math.max(1e-20,h)}function L(M,f,h,g,a){var o;switch(M){default:case 9:{f.over_count>0?(o=h.over_SSD<=f.over_SSD,h.over_SSD==f.over_SSD&&(o=h.bits<f.bits)):o=h.max_noise<0&&h.max_noise*10+h.bits<=f.max_noise*10+f.bits;break}case 0:o=h.over_count<f.over_count||h.over_count==f.over_count&&h.over_noise<f.over_noise||h.over_count==f.over_count&&BitStream.EQ(h.over_noise,f.over_noise)&&h.tot_noise<f.tot_noise;break;case 8:h.max_noise=b(a,g);case 1:o=h.max_noise<f.max_noise;break;case 2:o=h.tot_noise<f.tot_noise;break;case 3:o=h.tot_noise<f.tot_noise&&h.max_noise<f.max_noise;break;case 4:o=h.max_noise<=0&&f.max_noise>.2||h.max_noise<=0&&f.max_noise<0&&f.max_noise>h.max_noise-.2&&h.tot_noise<f.tot_noise||h.max_noise<=0&&f.max_noise>0&&f.max_noise>h.max_noise-.2&&h.tot_noise<f.tot_noise+f.over_noise||h.max_noise>0&&f.max_noise>-.05&&f.max_noise>h.max_noise-.1&&h.tot_noise+h.over_noise<f.tot_noise+f.over_noise||h.max_noise>0&&f.max_noise>-.1&&f.max_noise>h.max_noise-.15&&h.tot_noise+h.over_noise+h.over_noise<f.tot_noise+f.over_noise+f.over_noise;break;case 5:o=h.over_noise<f.over_noise||BitStream.EQ(h.over_noise,f.over_noise)&&h.tot_noise<f.tot_noise;break;case 6:o=h.over_noise<f.over_noise||BitStream.EQ(h.over_noise,f.over_noise)&&(h.max_noise<f.max_noise||BitStream.EQ(h.max_noise,f.max_noise)&&h.tot_noise<=f.tot_noise);break;case 7:o=h.over_count<f.over_count||h.over_noise<f.over_noise;break}return f.over_count==0&&(o=o&&h.bits<f.bits),o}function r1(M,f,h,g,a){var o=M.internal_flags,w;f.scalefac_scale==0?w=1.2968395546510096:w=1.6817928305074292;for(var P=0,V=0;V<f.sfbmax;V++)P<h[V]&&(P=h[V]);var A=o.noise_shaping_amp;switch(A==3&&(a?A=2:A=1),A){case 2:break;case 1:P>1?P=Math.pow(P,.5):P*=.95;break;case 0:default:P>1?P=1:P*=.95;break}for(var E=0,V=0;V<f.sfbmax;V++){var l1=f.width[V],p;if(E+=l1,!(h[V]<P)){if(o.substep_shaping&2&&(o.pseudohalf[V]=o.pseudohalf[V]==0?1:0,o.pseudohalf[V]==0&&o.noise_shaping_amp==2))return;for(f.scalefac[V]++,p=-l1;p<0;p++)g[E+p]*=w,g[E+p]>f.xrpow_max&&(f.xrpow_max=g[E+p]);if(o.noise_shaping_amp==2)return}}}function G(M,f){for(var h=1.2968395546510096,g=0,a=0;a<M.sfbmax;a++){var o=M.width[a],w=M.scalefac[a];if(M.preflag!=0&&(w+=O.pretab[a]),g+=o,w&1){w++;for(var P=-o;P<0;P++)f[g+P]*=h,f[g+P]>M.xrpow_max&&(M.xrpow_max=f[g+P])}M.scalefac[a]=w>>1}M.preflag=0,M.scalefac_scale=1}function s1(M,f,h){var g,a=f.scalefac;for(g=0;g<f.sfb_lmax;g++)if(a[g]>=16)return!0;for(var o=0;o<3;o++){var w=0,P=0;for(g=f.sfb_lmax+o;g<f.sfbdivide;g+=3)w<a[g]&&(w=a[g]);for(;g<f.sfbmax;g+=3)P<a[g]&&(P=a[g]);if(!(w<16&&P<8)){if(f.subblock_gain[o]>=7)return!0;f.subblock_gain[o]++;var V=M.scalefac_band.l[f.sfb_lmax];for(g=f.sfb_lmax+o;g<f.sfbmax;g+=3){var A,E=f.width[g],l1=a[g];if(l1=l1-(4>>f.scalefac_scale),l1>=0){a[g]=l1,V+=E*3;continue}a[g]=0;{var p=210+(l1<<f.scalefac_scale+1);A=O.IPOW20(p)}V+=E*(o+1);for(var e=-E;e<0;e++)h[V+e]*=A,h[V+e]>f.xrpow_max&&(f.xrpow_max=h[V+e]);V+=E*(3-o-1)}{var A=O.IPOW20(202);V+=f.width[g]*(o+1);for(var e=-f.width[g];e<0;e++)h[V+e]*=A,h[V+e]>f.xrpow_max&&(f.xrpow_max=h[V+e])}}}return!1}function Q(M,f,h,g,a){var o=M.internal_flags;r1(M,f,h,g,a);var w=u1(f);return w?!1:(o.mode_gr==2?w=h1.scale_bitcount(f):w=h1.scale_bitcount_lsf(o,f),w?(o.noise_shaping>1&&(Y0.fill(o.pseudohalf,0),f.scalefac_scale==0?(G(f,g),w=!1):f.block_type==C1.SHORT_TYPE&&o.subblock_gain>0&&(w=s1(o,f,g)||u1(f))),w||(o.mode_gr==2?w=h1.scale_bitcount(f):w=h1.scale_bitcount_lsf(o,f)),!w):!0)}this.outer_loop=function(M,f,h,g,a,o){var w=M.internal_flags,P=new Pe,V=z0(576),A=z0(Ve.SFBMAX),E=new La,l1,p=new j2,e=9999999,v=!1,x=!1,I=0;if($(w,f,o,a,g),w.noise_shaping==0)return 100;O.calc_noise(f,h,A,E,p),E.bits=f.part2_3_length,P.assign(f);var y=0;for(T0.arraycopy(g,0,V,0,576);!v;){do{var F=new La,R,n=255;if(w.substep_shaping&2?R=20:R=3,w.sfb21_extra&&(A[P.sfbmax]>1||P.block_type==C1.SHORT_TYPE&&(A[P.sfbmax+1]>1||A[P.sfbmax+2]>1))||!Q(M,P,A,g,x))break;P.scalefac_scale!=0&&(n=254);var r=o-P.part2_length;if(r<=0)break;for(;(P.part2_3_length=h1.count_bits(w,g,P,p))>r&&P.global_gain<=n;)P.global_gain++;if(P.global_gain>n)break;if(E.over_count==0){for(;(P.part2_3_length=h1.count_bits(w,g,P,p))>e&&P.global_gain<=n;)P.global_gain++;if(P.global_gain>n)break}if(O.calc_noise(P,h,A,F,p),F.bits=P.part2_3_length,f.block_type!=C1.SHORT_TYPE?l1=M.quant_comp:l1=M.quant_comp_short,l1=L(l1,E,F,P,A)?1:0,l1!=0)e=f.part2_3_length,E=F,f.assign(P),y=0,T0.arraycopy(g,0,V,0,576);else if(w.full_outer_loop==0&&(++y>R&&E.over_count==0||w.noise_shaping_amp==3&&x&&y>30||w.noise_shaping_amp==3&&x&&P.global_gain-I>15))break}while(P.global_gain+P.scalefac_scale<255);w.noise_shaping_amp==3?x?v=!0:(P.assign(f),T0.arraycopy(V,0,g,0,576),y=0,I=P.global_gain,x=!0):v=!0}return W0(f.global_gain+f.scalefac_scale<=255),M.VBR==ye.vbr_rh||M.VBR==ye.vbr_mtrh?T0.arraycopy(V,0,g,0,576):w.substep_shaping&1&&trancate_smallspectrums(w,f,h,g),E.over_count},this.iteration_finish_one=function(M,f,h){var g=M.l3_side,a=g.tt[f][h];h1.best_scalefac_store(M,f,h,g),M.use_best_huffman==1&&h1.best_huffman_divide(M,a),Z.ResvAdjust(M,a)},this.VBR_encode_granule=function(M,f,h,g,a,o,w){var P=M.internal_flags,V=new Pe,A=z0(576),E=w,l1=w+1,p=(w+o)/2,e,v,x=0,I=P.sfb21_extra;W0(E<=LameInternalFlags.MAX_BITS_PER_CHANNEL),Y0.fill(V.l3_enc,0);do p>E-42?P.sfb21_extra=!1:P.sfb21_extra=I,v=outer_loop(M,f,h,g,a,p),v<=0?(x=1,l1=f.part2_3_length,V.assign(f),T0.arraycopy(g,0,A,0,576),w=l1-32,e=w-o,p=(w+o)/2):(o=p+32,e=w-o,p=(w+o)/2,x!=0&&(x=2,f.assign(V),T0.arraycopy(A,0,g,0,576)));while(e>12);P.sfb21_extra=I,x==2&&T0.arraycopy(V.l3_enc,0,f.l3_enc,0,576),W0(f.part2_3_length<=E)},this.get_framebits=function(M,f){var h=M.internal_flags;h.bitrate_index=h.VBR_min_bitrate;var g=k.getframebits(M);h.bitrate_index=1,g=k.getframebits(M);for(var a=1;a<=h.VBR_max_bitrate;a++){h.bitrate_index=a;var o=new MeanBits(g);f[a]=Z.ResvFrameBegin(M,o),g=o.bits}},this.VBR_old_prepare=function(M,f,h,g,a,o,w,P,V){var A=M.internal_flags,E,l1=0,p=1,e=0;A.bitrate_index=A.VBR_max_bitrate;var v=Z.ResvFrameBegin(M,new MeanBits(0))/A.mode_gr;get_framebits(M,o);for(var x=0;x<A.mode_gr;x++){var I=O.on_pe(M,f,P[x],v,x,0);A.mode_ext==C1.MPG_MD_MS_LR&&(ms_convert(A.l3_side,x),O.reduce_side(P[x],h[x],v,I));for(var y=0;y<A.channels_out;++y){var F=A.l3_side.tt[x][y];F.block_type!=C1.SHORT_TYPE?(l1=1.28/(1+Math.exp(3.5-f[x][y]/300))-.05,E=A.PSY.mask_adjust-l1):(l1=2.56/(1+Math.exp(3.5-f[x][y]/300))-.14,E=A.PSY.mask_adjust_short-l1),A.masking_lower=Math.pow(10,E*.1),init_outer_loop(A,F),V[x][y]=O.calc_xmin(M,g[x][y],F,a[x][y]),V[x][y]!=0&&(p=0),w[x][y]=126,e+=P[x][y]}}for(var x=0;x<A.mode_gr;x++)for(var y=0;y<A.channels_out;y++)e>o[A.VBR_max_bitrate]&&(P[x][y]*=o[A.VBR_max_bitrate],P[x][y]/=e),w[x][y]>P[x][y]&&(w[x][y]=P[x][y]);return p},this.bitpressure_strategy=function(M,f,h,g){for(var a=0;a<M.mode_gr;a++)for(var o=0;o<M.channels_out;o++){for(var w=M.l3_side.tt[a][o],P=f[a][o],V=0,A=0;A<w.psy_lmax;A++)P[V++]*=1+.029*A*A/C1.SBMAX_l/C1.SBMAX_l;if(w.block_type==C1.SHORT_TYPE)for(var A=w.sfb_smin;A<C1.SBMAX_s;A++)P[V++]*=1+.029*A*A/C1.SBMAX_s/C1.SBMAX_s,P[V++]*=1+.029*A*A/C1.SBMAX_s/C1.SBMAX_s,P[V++]*=1+.029*A*A/C1.SBMAX_s/C1.SBMAX_s;g[a][o]=0|Math.max(h[a][o],.9*g[a][o])}},this.VBR_new_prepare=function(M,f,h,g,a,o){var w=M.internal_flags,P=1,V=0,A=0,E;if(M.free_format){w.bitrate_index=0;var l1=new MeanBits(V);E=Z.ResvFrameBegin(M,l1),V=l1.bits,a[0]=E}else{w.bitrate_index=w.VBR_max_bitrate;var l1=new MeanBits(V);Z.ResvFrameBegin(M,l1),V=l1.bits,get_framebits(M,a),E=a[w.VBR_max_bitrate]}for(var p=0;p<w.mode_gr;p++){O.on_pe(M,f,o[p],V,p,0),w.mode_ext==C1.MPG_MD_MS_LR&&ms_convert(w.l3_side,p);for(var e=0;e<w.channels_out;++e){var v=w.l3_side.tt[p][e];w.masking_lower=Math.pow(10,w.PSY.mask_adjust*.1),init_outer_loop(w,v),O.calc_xmin(M,h[p][e],v,g[p][e])!=0&&(P=0),A+=o[p][e]}}for(var p=0;p<w.mode_gr;p++)for(var e=0;e<w.channels_out;e++)A>E&&(o[p][e]*=E,o[p][e]/=A);return P},this.calc_target_bits=function(M,f,h,g,a,o){var w=M.internal_flags,P=w.l3_side,V,A,E,l1,p=0;w.bitrate_index=w.VBR_max_bitrate;var e=new MeanBits(p);for(o[0]=Z.ResvFrameBegin(M,e),p=e.bits,w.bitrate_index=1,p=k.getframebits(M)-w.sideinfo_len*8,a[0]=p/(w.mode_gr*w.channels_out),p=M.VBR_mean_bitrate_kbps*M.framesize*1e3,w.substep_shaping&1&&(p*=1.09),p/=M.out_samplerate,p-=w.sideinfo_len*8,p/=w.mode_gr*w.channels_out,V=.93+.07*(11-M.compression_ratio)/(11-5.5),V<.9&&(V=.9),V>1&&(V=1),A=0;A<w.mode_gr;A++){var v=0;for(E=0;E<w.channels_out;E++){if(g[A][E]=int(V*p),f[A][E]>700){var x=int((f[A][E]-700)/1.4),I=P.tt[A][E];g[A][E]=int(V*p),I.block_type==C1.SHORT_TYPE&&x<p/2&&(x=p/2),x>p*3/2?x=p*3/2:x<0&&(x=0),g[A][E]+=x}g[A][E]>LameInternalFlags.MAX_BITS_PER_CHANNEL&&(g[A][E]=LameInternalFlags.MAX_BITS_PER_CHANNEL),v+=g[A][E]}if(v>LameInternalFlags.MAX_BITS_PER_GRANULE)for(E=0;E<w.channels_out;++E)g[A][E]*=LameInternalFlags.MAX_BITS_PER_GRANULE,g[A][E]/=v}if(w.mode_ext==C1.MPG_MD_MS_LR)for(A=0;A<w.mode_gr;A++)O.reduce_side(g[A],h[A],p*w.channels_out,LameInternalFlags.MAX_BITS_PER_GRANULE);for(l1=0,A=0;A<w.mode_gr;A++)for(E=0;E<w.channels_out;E++)g[A][E]>LameInternalFlags.MAX_BITS_PER_CHANNEL&&(g[A][E]=LameInternalFlags.MAX_BITS_PER_CHANNEL),l1+=g[A][E];if(l1>o[0])for(A=0;A<w.mode_gr;A++)for(E=0;E<w.channels_out;E++)g[A][E]*=o[0],g[A][E]/=l1}}var F2=q2,Z2=z1,Ie=Z2.assert;function G2(){var k;this.setModules=function(Z){k=Z},this.ResvFrameBegin=function(Z,O){var J=Z.internal_flags,h1,W=J.l3_side,z=k.getframebits(Z);O.bits=(z-J.sideinfo_len*8)/J.mode_gr;var C=8*256*J.mode_gr-8;Z.brate>320?h1=8*int(Z.brate*1e3/(Z.out_samplerate/1152)/8+.5):(h1=8*1440,Z.strict_ISO&&(h1=8*int(32e4/(Z.out_samplerate/1152)/8+.5))),J.ResvMax=h1-z,J.ResvMax>C&&(J.ResvMax=C),(J.ResvMax<0||Z.disable_reservoir)&&(J.ResvMax=0);var $=O.bits*J.mode_gr+Math.min(J.ResvSize,J.ResvMax);return $>h1&&($=h1),Ie(J.ResvMax%8==0),Ie(J.ResvMax>=0),W.resvDrain_pre=0,J.pinfo!=null&&(J.pinfo.mean_bits=O.bits/2,J.pinfo.resvsize=J.ResvSize),$},this.ResvMaxBits=function(Z,O,J,h1){var W=Z.internal_flags,z,C=W.ResvSize,$=W.ResvMax;h1!=0&&(C+=O),W.substep_shaping&1&&($*=.9),J.bits=O,C*10>$*9?(z=C-$*9/10,J.bits+=z,W.substep_shaping|=128):(z=0,W.substep_shaping&=127,!Z.disable_reservoir&&!(W.substep_shaping&1)&&(J.bits-=.1*O));var u1=C<W.ResvMax*6/10?C:W.ResvMax*6/10;return u1-=z,u1<0&&(u1=0),u1},this.ResvAdjust=function(Z,O){Z.ResvSize-=O.part2_3_length+O.part2_length},this.ResvFrameEnd=function(Z,O){var J,h1=Z.l3_side;Z.ResvSize+=O*Z.mode_gr;var W=0;h1.resvDrain_post=0,h1.resvDrain_pre=0,(J=Z.ResvSize%8)!=0&&(W+=J),J=Z.ResvSize-W-Z.ResvMax,J>0&&(W+=J);{var z=Math.min(h1.main_data_begin*8,W)/8;h1.resvDrain_pre+=8*z,W-=8*z,Z.ResvSize-=8*z,h1.main_data_begin-=z}h1.resvDrain_post+=W,Z.ResvSize-=W}}var Q2=G2;function z2(){var k="http://www.mp3dev.org/",Z=3,O=98,J=4,h1=0,W=93;this.getLameVersion=function(){return Z+"."+O+"."+J},this.getLameShortVersion=function(){return Z+"."+O+"."+J},this.getLameVeryShortVersion=function(){return"LAME"+Z+"."+O+"r"},this.getPsyVersion=function(){return h1+"."+W},this.getLameUrl=function(){return k},this.getLameOsBitness=function(){return"32bits"}}var W2=z2,C0=z1,K2=C0.System,Da=C0.VbrMode,Le=C0.ShortBlock,J2=C0.Arrays,_a=C0.new_byte,U2=C0.assert;K0.NUMTOCENTRIES=100,K0.MAXFRAMESIZE=2880;function K0(){var k,Z,O;this.setModules=function(p,e,v){k=p,Z=e,O=v};var J=1,h1=2,W=4,z=8,C=K0.NUMTOCENTRIES,$=K0.MAXFRAMESIZE,u1=C+4+4+4+4+4,d=u1+9+1+1+8+1+1+3+1+1+2+4+2+2,b=128,L=64,r1=32,G=null,s1="Xing",Q="Info",M=[0,49345,49537,320,49921,960,640,49729,50689,1728,1920,51009,1280,50625,50305,1088,52225,3264,3456,52545,3840,53185,52865,3648,2560,51905,52097,2880,51457,2496,2176,51265,55297,6336,6528,55617,6912,56257,55937,6720,7680,57025,57217,8e3,56577,7616,7296,56385,5120,54465,54657,5440,55041,6080,5760,54849,53761,4800,4992,54081,4352,53697,53377,4160,61441,12480,12672,61761,13056,62401,62081,12864,13824,63169,63361,14144,62721,13760,13440,62529,15360,64705,64897,15680,65281,16320,16e3,65089,64001,15040,15232,64321,14592,63937,63617,14400,10240,59585,59777,10560,60161,11200,10880,59969,60929,11968,12160,61249,11520,60865,60545,11328,58369,9408,9600,58689,9984,59329,59009,9792,8704,58049,58241,9024,57601,8640,8320,57409,40961,24768,24960,41281,25344,41921,41601,25152,26112,42689,42881,26432,42241,26048,25728,42049,27648,44225,44417,27968,44801,28608,28288,44609,43521,27328,27520,43841,26880,43457,43137,26688,30720,47297,47489,31040,47873,31680,31360,47681,48641,32448,32640,48961,32e3,48577,48257,31808,46081,29888,30080,46401,30464,47041,46721,30272,29184,45761,45953,29504,45313,29120,28800,45121,20480,37057,37249,20800,37633,21440,21120,37441,38401,22208,22400,38721,21760,38337,38017,21568,39937,23744,23936,40257,24320,40897,40577,24128,23040,39617,39809,23360,39169,22976,22656,38977,34817,18624,18816,35137,19200,35777,35457,19008,19968,36545,36737,20288,36097,19904,19584,35905,17408,33985,34177,17728,34561,18368,18048,34369,33281,17088,17280,33601,16640,33217,32897,16448];function f(p,e){if(p.nVbrNumFrames++,p.sum+=e,p.seen++,!(p.seen<p.want)&&(p.pos<p.size&&(p.bag[p.pos]=p.sum,p.pos++,p.seen=0),p.pos==p.size)){for(var v=1;v<p.size;v+=2)p.bag[v/2]=p.bag[v];p.want*=2,p.pos/=2}}function h(p,e){if(!(p.pos<=0))for(var v=1;v<C;++v){var x=v/C,I,y,F=0|Math.floor(x*p.pos);F>p.pos-1&&(F=p.pos-1),I=p.bag[F],y=p.sum;var R=0|256*I/y;R>255&&(R=255),e[v]=255&R}}this.addVbrFrame=function(p){var e=p.internal_flags,v=Tables.bitrate_table[p.version][e.bitrate_index];U2(e.VBR_seek_table.bag!=null),f(e.VBR_seek_table,v)};function g(p,e){var v=p[e+0]&255;return v<<=8,v|=p[e+1]&255,v<<=8,v|=p[e+2]&255,v<<=8,v|=p[e+3]&255,v}function a(p,e,v){p[e+0]=255&(v>>24&255),p[e+1]=255&(v>>16&255),p[e+2]=255&(v>>8&255),p[e+3]=255&(v&255)}function o(p,e,v){p[e+0]=255&(v>>8&255),p[e+1]=255&(v&255)}function w(p,e){return new String(p,e,s1.length(),G).equals(s1)||new String(p,e,Q.length(),G).equals(Q)}function P(p,e,v){return 255&(p<<e|v&~(-1<<e))}function V(p,e){var v=p.internal_flags;e[0]=P(e[0],8,255),e[1]=P(e[1],3,7),e[1]=P(e[1],1,p.out_samplerate<16e3?0:1),e[1]=P(e[1],1,p.version),e[1]=P(e[1],2,1),e[1]=P(e[1],1,p.error_protection?0:1),e[2]=P(e[2],4,v.bitrate_index),e[2]=P(e[2],2,v.samplerate_index),e[2]=P(e[2],1,0),e[2]=P(e[2],1,p.extension),e[3]=P(e[3],2,p.mode.ordinal()),e[3]=P(e[3],2,v.mode_ext),e[3]=P(e[3],1,p.copyright),e[3]=P(e[3],1,p.original),e[3]=P(e[3],2,p.emphasis),e[0]=255;var x=255&(e[1]&241),I;p.version==1?I=b:p.out_samplerate<16e3?I=r1:I=L,p.VBR==Da.vbr_off&&(I=p.brate);var y;p.free_format?y=0:y=255&16*k.BitrateIndex(I,p.version,p.out_samplerate),p.version==1?(e[1]=255&(x|10),x=255&(e[2]&13),e[2]=255&(y|x)):(e[1]=255&(x|2),x=255&(e[2]&13),e[2]=255&(y|x))}this.getVbrTag=function(p){var e=new VBRTagData,v=0;e.flags=0;var x=p[v+1]>>3&1,I=p[v+2]>>2&3,y=p[v+3]>>6&3,F=p[v+2]>>4&15;if(F=Tables.bitrate_table[x][F],p[v+1]>>4==14?e.samprate=Tables.samplerate_table[2][I]:e.samprate=Tables.samplerate_table[x][I],x!=0?y!=3?v+=36:v+=21:y!=3?v+=21:v+=13,!w(p,v))return null;v+=4,e.hId=x;var R=e.flags=g(p,v);if(v+=4,R&J&&(e.frames=g(p,v),v+=4),R&h1&&(e.bytes=g(p,v),v+=4),R&W){if(e.toc!=null)for(var n=0;n<C;n++)e.toc[n]=p[v+n];v+=C}e.vbrScale=-1,R&z&&(e.vbrScale=g(p,v),v+=4),e.headersize=(x+1)*72e3*F/e.samprate,v+=21;var r=p[v+0]<<4;r+=p[v+1]>>4;var t=(p[v+1]&15)<<8;return t+=p[v+2]&255,(r<0||r>3e3)&&(r=-1),(t<0||t>3e3)&&(t=-1),e.encDelay=r,e.encPadding=t,e},this.InitVbrTag=function(p){var e=p.internal_flags,v;p.version==1?v=b:p.out_samplerate<16e3?v=r1:v=L,p.VBR==Da.vbr_off&&(v=p.brate);var x=(p.version+1)*72e3*v/p.out_samplerate,I=e.sideinfo_len+d;if(e.VBR_seek_table.TotalFrameSize=x,x<I||x>$){p.bWriteVbrTag=!1;return}e.VBR_seek_table.nVbrNumFrames=0,e.VBR_seek_table.nBytesWritten=0,e.VBR_seek_table.sum=0,e.VBR_seek_table.seen=0,e.VBR_seek_table.want=1,e.VBR_seek_table.pos=0,e.VBR_seek_table.bag==null&&(e.VBR_seek_table.bag=new int[400],e.VBR_seek_table.size=400);var y=_a($);V(p,y);for(var F=e.VBR_seek_table.TotalFrameSize,R=0;R<F;++R)Z.add_dummy_byte(p,y[R]&255,1)};function A(p,e){var v=e^p;return e=e>>8^M[v&255],e}this.updateMusicCRC=function(p,e,v,x){for(var I=0;I<x;++I)p[0]=A(e[v+I],p[0])};function E(p,e,v,x,I){var y=p.internal_flags,F=0,R=p.encoder_delay,n=p.encoder_padding,r=100-10*p.VBR_q-p.quality,t=O.getLameVeryShortVersion(),_,u=0,H,U=[1,5,3,2,4,0,3],B=0|(p.lowpassfreq/100+.5>255?255:p.lowpassfreq/100+.5),Y=0,n1=0,c1=0,g1=p.internal_flags.noise_shaping,w1=0,M1=0,d1=0,k1=0,q1=0,u0=(p.exp_nspsytune&1)!=0,s=(p.exp_nspsytune&2)!=0,i=!1,v1=!1,R1=p.internal_flags.nogap_total,I1=p.internal_flags.nogap_current,V1=p.ATHtype,T1=0,B1;switch(p.VBR){case vbr_abr:B1=p.VBR_mean_bitrate_kbps;break;case vbr_off:B1=p.brate;break;default:B1=p.VBR_min_bitrate_kbps}switch(p.VBR.ordinal()<U.length?_=U[p.VBR.ordinal()]:_=0,H=16*u+_,y.findReplayGain&&(y.RadioGain>510&&(y.RadioGain=510),y.RadioGain<-510&&(y.RadioGain=-510),n1=8192,n1|=3072,y.RadioGain>=0?n1|=y.RadioGain:(n1|=512,n1|=-y.RadioGain)),y.findPeakSample&&(Y=Math.abs(0|y.PeakSample/32767*Math.pow(2,23)+.5)),R1!=-1&&(I1>0&&(v1=!0),I1<R1-1&&(i=!0)),T1=V1+((u0?1:0)<<4)+((s?1:0)<<5)+((i?1:0)<<6)+((v1?1:0)<<7),r<0&&(r=0),p.mode){case MONO:w1=0;break;case STEREO:w1=1;break;case DUAL_CHANNEL:w1=2;break;case JOINT_STEREO:p.force_ms?w1=4:w1=3;break;case NOT_SET:default:w1=7;break}p.in_samplerate<=32e3?d1=0:p.in_samplerate==48e3?d1=2:p.in_samplerate>48e3?d1=3:d1=1,(p.short_blocks==Le.short_block_forced||p.short_blocks==Le.short_block_dispensed||p.lowpassfreq==-1&&p.highpassfreq==-1||p.scale_left<p.scale_right||p.scale_left>p.scale_right||p.disable_reservoir&&p.brate<320||p.noATH||p.ATHonly||V1==0||p.in_samplerate<=32e3)&&(M1=1),k1=g1+(w1<<2)+(M1<<5)+(d1<<6),q1=y.nMusicCRC,a(v,x+F,r),F+=4;for(var X1=0;X1<9;X1++)v[x+F+X1]=255&t.charAt(X1);F+=9,v[x+F]=255&H,F++,v[x+F]=255&B,F++,a(v,x+F,Y),F+=4,o(v,x+F,n1),F+=2,o(v,x+F,c1),F+=2,v[x+F]=255&T1,F++,B1>=255?v[x+F]=255:v[x+F]=255&B1,F++,v[x+F]=255&R>>4,v[x+F+1]=255&(R<<4)+(n>>8),v[x+F+2]=255&n,F+=3,v[x+F]=255&k1,F++,v[x+F++]=0,o(v,x+F,p.preset),F+=2,a(v,x+F,e),F+=4,o(v,x+F,q1),F+=2;for(var E1=0;E1<F;E1++)I=A(v[x+E1],I);return o(v,x+F,I),F+=2,F}function l1(p){p.seek(0);var e=_a(10);p.readFully(e);var v;return new String(e,"ISO-8859-1").startsWith("ID3")?v=0:v=((e[6]&127)<<21|(e[7]&127)<<14|(e[8]&127)<<7|e[9]&127)+e.length,v}this.getLameTagFrame=function(p,e){var v=p.internal_flags;if(!p.bWriteVbrTag||v.Class_ID!=Lame.LAME_ID||v.VBR_seek_table.pos<=0)return 0;if(e.length<v.VBR_seek_table.TotalFrameSize)return v.VBR_seek_table.TotalFrameSize;J2.fill(e,0,v.VBR_seek_table.TotalFrameSize,0),V(p,e);var x=_a(C);if(p.free_format)for(var I=1;I<C;++I)x[I]=255&255*I/100;else h(v.VBR_seek_table,x);var y=v.sideinfo_len;p.error_protection&&(y-=2),p.VBR==Da.vbr_off?(e[y++]=255&Q.charAt(0),e[y++]=255&Q.charAt(1),e[y++]=255&Q.charAt(2),e[y++]=255&Q.charAt(3)):(e[y++]=255&s1.charAt(0),e[y++]=255&s1.charAt(1),e[y++]=255&s1.charAt(2),e[y++]=255&s1.charAt(3)),a(e,y,J+h1+W+z),y+=4,a(e,y,v.VBR_seek_table.nVbrNumFrames),y+=4;var F=v.VBR_seek_table.nBytesWritten+v.VBR_seek_table.TotalFrameSize;a(e,y,0|F),y+=4,K2.arraycopy(x,0,e,y,x.length),y+=x.length,p.error_protection&&Z.CRC_writeheader(v,e);for(var R=0,I=0;I<y;I++)R=A(e[I],R);return y+=E(p,F,e,y,R),v.VBR_seek_table.TotalFrameSize},this.putVbrTag=function(p,e){var v=p.internal_flags;if(v.VBR_seek_table.pos<=0||(e.seek(e.length()),e.length()==0))return-1;var x=l1(e);e.seek(x);var I=_a($),y=getLameTagFrame(p,I);return y>I.length?-1:(y<1||e.write(I,0,y),0)}}var $2=K0,De=z1,Xe=De.new_byte,at=De.assert,et=Va(),tt=I2,st=pe,rt=Re(),nt=F2,_t=Be(),it=Q2,ot=Q0,lt=ya();s0();var ft=W2,ct=$2;function ht(){this.setModules=function(k,Z){}}function ut(){this.setModules=function(k,Z,O){}}function bt(){}function pt(){this.setModules=function(k,Z){}}function mt(k,Z,O){arguments.length!=3&&(console.error("WARN: Mp3Encoder(channels, samplerate, kbps) not specified"),k=1,Z=44100,O=128);var J=new et,h1=new ht,W=new st,z=new lt,C=new tt,$=new rt,u1=new nt,d=new ct,b=new ft,L=new pt,r1=new it,G=new _t,s1=new ut,Q=new bt;J.setModules(W,z,C,$,u1,d,b,L,Q),z.setModules(W,Q,b,d),L.setModules(z,b),C.setModules(J),u1.setModules(z,r1,$,G),$.setModules(G,r1,J.enc.psy),r1.setModules(z),G.setModules($),d.setModules(J,z,b),h1.setModules(s1,Q),s1.setModules(b,L,C);var M=J.lame_init();M.num_channels=k,M.in_samplerate=Z,M.brate=O,M.mode=ot.STEREO,M.quality=3,M.bWriteVbrTag=!1,M.disable_reservoir=!0,M.write_id3tag_automatic=!1,J.lame_init_params(M);var f=1152,h=0|1.25*f+7200,g=Xe(h);this.encodeBuffer=function(a,o){k==1&&(o=a),at(a.length==o.length),a.length>f&&(f=a.length,h=0|1.25*f+7200,g=Xe(h));var w=J.lame_encode_buffer(M,a,o,a.length,g,0,h);return new Int8Array(g.subarray(0,w))},this.flush=function(){var a=J.lame_encode_flush(M,g,0,h);return new Int8Array(g.subarray(0,a))}}function M0(){this.dataOffset=0,this.dataLen=0,this.channels=0,this.sampleRate=0}function ia(k){return k.charCodeAt(0)<<24|k.charCodeAt(1)<<16|k.charCodeAt(2)<<8|k.charCodeAt(3)}M0.RIFF=ia("RIFF"),M0.WAVE=ia("WAVE"),M0.fmt_=ia("fmt "),M0.data=ia("data"),M0.readHeader=function(k){var Z=new M0,O=k.getUint32(0,!1);if(M0.RIFF==O&&(k.getUint32(4,!0),M0.WAVE==k.getUint32(8,!1)&&M0.fmt_==k.getUint32(12,!1))){var J=k.getUint32(16,!0),h1=20;switch(J){case 16:case 18:Z.channels=k.getUint16(h1+2,!0),Z.sampleRate=k.getUint32(h1+4,!0);break;default:throw"extended fmt chunk not implemented"}h1+=J;for(var W=M0.data,z=0;W!=O&&(O=k.getUint32(h1,!1),z=k.getUint32(h1+4,!0),W!=O);)h1+=z+8;return Z.dataLen=z,Z.dataOffset=h1+8,Z}};var vt=ma.Mp3Encoder=mt,gt=ma.WavHeader=M0;export{vt as Mp3Encoder,gt as WavHeader,ma as default};
@@ -0,0 +1,161 @@
+// lexicon.js - User pronunciation lexicon, applied to text before it reaches espeak-ng
+
+import { literal_phonemes, split_literal_phonemes } from "./phonemize.js";
+
+export const LEXICON_VERSION = 1;
+
+// Text that regular expressions are tried on, to reject those that match empty text and would insert their replacement between letters
+const EMPTY_MATCH_PROBES = ["", "Word, word 42. Ok?\n"];
+
+/**
+ * @typedef {Object} LexiconEntry
+ * @property {string} pattern The word to match, or a regular expression if `regex` is true.
+ * @property {boolean} [regex=false] Whether `pattern` is a regular expression.
+ * @property {boolean} [caseSensitive=false] Whether matching is case sensitive.
+ * @property {"text"|"phonemes"} type Whether `replacement` is text to read instead, or literal IPA phonemes.
+ * @property {string} replacement The replacement text or phonemes.
+ */
+
+/**
+ * Escapes regular expression special characters from a string.
+ * @param {string} string The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check a lexicon entry and fill in its defaults.
+ * @param {Partial<LexiconEntry>} entry The entry to check.
+ * @returns {LexiconEntry} The normalized entry.
+ */
+export function validateLexiconEntry(entry) {
+  const pattern = String(entry?.pattern ?? "").trim();
+  if (pattern.length === 0) {
+    throw new Error("Lexicon entry must have a word or pattern.");
+  }
+
+  const type = entry.type ?? "text";
+  if (type !== "text" && type !== "phonemes") {
+    throw new Error(`Invalid lexicon entry type "${type}". Should be one of: text, phonemes.`);
+  }
+
+  const replacement = String(entry.replacement ?? "").trim();
+  if (replacement.length === 0) {
+    throw new Error(`Lexicon entry "${pattern}" must have a replacement.`);
+  }
+
+  const normalized = { pattern, regex: Boolean(entry.regex), caseSensitive: Boolean(entry.caseSensitive), type, replacement };
+  const regex = toRegExp(normalized); // Throws on invalid patterns
+  if (normalized.regex && EMPTY_MATCH_PROBES.some((probe) => [...probe.matchAll(regex)].some(([match]) => match === ""))) {
+    throw new Error(`Lexicon entry "${pattern}" must not match empty text.`);
+  }
+  return normalized;
+}
+
+/**
+ * Build the regular expression that matches a lexicon entry.
+ * Plain words only match whole words.
+ * @param {LexiconEntry} entry The entry.
+ * @returns {RegExp} The regular expression.
+ */
+function toRegExp({ pattern, regex, caseSensitive }) {
+  const flags = caseSensitive ? "gu" : "giu";
+  if (regex) {
+    return new RegExp(pattern, flags);
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(pattern)}(?![\\p{L}\\p{N}])`, flags);
+}
+
+/**
+ * Compile lexicon entries so they can be applied repeatedly.
+ * Invalid entries are skipped with a warning.
+ * @param {Partial<LexiconEntry>[]} entries The entries.
+ * @returns {{entry: LexiconEntry; regex: RegExp}[]} The compiled lexicon.
+ */
+export function compileLexicon(entries) {
+  const compiled = [];
+  for (const entry of entries ?? []) {
+    try {
+      const normalized = validateLexiconEntry(entry);
+      compiled.push({ entry: normalized, regex: toRegExp(normalized) });
+    } catch (error) {
+      console.warn("Skipping invalid lexicon entry:", error.message);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Expand the `$` patterns of a replacement ("$1", "$<name>", "$&"...) as `String.prototype.replace` does.
+ * @param {string} replacement The replacement.
+ * @param {string} match The matched text.
+ * @param {any[]} args The rest of the arguments of the replace callback: the groups, offset, string and named groups.
+ * @returns {string} The expanded replacement.
+ */
+function expandReplacement(replacement, match, args) {
+  const groups = typeof args.at(-1) === "object" ? args.at(-1) : undefined;
+  const captures = args.slice(0, groups ? -3 : -2);
+  const offset = args.at(groups ? -3 : -2);
+  const string = args.at(groups ? -2 : -1);
+  return replacement.replace(/\$(?:([$&`'])|(\d\d?)|<([^>]*)>)/g, (token, symbol, digits, name) => {
+    if (symbol === "$") return "$";
+    if (symbol === "&") return match;
+    if (symbol === "`") return string.slice(0, offset);
+    if (symbol === "'") return string.slice(offset + match.length);
+    if (name !== undefined) return groups ? (groups[name] ?? "") : token;
+    // "$12" is group 12 if there is one, otherwise group 1 followed by "2"
+    for (const [index, rest] of [[Number(digits), ""], [Number(digits[0]), digits.slice(1)]]) {
+      if (index >= 1 && index <= captures.length) return (captures[index - 1] ?? "") + rest;
+    }
+    return token;
+  });
+}
+
+/**
+ * Apply a lexicon to text. Entries are applied in order, and text replaced with phonemes
+ * by an earlier entry is not matched again. Empty matches are left alone, for entries
+ * that slipped past validation (`(?=Q)` only matches empty text before a "Q").
+ * @param {string} text The text.
+ * @param {{entry: LexiconEntry; regex: RegExp}[]} lexicon The compiled lexicon.
+ * @returns {string} The text, with phoneme replacements marked for `phonemize`.
+ */
+export function applyLexicon(text, lexicon) {
+  for (const { entry, regex } of lexicon ?? []) {
+    text = split_literal_phonemes(text)
+      .map(({ match, text: part }) => {
+        if (match) return part;
+        return part.replace(regex, (word, ...args) => {
+          if (word === "") return word;
+          if (entry.type === "phonemes") return literal_phonemes(word, entry.replacement);
+          return entry.regex ? expandReplacement(entry.replacement, word, args) : entry.replacement;
+        });
+      })
+      .join("");
+  }
+  return text;
+}
+
+/**
+ * Serialize lexicon entries for export.
+ * @param {LexiconEntry[]} entries The entries.
+ * @returns {string} The JSON document.
+ */
+export function exportLexicon(entries) {
+  return JSON.stringify({ version: LEXICON_VERSION, entries: entries.map(validateLexiconEntry) }, null, 2);
+}
+
+/**
+ * Parse an exported lexicon. A bare array of entries is accepted too.
+ * @param {string} json The JSON document.
+ * @returns {LexiconEntry[]} The entries.
+ */
+export function importLexicon(json) {
+  const data = JSON.parse(json);
+  const entries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error("Lexicon file must contain an array of entries.");
+  }
+  return entries.map(validateLexiconEntry);
+}
@@ -0,0 +1,244 @@
+// loudness.js - EBU R128 loudness (ITU-R BS.1770) and true peak measurement, and normalization gains
+
+const SAMPLE_RATE = 24000;
+const SUB_BLOCK = SAMPLE_RATE / 10; // 100 ms, the step between the overlapping 400 ms gating blocks
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the absolute-gated loudness
+const MAX_GAIN_DB = 20; // So near-silence is never boosted into noise
+const RUNNING_WINDOW = 10; // Seconds of streamed audio the running gain follows
+
+/**
+ * @typedef {Object} LoudnessOptions
+ * @property {boolean} enabled Whether playback and saved audio are normalized.
+ * @property {number} targetLufs The integrated loudness to normalize to, in LUFS.
+ * @property {number} truePeakDb The highest true peak allowed after the gain, in dBTP.
+ */
+
+/** @type {Readonly<LoudnessOptions>} */
+export const DEFAULT_LOUDNESS = Object.freeze({
+  enabled: false,
+  targetLufs: -16,
+  truePeakDb: -1,
+});
+
+/**
+ * A measurement of a whole render.
+ * @typedef {{integratedLufs: number; truePeakDb: number}} LoudnessMeasurement
+ */
+
+/**
+ * Validate loudness options, filling in defaults for missing values.
+ * @param {Partial<LoudnessOptions>} options The options.
+ * @returns {LoudnessOptions} The complete options.
+ * @throws {Error} If a value is out of range.
+ */
+export function validateLoudness(options = {}) {
+  const number = (value, fallback, name, min, max) => {
+    const result = value === undefined || value === "" ? fallback : Number(value);
+    if (!Number.isFinite(result) || result < min || result > max) {
+      throw new Error(`${name} should be a number between ${min} and ${max}.`);
+    }
+    return result;
+  };
+
+  return {
+    enabled: options.enabled ?? DEFAULT_LOUDNESS.enabled,
+    targetLufs: number(options.targetLufs, DEFAULT_LOUDNESS.targetLufs, "The target loudness", -40, -5),
+    truePeakDb: number(options.truePeakDb, DEFAULT_LOUDNESS.truePeakDb, "The true peak limit", -10, 0),
+  };
+}
+
+// Biquad coefficients from the RBJ cookbook, for the K-weighting filters at our sample rate
+function highShelf(frequency, gainDb, q) {
+  const A = 10 ** (gainDb / 40);
+  const w0 = (2 * Math.PI * frequency) / SAMPLE_RATE;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = A + 1 - (A - 1) * cos + 2 * Math.sqrt(A) * alpha;
+  return {
+    b: [
+      (A * (A + 1 + (A - 1) * cos + 2 * Math.sqrt(A) * alpha)) / a0,
+      (-2 * A * (A - 1 + (A + 1) * cos)) / a0,
+      (A * (A + 1 + (A - 1) * cos - 2 * Math.sqrt(A) * alpha)) / a0,
+    ],
+    a: [(2 * (A - 1 - (A + 1) * cos)) / a0, (A + 1 - (A - 1) * cos - 2 * Math.sqrt(A) * alpha) / a0],
+  };
+}
+
+function highPass(frequency, q) {
+  const w0 = (2 * Math.PI * frequency) / SAMPLE_RATE;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = 1 + alpha;
+  return {
+    b: [(1 + cos) / 2 / a0, -(1 + cos) / a0, (1 + cos) / 2 / a0],
+    a: [(-2 * cos) / a0, (1 - alpha) / a0],
+  };
+}
+
+// The BS.1770 pre-filter (a head model) and RLB high-pass. The standard gives coefficients for 48 kHz,
+// the shelf's parameters are fitted to match its response at 24 kHz within 0.01 dB.
+const K_WEIGHTING = [highShelf(1501.646826686702, 3.993261266015965, 0.7015730194897806), highPass(38.13547087602444, 0.5003270373238773)];
+
+// Polyphase 4x interpolator for the true peak: a windowed sinc with 12 taps per phase
+const OVERSAMPLING = 4;
+const TAPS = 12;
+const INTERPOLATOR = Array.from({ length: OVERSAMPLING - 1 }, (_, p) => {
+  const phase = (p + 1) / OVERSAMPLING;
+  return Array.from({ length: TAPS }, (_, k) => {
+    const t = k - TAPS / 2 + 1 - phase; // Distance from the interpolated point, in samples
+    const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+    const window = 0.5 + 0.5 * Math.cos((Math.PI * t) / (TAPS / 2)); // Hann
+    return sinc * window;
+  });
+}).map((taps) => {
+  // Unity gain, so a steady signal is not read as a higher peak
+  const sum = taps.reduce((total, tap) => total + tap, 0);
+  return taps.map((tap) => tap / sum);
+});
+
+const toDb = (value) => 20 * Math.log10(value);
+
+/**
+ * Measures the integrated loudness and true peak of audio added to it in chunks.
+ */
+export class LoudnessMeter {
+  constructor() {
+    this.filterState = K_WEIGHTING.map(() => [0, 0, 0, 0]); // x1, x2, y1, y2 of each biquad
+    this.subBlockEnergy = 0;
+    this.subBlockLength = 0;
+    this.subBlocks = []; // Mean square of each complete 100 ms sub-block
+    this.history = new Float32Array(TAPS); // The last samples, for interpolating across chunks
+    this.peak = 0;
+  }
+
+  /**
+   * Add the next samples.
+   * @param {Float32Array} samples The samples.
+   * @returns {number} The true peak of these samples, in dBTP.
+   */
+  add(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; ++i) {
+      let value = samples[i];
+      for (let f = 0; f < K_WEIGHTING.length; ++f) {
+        const { b, a } = K_WEIGHTING[f];
+        const state = this.filterState[f];
+        const y = b[0] * value + b[1] * state[0] + b[2] * state[1] - a[0] * state[2] - a[1] * state[3];
+        state[1] = state[0];
+        state[0] = value;
+        state[3] = state[2];
+        state[2] = y;
+        value = y;
+      }
+      this.subBlockEnergy += value * value;
+      if (++this.subBlockLength === SUB_BLOCK) {
+        this.subBlocks.push(this.subBlockEnergy / SUB_BLOCK);
+        this.subBlockEnergy = 0;
+        this.subBlockLength = 0;
+      }
+
+      this.history.copyWithin(0, 1);
+      this.history[TAPS - 1] = samples[i];
+      peak = Math.max(peak, Math.abs(samples[i]));
+      for (const taps of INTERPOLATOR) {
+        let interpolated = 0;
+        for (let k = 0; k < TAPS; ++k) {
+          interpolated += taps[k] * this.history[k];
+        }
+        peak = Math.max(peak, Math.abs(interpolated));
+      }
+    }
+    this.peak = Math.max(this.peak, peak);
+    return toDb(peak);
+  }
+
+  /**
+   * The gated integrated loudness of everything added so far, or of the last part of it.
+   * @param {number} [seconds=Infinity] How much of the end to measure.
+   * @returns {number} The loudness in LUFS, -Infinity if there is too little audio or it is silent.
+   */
+  integratedLoudness(seconds = Infinity) {
+    const blocks = [];
+    const first = Math.max(3, this.subBlocks.length - seconds * 10);
+    for (let i = first; i < this.subBlocks.length; ++i) {
+      blocks.push((this.subBlocks[i - 3] + this.subBlocks[i - 2] + this.subBlocks[i - 1] + this.subBlocks[i]) / 4);
+    }
+    const loudness = (energy) => -0.691 + 10 * Math.log10(energy);
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const absoluteGated = blocks.filter((energy) => loudness(energy) > ABSOLUTE_GATE);
+    if (absoluteGated.length === 0) return -Infinity;
+    const threshold = loudness(mean(absoluteGated)) + RELATIVE_GATE;
+    const gated = absoluteGated.filter((energy) => loudness(energy) > threshold);
+    return loudness(mean(gated));
+  }
+
+  /**
+   * The highest true peak so far.
+   * @returns {number} The peak in dBTP.
+   */
+  truePeak() {
+    return toDb(this.peak);
+  }
+
+  /**
+   * @returns {LoudnessMeasurement} The measurement of everything added so far.
+   */
+  measure() {
+    return { integratedLufs: this.integratedLoudness(), truePeakDb: this.truePeak() };
+  }
+}
+
+/**
+ * Work out the gain that brings a measured render to the target loudness, reduced if needed
+ * so its true peak stays below the limit.
+ * @param {LoudnessMeasurement} measurement The measurement.
+ * @param {LoudnessOptions} options The options.
+ * @returns {number} The linear gain, 1 if the audio is too short or silent to measure.
+ */
+export function normalizationGain({ integratedLufs, truePeakDb }, { targetLufs, truePeakDb: limitDb }) {
+  if (!Number.isFinite(integratedLufs)) return 1;
+  const gainDb = Math.min(targetLufs - integratedLufs, limitDb - truePeakDb, MAX_GAIN_DB);
+  return 10 ** (gainDb / 20);
+}
+
+/**
+ * Apply a gain in place, ramping from another gain so a change is not heard as a click.
+ * @param {Float32Array} samples The samples.
+ * @param {number} gain The gain at the end, and from there on.
+ * @param {number} [fromGain=gain] The gain at the start.
+ */
+export function applyGain(samples, gain, fromGain = gain) {
+  const ramp = Math.min(samples.length, SUB_BLOCK);
+  for (let i = 0; i < samples.length; ++i) {
+    samples[i] *= i < ramp ? fromGain + ((gain - fromGain) * i) / ramp : gain;
+  }
+}
+
+/**
+ * Normalizes streamed audio with a gain that follows the loudness of the last few seconds,
+ * as the whole render is not known until it has been played.
+ */
+export class RunningNormalizer {
+  /**
+   * @param {LoudnessOptions} options The options.
+   */
+  constructor(options) {
+    this.options = options;
+    this.meter = new LoudnessMeter();
+    this.gain = 1;
+  }
+
+  /**
+   * Normalize the next chunk in place.
+   * @param {Float32Array} samples The samples.
+   */
+  process(samples) {
+    // The peak limit is for this chunk, an earlier loud peak should not keep the rest of the stream quiet
+    const truePeakDb = this.meter.add(samples);
+    const previous = this.gain;
+    this.gain = normalizationGain({ integratedLufs: this.meter.integratedLoudness(RUNNING_WINDOW), truePeakDb }, this.options);
+    applyGain(samples, this.gain, Math.min(previous, this.gain));
+  }
+}
@@ -3,6 +3,20 @@ import { AudioPlayer } from "./AudioPlayer.js";
 import { AudioDiskSaver } from "./AudioDiskSaver.js";
 import { ButtonHandler } from "./ButtonHandler.js";
 import { BackgroundQueueManager } from "./BackgroundQueueManager.js";
+import { VoiceBlendEditor } from "./VoiceBlendEditor.js";
+import { LexiconEditor } from "./LexiconEditor.js";
+import { TTSClient } from "./TTSClient.js";
+import { ModelSourceSettings } from "./ModelSourceSettings.js";
+import { AudiobookExporter } from "./AudiobookExporter.js";
+import { PostProcessingSettings } from "./PostProcessingSettings.js";
+import { LoudnessSettings } from "./LoudnessSettings.js";
+import { PlayerControls } from "./PlayerControls.js";
+import { SaveRecovery } from "./SaveRecovery.js";
+import { QueueDisplay } from "./QueueDisplay.js";
+import { DocumentImporter } from "./DocumentImporter.js";
+import { MarkdownSettings } from "./MarkdownSettings.js";
+import { addSubtitleCue } from "./subtitles.js";
+import { LoudnessMeter } from "./loudness.js";
 
 // --- Helper function to remap the slider value ---
 function getRealSpeed(sliderValue) {
@@ -33,18 +47,38 @@ if ('serviceWorker' in navigator && window.location.protocol === 'https:') {
   }
 }
 
-// Use the final fix worker with voice validation + memory management
-let tts_worker = new Worker(new URL("./worker_final_memory_fix.js", import.meta.url), { type: "module" });
-let audioPlayer = new AudioPlayer(tts_worker);
+// Requests to the worker go through the client, which scopes every message to a request id
+let tts_worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+let ttsClient = new TTSClient(tts_worker);
+let audioPlayer = new AudioPlayer();
 let audioDiskSaver = new AudioDiskSaver();
-let buttonHandler = new ButtonHandler(tts_worker, audioPlayer, audioDiskSaver, getRealSpeed);
+let buttonHandler = new ButtonHandler(ttsClient, audioPlayer, audioDiskSaver, getRealSpeed);
+buttonHandler.init();
+let playerControls = new PlayerControls(audioPlayer, audioDiskSaver, buttonHandler);
+playerControls.init();
 let queueManager = new BackgroundQueueManager();
-
-// Track current queue job
-let currentQueueJobId = null;
-let currentQueueMode = null;
-let audioChunksForQueue = [];
-let currentJobEstimation = null; // Store the chunk estimation for current job
+buttonHandler.setQueueManager(queueManager);
+let markdownSettings = new MarkdownSettings();
+markdownSettings.init();
+buttonHandler.setMarkdownSettings(markdownSettings);
+let saveRecovery = new SaveRecovery(buttonHandler);
+buttonHandler.setSaveRecovery(saveRecovery);
+saveRecovery.init().catch((error) => {
+  console.error("Unable to list interrupted saves:", error);
+});
+let voiceBlendEditor = new VoiceBlendEditor(document.getElementById("voiceSelector"));
+voiceBlendEditor.init();
+let lexiconEditor = new LexiconEditor(ttsClient);
+lexiconEditor.init();
+let modelSourceSettings = new ModelSourceSettings(ttsClient);
+let postProcessingSettings = new PostProcessingSettings(ttsClient);
+postProcessingSettings.init();
+let loudnessSettings = new LoudnessSettings(audioPlayer, audioDiskSaver);
+loudnessSettings.init();
+let audiobookExporter = new AudiobookExporter(ttsClient, audioDiskSaver, buttonHandler);
+audiobookExporter.init();
+let documentImporter = new DocumentImporter(queueManager, buttonHandler);
+documentImporter.init();
 
 function populateVoiceSelector(voices) {
   const voiceSelector = document.getElementById("voiceSelector");
@@ -96,194 +130,99 @@ function populateVoiceSelector(voices) {
 }
 
 // --- EVENT LISTENERS ---
+// Model loading events are not tied to a request, so they are handled here rather than by the client
 tts_worker.addEventListener("message", (e) => {
   const data = e.data;
+  modelSourceSettings.handleModelStatus(data);
   
-  if (data.status === "loading_model_ready") {
+  if (data.status === "loading_model_start") {
+    // Switching model source, nothing can be generated until the new model is ready
+    buttonHandler.disableButtons();
+    audiobookExporter.setEnabled(false);
+  } else if (data.status === "loading_model_ready") {
     console.log("Model loaded successfully with device:", data.device);
     populateVoiceSelector(data.voices);
+    voiceBlendEditor.setVoices(data.voices);
+    markdownSettings.setVoices(data.voices);
+    lexiconEditor.sync();
+    buttonHandler.enableButtons();
+    audiobookExporter.setEnabled(true);
   } else if (data.status === "loading_model_progress") {
     console.log("Model loading progress:", data.progress);
-  } else if (data.status === "stream_audio_data") {
-    if (currentQueueJobId) {
-      // Queue job - collect all audio
-      audioChunksForQueue.push(data.audio);
-      
-      // Calculate progress for queue jobs
-      if (currentJobEstimation) {
-        const chunkNum = Math.min(audioChunksForQueue.length, currentJobEstimation);
-        const fallbackEstimation = Math.max(5, Math.ceil(chunkNum * 1.2));
-        const percent = Math.min((chunkNum / fallbackEstimation) * 100, 98);
-        updateProgress(percent, `Processing queue job ${currentQueueJobId}: ${chunkNum}/${fallbackEstimation} chunks (${Math.round(percent)}%)`);
-      }
-      
-      tts_worker.postMessage({ type: "buffer_processed" });
-    } else {
-      // Manual job - use existing logic
-      if (buttonHandler.getMode() === "disk") {
-        const percent = audioDiskSaver.addAudioChunk(data.audio);
-        updateProgress(percent, "Processing audio for saving...");
-        buttonHandler.updateDiskButtonToStop();
-        tts_worker.postMessage({ type: "buffer_processed" });
-      } else if (buttonHandler.getMode() === "stream") {
-        buttonHandler.updateStreamButtonToStop();
-        audioPlayer.queueAudio(data.audio);
-      }
-    }
-  } else if (data.status === "complete") {
-    if (currentQueueJobId) {
-      // Queue job complete
-      console.log(`Queue job ${currentQueueJobId} complete with ${audioChunksForQueue.length} audio chunks`);
-      
-      if (currentQueueMode === "stream") {
-        // Stream all collected audio
-        console.log(`Starting playback of ${audioChunksForQueue.length} audio chunks...`);
-        audioChunksForQueue.forEach((audio, index) => {
-          setTimeout(() => {
-            audioPlayer.queueAudio(audio);
-          }, index * 100);
-        });
-      } else if (currentQueueMode === "disk") {
-        // Save all collected audio
-        console.log(`Saving ${audioChunksForQueue.length} audio chunks...`);
-        audioChunksForQueue.forEach(audio => {
-          audioDiskSaver.addAudioChunk(audio);
-        });
-        audioDiskSaver.finalizeCurrentFile();
-      }
-      
-      // Clear current job tracking
-      currentQueueJobId = null;
-      currentQueueMode = null;
-      audioChunksForQueue = [];
-      currentJobEstimation = null;
-      queueManager.markCurrentJobComplete();
-      
-      updateProgress(100, "Job completed successfully!");
-      buttonHandler.resetButtons();
-      
-    } else {
-      // Manual job complete
-      console.log("Manual job completed");
-      updateProgress(100, "Job completed successfully!");
-      buttonHandler.resetButtons();
-    }
-  } else if (data.status === "error") {
-    console.error("Worker error:", data.message);
-    if (currentQueueJobId) {
-      queueManager.markCurrentJobError(data.message);
-      currentQueueJobId = null;
-      currentQueueMode = null;
-      audioChunksForQueue = [];
-      currentJobEstimation = null;
-    }
-    updateProgress(0, `Error: ${data.message}`);
-    buttonHandler.resetButtons();
-  } else if (data.status === "chunk_progress") {
-    // Update chunk progress for queue jobs
-    if (currentQueueJobId) {
-      console.log(`Chunk progress: ${data.sentencesInChunk} sentences in this chunk`);
+  } else if (data.status === "loading_model_error") {
+    console.error("Model loading failed:", data.message);
+    updateProgress(0, `Error loading model: ${data.message}`);
+    if (data.modelLoaded) {
+      // The worker kept the previous model
+      buttonHandler.enableButtons();
+      audiobookExporter.setEnabled(true);
     }
   }
 });
 
+// The model is loaded from the saved model source setting
+modelSourceSettings.init().catch((error) => {
+  console.error("Unable to load the model source setting:", error);
+});
+
 // --- QUEUE PROCESSING ---
-queueManager.addEventListener("jobstarted", async (event) => {
-  if (!queueManager.hasActiveJob()) return;
-  
-  const { jobId, text, voice, speed, mode } = event.detail;
-  currentQueueJobId = jobId;
-  currentQueueMode = mode;
-  audioChunksForQueue = [];
-  currentJobEstimation = null;
-  
-  try {
-    // Split text into chunks and process sequentially
-    const { chunks, estimatedChunks } = await splitTextForQueue(text);
-    currentJobEstimation = estimatedChunks;
-    
-    let currentIndex = 0;
-    
-    const processNextChunk = async () => {
-      if (currentIndex >= chunks.length) return;
-      
-      const totalChunks = chunks.length;
-      const nextChunk = chunks[currentIndex];
-      
-      console.log(`Processing chunk ${currentIndex + 1}/${totalChunks}: "${nextChunk.substring(0, 50)}..."`);
-      
-      // Send next chunk to worker
-      tts_worker.postMessage({ 
-        type: "generate", 
-        text: nextChunk, 
-        voice: voice, 
-        speed: speed 
-      });
-      
-      currentIndex++;
-    };
-    
-    // Process first chunk immediately
-    await processNextChunk();
-    
-    // Listen for completion to process next chunk
-    const handleChunkComplete = async (e) => {
-      if (e.data.status === "complete") {
-        // Remove this listener
-        tts_worker.removeEventListener("message", handleChunkComplete);
-        
-        // Process next chunk if available
-        if (currentIndex < chunks.length) {
-          await processNextChunk();
-          
-          // Add listener back for next chunk
-          tts_worker.addEventListener("message", handleChunkComplete);
-        }
-      }
-    };
-    
-    tts_worker.addEventListener("message", handleChunkComplete);
-    
-    updateProgress(0, `Processing queue job ${jobId}: 0/${estimatedChunks} chunks...`);
-    
-  } catch (error) {
-    console.error("Error processing queue job:", error);
-    queueManager.markCurrentJobError(error.message);
-    currentQueueJobId = null;
+// BackgroundQueueManager hands over one job at a time and waits for jobComplete()
+window.addEventListener("queue-process-job", async (event) => {
+  const { jobId, text, voice, speed, mode, markdown } = event.detail;
+  console.log("Starting queue job:", { jobId, text: text.substring(0, 100), voice, speed, mode });
+
+  // Queue jobs don't hold the worker back, segments are acknowledged as they arrive
+  const job = ttsClient.generate({ text, voice, speed, markdown });
+  const audioChunks = [];
+  const cues = []; // Kept for both modes, so any completed job has subtitles
+  const meter = new LoudnessMeter(); // Stored with the job, so its download can be normalized
+  let samples = 0;
+  let processed = 0;
+  job.addEventListener("started", () => {
+    updateProgress(0, `Processing queue job ${jobId}: 0/${job.totalSegments} chunks...`);
+  });
+  if (mode === "stream") {
+    audioPlayer.reset();
+    audioPlayer.setMediaInfo(text, voice);
+    audioPlayer.resetLoudness();
   }
-});
 
-// --- QUEUE JOB TEXT SPLITTING ---
-async function splitTextForQueue(text) {
-  const { splitTextSmart } = await import("./semantic-split.js");
-  
   try {
-    // Use 250 characters per chunk for reliability
-    const chunks = splitTextSmart(text, 250);
-    const estimatedChunks = chunks.length;
-    
-    console.log(`Split text into ${estimatedChunks} chunks for queue processing`);
-    
-    return { chunks, estimatedChunks };
+    for await (const { audio, text: segmentText, sentences } of job) {
+      const numSamples = audio.byteLength / Float32Array.BYTES_PER_ELEMENT;
+      addSubtitleCue(cues, segmentText, samples, numSamples);
+      meter.add(new Float32Array(audio));
+      samples += numSamples;
+
+      if (mode === "stream") {
+        audioPlayer.queueAudio(audio, null, { text: segmentText, sentences });
+      } else {
+        audioChunks.push(audio);
+      }
+
+      processed++;
+      const total = Math.max(job.totalSegments ?? processed, processed);
+      const percent = Math.min((processed / total) * 100, 98);
+      updateProgress(percent, `Processing queue job ${jobId}: ${processed}/${total} chunks (${Math.round(percent)}%)`);
+      await queueManager.updateJobProgress(jobId, percent, processed, total);
+    }
+
+    console.log(`Queue job ${jobId} complete`);
+    await queueManager.jobComplete(jobId, mode === "disk" ? audioChunks : null, true, cues, meter.measure());
+    updateProgress(100, "Job completed successfully!");
   } catch (error) {
-    console.error("Error splitting text into chunks:", error);
-    // Fallback: send entire text as single chunk
-    return { chunks: [text], estimatedChunks: 1 };
+    console.error(`Queue job ${jobId} failed:`, error);
+    await queueManager.jobComplete(jobId, null, false);
+    updateProgress(0, `Error: ${error.message}`);
   }
-}
-
-// --- EXPORT BUTTON FUNCTIONALITY ---
-window.addEventListener("jobstarted", (event) => {
-  const { jobId, text, voice, speed, mode } = event.detail;
-  currentQueueJobId = jobId;
-  currentQueueMode = mode;
-  audioChunksForQueue = [];
-  currentJobEstimation = null;
-  
-  console.log("Starting job:", { jobId, text: text.substring(0, 100), voice, speed, mode });
 });
 
-// Initialize queue manager
-queueManager.initialize();
+// Initialize queue manager, then list its jobs. The queue panel's buttons call these globals.
+let queueDisplay = new QueueDisplay(queueManager, loudnessSettings);
+window.refreshQueueDisplay = () => queueDisplay.render();
+window.clearCompletedJobs = () => queueManager.clearCompletedJobs();
+queueManager.init().then(() => queueDisplay.init()).catch((error) => {
+  console.error("Unable to initialize the job queue:", error);
+});
 
 console.log("TTS Generator loaded with final memory fixes");
@@ -0,0 +1,328 @@
+// markdown.js - Parse Markdown into blocks, and turn them into the units of text they are read aloud as
+
+/**
+ * A block of a Markdown document. Inline syntax is already reduced to its text.
+ * @typedef {{type: "heading"; level: number; text: string}
+ *   | {type: "paragraph"; text: string}
+ *   | {type: "list"; items: {text: string; depth: number; ordered: boolean; number: number|null}[]}
+ *   | {type: "table"; header: string[]; rows: string[][]}
+ *   | {type: "code"; language: string; text: string}
+ *   | {type: "rule"}} MarkdownBlock
+ */
+
+/**
+ * A unit of text to read, which is split on its own. `level` is 1-6 for headings, 0 otherwise.
+ * @typedef {{text: string; level: number; boundary: import("./post-process.js").BoundaryType}} MarkdownParagraph
+ */
+
+/**
+ * @typedef {Object} MarkdownOptions
+ * @property {string|null} [headingVoice=null] The voice for headings, or null to read them with the voice of the text.
+ * @property {"skip"|"read"} [codeBlocks="skip"] Whether code blocks are replaced with a short cue or read verbatim.
+ */
+
+const CODE_BLOCK_CUE = "Code block omitted.";
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_PATTERN = /^ {0,3}(=+|-+)\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)(?:[-*+]|(\d{1,9})[.)])(?:\s+(.*))?$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const LINK_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:\s*\S+/;
+const FOOTNOTE_PATTERN = /^ {0,3}\[\^[^\]]+\]:/;
+const INDENTED_PATTERN = /^(?: {4}|\t)/;
+const SENTENCE_END_PATTERN = /[.!?…:;]["'”’»)\]]*$/;
+const ESCAPE_OFFSET = 0xf000; // Escaped characters are moved to the private use area, so no other rule matches them
+
+/**
+ * Reduce Markdown inline syntax to its text: emphasis and code spans are unwrapped, links read their text,
+ * and images, footnote references and inline HTML are left out. Escaped characters ("\*") are read as they are.
+ * @param {string} text A line or paragraph of Markdown.
+ * @returns {string} The readable text, on one line.
+ */
+export function markdownInline(text) {
+  return text
+    .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, (_, char) => String.fromCharCode(ESCAPE_OFFSET + char.charCodeAt(0)))
+    .replace(/!\[[^\]]*\]\([^)]*\)|!\[[^\]]*\]\[[^\]]*\]/g, "") // Images
+    .replace(/\[\^[^\]]+\]/g, "") // Footnote references
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1") // Links read their text
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+    .replace(/<(?:https?:\/\/|mailto:)[^>]+>/g, "") // Autolinks
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<\/?[a-z][^>]*>/gi, "") // Inline HTML
+    .replace(/`+([^`]+)`+/g, "$1")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(^|[^\w*])[*_]([^*_\s](?:.*?[^*_\s])?)[*_](?=[^\w*]|$)/g, "$1$2")
+    .replace(/~~(.+?)~~/g, "$1")
+    .replace(/[\uf000-\uf07f]/g, (char) => String.fromCharCode(char.charCodeAt(0) - ESCAPE_OFFSET))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Helper function to split a table row into its cells. Escaped pipes ("\|") are part of a cell.
+ * @param {string} line The row.
+ * @returns {string[]} The text of each cell.
+ */
+function tableCells(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map(markdownInline);
+}
+
+/**
+ * Parse a Markdown document into blocks: headings (ATX and setext), paragraphs, lists, tables, and fenced or
+ * indented code. Block quotes are read as their content. Link definitions, footnotes and HTML comments are left out.
+ * @param {string} markdown The document.
+ * @returns {{title: string; blocks: MarkdownBlock[]}} The blocks in order, and the title from a YAML front matter.
+ */
+export function parseMarkdown(markdown) {
+  let lines = markdown.replace(/\r\n?/g, "\n").replace(/<!--[\s\S]*?-->/g, "").split("\n");
+  let title = "";
+  if (lines[0] === "---") {
+    const end = lines.indexOf("---", 1);
+    if (end > 0) {
+      title = lines.slice(1, end).find((line) => /^title:/i.test(line))?.replace(/^title:\s*/i, "").replace(/^["']|["']$/g, "") ?? "";
+      lines = lines.slice(end + 1);
+    }
+  }
+  // Block quotes are read like the rest of the text
+  lines = lines.map((line) => line.replace(/^ {0,3}(?:>[ \t]?)+/, ""));
+
+  const blocks = [];
+  let paragraph = [];
+  let list = null; // {items, indents, ordered, blank}
+
+  const flushParagraph = () => {
+    const text = markdownInline(paragraph.join(" "));
+    if (text) blocks.push({ type: "paragraph", text });
+    paragraph = [];
+  };
+  const endList = () => {
+    if (!list) return;
+    const items = list.items
+      .map(({ lines, ...item }) => ({ ...item, text: markdownInline(lines.join(" ").replace(/^\[[ xX]\]\s+/, "")) }))
+      .filter((item) => item.text);
+    if (items.length > 0) blocks.push({ type: "list", items });
+    list = null;
+  };
+  const endBlock = () => {
+    flushParagraph();
+    endList();
+  };
+
+  for (let i = 0; i < lines.length; ++i) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      endBlock();
+      const code = [];
+      const closing = new RegExp(`^ {0,3}${fence[1][0] === "`" ? "`" : "~"}{${fence[1].length},}\\s*$`);
+      for (++i; i < lines.length && !closing.test(lines[i]); ++i) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: "code", language: fence[2], text: code.join("\n") });
+      continue;
+    }
+
+    // Footnote definitions, and the indented lines that continue them
+    if (FOOTNOTE_PATTERN.test(line)) {
+      endBlock();
+      while (i + 1 < lines.length && /^(?:\s{2,}|\t)\S/.test(lines[i + 1])) ++i;
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      if (list) list.blank = true;
+      continue;
+    }
+
+    if (LINK_DEFINITION_PATTERN.test(line) && paragraph.length === 0) {
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      endBlock();
+      const text = markdownInline(heading[2] ?? "");
+      if (text) blocks.push({ type: "heading", level: heading[1].length, text });
+      continue;
+    }
+
+    // Setext heading: the paragraph so far is the title
+    if (paragraph.length > 0 && SETEXT_PATTERN.test(line)) {
+      const text = markdownInline(paragraph.join(" "));
+      paragraph = [];
+      if (text) blocks.push({ type: "heading", level: line.trim()[0] === "=" ? 1 : 2, text });
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      endBlock();
+      blocks.push({ type: "rule" });
+      continue;
+    }
+
+    // A table starts with a header row, and the separator row under it
+    if (line.includes("|") && i + 1 < lines.length && lines[i + 1].includes("|") && TABLE_SEPARATOR_PATTERN.test(lines[i + 1])) {
+      endBlock();
+      const header = tableCells(line);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].includes("|") && lines[i].trim(); ++i) {
+        rows.push(tableCells(lines[i]));
+      }
+      --i;
+      blocks.push({ type: "table", header, rows });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM_PATTERN);
+    // Only a list that starts at 1 can interrupt a paragraph, "2024. A year" is not one
+    if (item && (paragraph.length === 0 || item[2] === undefined || item[2] === "1")) {
+      flushParagraph();
+      const indent = item[1].replace(/\t/g, "    ").length;
+      const ordered = item[2] !== undefined;
+      // Switching between bullets and numbers at the top level starts another list
+      if (list && indent <= list.indents[0] && ordered !== list.ordered) endList();
+      list ??= { items: [], indents: [], ordered, blank: false };
+      while (list.indents.length > 0 && indent < list.indents.at(-1)) list.indents.pop();
+      if (list.indents.length === 0 || indent > list.indents.at(-1)) list.indents.push(indent);
+      list.items.push({
+        lines: [item[3] ?? ""],
+        depth: list.indents.length - 1,
+        ordered,
+        number: ordered ? Number(item[2]) : null,
+      });
+      list.blank = false;
+      continue;
+    }
+
+    if (list) {
+      // Indented lines continue the item, and so do unindented ones right after it
+      if (/^\s/.test(line) || !list.blank) {
+        list.items.at(-1).lines.push(line.trim());
+        list.blank = false;
+        continue;
+      }
+      endList();
+    }
+
+    if (INDENTED_PATTERN.test(line) && paragraph.length === 0) {
+      const code = [];
+      for (; i < lines.length && (INDENTED_PATTERN.test(lines[i]) || !lines[i].trim()); ++i) {
+        code.push(lines[i].replace(INDENTED_PATTERN, ""));
+      }
+      --i;
+      blocks.push({ type: "code", language: "", text: code.join("\n").trim() });
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+  endBlock();
+
+  return { title, blocks };
+}
+
+/**
+ * Helper function to end a list item or table row as a sentence, so it is read with a falling tone.
+ * @param {string} text The text.
+ * @returns {string} The text, with a full stop unless it already ends a sentence or clause.
+ */
+function asSentence(text) {
+  return SENTENCE_END_PATTERN.test(text) ? text : `${text}.`;
+}
+
+/**
+ * Turn Markdown blocks into the units they are read as. List items are numbered, unordered ones too,
+ * and table rows are read one by one, each cell after its column header: "Name: Bob, Age: 3."
+ * A heading is a unit of its own, and the unit before it ends with a heading pause, like a horizontal rule.
+ * @param {MarkdownBlock[]} blocks The blocks.
+ * @param {Object} [options]
+ * @param {"skip"|"read"} [options.codeBlocks="skip"] Whether code blocks are replaced with a short cue or read verbatim.
+ * @returns {MarkdownParagraph[]} The units, in order.
+ */
+export function markdownParagraphs(blocks, { codeBlocks = "skip" } = {}) {
+  const paragraphs = [];
+  const add = (text, level, boundary) => {
+    if (text.trim()) paragraphs.push({ text, level, boundary });
+  };
+  const breakBefore = () => {
+    const last = paragraphs.at(-1);
+    if (last) last.boundary = "heading";
+  };
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case "heading":
+        breakBefore();
+        add(block.text, block.level, "heading");
+        break;
+
+      case "paragraph":
+        add(block.text, 0, "paragraph");
+        break;
+
+      case "list": {
+        const counters = [];
+        for (const { text, depth, ordered, number } of block.items) {
+          counters.length = depth + 1;
+          counters[depth] = ordered && counters[depth] === undefined ? number : (counters[depth] ?? 0) + 1;
+          add(`${counters[depth]}. ${asSentence(text)}`, 0, "sentence");
+        }
+        if (paragraphs.length > 0) paragraphs.at(-1).boundary = "paragraph";
+        break;
+      }
+
+      case "table": {
+        const hasHeader = block.header.some(Boolean);
+        for (const row of block.rows) {
+          const cells = row
+            .map((cell, i) => (cell && hasHeader && block.header[i] ? `${block.header[i]}: ${cell}` : cell))
+            .filter(Boolean);
+          add(asSentence(cells.join(", ")), 0, "sentence");
+        }
+        if (block.rows.length === 0) add(asSentence(block.header.filter(Boolean).join(", ")), 0, "sentence");
+        if (paragraphs.length > 0) paragraphs.at(-1).boundary = "paragraph";
+        break;
+      }
+
+      case "code":
+        add(codeBlocks === "read" ? block.text : CODE_BLOCK_CUE, 0, "paragraph");
+        break;
+
+      case "rule":
+        breakBefore();
+        break;
+    }
+  }
+  return paragraphs;
+}
+
+/**
+ * Interpret a Markdown document as text blocks for `KokoroTTS.stream`, like `parseSSML` does for SSML.
+ * Each block is one unit of the document and carries the boundary it ends with, so the splitter
+ * never joins a heading, list item or table row with the text around it.
+ * @param {string} markdown The document.
+ * @param {Object} options The voice and speed of the text, and the {@link MarkdownOptions}
+ * @param {string} [options.voice="af_heart"] The voice to use
+ * @param {number} [options.speed=1] The speed to use
+ * @param {string|null} [options.headingVoice=null] The voice for headings, or null for the voice of the text
+ * @param {"skip"|"read"} [options.codeBlocks="skip"] Whether code blocks are replaced with a short cue or read verbatim
+ * @returns {{type: "text"; text: string; voice: string; speed: number; boundary: import("./post-process.js").BoundaryType}[]} The blocks, in order
+ */
+export function narrateMarkdown(markdown, { voice = "af_heart", speed = 1, headingVoice = null, codeBlocks = "skip" } = {}) {
+  return markdownParagraphs(parseMarkdown(markdown).blocks, { codeBlocks }).map(({ text, level, boundary }) => ({
+    type: "text",
+    text,
+    voice: level > 0 && headingVoice ? headingVoice : voice,
+    speed,
+    boundary,
+  }));
+}
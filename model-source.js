@@ -0,0 +1,180 @@
+// model-source.js - Where the model and voice files are loaded from
+
+export const DEFAULT_MODEL_ID = "onnx-community/Kokoro-82M-v1.0-ONNX";
+const DEFAULT_REMOTE_HOST = "https://huggingface.co/";
+const LOCAL_FOLDER_MODEL_ID = "kokoro-local-folder"; // Stands in for the picked folder in Transformers.js paths
+
+/**
+ * Where to load the model from.
+ * - `hub`: a model id on the Hugging Face hub.
+ * - `mirror`: a model id on a server that mirrors the hub's URL layout, e.g. `https://hf-mirror.example.com`.
+ * - `path`: a folder on the same origin as the app, e.g. `./my_model/`.
+ * - `folder`: a folder on the user's disk, picked with the File System Access API.
+ * @typedef {{type: "hub"|"mirror"|"path"|"folder"; modelId?: string; baseUrl?: string; path?: string}} ModelSource
+ */
+
+export const DEFAULT_MODEL_SOURCE = Object.freeze({ type: "hub", modelId: DEFAULT_MODEL_ID });
+
+/**
+ * Check a model source and fill in defaults.
+ * @param {Partial<ModelSource>} source The model source.
+ * @returns {ModelSource} The validated model source.
+ */
+export function validateModelSource(source) {
+  const type = source?.type ?? "hub";
+  const modelId = source?.modelId?.trim() || DEFAULT_MODEL_ID;
+
+  switch (type) {
+    case "hub":
+      return { type, modelId };
+
+    case "mirror": {
+      const baseUrl = source.baseUrl?.trim();
+      if (!baseUrl) {
+        throw new Error("A mirror needs a base URL.");
+      }
+      let url;
+      try {
+        url = new URL(baseUrl);
+      } catch {
+        throw new Error(`Invalid mirror URL "${baseUrl}".`);
+      }
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        throw new Error(`Mirror URL must use http or https, got "${url.protocol}".`);
+      }
+      return { type, modelId, baseUrl: url.href.replace(/\/?$/, "/") };
+    }
+
+    case "path": {
+      const path = source.path?.trim();
+      if (!path) {
+        throw new Error("A same-origin path must not be empty.");
+      }
+      if (/^[a-z][a-z\d+.-]*:/i.test(path) || path.startsWith("//")) {
+        throw new Error(`"${path}" is not a same-origin path. Use a mirror for other servers.`);
+      }
+      return { type, path: path.replace(/\/?$/, "/") };
+    }
+
+    case "folder":
+      return { type };
+
+    default:
+      throw new Error(`Unknown model source "${type}".`);
+  }
+}
+
+/**
+ * Helper function to read a file below a directory handle.
+ * @param {FileSystemDirectoryHandle} directory The directory.
+ * @param {string} relativePath The path of the file, separated by "/".
+ * @returns {Promise<File|null>} The file, or null if it does not exist.
+ */
+async function readDirectoryFile(directory, relativePath) {
+  const parts = relativePath.split("/").filter((part) => part.length > 0 && part !== ".");
+  try {
+    let handle = directory;
+    for (const part of parts.slice(0, -1)) {
+      handle = await handle.getDirectoryHandle(part);
+    }
+    return await (await handle.getFileHandle(parts.at(-1))).getFile();
+  } catch (error) {
+    if (error.name === "NotFoundError" || error.name === "TypeMismatchError") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create an object with the `match` and `put` methods of the Cache API, which Transformers.js
+ * uses as `env.customCache`. It answers requests for the model files from a picked folder.
+ * @param {FileSystemDirectoryHandle} directory The model folder.
+ * @returns {{match: (key: string) => Promise<Response|undefined>; put: () => Promise<void>}} The cache.
+ */
+function createDirectoryCache(directory) {
+  const marker = `${LOCAL_FOLDER_MODEL_ID}/`;
+  return {
+    async match(key) {
+      const index = String(key).indexOf(marker);
+      if (index === -1) return undefined;
+      const file = await readDirectoryFile(directory, String(key).slice(index + marker.length));
+      return file ? new Response(file, { headers: { "Content-Length": String(file.size) } }) : undefined;
+    },
+    async put() {
+      // The folder is the source of truth, nothing to store
+    },
+  };
+}
+
+/**
+ * Configure Transformers.js for a model source.
+ * @param {import("@huggingface/transformers").env} env The Transformers.js environment.
+ * @param {ModelSource} source The model source.
+ * @param {FileSystemDirectoryHandle} [directory] The picked folder, for `folder` sources.
+ * @returns {{modelId: string; voiceBaseUrl: string|null; voiceFileProvider: ((id: string) => Promise<ArrayBuffer>)|null}}
+ *   The model id to pass to `from_pretrained`, and where voice files come from.
+ */
+export function configureModelSource(env, source, directory = null) {
+  source = validateModelSource(source);
+
+  // Reset what a previous source may have changed
+  env.remoteHost = DEFAULT_REMOTE_HOST;
+  env.allowRemoteModels = true;
+  env.allowLocalModels = false;
+  env.useBrowserCache = true;
+  env.useCustomCache = false;
+  env.customCache = null;
+
+  switch (source.type) {
+    case "hub":
+      return {
+        modelId: source.modelId,
+        voiceBaseUrl: `${DEFAULT_REMOTE_HOST}${source.modelId}/resolve/main/voices`,
+        voiceFileProvider: null,
+      };
+
+    case "mirror":
+      env.remoteHost = source.baseUrl;
+      return {
+        modelId: source.modelId,
+        voiceBaseUrl: `${source.baseUrl}${source.modelId}/resolve/main/voices`,
+        voiceFileProvider: null,
+      };
+
+    case "path": {
+      // Split into a parent folder and a model id, the layout Transformers.js expects for local models
+      const url = new URL(source.path, self.location.href);
+      const segments = url.pathname.split("/").filter((segment) => segment.length > 0);
+      const modelId = segments.pop();
+      if (!modelId) {
+        throw new Error("The model cannot be at the root of the site, use a folder.");
+      }
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      env.localModelPath = `${url.origin}/${segments.map((segment) => `${segment}/`).join("")}`;
+      return { modelId, voiceBaseUrl: `${url.href.replace(/\/$/, "")}/voices`, voiceFileProvider: null };
+    }
+
+    case "folder":
+      if (!directory) {
+        throw new Error("No model folder has been picked.");
+      }
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      env.useBrowserCache = false;
+      env.useCustomCache = true;
+      env.customCache = createDirectoryCache(directory);
+      return {
+        modelId: LOCAL_FOLDER_MODEL_ID,
+        voiceBaseUrl: null,
+        voiceFileProvider: async (id) => {
+          const file = await readDirectoryFile(directory, `voices/${id}.bin`);
+          if (!file) {
+            throw new Error(`Voice file voices/${id}.bin not found in the model folder "${directory.name}".`);
+          }
+          return file.arrayBuffer();
+        },
+      };
+  }
+}
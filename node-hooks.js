@@ -0,0 +1,13 @@
+// node-hooks.js - Module resolution hooks that let cli.js load the browser modules in Node.js
+//
+// kokoro.js imports Transformers.js from the jsdelivr CDN, which Node.js cannot import.
+// These hooks resolve that URL to the locally installed @huggingface/transformers package.
+
+const TRANSFORMERS_CDN_PATTERN = /^https:\/\/cdn\.jsdelivr\.net\/npm\/@huggingface\/transformers@[^/]+\//;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (TRANSFORMERS_CDN_PATTERN.test(specifier)) {
+    return nextResolve("@huggingface/transformers", context);
+  }
+  return nextResolve(specifier, context);
+}
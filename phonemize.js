@@ -28,80 +28,18 @@ function split(text, regex) {
 }
 
 /**
- * Helper function to split numbers into phonetic equivalents
- * @param {string} match The matched number
- * @returns {string} The phonetic equivalent
- */
-function split_num(match) {
-  if (match.includes(".")) {
-    return match;
-  } else if (match.includes(":")) {
-    let [h, m] = match.split(":").map(Number);
-    if (m === 0) {
-      return `${h} o'clock`;
-    } else if (m < 10) {
-      return `${h} oh ${m}`;
-    }
-    return `${h} ${m}`;
-  }
-  let year = parseInt(match.slice(0, 4), 10);
-  if (year < 1100 || year % 1000 < 10) {
-    return match;
-  }
-  let left = match.slice(0, 2);
-  let right = parseInt(match.slice(2, 4), 10);
-  let suffix = match.endsWith("s") ? "s" : "";
-  if (year % 1000 >= 100 && year % 1000 <= 999) {
-    if (right === 0) {
-      return `${left} hundred${suffix}`;
-    } else if (right < 10) {
-      return `${left} oh ${right}${suffix}`;
-    }
-  }
-  return `${left} ${right}${suffix}`;
-}
-
-/**
- * Helper function to format monetary values
- * @param {string} match The matched currency
- * @returns {string} The formatted currency
- */
-function flip_money(match) {
-  const bill = match[0] === "$" ? "dollar" : "pound";
-  if (isNaN(Number(match.slice(1)))) {
-    return `${match.slice(1)} ${bill}s`;
-  } else if (!match.includes(".")) {
-    let suffix = match.slice(1) === "1" ? "" : "s";
-    return `${match.slice(1)} ${bill}${suffix}`;
-  }
-  const [b, c] = match.slice(1).split(".");
-  const d = parseInt(c.padEnd(2, "0"), 10);
-  let coins = match[0] === "$" ? (d === 1 ? "cent" : "cents") : d === 1 ? "penny" : "pence";
-  return `${b} ${bill}${b === "1" ? "" : "s"} and ${d} ${coins}`;
-}
-
-/**
- * Helper function to process decimal numbers
- * @param {string} match The matched number
- * @returns {string} The formatted number
- */
-function point_num(match) {
-  let [a, b] = match.split(".");
-  return `${a} point ${b.split("").join(" ")}`;
-}
-
-/**
- * Normalize text for phonemization
+ * Normalize punctuation and whitespace. Shared by all languages.
  * @param {string} text The text to normalize
  * @returns {string} The normalized text
  */
-function normalize_text(text) {
+function normalize_common(text) {
   return (
     text
       // 1. Handle quotes and brackets
       .replace(/[‘’]/g, "'")
       .replace(/«/g, "“")
       .replace(/»/g, "”")
+      .replace(/[「」『』《》]/g, '"')
       .replace(/[“”]/g, '"')
       .replace(/\(/g, "«")
       .replace(/\)/g, "»")
@@ -114,43 +52,527 @@ function normalize_text(text) {
       .replace(/：/g, ": ")
       .replace(/；/g, "; ")
       .replace(/？/g, "? ")
+      .replace(/[।॥]/g, ". ")
 
       // 3. Whitespace normalization
       .replace(/[^\S \n]/g, " ")
       .replace(/  +/, " ")
       .replace(/(?<=\n) +(?=\n)/g, "")
+  );
+}
 
-      // 4. Abbreviations
-      .replace(/\bD[Rr]\.(?= [A-Z])/g, "Doctor")
-      .replace(/\b(?:Mr\.|MR\.(?= [A-Z]))/g, "Mister")
-      .replace(/\b(?:Ms\.|MS\.(?= [A-Z]))/g, "Miss")
-      .replace(/\b(?:Mrs\.|MRS\.(?= [A-Z]))/g, "Mrs")
-      .replace(/\betc\.(?! [A-Z])/gi, "etc")
+// --- ENGLISH NUMBERS ---
 
-      // 5. Normalize casual words
-      .replace(/\b(y)eah?\b/gi, "$1e'a")
+const ONES = [
+  "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+  "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen",
+];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const SCALES = ["", "thousand", "million", "billion", "trillion", "quadrillion"];
+const ORDINAL_WORDS = { one: "first", two: "second", three: "third", five: "fifth", eight: "eighth", nine: "ninth", twelve: "twelfth" };
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const MONTH_PATTERN = "Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?";
+const ROMAN_PATTERN = "(?=[MDCLXVI])M{0,3}(?:CM|CD|D?C{0,3})(?:XC|XL|L?X{0,3})(?:IX|IV|V?I{0,3})";
+const ROMAN_VALUES = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+
+/**
+ * Helper function to read digits one by one, e.g. in a phone number.
+ * @param {string} digits The digits.
+ * @param {"a"|"b"} variant "a" for American English ("zero"), "b" for British English ("oh").
+ * @returns {string} The digits as words.
+ */
+function digit_words(digits, variant) {
+  return [...digits].map((digit) => (digit === "0" && variant === "b" ? "oh" : ONES[digit])).join(" ");
+}
+
+function below_thousand(n, variant) {
+  const words = [];
+  if (n >= 100) {
+    words.push(ONES[Math.floor(n / 100)], "hundred");
+    n %= 100;
+    if (n > 0 && variant === "b") words.push("and");
+  }
+  if (n >= 20) {
+    words.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ""));
+  } else if (n > 0) {
+    words.push(ONES[n]);
+  }
+  return words.join(" ");
+}
+
+/**
+ * Helper function to read a whole number. Numbers with a leading zero, and numbers too large to name, are read digit by digit.
+ * @param {string} digits The digits, without separators.
+ * @param {"a"|"b"} variant "a" for American English, "b" for British English ("one hundred and five").
+ * @returns {string} The number as words.
+ */
+function cardinal(digits, variant) {
+  if (digits.length > 1 && digits.startsWith("0")) return digit_words(digits, variant);
+  if (digits.length > SCALES.length * 3) return digit_words(digits, variant);
+  if (Number(digits) === 0) return "zero";
+
+  const groups = [];
+  for (let end = digits.length; end > 0; end -= 3) {
+    groups.unshift(Number(digits.slice(Math.max(0, end - 3), end)));
+  }
+  const words = [];
+  groups.forEach((group, i) => {
+    if (group === 0) return;
+    // British English joins the last group with "and": "one thousand and five"
+    if (variant === "b" && i === groups.length - 1 && i > 0 && group < 100) words.push("and");
+    words.push(below_thousand(group, variant));
+    if (SCALES[groups.length - 1 - i]) words.push(SCALES[groups.length - 1 - i]);
+  });
+  return words.join(" ");
+}
+
+function ordinal(digits, variant) {
+  return cardinal(digits, variant).replace(/[a-z]+$/, (word) => ORDINAL_WORDS[word] ?? (word.endsWith("y") ? `${word.slice(0, -1)}ieth` : `${word}th`));
+}
+
+// "eighty" -> "eighties", "six" -> "sixes"
+function plural(words) {
+  return words.replace(/[a-z]+$/, (word) => (word.endsWith("y") ? `${word.slice(0, -1)}ies` : /(?:x|s)$/.test(word) ? `${word}es` : `${word}s`));
+}
+
+/**
+ * Helper function to read a number with an optional sign, thousands separators and decimals.
+ * @param {string} text The number, e.g. "-1,234.5".
+ * @param {"a"|"b"} variant "a" for American English, "b" for British English.
+ * @returns {string} The number as words, e.g. "minus one thousand two hundred thirty-four point five".
+ */
+function number(text, variant) {
+  const [, sign, whole, fraction] = text.replace(/,/g, "").match(/^([-−]?)(\d*)(?:\.(\d+))?$/) ?? [];
+  if (whole === undefined) return text;
+  const words = [];
+  if (sign) words.push("minus");
+  if (whole) words.push(cardinal(whole, variant));
+  if (fraction) words.push("point", [...fraction].map((digit) => ONES[digit]).join(" "));
+  return words.join(" ");
+}
+
+/**
+ * Helper function to read a year: "1066" is "ten sixty-six", "1984" is "nineteen eighty-four", "1905" is "nineteen oh five",
+ * "2005" is "two thousand five" and "2024" is "twenty twenty-four".
+ * @param {string} digits The year.
+ * @param {"a"|"b"} variant "a" for American English, "b" for British English.
+ * @returns {string} The year as words.
+ */
+function year(digits, variant) {
+  const n = Number(digits);
+  if (digits.length !== 4 || n < 1000) return cardinal(digits, variant);
+  const century = Math.floor(n / 100);
+  const rest = n % 100;
+  if (century % 10 === 0 && rest < 10) return cardinal(digits, variant);
+  if (rest === 0) return `${cardinal(String(century), variant)} hundred`;
+  if (rest < 10) return `${cardinal(String(century), variant)} oh ${ONES[rest]}`;
+  return `${cardinal(String(century), variant)} ${cardinal(String(rest), variant)}`;
+}
+
+function fraction(numerator, denominator, variant) {
+  const plural = numerator !== 1;
+  const name = denominator === 2 ? (plural ? "halves" : "half") : denominator === 4 ? (plural ? "quarters" : "quarter") : ordinal(String(denominator), variant) + (plural ? "s" : "");
+  return `${cardinal(String(numerator), variant)} ${name}`;
+}
+
+function roman(text) {
+  let value = 0;
+  for (let i = 0; i < text.length; ++i) {
+    const current = ROMAN_VALUES[text[i]];
+    value += current < (ROMAN_VALUES[text[i + 1]] ?? 0) ? -current : current;
+  }
+  return String(value);
+}
+
+function month(text) {
+  return MONTHS.findIndex((name) => name.startsWith(text.slice(0, 3))) + 1;
+}
+
+/**
+ * Helper function to read a date. American English reads "March fifteenth, twenty twenty-four",
+ * British English "the fifteenth of March, twenty twenty-four".
+ * @returns {string|null} The date as words, or null if it is not a valid date.
+ */
+function date(monthNumber, day, yearDigits, variant) {
+  if (monthNumber < 1 || monthNumber > 12 || day < 1 || day > 31) return null;
+  const name = MONTHS[monthNumber - 1];
+  const spoken = variant === "b" ? `the ${ordinal(String(day), variant)} of ${name}` : `${name} ${ordinal(String(day), variant)}`;
+  if (!yearDigits) return spoken;
+  // Two-digit years are read as they are written: "ninety-nine", "oh five"
+  const spokenYear = yearDigits.length === 2 ? (yearDigits[0] === "0" ? `oh ${ONES[yearDigits[1]]}` : cardinal(yearDigits, variant)) : year(yearDigits, variant);
+  return `${spoken}, ${spokenYear}`;
+}
+
+// --- ENGLISH TABLES ---
+
+const ADDRESS_SYMBOLS = {
+  ".": "dot", "/": "slash", ":": "colon", "@": "at", "-": "dash", _: "underscore", "?": "question mark",
+  "=": "equals", "&": "and", "#": "hash", "~": "tilde", "%": "percent", "+": "plus",
+};
+
+const CURRENCIES = {
+  $: { unit: ["dollar", "dollars"], cents: ["cent", "cents"] },
+  "£": { unit: ["pound", "pounds"], cents: ["penny", "pence"] },
+  "€": { unit: ["euro", "euros"], cents: ["cent", "cents"] },
+  "¥": { unit: ["yen", "yen"], cents: null },
+  "₹": { unit: ["rupee", "rupees"], cents: ["paisa", "paise"] },
+};
+// A number with optional thousands separators and decimals: "5", "1,234", "3.14"
+const NUMBER_PATTERN = "(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?";
+const MAGNITUDES = { k: "thousand", m: "million", b: "billion", bn: "billion", tn: "trillion" };
+
+// Units after a number, in American spelling. Case matters: "5 m" is metres, "5 M" is not a unit.
+const UNITS = {
+  "km/h": ["kilometer per hour", "kilometers per hour"],
+  kph: ["kilometer per hour", "kilometers per hour"],
+  mph: ["mile per hour", "miles per hour"],
+  "m/s": ["meter per second", "meters per second"],
+  km: ["kilometer", "kilometers"],
+  m: ["meter", "meters"],
+  cm: ["centimeter", "centimeters"],
+  mm: ["millimeter", "millimeters"],
+  mi: ["mile", "miles"],
+  ft: ["foot", "feet"],
+  yd: ["yard", "yards"],
+  kg: ["kilogram", "kilograms"],
+  g: ["gram", "grams"],
+  mg: ["milligram", "milligrams"],
+  lb: ["pound", "pounds"],
+  lbs: ["pound", "pounds"],
+  oz: ["ounce", "ounces"],
+  l: ["liter", "liters"],
+  L: ["liter", "liters"],
+  ml: ["milliliter", "milliliters"],
+  mL: ["milliliter", "milliliters"],
+  "°C": ["degree Celsius", "degrees Celsius"],
+  "°F": ["degree Fahrenheit", "degrees Fahrenheit"],
+  "°": ["degree", "degrees"],
+  Hz: ["hertz", "hertz"],
+  kHz: ["kilohertz", "kilohertz"],
+  MHz: ["megahertz", "megahertz"],
+  GHz: ["gigahertz", "gigahertz"],
+  KB: ["kilobyte", "kilobytes"],
+  kB: ["kilobyte", "kilobytes"],
+  MB: ["megabyte", "megabytes"],
+  GB: ["gigabyte", "gigabytes"],
+  TB: ["terabyte", "terabytes"],
+  W: ["watt", "watts"],
+  kW: ["kilowatt", "kilowatts"],
+  kWh: ["kilowatt hour", "kilowatt hours"],
+  V: ["volt", "volts"],
+  mAh: ["milliamp hour", "milliamp hours"],
+  ms: ["millisecond", "milliseconds"],
+  s: ["second", "seconds"],
+  sec: ["second", "seconds"],
+  min: ["minute", "minutes"],
+  hr: ["hour", "hours"],
+  hrs: ["hour", "hours"],
+};
+// Words after a unit that show it is a quantity ("5 km away"). Before other lowercase words, a unit
+// describes a noun and is singular: "a 4 V battery" is "a four volt battery".
+const QUANTITY_FOLLOWERS = new Set([
+  "of", "per", "in", "on", "at", "to", "from", "for", "by", "with", "into", "over", "under", "and", "or", "but", "than", "as",
+  "is", "are", "was", "were", "be", "been", "has", "have", "had", "will", "would", "can", "could", "each", "apiece", "a", "an", "the",
+  "away", "long", "wide", "tall", "high", "deep", "thick", "old", "ago", "later", "earlier", "before", "after", "behind", "ahead",
+  "left", "remaining", "free", "total", "more", "less", "too", "so", "if", "when", "while", "that", "which", "then", "now", "here",
+  "there", "today", "outside", "inside",
+]);
+const UNIT_PATTERN = Object.keys(UNITS)
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp)
+  .join("|");
+
+const UNICODE_FRACTIONS = {
+  "½": [1, 2], "⅓": [1, 3], "⅔": [2, 3], "¼": [1, 4], "¾": [3, 4], "⅕": [1, 5], "⅖": [2, 5], "⅗": [3, 5], "⅘": [4, 5],
+  "⅙": [1, 6], "⅚": [5, 6], "⅐": [1, 7], "⅛": [1, 8], "⅜": [3, 8], "⅝": [5, 8], "⅞": [7, 8], "⅑": [1, 9], "⅒": [1, 10],
+};
+const UNICODE_FRACTION_PATTERN = Object.keys(UNICODE_FRACTIONS).join("");
+
+// Numbered parts are read as cardinals ("Chapter Four"), rulers as ordinals ("Henry the Eighth")
+const NUMBERED_PARTS = "Chapter|Part|Book|Volume|Vol\\.|Act|Scene|Section|Appendix|Article|Canto|Psalm|Phase|Stage|Level|World War|Super Bowl";
+const RULERS =
+  "(?:King|Queen|Pope|Emperor|Empress|Tsar|Tsarina|Czar|Kaiser|Sultan|Pharaoh|Prince|Princess|Duke|Duchess) [A-Z][a-z]+|" +
+  "Henry|Edward|George|William|Richard|Charles|James|Elizabeth|Mary|Anne|Victoria|Louis|Philip|Frederick|Peter|Catherine|" +
+  "Ivan|Napoleon|John|Paul|Benedict|Leo|Pius|Gregory|Innocent|Clement|Alexander|Nicholas|Ferdinand|Ramesses|Ptolemy|Wilhelm|Ludwig|Gustav|Harald|Olaf|Felipe|Carlos";
+
+// Abbreviations that can end a sentence keep the full stop when the next word is capitalized
+const ENGLISH_ABBREVIATIONS = [
+  [/\bD[Rr]\.(?= [A-Z])/g, "Doctor"],
+  [/\b(?:Mr\.|MR\.(?= [A-Z]))/g, "Mister"],
+  [/\b(?:Ms\.|MS\.(?= [A-Z]))/g, "Miss"],
+  [/\b(?:Mrs\.|MRS\.(?= [A-Z]))/g, "Mrs"],
+  [/\bProf\.(?= [A-Z])/g, "Professor"],
+  [/\bSt\.(?= [A-Z])/g, "Saint"],
+  [/(?<=\b[A-Z][a-z]+ )St\.?(?=[\s,;]|$)/g, "Street"],
+  [/(?<=\b[A-Z][a-z]+ )Ave\.?(?=[\s,;]|$)/g, "Avenue"],
+  [/(?<=\b[A-Z][a-z]+ )Rd\.?(?=[\s,;]|$)/g, "Road"],
+  [/\bMt\.(?= [A-Z])/g, "Mount"],
+  [/\bCapt\.(?= [A-Z])/g, "Captain"],
+  [/\bLt\.(?= [A-Z])/g, "Lieutenant"],
+  [/\bSgt\.(?= [A-Z])/g, "Sergeant"],
+  [/\bGen\.(?= [A-Z])/g, "General"],
+  [/\bGov\.(?= [A-Z])/g, "Governor"],
+  [/\bRev\.(?= [A-Z])/g, "Reverend"],
+  [/\b(Jr|Sr|Inc|Ltd|Bros)\.(?=( [A-Z]|\s*$)?)/g, (match, abbreviation, end) =>
+    ({ Jr: "Junior", Sr: "Senior", Inc: "Incorporated", Ltd: "Limited", Bros: "Brothers" })[abbreviation] + (end === undefined ? "" : ".")],
+  [/\betc\.(?! [A-Z])/gi, "etc"],
+  [/\bvs?\.(?= )/g, "versus"],
+  [/\be\.g\.,?(?= )/gi, "for example,"],
+  [/\bi\.e\.,?(?= )/gi, "that is,"],
+  [/\ba\.k\.a\.(?= )/gi, "also known as"],
+  [/\bapprox\.(?= )/gi, "approximately"],
+  [/\bNo\.(?= ?\d)/g, "number"],
+  [/\bNos\.(?= ?\d)/g, "numbers"],
+  [/\bpp\.(?= ?\d)/g, "pages"],
+  [/\bp\.(?= ?\d)/g, "page"],
+  [/\bFig\.(?= ?\d)/g, "Figure"],
+  [/\bw\/o(?= )/g, "without"],
+  [/\bw\/(?= )/g, "with"],
+];
+
+/**
+ * Number, date, unit and address rules for English, applied in order after the abbreviations.
+ * Each row is a pattern and a function of the variant ("a" for American, "b" for British English)
+ * and the usual `String.replace` arguments. Earlier rows see the text before later rows read its numbers,
+ * so a date or phone number is read as a whole before its digits could be read as numbers.
+ * @type {[RegExp, (variant: "a"|"b", match: string, ...groups: string[]) => string][]}
+ */
+const ENGLISH_RULES = [
+  // URLs and email addresses, spelled out around their symbols: "example dot com slash docs"
+  [/\b(?:https?:\/\/|www\.)[^\s<>"«»]*[^\s<>"«».,;:!?')\]]/gi, (variant, match) => spell_address(match.replace(/^https?:\/\//i, "").replace(/\/$/, ""))],
+  [/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi, (variant, match) => spell_address(match)],
+
+  // Phone numbers, digit by digit in groups: "+44 20 7946 0958", "(555) 123-4567", "1-800-555-1234". Brackets are « » by now.
+  [
+    /(?<![\w+.,-])(?:\+\d{1,3}(?:[ .-]?[(«]?\d{1,5}[)»]?){2,4}|(?:1[ .-])?[(«]\d{3}[)»] ?\d{3}[ .-]\d{4}|(?:1[.-])?\d{3}([.-])\d{3}\1\d{4})(?![\w-]|[.,]\d)/g,
+    (variant, match) => match
+      .split(/[^\d+]+/)
+      .filter((group) => /\d/.test(group))
+      .map((group) => (group.startsWith("+") ? "plus " : "") + digit_words(group.replace("+", ""), variant))
+      .join(", "),
+  ],
+
+  // Dates: "2024-03-15", "3/15/2024" (day first in British English), "March 15, 2024", "15th March 2024"
+  [/\b(\d{4})-(\d{2})-(\d{2})\b/g, (variant, match, y, m, d) => date(Number(m), Number(d), y, variant) ?? match],
+  [
+    /\b(\d{1,2})([/.])(\d{1,2})\2(\d{4}|\d{2})\b/g,
+    (variant, match, first, separator, second, y) => {
+      if (separator === "." && y.length === 2) return match; // A version number, not a date
+      const dayFirst = variant === "b" ? Number(second) <= 12 : Number(first) > 12;
+      return (dayFirst ? date(Number(second), Number(first), y, variant) : date(Number(first), Number(second), y, variant)) ?? match;
+    },
+  ],
+  [
+    new RegExp(`\\b(${MONTH_PATTERN})\\.? (\\d{1,2})(?:st|nd|rd|th)?\\b(?:,? (\\d{4})\\b)?`, "g"),
+    (variant, match, m, d, y) => {
+      if (Number(d) < 1 || Number(d) > 31) return match;
+      // "March 15" is "March the fifteenth" in British English
+      const spoken = `${MONTHS[month(m) - 1]} ${variant === "b" ? "the " : ""}${ordinal(String(Number(d)), variant)}`;
+      return y ? `${spoken}, ${year(y, variant)}` : spoken;
+    },
+  ],
+  [
+    new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?(${MONTH_PATTERN})\\b(?:,? (\\d{4})\\b)?`, "g"),
+    (variant, match, d, m, y) => {
+      if (Number(d) < 1 || Number(d) > 31) return match;
+      const spoken = `the ${ordinal(String(Number(d)), variant)} of ${MONTHS[month(m) - 1]}`;
+      return y ? `${spoken}, ${year(y, variant)}` : spoken;
+    },
+  ],
 
-      // 5. Handle numbers and currencies
-      .replace(/\d*\.\d+|\b\d{4}s?\b|(?<!:)\b(?:[1-9]|1[0-2]):[0-5]\d\b(?!:)/g, split_num)
-      .replace(/(?<=\d),(?=\d)/g, "")
-      .replace(/[$£]\d+(?:\.\d+)?(?: hundred| thousand| (?:[bm]|tr)illion)*\b|[$£]\d+\.\d\d?\b/gi, flip_money)
-      .replace(/\d*\.\d+/g, point_num)
-      .replace(/(?<=\d)-(?=\d)/g, " to ")
+  // Clock times: "3:05 pm" is "three oh five p m", "15:00" is "fifteen hundred". A full stop after "p.m." that ends the sentence is kept.
+  [
+    /(?<![:\d])([01]?\d|2[0-3]):([0-5]\d)(?![:\d])(?:\s?([AaPp])\.?[Mm]\b(?:\.(?!\s+[A-Z]|\s*$))?)?/g,
+    (variant, match, h, m, meridiem) => {
+      const hour = cardinal(String(Number(h)), variant);
+      const suffix = meridiem ? ` ${meridiem.toLowerCase()} m` : "";
+      if (m === "00") return meridiem ? `${hour}${suffix}` : Number(h) > 12 ? `${hour} hundred` : `${hour} o'clock`;
+      return `${hour} ${m[0] === "0" ? `oh ${ONES[m[1]]}` : cardinal(m, variant)}${suffix}`;
+    },
+  ],
+  [/\b(\d{1,2}) ?([AaPp])\.?[Mm]\b(?:\.(?!\s+[A-Z]|\s*$))?/g, (variant, match, h, meridiem) => `${cardinal(h, variant)} ${meridiem.toLowerCase()} m`],
+
+  // Ratios and scores: "3:1" is "three to one"
+  [/(?<![:\d])(\d+):(\d+)(?![:\d])/g, (variant, match, a, b) => `${cardinal(a, variant)} to ${cardinal(b, variant)}`],
+
+  // Currencies: "$5.50", "£0.99", "€1.5 million", "¥500", "₹2bn"
+  [
+    new RegExp(`([$£€¥₹])\\s?(${NUMBER_PATTERN})(?:\\s?(hundred|thousand|million|billion|trillion|bn|tn|[kmb])\\b)?`, "gi"),
+    (variant, match, symbol, amount, magnitude) => {
+      const { unit, cents } = CURRENCIES[symbol];
+      if (magnitude) {
+        return `${number(amount, variant)} ${MAGNITUDES[magnitude.toLowerCase()] ?? magnitude.toLowerCase()} ${unit[1]}`;
+      }
+      const [whole, decimals = ""] = amount.replace(/,/g, "").split(".");
+      const minor = cents && decimals ? Number(decimals.padEnd(2, "0").slice(0, 2)) : 0;
+      if (!cents && decimals) return `${number(amount, variant)} ${unit[1]}`;
+      const major = `${cardinal(whole, variant)} ${unit[whole === "1" ? 0 : 1]}`;
+      if (minor === 0) return major;
+      const minorWords = `${cardinal(String(minor), variant)} ${cents[minor === 1 ? 0 : 1]}`;
+      return Number(whole) === 0 ? minorWords : `${major} and ${minorWords}`;
+    },
+  ],
+
+  // Percentages, "per cent" in British English
+  [new RegExp(`([-−]?${NUMBER_PATTERN})\\s?%`, "g"), (variant, match, amount) => `${number(amount, variant)} ${variant === "b" ? "per cent" : "percent"}`],
+
+  // Units: "5 km", "20°C", "1.5 kg". Only one of a unit is singular, or a unit before a noun ("a 4 V battery").
+  [
+    new RegExp(`(?<![\\w.])([-−]?${NUMBER_PATTERN})(\\s?)(${UNIT_PATTERN})(?![\\w/°])`, "g"),
+    (variant, match, amount, space, unit, offset, string) => {
+      if (unit === "s" && !space) return match; // "80s" is a decade, "80 s" is seconds
+      const next = string.slice(offset + match.length).match(/^ ([a-z]+)\b/)?.[1];
+      const beforeNoun = next !== undefined && !QUANTITY_FOLLOWERS.has(next) && !unit.startsWith("°");
+      const name = UNITS[unit][beforeNoun || /^[-−]?1$/.test(amount) ? 0 : 1];
+      // "kilometres" and "litres" in British English
+      return `${number(amount, variant)} ${variant === "b" ? name.replace(/(?<=met|lit)er/g, "re") : name}`;
+    },
+  ],
+
+  // Fractions: "½", "2½", "3 1/4", "3/4". "50/50" and "24/7" are read as two numbers.
+  [
+    new RegExp(`\\b(\\d+) ?([${UNICODE_FRACTION_PATTERN}])`, "g"),
+    (variant, match, whole, symbol) => {
+      const [n, d] = UNICODE_FRACTIONS[symbol];
+      return `${cardinal(whole, variant)} and ${n === 1 ? `a ${fraction(n, d, variant).replace(/^one /, "")}` : fraction(n, d, variant)}`;
+    },
+  ],
+  [new RegExp(`[${UNICODE_FRACTION_PATTERN}]`, "g"), (variant, match) => fraction(...UNICODE_FRACTIONS[match], variant)],
+  [
+    /(?<![\w/])(\d+) (\d{1,2})\/(\d{1,2})(?![\w/])/g,
+    (variant, match, whole, n, d) => (Number(n) > 0 && Number(n) < Number(d)
+      ? `${cardinal(whole, variant)} and ${Number(n) === 1 ? `a ${fraction(1, Number(d), variant).replace(/^one /, "")}` : fraction(Number(n), Number(d), variant)}`
+      : match),
+  ],
+  [
+    /(?<![\w/])(\d{1,3})\/(\d{1,3})(?![\w/])/g,
+    (variant, match, n, d) => (Number(n) > 0 && Number(n) < Number(d) ? fraction(Number(n), Number(d), variant) : `${cardinal(n, variant)} ${cardinal(d, variant)}`),
+  ],
+
+  // Roman numerals
+  [new RegExp(`\\b(${NUMBERED_PARTS}) (${ROMAN_PATTERN})\\b`, "g"), (variant, match, part, numeral) => `${part === "Vol." ? "Volume" : part} ${cardinal(roman(numeral), variant)}`],
+  [new RegExp(`\\b(${RULERS}) (${ROMAN_PATTERN})\\b`, "g"), (variant, match, ruler, numeral) => `${ruler} the ${ordinal(roman(numeral), variant)}`],
+
+  // Ordinals: "1st", "22nd", "103rd"
+  [/\b(\d{1,3}(?:,\d{3})+|\d+)(?:st|nd|rd|th)\b/gi, (variant, match, digits) => ordinal(digits.replace(/,/g, ""), variant)],
+
+  // Ranges and signs: "5-10" is "five to ten", "-5" is "minus five". A chain such as an ISBN ("978-3-16-148410-0")
+  // is not a range, and is read digit by digit in groups like a phone number.
+  [/(?<![\w.,/–-])\d+(?:-\d+){2,}(?![\w/–-]|[.,]\d)/g, (variant, match) => match.split("-").map((group) => digit_words(group, variant)).join(", ")],
+  [
+    new RegExp(`(?<![\\w.,/–-])(${NUMBER_PATTERN})[-–](${NUMBER_PATTERN})(?![\\w/–-]|[.,]\\d)`, "g"),
+    (variant, match, from, to) => `${from} to ${to}`,
+  ],
+  [/(?<![\w-])[-−](?=\d)/g, () => "minus "],
+
+  // Years and decades: "1984", "1980s", "'90s"
+  [/'(\d0)s\b/g, (variant, match, decade) => plural(cardinal(decade, variant))],
+  [/\b(\d{4})(s?)\b/g, (variant, match, digits, s) => (s ? plural(year(digits, variant)) : year(digits, variant))],
+  [/\b(\d0)s\b/g, (variant, match, decade) => plural(cardinal(decade, variant))],
+
+  // Version numbers, decimals and everything else: "1.2.3", "3.14", "1,234,567"
+  [/\b\d+(?:\.\d+){2,}\b/g, (variant, match) => match.split(".").map((part) => cardinal(part, variant)).join(" point ")],
+  [/(?<![\w.])(?:\d{1,3}(?:,\d{3})+|\d+)?\.\d+\b|\b(?:\d{1,3}(?:,\d{3})+|\d+)\b/g, (variant, match) => number(match, variant)],
+];
+
+/**
+ * Helper function to spell out a web or email address around its symbols.
+ * Parts without vowels, such as "www", are spelled letter by letter.
+ * @param {string} address The address.
+ * @returns {string} The address as words.
+ */
+function spell_address(address) {
+  return address
+    .split(/([./:@\-_?=&#~%+])/)
+    .filter((part) => part.length > 0)
+    .map((part) => ADDRESS_SYMBOLS[part] ?? (/^[a-z]+$/i.test(part) && !/[aeiouy]/i.test(part) ? [...part.toLowerCase()].join(" ") : part))
+    .join(" ");
+}
+
+/**
+ * Normalize English text for phonemization
+ * @param {string} text The text to normalize
+ * @param {"a"|"b"} [variant="a"] "a" for American English, "b" for British English
+ * @returns {string} The normalized text
+ */
+function normalize_english(text, variant = "a") {
+  // 4. Abbreviations
+  text = expand_abbreviations(text, ENGLISH_ABBREVIATIONS);
+
+  // 5. Numbers, dates, times, currencies, units and addresses
+  for (const [pattern, replace] of ENGLISH_RULES) {
+    text = text.replace(pattern, (...args) => replace(variant, ...args));
+  }
+
+  return (
+    text
+      // 6. Normalize casual words
+      .replace(/\b(y)eah?\b/gi, "$1e'a")
       .replace(/(?<=\d)S/g, " S")
 
-      // 6. Handle possessives
+      // 7. Handle possessives
       .replace(/(?<=[BCDFGHJ-NP-TV-Z])'?s\b/g, "'S")
       .replace(/(?<=X')S\b/g, "s")
 
-      // 7. Handle hyphenated words/letters
+      // 8. Handle hyphenated words/letters
       .replace(/(?:[A-Za-z]\.){2,} [a-z]/g, (m) => m.replace(/\./g, "-"))
       .replace(/(?<=[A-Z])\.(?=[A-Z])/gi, "-")
+  );
+}
 
-      // 8. Strip leading and trailing whitespace
-      .trim()
+/**
+ * Helper function to expand a table of abbreviations.
+ * @param {string} text The text to normalize
+ * @param {[RegExp, string][]} rules The abbreviation patterns and their replacements
+ * @returns {string} The normalized text
+ */
+function expand_abbreviations(text, rules) {
+  return rules.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Post-processing for English phonemes
+ * @param {string} ps The phonemes
+ * @returns {string} The processed phonemes
+ */
+function postprocess_english(ps) {
+  return (
+    ps
+      // https://en.wiktionary.org/wiki/kokoro#English
+      .replace(/kəkˈoːɹoʊ/g, "kˈoʊkəɹoʊ")
+      .replace(/kəkˈɔːɹəʊ/g, "kˈəʊkəɹəʊ")
+      .replace(/r/g, "ɹ")
+      .replace(/x/g, "k")
+      .replace(/ɬ/g, "l")
+      .replace(/(?<=[a-zɹː])(?=hˈʌndɹɪd)/g, " ")
+      .replace(/ z(?=[;:,.!?¡¿—…"«»“” ]|$)/g, "z")
   );
 }
 
+/**
+ * Languages supported by Kokoro, keyed by the first letter of the voice id.
+ * `espeak` is the espeak-ng language used for phonemization. The bundled phonemizer.min.js only has the English data.
+ */
+export const LANGUAGES = Object.freeze({
+  a: {
+    name: "American English",
+    espeak: "en-us",
+    normalize: (text) => normalize_english(text, "a"),
+    postprocess: (ps) => postprocess_english(ps).replace(/(?<=nˈaɪn)ti(?!ː)/g, "di"),
+  },
+  b: { name: "British English", espeak: "en", normalize: (text) => normalize_english(text, "b"), postprocess: postprocess_english },
+});
+
+/**
+ * Normalize text for phonemization
+ * @param {string} text The text to normalize
+ * @param {keyof typeof LANGUAGES} [language="a"] The language code
+ * @returns {string} The normalized text
+ */
+export function normalize_text(text, language = "a") {
+  return LANGUAGES[language].normalize(normalize_common(text)).trim();
+}
+
 /**
  * Escapes regular expression special characters from a string by replacing them with their escaped counterparts.
  *
@@ -161,37 +583,92 @@ function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); // $& means the whole matched string
 }
 
+// Private-use characters that mark text whose phonemes are given literally
+const LITERAL_START = "\uE000";
+const LITERAL_SEPARATOR = "\uE001";
+const LITERAL_END = "\uE002";
+const LITERAL_PATTERN = /\uE000([^\uE000-\uE002]*)\uE001([^\uE000-\uE002]*)\uE002/g;
+
+/**
+ * Mark text so that `phonemize` uses the given phonemes for it instead of espeak-ng.
+ * @param {string} text The text as written, used for display and word timings.
+ * @param {string} phonemes The phonemes to use.
+ * @returns {string} The marked text.
+ */
+export function literal_phonemes(text, phonemes) {
+  return `${LITERAL_START}${text}${LITERAL_SEPARATOR}${phonemes}${LITERAL_END}`;
+}
+
+/**
+ * Replace text marked with `literal_phonemes` by the text as written.
+ * @param {string} text The text to clean.
+ * @returns {string} The text without phoneme markers.
+ */
+export function strip_literal_phonemes(text) {
+  return text.replace(LITERAL_PATTERN, "$1");
+}
+
+/**
+ * Split text into parts marked with `literal_phonemes` and the unmarked text around them.
+ * @param {string} text The text to split.
+ * @returns {{match: boolean; text: string}[]} The parts, where `match` is true for marked text.
+ */
+export function split_literal_phonemes(text) {
+  return split(text, LITERAL_PATTERN);
+}
+
 const PUNCTUATION = ';:,.!?¡¿—…"«»“”(){}[]';
 const PUNCTUATION_PATTERN = new RegExp(`(\\s*[${escapeRegExp(PUNCTUATION)}]+\\s*)+`, "g");
 
+/**
+ * Convert text to phonemes.
+ * @param {string} text The text to phonemize
+ * @param {keyof typeof LANGUAGES} [language="a"] The language code (the first letter of the voice id)
+ * @param {boolean} [norm=true] Whether to normalize the text first
+ * @returns {Promise<string>} The phonemes
+ */
 export async function phonemize(text, language = "a", norm = true) {
+  const settings = LANGUAGES[language];
+  if (!settings) {
+    throw new Error(`Language "${language}" not supported. Should be one of: ${Object.keys(LANGUAGES).join(", ")}.`);
+  }
+
+  // 0. Phonemize around text with literal phonemes, keeping the spacing between the parts
+  if (text.includes(LITERAL_START)) {
+    let result = "";
+    let previous = "";
+    for (const { match, text: part } of split(text, LITERAL_PATTERN)) {
+      const ps = match ? part.replace(LITERAL_PATTERN, "$2").trim() : await phonemize(part, language, norm);
+      if (ps.length === 0) continue;
+      const spaced = result.length > 0 && (/^\s/.test(part) || /\s$/.test(previous));
+      result += (spaced ? " " : "") + ps;
+      previous = part;
+    }
+    return result;
+  }
+
   // 1. Normalize text
   if (norm) {
-    text = normalize_text(text);
+    text = normalize_text(text, language);
   }
 
   // 2. Split into chunks, to ensure we preserve punctuation
   const sections = split(text, PUNCTUATION_PATTERN);
 
   // 3. Convert each section to phonemes
-  const lang = language === "a" ? "en-us" : "en";
-  const ps = (await Promise.all(sections.map(async ({ match, text }) => (match ? text : (await espeakng(text, lang)).join(" "))))).join("");
+  let ps;
+  try {
+    ps = (await Promise.all(sections.map(async ({ match, text }) => (match ? text : (await espeakng(text, settings.espeak)).join(" "))))).join("");
+  } catch (error) {
+    throw new Error(`Unable to phonemize ${settings.name} text. The espeak-ng build in phonemizer.min.js must include the "${settings.espeak}" language: ${error.message}`);
+  }
 
   // 4. Post-process phonemes
-  let processed = ps
-    // https://en.wiktionary.org/wiki/kokoro#English
-    .replace(/kəkˈoːɹoʊ/g, "kˈoʊkəɹoʊ")
-    .replace(/kəkˈɔːɹəʊ/g, "kˈəʊkəɹəʊ")
-    .replace(/ʲ/g, "j")
-    .replace(/r/g, "ɹ")
-    .replace(/x/g, "k")
-    .replace(/ɬ/g, "l")
-    .replace(/(?<=[a-zɹː])(?=hˈʌndɹɪd)/g, " ")
-    .replace(/ z(?=[;:,.!?¡¿—…"«»“” ]|$)/g, "z");
-
-  // 5. Additional post-processing for American English
-  if (language === "a") {
-    processed = processed.replace(/(?<=nˈaɪn)ti(?!ː)/g, "di");
+  let processed = ps.replace(/ʲ/g, "j");
+
+  // 5. Additional language-specific post-processing
+  if (settings.postprocess) {
+    processed = settings.postprocess(processed);
   }
   return processed.trim();
 }
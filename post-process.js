@@ -0,0 +1,130 @@
+// post-process.js - Silence trimming, pauses and fades applied to every generated segment
+
+import { isTitleLine } from "./chapters.js";
+
+const SAMPLE_RATE = 24000;
+const TRIM_MARGIN = Math.round(0.02 * SAMPLE_RATE); // Kept around the speech, so soft consonants are not cut
+const SENTENCE_END_PATTERN = /[.!?…。！？]["'”’»)\]]*$/;
+const CLAUSE_END_PATTERN = /[,;:—–、，；：]["'”’»)\]]*$/;
+const CLAUSE_START_PATTERN = /^\s*[,;:—–、，；：]/;
+
+/**
+ * Where a segment ends, which decides the pause after it.
+ * @typedef {"none"|"comma"|"sentence"|"paragraph"|"heading"} BoundaryType
+ */
+
+/**
+ * @typedef {Object} PostProcessingOptions
+ * @property {boolean} enabled Whether segments are processed at all. When false, they are joined as generated.
+ * @property {number} silenceThresholdDb Samples quieter than this, in dBFS, are silence when trimming.
+ * @property {{comma: number; sentence: number; paragraph: number; heading: number}} pauses Pause after each boundary type, in milliseconds.
+ * @property {number} fadeMs Length of the fade in and out of each segment, in milliseconds.
+ */
+
+/** @type {Readonly<PostProcessingOptions>} */
+export const DEFAULT_POST_PROCESSING = Object.freeze({
+  enabled: true,
+  silenceThresholdDb: -45,
+  pauses: Object.freeze({ comma: 200, sentence: 400, paragraph: 750, heading: 1000 }),
+  fadeMs: 5,
+});
+
+/**
+ * Validate post-processing options, filling in defaults for missing values.
+ * @param {Partial<PostProcessingOptions>} options The options.
+ * @returns {PostProcessingOptions} The complete options.
+ * @throws {Error} If a value is out of range.
+ */
+export function validatePostProcessing(options = {}) {
+  const number = (value, fallback, name, min, max) => {
+    const result = value === undefined || value === "" ? fallback : Number(value);
+    if (!Number.isFinite(result) || result < min || result > max) {
+      throw new Error(`${name} should be a number between ${min} and ${max}.`);
+    }
+    return result;
+  };
+
+  const pauses = {};
+  for (const [type, fallback] of Object.entries(DEFAULT_POST_PROCESSING.pauses)) {
+    pauses[type] = number(options.pauses?.[type], fallback, `The ${type} pause`, 0, 10000);
+  }
+  return {
+    enabled: options.enabled ?? DEFAULT_POST_PROCESSING.enabled,
+    silenceThresholdDb: number(options.silenceThresholdDb, DEFAULT_POST_PROCESSING.silenceThresholdDb, "The silence threshold", -90, 0),
+    pauses,
+    fadeMs: number(options.fadeMs, DEFAULT_POST_PROCESSING.fadeMs, "The fade length", 0, 100),
+  };
+}
+
+/**
+ * Find where a segment ends in its paragraph. Splitting drops the comma at a split and
+ * changes whitespace, so only the other characters are matched.
+ * @param {string} paragraph The paragraph.
+ * @param {string} segment A segment split from it.
+ * @param {number} [from=0] Where the segment starts, i.e. the end of the previous one.
+ * @returns {number} The index just after the segment.
+ */
+export function findSegmentEnd(paragraph, segment, from = 0) {
+  let end = from;
+  for (const char of segment) {
+    if (/[\s,]/.test(char)) continue;
+    const found = paragraph.indexOf(char, end);
+    if (found === -1) return paragraph.length;
+    end = found + 1;
+  }
+  return end;
+}
+
+/**
+ * Work out the boundary at the end of a segment.
+ * @param {string} segment The segment text.
+ * @param {boolean} endsParagraph Whether the segment is the last of its paragraph.
+ * @param {string} [following=""] The text after the segment in its paragraph.
+ * @returns {BoundaryType} The boundary type.
+ */
+export function getBoundaryType(segment, endsParagraph, following = "") {
+  const text = segment.trim();
+  if (endsParagraph) {
+    return isTitleLine(text) ? "heading" : "paragraph";
+  }
+  if (SENTENCE_END_PATTERN.test(text)) return "sentence";
+  if (CLAUSE_END_PATTERN.test(text) || CLAUSE_START_PATTERN.test(following)) return "comma";
+  return "none"; // Split inside a sentence because it was too long
+}
+
+/**
+ * Trim a segment's leading and trailing silence, fade its ends, and append the pause for its boundary.
+ * @param {Float32Array} samples The samples of the segment.
+ * @param {BoundaryType} boundary The boundary at the end of the segment.
+ * @param {PostProcessingOptions} options The options.
+ * @returns {{audio: Float32Array; offset: number}} The processed samples, and how many samples were trimmed from the start.
+ */
+export function postProcessSegment(samples, boundary, options) {
+  if (!options.enabled) {
+    return { audio: samples, offset: 0 };
+  }
+
+  const threshold = 10 ** (options.silenceThresholdDb / 20);
+  let first = 0;
+  while (first < samples.length && Math.abs(samples[first]) < threshold) first++;
+  let last = samples.length - 1;
+  while (last > first && Math.abs(samples[last]) < threshold) last--;
+
+  const start = Math.max(0, first - TRIM_MARGIN);
+  const end = first < samples.length ? Math.min(samples.length, last + 1 + TRIM_MARGIN) : start;
+  const pause = Math.round(((options.pauses[boundary] ?? 0) * SAMPLE_RATE) / 1000);
+
+  const audio = new Float32Array(end - start + pause);
+  audio.set(samples.subarray(start, end));
+
+  // Fade in and out over the trimmed speech, the pause after it is already silent
+  const length = end - start;
+  const fade = Math.min(Math.round((options.fadeMs * SAMPLE_RATE) / 1000), Math.floor(length / 2));
+  for (let i = 0; i < fade; ++i) {
+    const gain = (i + 0.5) / fade;
+    audio[i] *= gain;
+    audio[length - 1 - i] *= gain;
+  }
+
+  return { audio, offset: start };
+}
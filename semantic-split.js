@@ -1,13 +1,95 @@
 // semantic-split.js - Enhanced intelligent text splitting for TTS processing
 
+// Intl.Segmenter locales, keyed by the first letter of the voice id like LANGUAGES in phonemize.js
+const SENTENCE_LOCALES = { a: 'en-US', b: 'en-GB', e: 'es', f: 'fr', h: 'hi', i: 'it', j: 'ja', p: 'pt-BR', z: 'zh' };
+
+const ENGLISH_ABBREVIATIONS = [
+  'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'st', 'mt', 'ft', 'fr', 'rev', 'hon', 'pres', 'gov', 'sen', 'rep',
+  'capt', 'lt', 'col', 'gen', 'maj', 'sgt', 'cmdr', 'adm', 'vs', 'v', 'cf', 'viz', 'al', 'approx', 'ca',
+  'e.g', 'i.e',
+];
+
+// Abbreviations that are followed by more of the sentence, lowercase and without their last full stop.
+// Those before a number ("No. 5", "Jan. 1") or a lowercase word are kept in the sentence anyway,
+// and those that often end one ("etc.", "Inc.", "Jr.") are left out, like initialisms ("U.S.", "p.m.").
+const ABBREVIATIONS = {
+  a: ENGLISH_ABBREVIATIONS,
+  b: ENGLISH_ABBREVIATIONS,
+  e: ['sr', 'sra', 'srta', 'sres', 'dr', 'dra', 'ud', 'uds', 'lic', 'ing', 'prof', 'profa', 'ej', 'aprox', 'av'],
+  f: ['m', 'mm', 'mme', 'mmes', 'mlle', 'mlles', 'dr', 'pr', 'me', 'st', 'ste', 'ex', 'cf'],
+  h: [],
+  i: ['sig', 'sigg', 'dott', 'prof', 'ing', 'avv', 'arch', 'on', 'geom', 'es', 'cfr'],
+  j: [],
+  p: ['sr', 'sra', 'srta', 'dr', 'dra', 'prof', 'profa', 'eng', 'av', 'ex'],
+  z: [],
+};
+
+// A name and a speech verb after a quoted question or exclamation ("Why?" Nick asked.)
+const ENGLISH_DIALOGUE_TAG = /^(?!Nobody|None)\p{Lu}\p{Ll}+ (?:said|asked|called|cried|replied|answered|shouted|whispered|added)\b/u;
+const DIALOGUE_TAGS = { a: ENGLISH_DIALOGUE_TAG, b: ENGLISH_DIALOGUE_TAG };
+
+const SENTENCE_END = /[.!?…。！？।]["'”’»)\]]*\s*$/;
+
+/**
+ * Split text into sentences with Intl.Segmenter, or a regex where it is not available.
+ * Quotes and brackets that close after the terminal punctuation stay with their sentence,
+ * and full stops after the language's abbreviations and initials ("Dr.", "e.g.", "J. R. R.") don't end one.
+ * @param {string} text - The text to split
+ * @param {string} language - The first letter of the voice id (default: "a")
+ * @returns {string[]} The sentences, with the whitespace after them, so they join back into the text
+ */
+export function splitSentences(text, language = 'a') {
+  const abbreviations = new Set(ABBREVIATIONS[language] ?? []);
+  const dialogueTag = DIALOGUE_TAGS[language] ?? null;
+  const sentences = [];
+  for (const segment of segmentSentences(text, SENTENCE_LOCALES[language] ?? 'en')) {
+    // An ellipsis before a capital ends a sentence, which the segmenter only knows for "..."
+    for (const part of segment.split(/(?<=…["'”’»)\]]*\s+)(?=["'“‘«(]?\p{Lu})/u)) {
+      const previous = sentences.at(-1);
+      if (previous !== undefined && continuesSentence(previous, part, abbreviations, dialogueTag)) {
+        sentences[sentences.length - 1] += part;
+      } else {
+        sentences.push(part);
+      }
+    }
+  }
+  return sentences;
+}
+
+function segmentSentences(text, locale) {
+  if (typeof Intl.Segmenter === 'function') {
+    return Array.from(new Intl.Segmenter(locale, { granularity: 'sentence' }).segment(text), ({ segment }) => segment);
+  }
+  // After terminal punctuation and closing quotes, followed by whitespace, or directly by the next CJK sentence
+  return text.split(/(?<=[.!?…。！？।]["'”’»)\]]*\s+)(?=[^\s\d])|(?<=[。！？]["'”’»)\]]*)(?=[^\s"'”’»)\]])/);
+}
+
+function continuesSentence(previous, next, abbreviations, dialogueTag) {
+  // A dialogue tag after a quote ("Stop!" she said), or a lowercase word after an ellipsis
+  if (/^\p{Ll}/u.test(next) && SENTENCE_END.test(previous)) return true;
+  if (dialogueTag?.test(next) && /[!?]["”’»]\s*$/.test(previous)) return true;
+  // A dash right after the punctuation ("Stop!"—she cried)
+  if (/^[—–]/.test(next)) return true;
+
+  const word = previous.trimEnd().split(/\s+/).at(-1).replace(/^["'“‘«(\[]+/, '');
+  if (!word.endsWith('.')) return false;
+  if (abbreviations.has(word.slice(0, -1).toLowerCase())) return true;
+  // A number after a short abbreviation ("on p. 12."), which the segmenter only keeps when a lowercase word follows
+  if (/^\d/.test(next) && /^\p{L}{1,4}\.$/u.test(word)) return true;
+  // An initialism ("U.S.", "p.m.") ends the sentence unless a lowercase word or a number follows
+  if (/^(?:\p{L}\.){2,}$/u.test(word)) return /^[\p{Ll}\d]/u.test(next);
+  return /^\p{Lu}\.$/u.test(word); // An initial
+}
+
 /**
  * Split text into semantically meaningful chunks for TTS processing
  * Uses paragraph → sentence → intelligent chunking approach
  * @param {string} text - The input text to split
  * @param {number} maxChunkLength - Maximum characters per chunk (default: 500)
+ * @param {string} language - The first letter of the voice id, for sentence boundaries (default: "a")
  * @returns {string[]} Array of text chunks
  */
-export function splitTextSmart(text, maxChunkLength = 500) {
+export function splitTextSmart(text, maxChunkLength = 500, language = 'a') {
   // Step 1: Split on paragraph boundaries (double newlines)
   const paragraphChunks = text.split(/\n\s*\n/);
   const finalChunks = [];
@@ -20,8 +102,7 @@ export function splitTextSmart(text, maxChunkLength = 500) {
     }
 
     // Step 2: Split paragraph on sentence boundaries
-    const sentenceRegex = /(?<=[.?!])(?=\s+["'a-zA-Z])/gi;
-    const sentences = para.split(sentenceRegex);
+    const sentences = splitSentences(para, language);
 
     let chunk = '';
     for (let sentence of sentences) {
@@ -69,20 +150,26 @@ export function splitLongSentence(sentence, maxLen) {
   const chunks = [];
   let current = '';
 
-  // Step 1: Try splitting on commas
-  const commaParts = sentence.split(/,\s*/);
-  for (let part of commaParts) {
-    if ((current + ', ' + part).length > maxLen) {
+  // Step 1: Try splitting after commas, semicolons, colons and dashes (not "1,000"), keeping them and the spacing
+  const clauseParts = sentence.split(/(?<=[,;:](?!\d)|[—–、，；：])(?=\s*\S)/);
+  for (let part of clauseParts) {
+    if ((current + part).trim().length > maxLen) {
       if (current) chunks.push(current.trim());
-      
-      if (part.length > maxLen) {
+
+      if (part.trim().length > maxLen) {
         // Part still too long - split on words
-        const words = part.split(/\s+/);
+        const words = part.trim().split(/\s+/);
         let wordChunk = '';
         for (let word of words) {
           if ((wordChunk + ' ' + word).length > maxLen) {
             if (wordChunk) chunks.push(wordChunk.trim());
             wordChunk = word;
+            // Word still too long (text without spaces, like Chinese or Japanese) - split on characters
+            while (wordChunk.length > maxLen) {
+              const characters = Array.from(wordChunk);
+              chunks.push(characters.slice(0, maxLen).join(''));
+              wordChunk = characters.slice(maxLen).join('');
+            }
           } else {
             wordChunk += (wordChunk ? ' ' : '') + word;
           }
@@ -93,14 +180,73 @@ export function splitLongSentence(sentence, maxLen) {
         current = part;
       }
     } else {
-      current += (current ? ', ' : '') + part;
+      current += part;
     }
   }
-  
+
   if (current) chunks.push(current.trim());
   return chunks;
 }
 
+/**
+ * Split text into segments of up to a number of phoneme tokens for TTS processing
+ * Uses paragraph → sentence → token packing approach: each sentence is phonemized and counted once,
+ * and whole sentences are packed into segments, their counts summed. Sentences over the budget are split like splitLongSentence.
+ * @param {string} text - The input text to split
+ * @param {Object} options - Splitting options
+ * @param {(text: string) => Promise<string>} options.phonemize - Converts text to phonemes
+ * @param {(phonemes: string) => number} options.countTokens - Counts the model tokens of phonemes
+ * @param {number} options.maxTokens - Maximum tokens per segment (default: 300)
+ * @param {string} options.language - The first letter of the voice id, for sentence boundaries (default: "a")
+ * @returns {Promise<{text: string, phonemes: string, tokens: number}[]>} The segments, with their phonemes
+ */
+export async function splitTextByTokens(text, { phonemize, countTokens, maxTokens = 300, language = 'a' }) {
+  const measure = async (part) => {
+    const phonemes = await phonemize(part);
+    return { text: part, phonemes, tokens: countTokens(phonemes) };
+  };
+
+  // Sentences over the budget are cut at clauses, then words, to about the budget's share of characters
+  const measureSentence = async (sentence) => {
+    const measured = await measure(sentence);
+    if (measured.tokens <= maxTokens) return [measured];
+    const parts = splitLongSentence(sentence, Math.max(1, Math.floor((sentence.length * maxTokens) / measured.tokens)));
+    if (parts.length <= 1) return [measured]; // Left to the model's own windowing
+    const units = [];
+    for (const part of parts) {
+      units.push(...(await measureSentence(part)));
+    }
+    return units;
+  };
+
+  const segments = [];
+  for (let para of text.split(/\n\s*\n/)) {
+    para = para.trim();
+    if (!para) continue;
+
+    // Pack its sentences, joined by a space token
+    let segment = null;
+    for (const sentence of splitSentences(para, language)) {
+      if (!sentence.trim()) continue;
+      for (const unit of await measureSentence(sentence.trim())) {
+        if (segment && segment.tokens + 1 + unit.tokens <= maxTokens) {
+          segment = {
+            text: segment.text + ' ' + unit.text,
+            phonemes: segment.phonemes + ' ' + unit.phonemes,
+            tokens: segment.tokens + 1 + unit.tokens,
+          };
+        } else {
+          if (segment) segments.push(segment);
+          segment = unit;
+        }
+      }
+    }
+    if (segment) segments.push(segment);
+  }
+
+  return segments;
+}
+
 /**
  * Legacy text splitting function - kept for reference
  * Basic paragraph → sentence splitting without long sentence handling
@@ -177,7 +323,7 @@ export function splitByWords(text, maxChunkLength = 300) {
  */
 export function getTextStats(text) {
   const words = text.split(/\s+/).filter(w => w.length > 0);
-  const sentences = text.split(/(?<=[.?!])\s+/);
+  const sentences = splitSentences(text);
   const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 0);
   
   return {
@@ -0,0 +1,256 @@
+// ssml.js - Interpret a subset of SSML before text splitting and phonemization
+
+import { literal_phonemes } from "./phonemize.js";
+
+const BREAK_STRENGTHS = {
+  none: 0,
+  "x-weak": 0.1,
+  weak: 0.25,
+  medium: 0.5,
+  strong: 0.75,
+  "x-strong": 1.2,
+};
+
+const PROSODY_RATES = {
+  "x-slow": 0.6,
+  slow: 0.8,
+  medium: 1,
+  default: 1,
+  fast: 1.25,
+  "x-fast": 1.5,
+};
+
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Check whether the input looks like an SSML document.
+ * @param {string} text The input text.
+ * @returns {boolean} Whether the text starts with a `<speak>` element.
+ */
+export function isSSML(text) {
+  return /^\s*(?:<\?xml[\s\S]*?\?>\s*)?<speak[\s>]/i.test(text);
+}
+
+/**
+ * Helper function to decode XML character references.
+ * @param {string} text The text to decode.
+ * @returns {string} The decoded text.
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:#x([\da-f]+)|#(\d+)|(\w+));/gi, (match, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Helper function to parse the attributes of a tag.
+ * @param {string} text The attribute part of the tag.
+ * @returns {Record<string, string>} The attributes, keyed by lowercase name.
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+}
+
+/**
+ * Parse a `<break>` duration such as "500ms" or "1.5s".
+ * @param {Record<string, string>} attributes The attributes of the break.
+ * @returns {number} The duration in seconds.
+ */
+function parseBreakTime({ time, strength }) {
+  const match = time?.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+  if (match) {
+    const value = parseFloat(match[1]);
+    return match[2]?.toLowerCase() === "s" ? value : value / 1000;
+  }
+  return BREAK_STRENGTHS[strength?.toLowerCase()] ?? BREAK_STRENGTHS.medium;
+}
+
+/**
+ * Parse a `<prosody rate>` value such as "slow", "120%" or "1.2".
+ * @param {string} rate The rate attribute.
+ * @returns {number} The speed multiplier.
+ */
+function parseRate(rate) {
+  const value = rate.trim().toLowerCase();
+  if (PROSODY_RATES.hasOwnProperty(value)) {
+    return PROSODY_RATES[value];
+  }
+  const match = value.match(/^([+-]?\d+(?:\.\d+)?)(%?)$/);
+  if (!match) {
+    console.warn(`Unsupported prosody rate "${rate}", ignoring`);
+    return 1;
+  }
+  const number = parseFloat(match[1]);
+  if (!match[2]) {
+    return number > 0 ? number : 1;
+  }
+  // Relative changes ("+20%") add to the current rate, absolute ones ("120%") replace it
+  return /^[+-]/.test(value) ? Math.max(0.1, 1 + number / 100) : Math.max(0.1, number / 100);
+}
+
+/**
+ * Expand the content of a `<say-as>` element.
+ * @param {string} text The element content.
+ * @param {Record<string, string>} attributes The attributes of the element.
+ * @returns {string} The text to speak.
+ */
+function sayAs(text, attributes) {
+  const interpretAs = attributes["interpret-as"]?.toLowerCase();
+  const content = text.trim();
+
+  switch (interpretAs) {
+    case "characters":
+    case "spell-out":
+      return [...content.replace(/\s+/g, "")].join(" ");
+
+    case "cardinal":
+    case "number":
+      return content.replace(/(?<=\d)[,\s](?=\d{3}\b)/g, "");
+
+    case "telephone":
+      return content
+        .split(/[^\d+]+/)
+        .filter((group) => /\d/.test(group))
+        .map((group) => (group.startsWith("+") ? "plus " : "") + [...group.replace("+", "")].join(" "))
+        .join(", ");
+
+    case "date": {
+      const parts = content.split(/[-/.\s]+/).filter((part) => part.length > 0);
+      const format = (attributes.format ?? (parts[0]?.length === 4 ? "ymd" : "mdy")).toLowerCase();
+      const fields = {};
+      [...format].forEach((field, i) => {
+        fields[field] = parts[i];
+      });
+      const month = fields.m && /^\d+$/.test(fields.m) ? MONTHS[parseInt(fields.m, 10) - 1] ?? fields.m : fields.m;
+      const day = fields.d ? String(parseInt(fields.d, 10)) : null;
+      if (format.startsWith("d")) {
+        return [day, month, fields.y].filter(Boolean).join(" ");
+      }
+      return [[month, day].filter(Boolean).join(" "), fields.y].filter(Boolean).join(", ");
+    }
+
+    default:
+      return content;
+  }
+}
+
+/**
+ * Interpret an SSML document as a list of text and break blocks.
+ *
+ * Supported elements are `<speak>`, `<p>`, `<s>`, `<break time|strength>`, `<prosody rate>`,
+ * `<voice name>`, `<say-as interpret-as="characters|cardinal|date|telephone">`, `<phoneme ph>`
+ * and `<sub alias>`. Unknown elements are ignored, but their content is kept.
+ * @param {string} ssml The SSML document.
+ * @param {Object} options The defaults for the document
+ * @param {string} [options.voice="af_heart"] The voice to use outside `<voice>` elements
+ * @param {number} [options.speed=1] The speed to use outside `<prosody>` elements
+ * @returns {({type: "text"; text: string; voice: string; speed: number} | {type: "break"; time: number})[]} The blocks, in order
+ */
+export function parseSSML(ssml, { voice = "af_heart", speed = 1 } = {}) {
+  const blocks = [];
+  const stack = [{ name: null, voice, speed }];
+  let capture = null; // Content of the current <say-as>, <phoneme> or <sub> element
+
+  const emitText = (text) => {
+    const { voice, speed } = stack.at(-1);
+    const last = blocks.at(-1);
+    if (last?.type === "text" && last.voice === voice && last.speed === speed) {
+      last.text += text;
+    } else {
+      blocks.push({ type: "text", text, voice, speed });
+    }
+  };
+
+  for (const [token, closing, tagName, attributeText = "", selfClosing] of ssml.matchAll(TOKEN_PATTERN)) {
+    if (!tagName) {
+      if (token.startsWith("<!--") || token.startsWith("<?") || token.startsWith("<!")) continue;
+      // Whitespace in the markup is not significant, paragraphs come from <p> elements
+      const text = decodeEntities(token).replace(/\s+/g, " ");
+      if (capture) {
+        capture.text += text;
+      } else {
+        emitText(text);
+      }
+      continue;
+    }
+
+    const name = tagName.toLowerCase();
+    const attributes = parseAttributes(attributeText);
+    const current = stack.at(-1);
+
+    if (closing) {
+      if (capture?.name === name) {
+        const { text, attributes } = capture;
+        capture = null;
+        if (name === "say-as") {
+          emitText(sayAs(text, attributes));
+        } else if (name === "phoneme") {
+          emitText(attributes.ph ? literal_phonemes(text.trim(), attributes.ph) : text);
+        } else if (name === "sub") {
+          emitText(attributes.alias ?? text);
+        }
+        continue;
+      }
+
+      // Pop up to and including the matching element
+      const index = stack.findLastIndex((element) => element.name === name);
+      if (index > 0) {
+        stack.length = index;
+      }
+      if (name === "p") {
+        emitText("\n\n");
+      } else if (name === "s") {
+        emitText(" ");
+      }
+      continue;
+    }
+
+    switch (name) {
+      case "break":
+        if (capture) break;
+        blocks.push({ type: "break", time: parseBreakTime(attributes) });
+        break;
+
+      case "say-as":
+      case "phoneme":
+      case "sub":
+        if (selfClosing) {
+          if (name === "sub" && attributes.alias) emitText(attributes.alias);
+        } else if (!capture) {
+          capture = { name, attributes, text: "" };
+        }
+        break;
+
+      case "p":
+      case "s":
+        if (name === "p") emitText("\n\n");
+        if (!selfClosing) stack.push({ ...current, name });
+        break;
+
+      default: {
+        if (selfClosing) break;
+        const element = { ...current, name };
+        if (name === "voice" && attributes.name) {
+          element.voice = attributes.name;
+        } else if (name === "prosody" && attributes.rate) {
+          element.speed = current.speed * parseRate(attributes.rate);
+        }
+        stack.push(element);
+      }
+    }
+  }
+
+  // Drop blocks with nothing to say and breaks with no duration
+  return blocks.filter((block) => (block.type === "break" ? block.time > 0 : block.text.trim().length > 0));
+}
@@ -0,0 +1,71 @@
+// subtitles.js - SRT and WebVTT captions timed from the generated segments
+
+const SAMPLE_RATE = 24000;
+
+export const SUBTITLE_FORMATS = Object.freeze({
+  srt: { name: "SubRip", extension: "srt", mimeType: "application/x-subrip" },
+  vtt: { name: "WebVTT", extension: "vtt", mimeType: "text/vtt" },
+});
+
+/**
+ * A caption for one segment, timed in samples from the start of the file.
+ * @typedef {{startSample: number; endSample: number; text: string}} SubtitleCue
+ */
+
+/**
+ * Add the caption for a segment, unless it has no text (e.g. an SSML break).
+ * @param {SubtitleCue[]} cues The cues so far.
+ * @param {string} text The segment text.
+ * @param {number} startSample Where the segment starts in the file.
+ * @param {number} numSamples The length of the segment.
+ */
+export function addSubtitleCue(cues, text, startSample, numSamples) {
+  const trimmed = text.replace(/\s+/g, " ").trim();
+  if (trimmed.length === 0 || numSamples === 0) return;
+  cues.push({ startSample, endSample: startSample + numSamples, text: trimmed });
+}
+
+/**
+ * Helper function to format a time as hh:mm:ss followed by milliseconds.
+ * @param {number} samples The time, in samples.
+ * @param {string} separator The separator before the milliseconds: "," for SRT, "." for WebVTT.
+ * @returns {string} The formatted time.
+ */
+function formatTime(samples, separator) {
+  const totalMs = Math.round((samples * 1000) / SAMPLE_RATE);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const seconds = Math.floor(totalMs / 1000) % 60;
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Format cues as a subtitle file.
+ * @param {SubtitleCue[]} cues The cues.
+ * @param {keyof typeof SUBTITLE_FORMATS} format The format.
+ * @returns {string} The subtitle file.
+ */
+export function formatSubtitles(cues, format) {
+  if (format === "srt") {
+    return cues
+      .map((cue, i) => `${i + 1}\n${formatTime(cue.startSample, ",")} --> ${formatTime(cue.endSample, ",")}\n${cue.text}\n`)
+      .join("\n");
+  }
+  if (format === "vtt") {
+    // "-->" would end the timing line early
+    const blocks = cues.map((cue) => `${formatTime(cue.startSample, ".")} --> ${formatTime(cue.endSample, ".")}\n${cue.text.replace(/-->/g, "->")}\n`);
+    return ["WEBVTT\n", ...blocks].join("\n");
+  }
+  throw new Error(`Unknown subtitle format "${format}". Should be one of: ${Object.keys(SUBTITLE_FORMATS).join(", ")}.`);
+}
+
+/**
+ * Replace the extension of an audio file name with the subtitle format's.
+ * @param {string} fileName The audio file name, e.g. "chapter.mp3".
+ * @param {keyof typeof SUBTITLE_FORMATS} format The format.
+ * @returns {string} The subtitle file name, e.g. "chapter.srt".
+ */
+export function subtitleFileName(fileName, format) {
+  return `${fileName.replace(/\.[^.]*$/, "")}.${SUBTITLE_FORMATS[format].extension}`;
+}
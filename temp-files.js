@@ -0,0 +1,260 @@
+// temp-files.js - Temporary files for audio that is too long to keep in memory: in the origin private
+// file system, or as blobs in IndexedDB where that can't be written (e.g. Safari on the main thread)
+
+const PREFIX = "kokoro-tmp-";
+const DB_NAME = "KokoroTempFiles";
+const STORE = "chunks";
+const CHUNK_SIZE = 1 << 20; // Writes are gathered into 1 MB blobs
+const MAX_AGE = 24 * 60 * 60 * 1000; // Without Web Locks, files of other tabs are only removed after a day
+const SESSION = Math.random().toString(36).slice(2, 10); // In the names of this tab's files, and its lock
+let sessionLock = null;
+
+/**
+ * Helper function to wait for an IndexedDB request.
+ * @param {IDBRequest} request The request.
+ * @returns {Promise<any>} Its result.
+ */
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { autoIncrement: true });
+    store.createIndex("file", "file", { unique: false });
+  };
+  return settle(request);
+}
+
+async function deleteRecords(db, name) {
+  const store = db.transaction(STORE, "readwrite").objectStore(STORE);
+  const keys = await settle(store.index("file").getAllKeys(name));
+  await Promise.all(keys.map((key) => settle(store.delete(key))));
+}
+
+/**
+ * Helper function to view written data as bytes.
+ * @param {ArrayBuffer|ArrayBufferView} data The data.
+ * @returns {Uint8Array} The bytes.
+ */
+function toBytes(data) {
+  return ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+}
+
+class OpfsFile {
+  constructor(root, name, handle, writable) {
+    this.root = root;
+    this.name = name;
+    this.handle = handle;
+    this.writable = writable;
+  }
+
+  write(data) {
+    return this.writable.write(data);
+  }
+
+  seek(offset) {
+    return this.writable.seek(offset);
+  }
+
+  close() {
+    return this.writable.close();
+  }
+
+  // Only valid after close()
+  getFile() {
+    return this.handle.getFile();
+  }
+
+  async remove() {
+    await this.writable.abort().catch(() => {}); // Already closed
+    await this.root.removeEntry(this.name);
+  }
+}
+
+// Appends are stored as blobs, which browsers keep on disk. Overwrites of what was already written,
+// such as the sizes in a header, are kept as patches and applied when the file is read.
+class IndexedDbFile {
+  constructor(db, name) {
+    this.db = db;
+    this.name = name;
+    this.pending = [];
+    this.pendingSize = 0;
+    this.chunks = 0;
+    this.size = 0;
+    this.position = 0;
+    this.patches = [];
+  }
+
+  async write(data) {
+    let bytes = toBytes(data);
+    if (this.position < this.size) {
+      const overlap = Math.min(bytes.length, this.size - this.position);
+      this.patches.push({ offset: this.position, bytes: bytes.slice(0, overlap) });
+      this.position += overlap;
+      bytes = bytes.subarray(overlap);
+    }
+    if (bytes.length === 0) return;
+
+    this.pending.push(bytes.slice()); // The caller may reuse its buffer
+    this.pendingSize += bytes.length;
+    this.size += bytes.length;
+    this.position = this.size;
+    if (this.pendingSize >= CHUNK_SIZE) {
+      await this.flush();
+    }
+  }
+
+  async seek(offset) {
+    if (offset > this.size) {
+      throw new RangeError(`Cannot seek to ${offset}, past the end of the file at ${this.size}`);
+    }
+    this.position = offset;
+  }
+
+  async flush() {
+    if (this.pending.length === 0) return;
+    const blob = new Blob(this.pending);
+    this.pending = [];
+    this.pendingSize = 0;
+    const store = this.db.transaction(STORE, "readwrite").objectStore(STORE);
+    await settle(store.add({ file: this.name, index: this.chunks++, blob }));
+  }
+
+  close() {
+    return this.flush();
+  }
+
+  // Only valid after close()
+  async getFile() {
+    const store = this.db.transaction(STORE, "readonly").objectStore(STORE);
+    const records = await settle(store.index("file").getAll(this.name));
+    records.sort((a, b) => a.index - b.index);
+    let file = new Blob(records.map((record) => record.blob));
+    for (const { offset, bytes } of this.patches) {
+      file = new Blob([file.slice(0, offset), bytes, file.slice(offset + bytes.length)]);
+    }
+    return file;
+  }
+
+  remove() {
+    return deleteRecords(this.db, this.name);
+  }
+}
+
+// Hold this tab's lock until it is closed, so other tabs leave its files alone
+function holdSessionLock() {
+  sessionLock ??= new Promise((resolve) => {
+    if (!navigator.locks) return resolve();
+    navigator.locks.request(`${PREFIX}${SESSION}`, () => {
+      resolve();
+      return new Promise(() => {}); // Never released
+    });
+  });
+  return sessionLock;
+}
+
+/**
+ * Helper function to list the locks held by the tabs of this site.
+ * @returns {Promise<Set<string>|null>} The lock names, or null without Web Locks.
+ */
+async function queryHeldLocks() {
+  if (!navigator.locks) return null;
+  const { held } = await navigator.locks.query();
+  return new Set(held.map((lock) => lock.name));
+}
+
+/**
+ * Helper function to tell whether a temporary file was left by a tab that is closed.
+ * Without Web Locks, that is assumed once the file is a day old.
+ * @param {string} name The file name.
+ * @param {Set<string>|null} heldLocks The locks held, from queryHeldLocks().
+ * @returns {boolean} Whether the file can be removed.
+ */
+function isLeftOver(name, heldLocks) {
+  const [session, created] = name.slice(PREFIX.length).split("-");
+  return heldLocks ? !heldLocks.has(`${PREFIX}${session}`) : Date.now() - Number(created) > MAX_AGE;
+}
+
+/**
+ * Create a temporary file. It supports write(), seek() and close() like a FileSystemWritableFileStream,
+ * and getFile() and remove() once it is closed.
+ * @returns {Promise<OpfsFile|IndexedDbFile>} The file.
+ */
+export async function createTemporaryFile() {
+  await holdSessionLock();
+  const name = `${PREFIX}${SESSION}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const root = await navigator.storage.getDirectory();
+    const handle = await root.getFileHandle(name, { create: true });
+    return new OpfsFile(root, name, handle, await handle.createWritable());
+  } catch (error) {
+    console.warn("Cannot write to the origin private file system, using IndexedDB:", error.message);
+    return new IndexedDbFile(await openDatabase(), name);
+  }
+}
+
+/**
+ * Remove the temporary files left by earlier visits, e.g. after a crash or once they were downloaded.
+ * Files of tabs that are still open are kept, as they may still be played or downloaded.
+ */
+export async function removeTemporaryFiles() {
+  let heldLocks = null;
+  try {
+    heldLocks = await queryHeldLocks();
+  } catch (error) {
+    console.warn("Unable to list the tabs using temporary files:", error.message);
+  }
+
+  try {
+    const root = await navigator.storage.getDirectory();
+    for await (const name of root.keys()) {
+      if (name.startsWith(PREFIX) && isLeftOver(name, heldLocks)) {
+        await root.removeEntry(name).catch(() => {});
+      }
+    }
+  } catch (error) {
+    console.warn("Unable to clean up the origin private file system:", error.message);
+  }
+
+  try {
+    const db = await openDatabase();
+    const names = await new Promise((resolve, reject) => {
+      const found = [];
+      const request = db.transaction(STORE, "readonly").objectStore(STORE).index("file").openKeyCursor(null, "nextunique");
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve(found);
+        found.push(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    for (const name of names) {
+      if (isLeftOver(name, heldLocks)) {
+        await deleteRecords(db, name);
+      }
+    }
+  } catch (error) {
+    console.warn("Unable to clean up temporary files in IndexedDB:", error.message);
+  }
+}
+
+/**
+ * Offer a file as a normal download.
+ * @param {Blob} blob The file.
+ * @param {string} fileName The suggested name.
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  // Revoked later, a large file may still be read after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
@@ -0,0 +1,164 @@
+// audio-encoders.test.js - WAV and FLAC files, decoded back after their headers are patched
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createAudioEncoder } from "../audio-encoders.js";
+
+// A tone that fades into silence, so FLAC has fixed and constant subframes to write
+function tone(length) {
+  return Float32Array.from({ length }, (_, i) => (i < length / 2 ? 0.5 * Math.sin(i / 10) : 0));
+}
+
+// Encode samples in chunks, and return the file as AudioDiskSaver leaves it: patched once finished
+async function encodeFile(encoder, samples, chunkSize) {
+  const chunks = [await encoder.start()];
+  for (let offset = 0; offset < samples.length; offset += chunkSize) {
+    chunks.push(await encoder.encode(samples.subarray(offset, offset + chunkSize)));
+  }
+  chunks.push(await encoder.finish());
+  const file = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    file.set(chunk, offset);
+    offset += chunk.length;
+  }
+  for (const { offset: patchOffset, bytes } of encoder.headerPatches()) {
+    file.set(bytes, patchOffset);
+  }
+  return file;
+}
+
+class BitReader {
+  constructor(bytes, offset) {
+    this.bytes = bytes;
+    this.bit = offset * 8;
+  }
+
+  read(bits) {
+    let value = 0;
+    for (let i = 0; i < bits; ++i, ++this.bit) {
+      value = value * 2 + ((this.bytes[this.bit >> 3] >> (7 - (this.bit & 7))) & 1);
+    }
+    return value;
+  }
+
+  readSigned(bits) {
+    const value = this.read(bits);
+    return value >= 2 ** (bits - 1) ? value - 2 ** bits : value;
+  }
+
+  readUnary() {
+    let zeros = 0;
+    while (this.read(1) === 0) ++zeros;
+    return zeros;
+  }
+
+  get offset() {
+    return Math.ceil(this.bit / 8);
+  }
+}
+
+// Decode the mono, fixed-predictor FLAC that FlacEncoder writes
+function decodeFlac(file) {
+  assert.equal(new TextDecoder().decode(file.subarray(0, 4)), "fLaC");
+  const info = new BitReader(file, 8);
+  const streamInfo = {
+    minBlockSize: info.read(16), maxBlockSize: info.read(16), minFrameSize: info.read(24), maxFrameSize: info.read(24),
+    sampleRate: info.read(20), channels: info.read(3) + 1, bitsPerSample: info.read(5) + 1, totalSamples: info.read(36),
+  };
+  const bps = streamInfo.bitsPerSample;
+
+  const samples = [];
+  const frameSizes = [];
+  let offset = 8 + 34;
+  while (offset < file.length) {
+    const reader = new BitReader(file, offset);
+    assert.equal(reader.read(16), 0xfff8, "frame sync code");
+    const blockSizeCode = reader.read(4);
+    reader.read(12); // Sample rate, channels, sample size, reserved
+    const first = reader.read(8);
+    for (let extra = Math.clz32(~(first << 24)) - 1; extra > 0; --extra) reader.read(8); // UTF-8 coded frame number
+    const blockSize = blockSizeCode === 0b1100 ? 4096 : reader.read(16) + 1;
+    reader.read(8); // CRC-8
+
+    const type = reader.read(8) >> 1;
+    const block = [];
+    if (type === 0) {
+      block.push(...new Array(blockSize).fill(reader.readSigned(bps)));
+    } else if (type === 1) {
+      for (let i = 0; i < blockSize; ++i) block.push(reader.readSigned(bps));
+    } else {
+      const order = type & 0b111;
+      for (let i = 0; i < order; ++i) block.push(reader.readSigned(bps));
+      assert.equal(reader.read(2), 0, "4-bit Rice parameters");
+      const partitionOrder = reader.read(4);
+      const partitionSize = blockSize >> partitionOrder;
+      const residual = [];
+      for (let partition = 0; partition < 1 << partitionOrder; ++partition) {
+        const parameter = reader.read(4);
+        for (let i = partition === 0 ? order : 0; i < partitionSize; ++i) {
+          const folded = reader.readUnary() * 2 ** parameter + reader.read(parameter);
+          residual.push(folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2);
+        }
+      }
+      const COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+      for (const value of residual) {
+        const n = block.length;
+        block.push(value + COEFFICIENTS[order].reduce((sum, c, j) => sum + c * block[n - 1 - j], 0));
+      }
+    }
+    samples.push(...block);
+    reader.bit = reader.offset * 8;
+    reader.read(16); // CRC-16
+    frameSizes.push(reader.offset - offset);
+    offset = reader.offset;
+  }
+  return { streamInfo, samples, frameSizes };
+}
+
+test("WAV files have their sizes patched in and decode back", async () => {
+  const samples = tone(10000);
+  for (const [format, bits] of [["wav-f32", 32], ["wav-s24", 24], ["wav-s16", 16]]) {
+    const file = await encodeFile(createAudioEncoder(format), samples, 3000);
+    const view = new DataView(file.buffer);
+    const dataSize = samples.length * (bits / 8);
+    assert.equal(file.length, 44 + dataSize, format);
+    assert.equal(view.getUint32(4, true), file.length - 8, `${format} RIFF size`);
+    assert.equal(view.getUint32(40, true), dataSize, `${format} data size`);
+    assert.equal(view.getUint16(34, true), bits, format);
+
+    for (const i of [0, 15, 4999, 9999]) {
+      const decoded =
+        bits === 32 ? view.getFloat32(44 + i * 4, true)
+        : bits === 16 ? view.getInt16(44 + i * 2, true) / 32767
+        : ((view.getInt8(44 + i * 3 + 2) * 65536) + view.getUint16(44 + i * 3, true)) / 8388607;
+      assert.ok(Math.abs(decoded - samples[i]) < 1e-4, `${format} sample ${i}`);
+    }
+  }
+});
+
+test("a continued WAV file counts the data written before it", async () => {
+  const encoder = createAudioEncoder("wav-s16");
+  encoder.resume(2000);
+  await encoder.encode(new Float32Array(500));
+  const view = new DataView(new ArrayBuffer(44));
+  for (const { offset, bytes } of encoder.headerPatches()) {
+    new Uint8Array(view.buffer).set(bytes, offset);
+  }
+  assert.equal(view.getUint32(40, true), 3000);
+  assert.equal(view.getUint32(4, true), 3036);
+});
+
+test("FLAC files have their stream info patched in and decode back", async () => {
+  const samples = tone(10000);
+  const file = await encodeFile(createAudioEncoder("flac"), samples, 3000);
+  const { streamInfo, samples: decoded, frameSizes } = decodeFlac(file);
+
+  assert.deepEqual(streamInfo, {
+    minBlockSize: 4096, maxBlockSize: 4096, minFrameSize: Math.min(...frameSizes), maxFrameSize: Math.max(...frameSizes),
+    sampleRate: 24000, channels: 1, bitsPerSample: 16, totalSamples: 10000,
+  });
+  assert.equal(frameSizes.length, 3); // Two full blocks and the rest
+  assert.deepEqual(decoded, Array.from(samples, (sample) => Math.round(sample * 32767) + 0)); // + 0 turns -0 into 0
+});
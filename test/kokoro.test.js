@@ -0,0 +1,115 @@
+// kokoro.test.js - KokoroTTS.stream and phoneme windowing, with the model replaced by silence
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+
+// Must be registered before kokoro.js is imported, see node-hooks.js
+register("../node-hooks.js", import.meta.url);
+const { KokoroTTS } = await import("../kokoro.js");
+const { RawAudio } = await import("@huggingface/transformers");
+
+// One second of silence per segment, recording the voice it was asked for
+function silence(voices) {
+  return async (phonemes, { voice }) => {
+    voices.push(voice);
+    const audio = new RawAudio(new Float32Array(24000), 24000);
+    audio.timings = [...phonemes].map((_, i) => ({ start: i, end: i + 1, estimated: true }));
+    return audio;
+  };
+}
+
+test("stream reads an unknown SSML voice with the request's voice", async () => {
+  const tts = new KokoroTTS(null, null);
+  const voices = [];
+  const ssml = '<speak>Hello there.<break time="500ms"/><voice name="xx_nobody">Who is this?</voice><voice name="bf_emma">Me.</voice></speak>';
+  const segments = [];
+  for await (const { text, audio } of tts.stream(ssml, { voice: "af_bella", generate_audio: silence(voices) })) {
+    segments.push([text, audio.audio.length]);
+  }
+  assert.deepEqual(segments, [["Hello there.", 24000], ["", 12000], ["Who is this?", 24000], ["Me.", 24000]]);
+  assert.deepEqual(voices, ["af_bella", "af_bella", "bf_emma"]);
+});
+
+test("stream splits a paragraph ahead and refines its segment count", async () => {
+  const tts = new KokoroTTS(null, null);
+  const events = [];
+  const generate = silence([]);
+  const stream = tts.stream("Sure. Fine. Okay.\n\nFour.\n\nFive.", {
+    split_length: 10,
+    split_callback: (total, exact) => events.push(`total ${total}${exact ? "" : "?"}`),
+    generate_audio: (phonemes, options) => {
+      events.push(`generate ${phonemes}`);
+      return generate(phonemes, options);
+    },
+  });
+  for await (const { index } of stream) {
+    events.push(`segment ${index}`);
+  }
+  // Estimated at one segment per 10 characters. The last paragraph is only split once the one before it is reached.
+  assert.deepEqual(events.filter((event) => !event.startsWith("generate")), [
+    "total 4?",
+    "total 5?",
+    "segment 0",
+    "segment 1",
+    "segment 2",
+    "segment 3",
+    "total 5",
+    "segment 4",
+  ]);
+});
+
+test("stream estimates word timings when the audio has none", async () => {
+  const tts = new KokoroTTS(null, null);
+  const generate_audio = async () => new RawAudio(new Float32Array(24000), 24000);
+  const segments = [];
+  for await (const segment of tts.stream("Hello there.", { generate_audio })) {
+    segments.push(segment);
+  }
+  const { words } = segments[0];
+  assert.deepEqual(words.map(({ word }) => word), ["Hello", "there."]);
+  assert.ok(words.every(({ startTime, endTime, estimated }) => estimated && startTime >= 0 && startTime < endTime && endTime <= 1), JSON.stringify(words));
+});
+
+// A model that reads one token per phoneme and gives each ten samples
+function windowedTTS(calls) {
+  const tts = new KokoroTTS(null, (phonemes) => ({ input_ids: { dims: [1, phonemes.length + 2], phonemes } }));
+  tts.generate_from_ids = async ({ phonemes }) => {
+    calls.push(phonemes);
+    const audio = new RawAudio(new Float32Array(phonemes.length * 10), 24000);
+    audio.durations = new Array(phonemes.length + 2).fill(1);
+    return audio;
+  };
+  return tts;
+}
+
+test("generate_from_phonemes splits input past the context window after punctuation", async () => {
+  const calls = [];
+  const phonemes = "ðɪs ɪz ə tˈɛst, ænd ə lˈɔŋ wˈʌn. ".repeat(20).trim();
+  const audio = await windowedTTS(calls).generate_from_phonemes(phonemes);
+
+  assert.ok(calls.length > 1 && calls.every((window) => window.length <= 510), JSON.stringify(calls.map((window) => window.length)));
+  assert.ok(calls.slice(0, -1).every((window) => /[,.]$/.test(window)), JSON.stringify(calls));
+  assert.equal(calls.join(" "), phonemes);
+  assert.deepEqual(audio.splits.map((split) => split.phonemes), calls);
+
+  // Every phoneme is timed, in order, over the joined audio
+  assert.equal(audio.audio.length, calls.join("").length * 10);
+  assert.equal(audio.timings.length, phonemes.length);
+  assert.ok(audio.timings.every((timing, i) => timing.start <= timing.end && (i === 0 || audio.timings[i - 1].end <= timing.start + 1e-6)));
+  assert.ok(audio.timings.at(-1).end > audio.audio.length - 20 && audio.timings.at(-1).end <= audio.audio.length); // Less the padding token
+});
+
+test("generate_from_phonemes falls back to a word break, and leaves short input whole", async () => {
+  const calls = [];
+  const tts = windowedTTS(calls);
+  const phonemes = Array.from({ length: 150 }, (_, i) => `w${i}`).join(" ");
+  await tts.generate_from_phonemes(phonemes);
+  assert.ok(calls.length > 1 && calls.every((window) => window.length <= 510));
+  assert.equal(calls.join(" "), phonemes);
+
+  calls.length = 0;
+  const audio = await tts.generate_from_phonemes("hˈɛloʊ.");
+  assert.deepEqual(calls, ["hˈɛloʊ."]);
+  assert.deepEqual(audio.splits, []);
+});
@@ -0,0 +1,46 @@
+// lexicon.test.js - Lexicon entry validation and replacement
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyLexicon, compileLexicon, validateLexiconEntry } from "../lexicon.js";
+
+test("validateLexiconEntry fills in the defaults", () => {
+  assert.deepEqual(validateLexiconEntry({ pattern: " GIF ", replacement: "jif" }), {
+    pattern: "GIF",
+    regex: false,
+    caseSensitive: false,
+    type: "text",
+    replacement: "jif",
+  });
+});
+
+test("validateLexiconEntry rejects regular expressions that can match empty text", () => {
+  for (const pattern of ["a*", "(?:x)?", "\\b", "(?=\\d)", "x|"]) {
+    assert.throws(() => validateLexiconEntry({ pattern, regex: true, replacement: "y" }), /must not match empty text/, pattern);
+  }
+  assert.doesNotThrow(() => validateLexiconEntry({ pattern: "a+", regex: true, replacement: "y" }));
+});
+
+test("applyLexicon replaces whole words, and regular expressions anywhere", () => {
+  const lexicon = compileLexicon([
+    { pattern: "GIF", replacement: "jif" },
+    { pattern: "(\\d+)px", regex: true, replacement: "$1 pixels" },
+    { pattern: "a*", regex: true, replacement: "skipped" },
+  ]);
+  assert.equal(lexicon.length, 2);
+  assert.equal(applyLexicon("A gif, GIFs and 16px.", lexicon), "A jif, GIFs and 16 pixels.");
+});
+
+test("applyLexicon leaves empty matches alone", () => {
+  const lexicon = compileLexicon([{ pattern: "(?=Q)", regex: true, replacement: "boom " }]);
+  assert.equal(lexicon.length, 1); // No probe starts with a "Q"
+  assert.equal(applyLexicon("Quick Queen Kite", lexicon), "Quick Queen Kite");
+});
+
+test("applyLexicon expands the groups of regular expression replacements", () => {
+  const lexicon = compileLexicon([
+    { pattern: "(?<w>\\d+)x(\\d+)", regex: true, replacement: "$<w> by $2 ($&, $$1, $3)" },
+  ]);
+  assert.equal(applyLexicon("A 4x6 print.", lexicon), "A 4 by 6 (4x6, $1, $3) print.");
+});
@@ -0,0 +1,70 @@
+// loudness.test.js - BS.1770 loudness, true peak and the normalization gain
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LoudnessMeter, normalizationGain, validateLoudness } from "../loudness.js";
+
+const SAMPLE_RATE = 24000;
+
+function sine(frequency, amplitude, seconds, phase = 0) {
+  return Float32Array.from({ length: seconds * SAMPLE_RATE }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE + phase));
+}
+
+function measure(...parts) {
+  const meter = new LoudnessMeter();
+  for (const part of parts) meter.add(part);
+  return meter.measure();
+}
+
+test("a full-scale 1 kHz sine measures -3 LUFS, as in BS.1770", () => {
+  assert.ok(Math.abs(measure(sine(1000, 1, 3)).integratedLufs + 3.01) < 0.1);
+  assert.ok(Math.abs(measure(sine(1000, 0.5, 3)).integratedLufs + 9.03) < 0.1);
+});
+
+test("K-weighting favors high frequencies and cuts the lowest ones", () => {
+  const reference = measure(sine(1000, 0.5, 3)).integratedLufs;
+  const high = measure(sine(6000, 0.5, 3)).integratedLufs - reference;
+  const low = measure(sine(20, 0.5, 3)).integratedLufs - reference;
+  assert.ok(high > 3 && high < 5, `6 kHz: ${high} LU`);
+  assert.ok(low < -10, `20 Hz: ${low} LU`);
+});
+
+test("silence and much quieter passages are gated out", () => {
+  // Only the few blocks that straddle the change count with the tone. Without the relative gate,
+  // the quiet half would bring the loudness down by 3 LU.
+  const tone = measure(sine(1000, 0.5, 10)).integratedLufs;
+  const withSilence = measure(sine(1000, 0.5, 10), new Float32Array(10 * SAMPLE_RATE)).integratedLufs;
+  const withQuiet = measure(sine(1000, 0.5, 10), sine(1000, 0.01, 10)).integratedLufs;
+  assert.ok(Math.abs(withSilence - tone) < 0.1, `${withSilence} vs ${tone}`);
+  assert.ok(Math.abs(withQuiet - tone) < 0.1, `${withQuiet} vs ${tone}`);
+});
+
+test("audio too short or silent to measure is left as it is", () => {
+  const short = measure(sine(1000, 0.5, 0.3));
+  assert.equal(short.integratedLufs, -Infinity);
+  assert.equal(measure(new Float32Array(SAMPLE_RATE)).integratedLufs, -Infinity);
+  assert.equal(normalizationGain(short, validateLoudness()), 1);
+});
+
+test("measuring in chunks gives the same result", () => {
+  const samples = sine(440, 0.3, 2);
+  const meter = new LoudnessMeter();
+  for (let offset = 0; offset < samples.length; offset += 1000) {
+    meter.add(samples.subarray(offset, offset + 1000));
+  }
+  assert.deepEqual(meter.measure(), measure(samples));
+});
+
+test("the true peak finds peaks between samples", () => {
+  // A quarter of the sample rate, sampled 45° off its peaks: every sample is at -3 dB
+  const { truePeakDb } = measure(sine(SAMPLE_RATE / 4, 1, 1, Math.PI / 4));
+  assert.ok(truePeakDb > -1, `${truePeakDb} dBTP`);
+});
+
+test("normalizationGain reaches the target unless the true peak or the gain limit is hit", () => {
+  const options = { targetLufs: -16, truePeakDb: -1 };
+  assert.ok(Math.abs(20 * Math.log10(normalizationGain({ integratedLufs: -20, truePeakDb: -10 }, options)) - 4) < 1e-9);
+  assert.ok(Math.abs(20 * Math.log10(normalizationGain({ integratedLufs: -20, truePeakDb: -3 }, options)) - 2) < 1e-9);
+  assert.ok(Math.abs(20 * Math.log10(normalizationGain({ integratedLufs: -60, truePeakDb: -40 }, options)) - 20) < 1e-9);
+});
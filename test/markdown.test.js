@@ -0,0 +1,73 @@
+// markdown.test.js - Markdown blocks, and the units they are read aloud as
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { markdownInline, markdownParagraphs, narrateMarkdown, parseMarkdown } from "../markdown.js";
+
+// The text and boundary of each unit
+function read(markdown, options) {
+  return markdownParagraphs(parseMarkdown(markdown).blocks, options).map(({ text, boundary }) => [text, boundary]);
+}
+
+test("markdownInline reads the text of links and emphasis, leaves out images and notes, and keeps escaped characters", () => {
+  assert.equal(
+    markdownInline("See **the** [docs](https://x.y) and _more_![logo](a.png)[^1] <b>now</b> `code` \\*not\\*"),
+    "See the docs and more now code *not*",
+  );
+});
+
+test("parseMarkdown reads the front matter title, headings and block quotes", () => {
+  const { title, blocks } = parseMarkdown('---\ntitle: "My Book"\n---\n# One #\n\nTwo\n===\n> Quoted\n> text.');
+  assert.equal(title, "My Book");
+  assert.deepEqual(blocks, [
+    { type: "heading", level: 1, text: "One" },
+    { type: "heading", level: 1, text: "Two" },
+    { type: "paragraph", text: "Quoted text." },
+  ]);
+});
+
+test("lists are numbered, nested ones on their own, and end with a paragraph pause", () => {
+  assert.deepEqual(read("- Apples\n- Pears!\n  1. Green\n  2. Red\n- [x] Plums\n\nAfter."), [
+    ["1. Apples.", "sentence"],
+    ["2. Pears!", "sentence"],
+    ["1. Green.", "sentence"],
+    ["2. Red.", "sentence"],
+    ["3. Plums.", "paragraph"],
+    ["After.", "paragraph"],
+  ]);
+  // Only a list starting at 1 interrupts a paragraph
+  assert.deepEqual(read("In\n2024. A year"), [["In 2024. A year", "paragraph"]]);
+  assert.deepEqual(read("3. Three\n4. Four"), [["3. Three.", "sentence"], ["4. Four.", "paragraph"]]);
+});
+
+test("table rows read each cell after its column header", () => {
+  assert.deepEqual(read("| Name | Age |\n|:-----|----:|\n| Bob | 3 |\n| Ann \\| Co | |"), [
+    ["Name: Bob, Age: 3.", "sentence"],
+    ["Name: Ann | Co.", "paragraph"],
+  ]);
+});
+
+test("code blocks are skipped with a cue, or read verbatim", () => {
+  const markdown = "```js\nlet x = 1;\n```\n\n    indented();\n\nText.";
+  assert.deepEqual(parseMarkdown(markdown).blocks.slice(0, 2), [
+    { type: "code", language: "js", text: "let x = 1;" },
+    { type: "code", language: "", text: "indented();" },
+  ]);
+  assert.deepEqual(read(markdown), [["Code block omitted.", "paragraph"], ["Code block omitted.", "paragraph"], ["Text.", "paragraph"]]);
+  assert.deepEqual(read(markdown, { codeBlocks: "read" }).map(([text]) => text), ["let x = 1;", "indented();", "Text."]);
+});
+
+test("a heading or rule gives the unit before it a heading pause", () => {
+  assert.deepEqual(read("Intro.\n\n## Part\n\nBody.\n\n---\n\nEnd."), [
+    ["Intro.", "heading"],
+    ["Part", "heading"],
+    ["Body.", "heading"],
+    ["End.", "paragraph"],
+  ]);
+});
+
+test("narrateMarkdown reads headings with the heading voice", () => {
+  const blocks = narrateMarkdown("# Title\n\nText.", { voice: "af_heart", speed: 1.2, headingVoice: "bm_george" });
+  assert.deepEqual(blocks.map(({ text, voice, speed }) => [text, voice, speed]), [["Title", "bm_george", 1.2], ["Text.", "af_heart", 1.2]]);
+});
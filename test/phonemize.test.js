@@ -0,0 +1,94 @@
+// phonemize.test.js - English normalization, one test per rule, in American and British English
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalize_text } from "../phonemize.js";
+
+// [rule, input, American English, British English]
+const RULES = [
+  ["titles", "Dr. Smith met Mr. Jones and Prof. Lee.", "Doctor Smith met Mister Jones and Professor Lee.", "Doctor Smith met Mister Jones and Professor Lee."],
+  ["saint and street", "St. Paul lives on Main St. near here.", "Saint Paul lives on Main Street near here.", "Saint Paul lives on Main Street near here."],
+  ["suffixes", "Acme Inc. announced it. John Jr. The end.", "Acme Incorporated announced it. John Junior. The end.", "Acme Incorporated announced it. John Junior. The end."],
+  ["latin abbreviations", "Fruit, e.g. apples, vs. the rest.", "Fruit, for example, apples, versus the rest.", "Fruit, for example, apples, versus the rest."],
+  ["references", "See No. 5 on p. 12 and Fig. 3.", "See number five on page twelve and Figure three.", "See number five on page twelve and Figure three."],
+  ["web addresses", "Visit https://www.example.com/docs today.", "Visit w w w dot example dot com slash docs today.", "Visit w w w dot example dot com slash docs today."],
+  ["email addresses", "Mail jane.doe@example.co.uk today.", "Mail jane dot doe at example dot co dot uk today.", "Mail jane dot doe at example dot co dot uk today."],
+  [
+    "phone numbers",
+    "Call (555) 123-4567 or +44 20 7946 0958.",
+    "Call five five five, one two three, four five six seven or plus four four, two zero, seven nine four six, zero nine five eight.",
+    "Call five five five, one two three, four five six seven or plus four four, two oh, seven nine four six, oh nine five eight.",
+  ],
+  ["ISO dates", "On 2024-03-15 we met.", "On March fifteenth, twenty twenty-four we met.", "On the fifteenth of March, twenty twenty-four we met."],
+  [
+    "numeric dates",
+    "On 3/4/2024 and 25/12/99.",
+    "On March fourth, twenty twenty-four and December twenty-fifth, ninety-nine.",
+    "On the third of April, twenty twenty-four and the twenty-fifth of December, ninety-nine.",
+  ],
+  ["month and day", "On March 15, 2024 and Mar. 3rd.", "On March fifteenth, twenty twenty-four and March third.", "On March the fifteenth, twenty twenty-four and March the third."],
+  ["day and month", "On 15th March 2024.", "On the fifteenth of March, twenty twenty-four.", "On the fifteenth of March, twenty twenty-four."],
+  [
+    "clock times",
+    "At 3:05 pm, 9:00 and 15:00.",
+    "At three oh five p m, nine o'clock and fifteen hundred.",
+    "At three oh five p m, nine o'clock and fifteen hundred.",
+  ],
+  ["hours", "At 7 a.m. sharp.", "At seven a m sharp.", "At seven a m sharp."],
+  ["ratios", "It was 3:1, then 2:0.", "It was three to one, then two to zero.", "It was three to one, then two to zero."],
+  [
+    "currencies",
+    "It costs $1.01, £0.99, €5.50, ¥500 and ₹2,000.",
+    "It costs one dollar and one cent, ninety-nine pence, five euros and fifty cents, five hundred yen and two thousand rupees.",
+    "It costs one dollar and one cent, ninety-nine pence, five euros and fifty cents, five hundred yen and two thousand rupees.",
+  ],
+  ["currency magnitudes", "A $2.5 million deal, €3bn and £10k.", "A two point five million dollars deal, three billion euros and ten thousand pounds.", "A two point five million dollars deal, three billion euros and ten thousand pounds."],
+  ["percentages", "It is 50% off, 12.5 % in all.", "It is fifty percent off, twelve point five percent in all.", "It is fifty per cent off, twelve point five per cent in all."],
+  [
+    "units",
+    "Run 5 km at 6 mph, lift 1 kg, pour 2 L and wait 10 s.",
+    "Run five kilometers at six miles per hour, lift one kilogram, pour two liters and wait ten seconds.",
+    "Run five kilometres at six miles per hour, lift one kilogram, pour two litres and wait ten seconds.",
+  ],
+  [
+    "units before a noun",
+    "A 4 V battery, a 5 kg bag of rice and 5 km away.",
+    "A four volt battery, a five kilogram bag of rice and five kilometers away.",
+    "A four volt battery, a five kilogram bag of rice and five kilometres away.",
+  ],
+  ["temperatures", "It is 20°C or -5 °F.", "It is twenty degrees Celsius or minus five degrees Fahrenheit.", "It is twenty degrees Celsius or minus five degrees Fahrenheit."],
+  ["mixed unicode fractions", "Add 2½ cups.", "Add two and a half cups.", "Add two and a half cups."],
+  ["unicode fractions", "Add ¾ of it.", "Add three quarters of it.", "Add three quarters of it."],
+  ["mixed fractions", "It is 3 1/4 inches.", "It is three and a quarter inches.", "It is three and a quarter inches."],
+  ["fractions", "Walk 2/3 of a mile, 24/7.", "Walk two thirds of a mile, twenty-four seven.", "Walk two thirds of a mile, twenty-four seven."],
+  ["numbered parts", "Chapter IV of Book II.", "Chapter four of Book two.", "Chapter four of Book two."],
+  ["rulers", "Henry VIII and King Charles III.", "Henry the eighth and King Charles the third.", "Henry the eighth and King Charles the third."],
+  ["ordinals", "The 1st, 22nd and 103rd.", "The first, twenty-second and one hundred third.", "The first, twenty-second and one hundred and third."],
+  ["ranges", "Pages 5-10, 1.5–2.5.", "Pages five to ten, one point five to two point five.", "Pages five to ten, one point five to two point five."],
+  [
+    "number chains",
+    "ISBN 978-3-16-148410-0.",
+    "ISBN nine seven eight, three, one six, one four eight four one zero, zero.",
+    "ISBN nine seven eight, three, one six, one four eight four one oh, oh.",
+  ],
+  ["negative numbers", "It fell to -7.", "It fell to minus seven.", "It fell to minus seven."],
+  ["decades with an apostrophe", "In the '90s.", "In the nineties.", "In the nineties."],
+  ["years", "In 1905, 1984, 2005 and 1900s.", "In nineteen oh five, nineteen eighty-four, two thousand five and nineteen hundreds.", "In nineteen oh five, nineteen eighty-four, two thousand and five and nineteen hundreds."],
+  ["early years", "In 1066 and 1000.", "In ten sixty-six and one thousand.", "In ten sixty-six and one thousand."],
+  ["decades", "In the 80s.", "In the eighties.", "In the eighties."],
+  ["version numbers", "Version 1.2.3 is out.", "Version one point two point three is out.", "Version one point two point three is out."],
+  [
+    "numbers",
+    "I have 1,234,567 apples, 3.14 pies and 0042 codes.",
+    "I have one million two hundred thirty-four thousand five hundred sixty-seven apples, three point one four pies and zero zero four two codes.",
+    "I have one million two hundred and thirty-four thousand five hundred and sixty-seven apples, three point one four pies and oh oh four two codes.",
+  ],
+];
+
+for (const [rule, input, american, british] of RULES) {
+  test(`normalize_text: ${rule}`, () => {
+    assert.equal(normalize_text(input, "a"), american);
+    assert.equal(normalize_text(input, "b"), british);
+  });
+}
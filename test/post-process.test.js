@@ -0,0 +1,77 @@
+// post-process.test.js - Silence trimming, boundary pauses and fades of generated segments
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findSegmentEnd, getBoundaryType, postProcessSegment, validatePostProcessing } from "../post-process.js";
+
+const OPTIONS = validatePostProcessing({ fadeMs: 0 });
+
+// Silence, a second of speech at half scale, then silence
+function segment(before, after) {
+  return Float32Array.from({ length: before + 24000 + after }, (_, i) => (i >= before && i < before + 24000 ? 0.5 : 0));
+}
+
+test("postProcessSegment trims silence down to a margin and appends the pause", () => {
+  const { audio, offset } = postProcessSegment(segment(12000, 6000), "sentence", OPTIONS);
+  // 20 ms (480 samples) of margin on each side, then 400 ms of pause
+  assert.equal(offset, 12000 - 480);
+  assert.equal(audio.length, 480 + 24000 + 480 + 9600);
+  assert.equal(audio[480], 0.5);
+  assert.equal(audio[480 + 23999], 0.5);
+  assert.ok(audio.subarray(480 + 24000).every((sample) => sample === 0));
+});
+
+test("postProcessSegment keeps speech at the very start and end", () => {
+  const { audio, offset } = postProcessSegment(segment(100, 0), "none", OPTIONS);
+  assert.equal(offset, 0);
+  assert.equal(audio.length, 24100);
+});
+
+test("postProcessSegment pauses after each boundary type", () => {
+  const pauses = { none: 0, comma: 4800, sentence: 9600, paragraph: 18000, heading: 24000 };
+  for (const [boundary, pause] of Object.entries(pauses)) {
+    assert.equal(postProcessSegment(segment(0, 0), boundary, OPTIONS).audio.length, 24000 + pause, boundary);
+  }
+});
+
+test("postProcessSegment turns a silent segment into its pause", () => {
+  const { audio } = postProcessSegment(new Float32Array(24000), "comma", OPTIONS);
+  assert.equal(audio.length, 4800);
+});
+
+test("postProcessSegment fades the speech in and out, not the pause", () => {
+  const { audio } = postProcessSegment(segment(0, 0), "sentence", validatePostProcessing({ fadeMs: 10 }));
+  assert.ok(audio[0] < 0.01 && audio[239] > 0.49 && audio[240] === 0.5);
+  assert.ok(audio[23999] < 0.01 && audio[23760] > 0.49);
+});
+
+test("postProcessSegment leaves segments alone when disabled", () => {
+  const samples = segment(12000, 6000);
+  assert.deepEqual(postProcessSegment(samples, "paragraph", { ...OPTIONS, enabled: false }), { audio: samples, offset: 0 });
+});
+
+test("getBoundaryType tells sentences, clauses and paragraphs apart", () => {
+  assert.equal(getBoundaryType("He left.", false), "sentence");
+  assert.equal(getBoundaryType('"Why?"', false), "sentence");
+  assert.equal(getBoundaryType("He left,", false), "comma");
+  // Splitting drops the comma, which is still in the text that follows
+  assert.equal(getBoundaryType("He left", false, ", and then"), "comma");
+  assert.equal(getBoundaryType("He left and", false, "then"), "none");
+  assert.equal(getBoundaryType("He left.", true), "paragraph");
+  assert.equal(getBoundaryType("Chapter One", true), "heading");
+});
+
+test("findSegmentEnd skips the comma dropped at a split", () => {
+  const paragraph = "One, two, three four.";
+  const end = findSegmentEnd(paragraph, "One two");
+  assert.equal(end, 8);
+  assert.equal(paragraph.slice(end), ", three four.");
+  assert.equal(findSegmentEnd(paragraph, "three four.", end), paragraph.length);
+});
+
+test("validatePostProcessing fills in defaults and rejects values out of range", () => {
+  assert.deepEqual(validatePostProcessing({ pauses: { comma: "300" } }).pauses, { comma: 300, sentence: 400, paragraph: 750, heading: 1000 });
+  assert.throws(() => validatePostProcessing({ fadeMs: 500 }), /fade length/);
+  assert.throws(() => validatePostProcessing({ pauses: { heading: -1 } }), /heading pause/);
+});
@@ -0,0 +1,93 @@
+// semantic-split.test.js - Sentence and chunk splitting against prose fixtures
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { splitLongSentence, splitSentences, splitTextByTokens, splitTextSmart } from "../semantic-split.js";
+
+const FIXTURES = JSON.parse(readFileSync(new URL("./fixtures/sentences.json", import.meta.url), "utf8"));
+const END = readFileSync(new URL("../end.txt", import.meta.url), "utf8");
+const END_SENTENCES = readFileSync(new URL("./fixtures/end.sentences.txt", import.meta.url), "utf8").trim().split("\n");
+
+// Runs a test without Intl.Segmenter, to cover the regex used where it is not available
+async function withoutSegmenter(run) {
+  const { Segmenter } = Intl;
+  delete Intl.Segmenter;
+  try {
+    await run();
+  } finally {
+    Intl.Segmenter = Segmenter;
+  }
+}
+
+for (const { name, text, language = "a", sentences } of FIXTURES) {
+  test(`splitSentences: ${name}`, () => {
+    assert.deepEqual(splitSentences(text, language).map((sentence) => sentence.trim()), sentences);
+  });
+
+  test(`splitSentences without Intl.Segmenter: ${name}`, () =>
+    withoutSegmenter(() => {
+      assert.deepEqual(splitSentences(text, language).map((sentence) => sentence.trim()), sentences);
+    }));
+}
+
+test("splitSentences keeps the text, whitespace included", () => {
+  const text = "One.  Two?\tThree! \"Four.\" Five";
+  assert.equal(splitSentences(text).join(""), text);
+});
+
+test("splitSentences: The End of Something", () => {
+  // One paragraph, so the line breaks don't give the sentences away
+  const paragraph = END.split(/\n\s*\n/)[1].replace(/\s+/g, " ");
+  assert.deepEqual(splitSentences(paragraph).map((sentence) => sentence.trim()), END_SENTENCES);
+});
+
+test("splitTextSmart: The End of Something", () => {
+  const chunks = splitTextSmart(END, 250);
+  assert.equal(chunks[0], "The End of Something by Ernest Hemingway");
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 250, `${chunk.length} characters: ${chunk}`);
+  }
+  // Every chunk ends a sentence, and together they are the whole text
+  for (const chunk of chunks.slice(1)) {
+    assert.match(chunk, /[.!?]"?$/);
+  }
+  assert.equal(chunks.join(" "), END.trim().replace(/\s+/g, " "));
+});
+
+test("splitLongSentence splits after clause punctuation and keeps it", () => {
+  assert.deepEqual(splitLongSentence("One thing, then another; and a third — at last", 20), [
+    "One thing,",
+    "then another;",
+    "and a third —",
+    "at last",
+  ]);
+  assert.deepEqual(splitLongSentence("It cost 1,000 dollars, more or less", 24), ["It cost 1,000 dollars,", "more or less"]);
+});
+
+test("splitLongSentence splits text without spaces on characters", () => {
+  assert.deepEqual(splitLongSentence("这是一个非常长的句子没有任何标点符号", 10), ["这是一个非常长的句子", "没有任何标点符号"]);
+});
+
+test("splitTextByTokens packs whole sentences and keeps their phonemes", async () => {
+  // One token per character, phonemes in upper case
+  const options = { phonemize: async (text) => text.toUpperCase(), countTokens: (phonemes) => phonemes.length, maxTokens: 20 };
+  assert.deepEqual(await splitTextByTokens("One two. Three four. Five.\n\nSix.", options), [
+    { text: "One two. Three four.", phonemes: "ONE TWO. THREE FOUR.", tokens: 20 },
+    { text: "Five.", phonemes: "FIVE.", tokens: 5 },
+    { text: "Six.", phonemes: "SIX.", tokens: 4 },
+  ]);
+});
+
+test("splitTextByTokens phonemizes each sentence once", async () => {
+  const phonemized = [];
+  const phonemize = async (text) => {
+    phonemized.push(text);
+    return text;
+  };
+  const paragraph = END.split(/\n\s*\n/)[1].replace(/\s+/g, " ");
+  const segments = await splitTextByTokens(paragraph, { phonemize, countTokens: (phonemes) => phonemes.length, maxTokens: 300 });
+  assert.deepEqual(phonemized, END_SENTENCES);
+  assert.equal(segments.map(({ text }) => text).join(" "), paragraph.trim());
+});
@@ -0,0 +1,45 @@
+// subtitles.test.js - SRT and WebVTT captions
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { addSubtitleCue, formatSubtitles, subtitleFileName } from "../subtitles.js";
+
+function cues() {
+  const result = [];
+  addSubtitleCue(result, "  Hello\n  there. ", 0, 36012); // 1.5005 s
+  addSubtitleCue(result, "", 36012, 12000); // A break has no caption
+  addSubtitleCue(result, "A --> B", 48012, 0); // Nor does a segment without audio
+  addSubtitleCue(result, "The end --> really.", 3661 * 24000 + 12, 24000);
+  return result;
+}
+
+test("addSubtitleCue skips empty text and empty audio, and collapses whitespace", () => {
+  assert.deepEqual(cues().map(({ text }) => text), ["Hello there.", "The end --> really."]);
+});
+
+test("formatSubtitles writes SRT, with comma milliseconds rounded from samples", () => {
+  assert.equal(
+    formatSubtitles(cues(), "srt"),
+    "1\n00:00:00,000 --> 00:00:01,501\nHello there.\n\n" +
+      "2\n01:01:01,001 --> 01:01:02,001\nThe end --> really.\n",
+  );
+});
+
+test("formatSubtitles writes WebVTT, keeping cue text from ending the timing line", () => {
+  assert.equal(
+    formatSubtitles(cues(), "vtt"),
+    "WEBVTT\n\n" +
+      "00:00:00.000 --> 00:00:01.501\nHello there.\n\n" +
+      "01:01:01.001 --> 01:01:02.001\nThe end -> really.\n",
+  );
+});
+
+test("formatSubtitles rejects unknown formats", () => {
+  assert.throws(() => formatSubtitles([], "ass"), /Unknown subtitle format "ass"/);
+});
+
+test("subtitleFileName replaces the audio extension", () => {
+  assert.equal(subtitleFileName("chapter.one.mp3", "srt"), "chapter.one.srt");
+  assert.equal(subtitleFileName("audiobook", "vtt"), "audiobook.vtt");
+});
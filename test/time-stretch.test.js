@@ -0,0 +1,49 @@
+// time-stretch.test.js - WSOLA speed changes
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { timeStretch } from "../time-stretch.js";
+
+const SAMPLE_RATE = 24000;
+
+function sine(frequency, seconds) {
+  return Float32Array.from({ length: seconds * SAMPLE_RATE }, (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+}
+
+// The frequency of a sine, from its upward zero crossings
+function frequency(samples) {
+  let crossings = 0;
+  for (let i = 1; i < samples.length; ++i) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) ++crossings;
+  }
+  return (crossings * SAMPLE_RATE) / samples.length;
+}
+
+function rms(samples) {
+  return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+}
+
+test("timeStretch output is the input length divided by the rate", () => {
+  const samples = sine(200, 1.5);
+  for (const rate of [0.5, 0.8, 1.25, 2, 3]) {
+    assert.equal(timeStretch(samples, rate).length, Math.round(samples.length / rate), `rate ${rate}`);
+  }
+});
+
+test("timeStretch keeps the pitch and the level", () => {
+  const samples = sine(200, 1.5);
+  for (const rate of [0.5, 2]) {
+    const stretched = timeStretch(samples, rate);
+    assert.ok(Math.abs(frequency(stretched) - 200) < 5, `rate ${rate}: ${frequency(stretched)} Hz`);
+    // Frames that lined up badly would partly cancel
+    assert.ok(Math.abs(rms(stretched) / rms(samples) - 1) < 0.05, `rate ${rate}: ${rms(stretched)}`);
+  }
+});
+
+test("timeStretch leaves audio alone at rate 1, or too short to stretch", () => {
+  const samples = sine(200, 1);
+  assert.equal(timeStretch(samples, 1), samples);
+  const short = samples.subarray(0, 1000);
+  assert.equal(timeStretch(short, 2), short);
+});
@@ -0,0 +1,28 @@
+// word-timing.test.js - Word and sentence timings, predicted or estimated
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { alignWords, getPhonemeTimings, groupSentences } from "../word-timing.js";
+
+const TEXT = "Hi there. Bye.";
+const PHONEMES = "hˈI ðˈɛɹ. bˈI.";
+
+test("timings from predicted durations are not estimated", () => {
+  // One duration per phoneme, plus the two padding tokens
+  const durations = new Array(PHONEMES.length + 2).fill(1);
+  const words = alignWords(TEXT, PHONEMES, getPhonemeTimings(PHONEMES, durations, 24000), "a");
+  assert.deepEqual(words.map(({ word, estimated }) => [word, estimated]), [["Hi", false], ["there.", false], ["Bye.", false]]);
+  assert.deepEqual(groupSentences(TEXT, words).map(({ text, estimated }) => [text, estimated]), [["Hi there.", false], ["Bye.", false]]);
+});
+
+test("timings without durations are spread evenly and marked estimated", () => {
+  const timings = getPhonemeTimings(PHONEMES, null, 24000);
+  assert.equal(timings.length, PHONEMES.length);
+  assert.ok(timings.every(({ estimated }) => estimated));
+  assert.equal(timings.at(-1).end, 24000);
+
+  const words = alignWords(TEXT, PHONEMES, timings, "a");
+  assert.ok(words.every(({ estimated }) => estimated));
+  assert.ok(groupSentences(TEXT, words).every(({ estimated }) => estimated));
+});
@@ -0,0 +1,81 @@
+// zip.test.js - Reading archives from their central directory
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync } from "node:zlib";
+
+import { openZip } from "../zip.js";
+
+// Build an archive. Local headers get a longer extra field than the central directory, as some writers do.
+function buildZip(files, comment = "") {
+  const encoder = new TextEncoder();
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, content = "", method = 0, flags = 0 } of files) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const stored = method === 8 ? deflateRawSync(data) : data;
+
+    const header = Buffer.alloc(30 + nameBytes.length + 4);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt32LE(stored.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(4, 28);
+    header.set(nameBytes, 30);
+    local.push(header, stored);
+
+    const entry = Buffer.alloc(46 + nameBytes.length);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(flags, 8);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(stored.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    entry.set(nameBytes, 46);
+    central.push(entry);
+    offset += header.length + stored.length;
+  }
+
+  const directorySize = central.reduce((sum, entry) => sum + entry.length, 0);
+  const commentBytes = encoder.encode(comment);
+  const end = Buffer.alloc(22 + commentBytes.length);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(commentBytes.length, 20);
+  end.set(commentBytes, 22);
+  return new Blob([...local, ...central, end]);
+}
+
+test("openZip lists files and reads stored and deflated ones", async () => {
+  const zip = await openZip(
+    buildZip(
+      [
+        { name: "mimetype", content: "application/epub+zip" },
+        { name: "OEBPS/", content: "" },
+        { name: "OEBPS/chapter 1.xhtml", content: "<p>Héllo</p>".repeat(50), method: 8 },
+        { name: "secret.txt", content: "hidden", flags: 1 },
+      ],
+      "An archive comment",
+    ),
+  );
+  // Directories and encrypted files are left out
+  assert.deepEqual(zip.names(), ["mimetype", "OEBPS/chapter 1.xhtml"]);
+  assert.equal(zip.has("secret.txt"), false);
+  assert.equal(await zip.text("mimetype"), "application/epub+zip");
+  assert.equal(await zip.text("OEBPS/chapter 1.xhtml"), "<p>Héllo</p>".repeat(50));
+  await assert.rejects(zip.bytes("missing.txt"), /"missing.txt" is not in the archive/);
+});
+
+test("openZip rejects what it can't read", async () => {
+  await assert.rejects(openZip(new Blob(["not an archive"])), /Not a ZIP archive/);
+  const zip = await openZip(buildZip([{ name: "a.bin", content: "x", method: 12 }]));
+  await assert.rejects(zip.bytes("a.bin"), /unsupported compression method \(12\)/);
+});
@@ -0,0 +1,68 @@
+// time-stretch.js - Change the speed of generated speech without changing its pitch (WSOLA)
+
+const FRAME = 960; // 40 ms at 24 kHz
+const HOP = FRAME / 2; // Output step, frames overlap by half
+const TOLERANCE = 240; // How far a frame may move from its nominal position to line up, in samples
+
+// Periodic Hann window, which sums to one at 50% overlap
+const WINDOW = Float32Array.from({ length: FRAME }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME));
+
+/**
+ * Helper function to find the frame position near `nominal` whose start best matches `target`,
+ * so overlapping frames add up in phase instead of cancelling.
+ * @param {Float32Array} samples The input.
+ * @param {number} target Where the natural continuation of the previous frame starts.
+ * @param {number} nominal The position the rate asks for.
+ * @returns {number} The best position.
+ */
+function bestPosition(samples, target, nominal) {
+  const min = Math.max(0, nominal - TOLERANCE);
+  const max = Math.min(samples.length - FRAME, nominal + TOLERANCE);
+  let best = Math.min(Math.max(nominal, 0), Math.max(max, 0));
+  let bestScore = -Infinity;
+  for (let position = min; position <= max; position += 2) {
+    let score = 0;
+    for (let i = 0; i < FRAME - HOP; ++i) {
+      score += samples[target + i] * samples[position + i];
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      best = position;
+    }
+  }
+  return best;
+}
+
+/**
+ * Time-stretch speech by waveform-similarity overlap-add (WSOLA).
+ * @param {Float32Array} samples The input.
+ * @param {number} rate The playback rate: 2 plays twice as fast, 0.5 half as fast.
+ * @returns {Float32Array} The stretched samples, about `samples.length / rate` long.
+ */
+export function timeStretch(samples, rate) {
+  if (rate === 1 || samples.length < FRAME * 2) {
+    return samples;
+  }
+
+  const length = Math.round(samples.length / rate);
+  const output = new Float32Array(length + FRAME);
+  const weights = new Float32Array(length + FRAME);
+
+  let previous = 0;
+  for (let out = 0; out < length; out += HOP) {
+    const nominal = Math.round(out * rate);
+    const target = previous + HOP;
+    const position = out === 0 ? 0 : target + FRAME - HOP <= samples.length ? bestPosition(samples, target, nominal) : nominal;
+    for (let i = 0; i < FRAME && position + i < samples.length; ++i) {
+      output[out + i] += samples[position + i] * WINDOW[i];
+      weights[out + i] += WINDOW[i];
+    }
+    previous = position;
+  }
+
+  // Only the edges have weights below one, dividing also keeps the first and last samples
+  for (let i = 0; i < length; ++i) {
+    if (weights[i] > 1e-3) output[i] /= weights[i];
+  }
+  return output.subarray(0, length);
+}
@@ -0,0 +1,59 @@
+// tts-protocol.js - Messages exchanged between the page and worker.js
+
+/**
+ * Version of the message protocol. Every message carries it as `v`, and the worker
+ * rejects requests sent with a different version.
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Phoneme tokens per segment, within the model's 510 with room for the style to fit. Shared with the page,
+ * as segment indices depend on it (e.g. where an interrupted save continues).
+ */
+export const SPLIT_TOKENS = 300;
+
+/**
+ * Requests sent to the worker. All but `load_model`, `set_lexicon` and `set_post_processing` are scoped to a request id chosen by the sender.
+ * @typedef {{v: number; type: "generate"; requestId: string; text: string; voice: string; speed: number; startIndex?: number; markdown?: import("./markdown.js").MarkdownOptions|null}} GenerateRequest
+ *   Start a request. Requests run one at a time, in the order they are received.
+ *   With `startIndex`, the segments before it are skipped, to continue an interrupted save.
+ *   With `markdown`, the text is read as Markdown.
+ * @typedef {{v: number; type: "cancel"; requestId: string}} CancelRequest
+ *   Cancel a request, whether it is running or still waiting for its turn.
+ * @typedef {{v: number; type: "buffer_processed"; requestId: string}} BufferProcessedRequest
+ *   Acknowledge a segment, so the worker can generate more than MAX_QUEUE_SIZE segments ahead.
+ * @typedef {{v: number; type: "load_model"; source: import("./model-source.js").ModelSource; directoryHandle?: FileSystemDirectoryHandle}} LoadModelRequest
+ *   Load the model, or replace the loaded one, once the requests before it are done. Nothing is loaded until the first one.
+ * @typedef {{v: number; type: "set_lexicon"; entries: Object[]}} SetLexiconRequest
+ *   Replace the pronunciation lexicon used by later requests.
+ * @typedef {{v: number; type: "set_post_processing"; options: Partial<import("./post-process.js").PostProcessingOptions>}} SetPostProcessingRequest
+ *   Replace the silence trimming, pause and fade settings used by later requests.
+ */
+
+/**
+ * Events posted by the worker. Model loading events have no request id.
+ * @typedef {{v: number; status: "loading_model_start"; device: string; modelId: string}} LoadingModelStartEvent
+ * @typedef {{v: number; status: "loading_model_progress"; progress: Object}} LoadingModelProgressEvent
+ * @typedef {{v: number; status: "loading_model_ready"; voices: Object; device: string}} LoadingModelReadyEvent
+ * @typedef {{v: number; status: "loading_model_error"; message: string; modelLoaded: boolean}} LoadingModelErrorEvent
+ *   The model failed to load. `modelLoaded` is true when the previously loaded model is still in use.
+ * @typedef {{v: number; requestId: string; status: "started"; totalSegments: number; exact: boolean}} StartedEvent
+ *   The request has started. `totalSegments` counts every segment, those skipped by `startIndex` included. It is an estimate
+ *   until `exact` is true, as the text is split a paragraph at a time.
+ * @typedef {{v: number; requestId: string; status: "total_segments"; totalSegments: number; exact: boolean}} TotalSegmentsEvent
+ *   A refined `totalSegments`, once splitting another paragraph changed it.
+ * @typedef {{v: number; requestId: string; status: "stream_audio_data"; index: number; text: string; audio: ArrayBuffer; startSample: number; words: Object[]; sentences: Object[]}} AudioDataEvent
+ *   A generated segment. `audio` holds 32-bit float samples at 24kHz. Word and sentence times are in seconds from the start
+ *   of the segment, and have `estimated` set when the model predicts no durations.
+ * @typedef {{v: number; requestId: string; status: "segment_failed"; index: number; text: string; message: string}} SegmentFailedEvent
+ *   A segment could not be generated. The request goes on with the next one.
+ * @typedef {{v: number; requestId: string; status: "complete"; processedSegments: number; failedSegments: number}} CompleteEvent
+ *   Final event of a request that ran to the end.
+ * @typedef {{v: number; requestId: string; status: "cancelled"}} CancelledEvent
+ *   Final event of a cancelled request.
+ * @typedef {{v: number; requestId?: string; status: "error"; message: string}} ErrorEvent
+ *   Final event of a failed request. Without a request id, the failure is not tied to a request.
+ */
+
+/** Statuses after which no more events are posted for a request. */
+export const TERMINAL_STATUSES = ["complete", "cancelled", "error"];
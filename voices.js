@@ -205,7 +205,7 @@ export const VOICES = Object.freeze({
   },
 });
 
-const VOICE_DATA_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/voices";
+export const VOICE_DATA_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/voices";
 
 /**
  *
@@ -213,7 +213,7 @@ const VOICE_DATA_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ON
  * @returns {Promise<ArrayBufferLike>}
  */
 async function getVoiceFile(id) {
-  const url = `${VOICE_DATA_URL}/${id}.bin`;
+  const url = `${voiceDataUrl}/${id}.bin`;
 
   let cache;
   try {
@@ -228,6 +228,9 @@ async function getVoiceFile(id) {
 
   // No cache, or cache failed to open. Fetch the file.
   const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Unable to download voice "${id}" from ${url}: HTTP ${response.status}`);
+  }
   const buffer = await response.arrayBuffer();
 
   if (cache) {
@@ -247,13 +250,97 @@ async function getVoiceFile(id) {
   return buffer;
 }
 
+let voiceFileProvider = getVoiceFile;
+let voiceDataUrl = VOICE_DATA_URL;
+
+/**
+ * Set the URL voice files are downloaded from, so voices follow the model source (e.g. a mirror).
+ * @param {string|null} url The URL of the `voices` folder, or null to restore the default
+ */
+export function setVoiceBaseUrl(url) {
+  voiceDataUrl = url ?? VOICE_DATA_URL;
+  VOICE_CACHE.clear();
+}
+
+/**
+ * Replace the function that loads voice files. Outside the browser, where there is no Cache API,
+ * this lets voices come from disk instead.
+ * @param {((id: keyof typeof VOICES) => Promise<ArrayBuffer>)|null} provider The loader, or null to restore the default
+ */
+export function setVoiceFileProvider(provider) {
+  voiceFileProvider = provider ?? getVoiceFile;
+  VOICE_CACHE.clear();
+}
+
+/**
+ * Parse a voice id, or a weighted mix of voice ids such as `af_heart:0.7,bf_emma:0.3`.
+ * Missing weights default to 1, and weights are normalized to sum to 1.
+ * @param {string} voice The voice id or mix
+ * @returns {{id: keyof typeof VOICES; weight: number}[]} The voices in the mix and their weights
+ */
+export function parseVoiceMix(voice) {
+  const parts = String(voice)
+    .split(",")
+    .map((part) => part.trim())
+    .filter((part) => part.length > 0);
+  if (parts.length === 0) {
+    throw new Error("Voice must not be empty.");
+  }
+
+  const components = parts.map((part) => {
+    const [id, weightText] = part.split(":").map((value) => value.trim());
+    if (!VOICES.hasOwnProperty(id)) {
+      throw new Error(`Voice "${id}" not found. Should be one of: ${Object.keys(VOICES).join(", ")}.`);
+    }
+    const weight = weightText === undefined ? 1 : Number(weightText);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`Invalid weight "${weightText}" for voice "${id}". Weights must be positive numbers.`);
+    }
+    return { id, weight };
+  });
+
+  const total = components.reduce((sum, { weight }) => sum + weight, 0);
+  return components.map(({ id, weight }) => ({ id, weight: weight / total }));
+}
+
+/**
+ * Format voices and weights as a canonical mix key, e.g. `af_heart:0.7,bf_emma:0.3`.
+ * A single voice is formatted as its plain id.
+ * @param {{id: string; weight: number}[]} components The voices in the mix and their weights
+ * @returns {string} The mix key
+ */
+export function formatVoiceMix(components) {
+  if (components.length === 1) {
+    return components[0].id;
+  }
+  return components.map(({ id, weight }) => `${id}:${Number(weight.toFixed(4))}`).join(",");
+}
+
 const VOICE_CACHE = new Map();
 export async function getVoiceData(voice) {
-  if (VOICE_CACHE.has(voice)) {
-    return VOICE_CACHE.get(voice);
+  const components = parseVoiceMix(voice);
+  const key = formatVoiceMix(components);
+  if (VOICE_CACHE.has(key)) {
+    return VOICE_CACHE.get(key);
+  }
+
+  let buffer;
+  if (components.length === 1) {
+    buffer = new Float32Array(await voiceFileProvider(components[0].id));
+  } else {
+    // Each voice file holds one style vector per input length, so a weighted sum
+    // of the whole buffers interpolates every token-length row at once.
+    const styles = await Promise.all(components.map(({ id }) => getVoiceData(id)));
+    buffer = new Float32Array(Math.min(...styles.map((style) => style.length)));
+    for (let i = 0; i < styles.length; ++i) {
+      const { weight } = components[i];
+      const style = styles[i];
+      for (let j = 0; j < buffer.length; ++j) {
+        buffer[j] += weight * style[j];
+      }
+    }
   }
 
-  const buffer = new Float32Array(await getVoiceFile(voice));
-  VOICE_CACHE.set(voice, buffer);
+  VOICE_CACHE.set(key, buffer);
   return buffer;
 }
@@ -0,0 +1,67 @@
+// wav.js - Headers for the mono WAV files written by AudioDiskSaver and cli.js
+
+const SAMPLE_RATE = 24000;
+
+export const WAV_HEADER_SIZE = 44;
+
+/**
+ * Helper function to write an ASCII string into a DataView.
+ * @param {DataView} view The view to write to.
+ * @param {number} offset The byte offset.
+ * @param {string} string The string to write.
+ */
+function writeString(view, offset, string) {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i));
+  }
+}
+
+/**
+ * Create the header of a mono WAV file.
+ * @param {number} dataSize The size of the sample data in bytes. Pass 0 when it is not known yet,
+ *   and patch the header with `wavSizeFields` once it is.
+ * @param {number} [sampleRate=24000] The sample rate.
+ * @param {number} [bitsPerSample=32] 32 for float samples, 16 or 24 for integer PCM.
+ * @returns {ArrayBuffer} The header.
+ */
+export function createWavHeader(dataSize, sampleRate = SAMPLE_RATE, bitsPerSample = 32) {
+  const buffer = new ArrayBuffer(WAV_HEADER_SIZE);
+  const view = new DataView(buffer);
+
+  const numChannels = 1;
+  const blockAlign = (numChannels * bitsPerSample) / 8;
+
+  writeString(view, 0, "RIFF");
+  view.setUint32(4, dataSize + WAV_HEADER_SIZE - 8, true); // RIFF chunk size
+  writeString(view, 8, "WAVE");
+
+  writeString(view, 12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, bitsPerSample === 32 ? 3 : 1, true); // Format 3 is IEEE float, 1 is integer PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+
+  writeString(view, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  return buffer;
+}
+
+/**
+ * The header fields that depend on the data size, for patching a header written before the size was known.
+ * @param {number} dataSize The size of the sample data in bytes.
+ * @returns {{offset: number; bytes: ArrayBuffer}[]} The bytes to write at each offset.
+ */
+export function wavSizeFields(dataSize) {
+  return [
+    { offset: 4, value: dataSize + WAV_HEADER_SIZE - 8 },
+    { offset: 40, value: dataSize },
+  ].map(({ offset, value }) => {
+    const bytes = new ArrayBuffer(4);
+    new DataView(bytes).setUint32(0, value, true);
+    return { offset, bytes };
+  });
+}
@@ -0,0 +1,156 @@
+// word-timing.js - Map predicted phoneme durations back to the words of the source text
+
+import { normalize_text } from "./phonemize.js";
+
+const SAMPLE_RATE = 24000;
+const SAMPLES_PER_FRAME = 600; // Each predicted duration frame is 1/40 of a second at 24kHz
+
+const PUNCTUATION = ';:,.!?¡¿—…"«»“”(){}[]';
+const WORD_PATTERN = /\S+/g;
+const SENTENCE_END_PATTERN = /[.!?…。！？]["'”’»)\]]*$/;
+const TITLE_PATTERN = /^(?:Mr|Mrs|Ms|Dr|Prof|St|Jr|Sr)\.$/i;
+
+/**
+ * Helper function to check whether a string contains anything other than punctuation.
+ * @param {string} text The text to check.
+ * @returns {boolean} Whether the text contains letters or digits.
+ */
+function isSpoken(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * Compute the start and end sample of every phoneme in a synthesized window.
+ *
+ * When the model predicts durations (one per input token, including the two padding tokens),
+ * they are converted to samples and scaled to the waveform length. Otherwise, or when the
+ * tokenizer did not produce one token per phoneme, the waveform is spread evenly over the phonemes,
+ * and the timings are marked `estimated`.
+ * @param {string} phonemes The phonemes of the window.
+ * @param {ArrayLike<number|bigint>|null} durations The predicted durations in frames, or null.
+ * @param {number} numSamples The number of samples in the waveform.
+ * @param {number} [offset=0] The sample at which the window starts.
+ * @returns {{start: number; end: number; estimated: boolean}[]} The sample range of each phoneme.
+ */
+export function getPhonemeTimings(phonemes, durations, numSamples, offset = 0) {
+  const timings = [];
+  if (durations && durations.length === phonemes.length + 2) {
+    const samples = Array.from(durations, (frames) => Number(frames) * SAMPLES_PER_FRAME);
+    const total = samples.reduce((sum, value) => sum + value, 0);
+    const scale = total > 0 ? numSamples / total : 0;
+
+    let cursor = offset + samples[0] * scale; // Leading padding token
+    for (let i = 0; i < phonemes.length; ++i) {
+      const start = cursor;
+      cursor += samples[i + 1] * scale;
+      timings.push({ start, end: cursor, estimated: false });
+    }
+  } else {
+    const step = phonemes.length > 0 ? numSamples / phonemes.length : 0;
+    for (let i = 0; i < phonemes.length; ++i) {
+      timings.push({ start: offset + i * step, end: offset + (i + 1) * step, estimated: true });
+    }
+  }
+  return timings;
+}
+
+/**
+ * Align the words of the source text with the phoneme timings.
+ *
+ * Each source word is normalized on its own to estimate how many phoneme words it expands into
+ * (e.g. "1984" becomes "nineteen eighty four"). If the estimates add up to the number of phoneme
+ * words, they are matched exactly. Otherwise, phoneme words are shared out in proportion to the estimates.
+ * @param {string} text The source text.
+ * @param {string} phonemes The phonemes generated from the text.
+ * @param {{start: number; end: number; estimated?: boolean}[]} timings The sample range of each phoneme.
+ * @param {string} [language="a"] The language code.
+ * @returns {{word: string; charStart: number; charEnd: number; startTime: number; endTime: number; estimated: boolean}[]} The timed words.
+ *   Times are in seconds. `estimated` is set when the phoneme timings were estimated rather than predicted by the model.
+ */
+export function alignWords(text, phonemes, timings, language = "a") {
+  const sourceWords = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (!isSpoken(match[0])) continue;
+    let expanded = 1;
+    try {
+      expanded = Math.max(1, (normalize_text(match[0], language).match(WORD_PATTERN) ?? []).filter(isSpoken).length);
+    } catch {
+      // Unknown language, keep the estimate of one word
+    }
+    sourceWords.push({ word: match[0], charStart: match.index, charEnd: match.index + match[0].length, expanded });
+  }
+
+  const phonemeWords = [];
+  for (const match of phonemes.matchAll(WORD_PATTERN)) {
+    const chars = [...match[0]];
+    if (chars.every((char) => PUNCTUATION.includes(char))) continue;
+    const first = timings[match.index];
+    const last = timings[match.index + match[0].length - 1];
+    if (first && last) {
+      phonemeWords.push({ start: first.start, end: last.end, estimated: Boolean(first.estimated || last.estimated) });
+    }
+  }
+
+  if (sourceWords.length === 0 || phonemeWords.length === 0) {
+    return [];
+  }
+
+  const totalExpanded = sourceWords.reduce((sum, { expanded }) => sum + expanded, 0);
+  const exact = totalExpanded === phonemeWords.length;
+  const scale = phonemeWords.length / totalExpanded;
+
+  const words = [];
+  let consumed = 0;
+  for (const { word, charStart, charEnd, expanded } of sourceWords) {
+    const from = exact ? consumed : Math.round(consumed * scale);
+    consumed += expanded;
+    const to = exact ? consumed : Math.round(consumed * scale);
+
+    // With proportional matching, a word may get no phoneme words; give it a zero-length slot
+    const first = phonemeWords[Math.min(from, phonemeWords.length - 1)];
+    const last = to > from ? phonemeWords[to - 1] : null;
+    words.push({
+      word,
+      charStart,
+      charEnd,
+      startTime: first.start / SAMPLE_RATE,
+      endTime: (last ? last.end : first.start) / SAMPLE_RATE,
+      estimated: first.estimated || Boolean(last?.estimated),
+    });
+  }
+  return words;
+}
+
+/**
+ * Group timed words into sentences.
+ * @param {string} text The source text.
+ * @param {{word: string; charStart: number; charEnd: number; startTime: number; endTime: number; estimated: boolean}[]} words The timed words.
+ * @returns {{text: string; charStart: number; charEnd: number; startTime: number; endTime: number; estimated: boolean}[]} The timed sentences,
+ *   `estimated` when any of their words is.
+ */
+export function groupSentences(text, words) {
+  const sentences = [];
+  let first = null;
+  let estimated = false;
+  for (let i = 0; i < words.length; ++i) {
+    first ??= words[i];
+    estimated ||= words[i].estimated;
+    const next = words[i + 1];
+    const isEnd =
+      !next ||
+      (SENTENCE_END_PATTERN.test(words[i].word) && !TITLE_PATTERN.test(words[i].word) && !/^\p{Ll}/u.test(next.word));
+    if (isEnd) {
+      sentences.push({
+        text: text.slice(first.charStart, words[i].charEnd),
+        charStart: first.charStart,
+        charEnd: words[i].charEnd,
+        startTime: first.startTime,
+        endTime: words[i].endTime,
+        estimated,
+      });
+      first = null;
+      estimated = false;
+    }
+  }
+  return sentences;
+}
@@ -1,7 +1,16 @@
 // worker.js - FINAL FIX: Voice validation + memory management to prevent hanging at chunk 26
 import { KokoroTTS } from "./kokoro.js";
 import { env } from "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.3.3/dist/transformers.min.js";
-import { splitTextSmart } from "./semantic-split.js";
+import { parseVoiceMix, setVoiceBaseUrl, setVoiceFileProvider } from "./voices.js";
+import { compileLexicon } from "./lexicon.js";
+import { PROTOCOL_VERSION, SPLIT_TOKENS } from "./tts-protocol.js";
+import { configureModelSource } from "./model-source.js";
+import { DEFAULT_POST_PROCESSING, validatePostProcessing } from "./post-process.js";
+
+// Every message to the page carries the protocol version
+function post(message, transfer = []) {
+  self.postMessage({ v: PROTOCOL_VERSION, ...message }, transfer);
+}
 
 async function detectWebGPU() {
   try {
@@ -25,197 +34,311 @@ async function detectWebGPU() {
   }
 }
 
-const device = await detectWebGPU() ? "webgpu" : "wasm";
-self.postMessage({ status: "loading_model_start", device });
+// Not awaited here, so the message listener is registered before the page sends load_model
+const detectedDevice = detectWebGPU().then((hasWebGPU) => (hasWebGPU ? "webgpu" : "wasm"));
+let device = "wasm";
+let model_id = null;
+let tts = null;
 
-let model_id = "onnx-community/Kokoro-82M-v1.0-ONNX";
-let useWasmFallback = false;
+let modelSource = null; // The source and folder of the loaded model, to go back to when another one fails to load
 
-if (self.location.hostname === "localhost2") {
-  env.allowLocalModels = true;
-  model_id = "./my_model/";
+// Point Transformers.js and the voice files at a model source, and return its model id
+function useModelSource(source, directoryHandle) {
+  const { modelId, voiceBaseUrl, voiceFileProvider } = configureModelSource(env, source, directoryHandle);
+  setVoiceBaseUrl(voiceBaseUrl);
+  setVoiceFileProvider(voiceFileProvider);
+  return modelId;
 }
 
-let tts = null;
-try {
-  tts = await KokoroTTS.from_pretrained(model_id, {
-    dtype: device === "wasm" ? "q8" : "fp32", device,
-    progress_callback: (progress) => {
-      self.postMessage({ status: "loading_model_progress", progress });
+// Load the model from the page's model source setting, replacing any model loaded before
+async function loadModel(source, directoryHandle) {
+  const modelId = useModelSource(source, directoryHandle);
+
+  let loadDevice = await detectedDevice;
+  post({ status: "loading_model_start", device: loadDevice, modelId });
+  const progress_callback = (progress) => {
+    post({ status: "loading_model_progress", progress });
+  };
+
+  // The previous model stays loaded until the new one is ready, so a failed load leaves it usable
+  let loaded;
+  try {
+    try {
+      loaded = await KokoroTTS.from_pretrained(modelId, {
+        dtype: loadDevice === "wasm" ? "q8" : "fp32", device: loadDevice,
+        progress_callback
+      });
+    } catch (initialError) {
+      if (loadDevice === "wasm") throw initialError;
+      console.warn("Failed to load model with WebGPU, falling back to WASM:", initialError.message);
+      loadDevice = "wasm";
+
+      loaded = await KokoroTTS.from_pretrained(modelId, {
+        dtype: "q8", device: "wasm",
+        progress_callback
+      });
     }
-  });
-} catch (initialError) {
-  console.warn("Failed to load model with WebGPU, falling back to WASM:", initialError.message);
-  useWasmFallback = true;
-  device = "wasm";
-  
-  tts = await KokoroTTS.from_pretrained(model_id, {
-    dtype: "q8", device: "wasm",
-    progress_callback: (progress) => {
-      self.postMessage({ status: "loading_model_progress", progress });
+  } catch (error) {
+    if (modelSource) {
+      useModelSource(...modelSource); // Voices and reloads keep coming from the previous model's source
     }
-  });
-}
+    throw error;
+  }
 
-self.postMessage({ status: "loading_model_ready", voices: tts.voices, device: useWasmFallback ? "wasm" : device });
+  if (tts) {
+    try {
+      await modelRun; // Never dispose a model while it runs
+      await tts.model.dispose?.(); // Free the previous model's GPU buffers
+    } catch (disposeError) {
+      console.warn("Failed to dispose the previous model:", disposeError.message);
+    }
+  }
+  tts = loaded;
+  device = loadDevice;
+  model_id = modelId;
+  modelSource = [source, directoryHandle];
+  processedRequests = 0;
+  post({ status: "loading_model_ready", voices: tts.voices, device });
+}
 
 // --- MEMORY-SAFE QUEUE LOGIC WITH HANGING PREVENTION ---
-let bufferQueueSize = 0;
 const MAX_QUEUE_SIZE = 5; // Reduced from 6 to prevent memory issues
-let shouldStop = false;
-let processedChunks = 0; // Track chunk count to detect memory issues
-const MAX_CHUNKS_BEFORE_RESET = 50; // Reset TTS instance every 50 chunks
+const SEGMENT_TIMEOUT = { webgpu: 15000, wasm: 60000 }; // Milliseconds per segment before it is skipped, WASM being slower
+let modelRun = Promise.resolve(); // The last model run, settled either way. A timed-out run goes on and keeps its session busy.
+const warmModels = new WeakSet(); // Models that have run once. The first run compiles the WebGPU shaders, so it has no time limit.
+const requests = new Map(); // requestId -> { id, controller, bufferQueueSize }
+let requestChain = Promise.resolve(); // Requests run one at a time, in order
+let lexicon = []; // Pronunciation overrides from the page's lexicon editor
+let postProcessing = DEFAULT_POST_PROCESSING; // Silence trimming and pauses, the same for playback and saved files
+let processedRequests = 0; // Track request count to detect memory issues
+const MAX_REQUESTS_BEFORE_RESET = 50; // Reset TTS instance every 50 requests
 // --- END QUEUE LOGIC ---
 
-self.addEventListener("message", async (e) => {
-  const { type, text, voice, speed } = e.data;
-  
-  if (type === "stop") {
-    shouldStop = true;
-    bufferQueueSize = 0;
-    processedChunks = 0;
-    console.log("Stop command received, stopping generation");
-    return;
+// Wait for the page to catch up with a request before generating its next segment
+async function waitForBufferSpace(request) {
+  const { signal } = request.controller;
+  let waitAttempts = 0;
+  const MAX_WAIT_ATTEMPTS = 40; // 12 seconds max wait
+  while (request.bufferQueueSize >= MAX_QUEUE_SIZE && !signal.aborted && waitAttempts < MAX_WAIT_ATTEMPTS) {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    waitAttempts++;
   }
 
-  if (type === "buffer_processed") {
-    bufferQueueSize = Math.max(0, bufferQueueSize - 1);
-    return;
+  if (waitAttempts >= MAX_WAIT_ATTEMPTS) {
+    console.warn(`Buffer timeout for request ${request.id}, proceeding with smaller queue`);
+    request.bufferQueueSize = Math.min(request.bufferQueueSize, 2); // Force smaller queue
   }
+}
 
-  if (type === "generate" && text) { 
-    shouldStop = false;
-    
-    // CRITICAL FIX: Ensure valid voice ID is used
-    if (!voice || !tts.voices[voice]) {
-      console.warn(`Invalid voice "${voice}", defaulting to "af_heart". Available voices:`, Object.keys(tts.voices));
+// MEMORY MANAGEMENT FIX: Reset TTS instance if we've processed too many requests
+async function resetIfNeeded() {
+  processedRequests++;
+  if (processedRequests < MAX_REQUESTS_BEFORE_RESET) return;
+
+  console.log(`Processed ${processedRequests} requests, resetting TTS instance to prevent memory leaks...`);
+  try {
+    if (typeof gc === 'function') gc(); // Force garbage collection hint
+
+    // Reload TTS model
+    tts = await KokoroTTS.from_pretrained(model_id, {
+      dtype: device === "wasm" ? "q8" : "fp32", device,
+      progress_callback: () => {} // Silent reload
+    });
+    processedRequests = 0; // Reset counter
+    console.log("TTS instance successfully reset - memory leak prevented");
+  } catch (resetError) {
+    console.warn("Failed to reset TTS instance, continuing:", resetError.message);
+    // Don't return error, just continue with current instance
+  }
+}
+
+// Errors from the WebGPU backend, after which the same segment usually works on WASM
+function isWebGPUError(error) {
+  return /GPUBuffer|webgpu|Session already started/i.test(error?.message ?? "");
+}
+
+// Rejects with a TimeoutError after `ms` milliseconds. The model can't be interrupted, so its run is left to finish, see runModel().
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new DOMException(`Audio generation took longer than ${ms / 1000} s`, "TimeoutError")), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Load the model on WASM in place of the WebGPU one, which is disposed once the WASM one is ready
+async function switchToWasm() {
+  const webgpuTTS = tts;
+  tts = await KokoroTTS.from_pretrained(model_id, {
+    dtype: "q8", device: "wasm",
+    progress_callback: () => {} // Silent reload
+  });
+  device = "wasm";
+  try {
+    await modelRun; // Never dispose a model while it runs
+    await webgpuTTS.model.dispose?.();
+  } catch (disposeError) {
+    console.warn("Failed to dispose the WebGPU model:", disposeError.message);
+  }
+}
+
+// Run the model once its previous run is over, as a session only runs one at a time.
+// Runs are limited in time, except the model's first.
+async function runModel(model, phonemes, options) {
+  await modelRun;
+  const run = model.generate_from_phonemes(phonemes, options);
+  modelRun = run.then(() => {}, () => {});
+  const audio = await (warmModels.has(model) ? withTimeout(run, SEGMENT_TIMEOUT[device]) : run);
+  warmModels.add(model);
+  return audio;
+}
+
+// Generate a segment within the time limit, and once more on WASM if WebGPU fails
+async function generateSegment(phonemes, options) {
+  try {
+    return await runModel(tts, phonemes, options);
+  } catch (error) {
+    if (device !== "webgpu" || !isWebGPUError(error)) throw error;
+    console.warn("WebGPU error detected, switching to WASM:", error.message);
+    await switchToWasm();
+    const audio = await runModel(tts, phonemes, options);
+    console.log("Segment generated with the WASM fallback");
+    return audio;
+  }
+}
+
+async function runRequest(requestId, { text, voice, speed, startIndex = 0, markdown = null }) {
+  const request = requests.get(requestId);
+  const { signal } = request.controller;
+
+  try {
+    signal.throwIfAborted();
+    if (!tts) {
+      throw new Error("The model is not loaded");
+    }
+
+    // CRITICAL FIX: Ensure valid voice ID (or voice blend) is used
+    try {
+      parseVoiceMix(voice);
+    } catch (voiceError) {
+      console.warn(`Invalid voice "${voice}", defaulting to "af_heart":`, voiceError.message);
       voice = "af_heart"; // Default to a known good voice
     }
-    
-    // Fixed chunk size: 250 characters for reliability
-    let sentences = splitTextSmart(text, 250); 
-    let currentTTS = tts;
-    let useWasmFallback = false;
-    
-    // MEMORY MANAGEMENT FIX: Reset TTS instance if we've processed too many chunks
-    processedChunks++;
-    if (processedChunks >= MAX_CHUNKS_BEFORE_RESET) {
-      console.log(`Processed ${processedChunks} chunks, resetting TTS instance to prevent memory leaks...`);
+    if (markdown?.headingVoice) {
       try {
-        // Force cleanup
-        bufferQueueSize = 0;
-        if (typeof gc === 'function') gc(); // Force garbage collection hint
-        
-        // Reload TTS model
-        tts = await KokoroTTS.from_pretrained(model_id, {
-          dtype: device === "wasm" ? "q8" : "fp32", device,
-          progress_callback: () => {} // Silent reload
-        });
-        currentTTS = tts;
-        processedChunks = 0; // Reset counter
-        console.log("TTS instance successfully reset - memory leak prevented");
-      } catch (resetError) {
-        console.warn("Failed to reset TTS instance, continuing:", resetError.message);
-        // Don't return error, just continue with current instance
+        parseVoiceMix(markdown.headingVoice);
+      } catch (voiceError) {
+        console.warn(`Invalid heading voice "${markdown.headingVoice}", reading headings with "${voice}":`, voiceError.message);
+        markdown = { ...markdown, headingVoice: null };
       }
     }
 
-    console.log(`Processing ${sentences.length} sentences per chunk (chunk #${processedChunks})`);
-    
-    // Report progress
-    self.postMessage({ 
-      status: "chunk_progress", 
-      sentencesInChunk: sentences.length,
-      totalEstimated: sentences.length
-    });
-    
-    // Wait for buffer space (reduced timeout to prevent hanging)
-    let waitAttempts = 0;
-    const MAX_WAIT_ATTEMPTS = 40; // 20 seconds max wait
-    while (bufferQueueSize >= MAX_QUEUE_SIZE && !shouldStop && waitAttempts < MAX_WAIT_ATTEMPTS) {
-      await new Promise(resolve => setTimeout(resolve, 300));
-      waitAttempts++;
-    }
-    
-    if (shouldStop) {
-      self.postMessage({ status: "complete" });
-      return;
+    await resetIfNeeded();
+
+    let totalSegments = null;
+    let processedSegments = 0;
+    let failedSegments = 0;
+    // Segments are packed by phoneme tokens, so the stream estimates how many there are and refines it as it splits the text
+    const onSplit = (total, exact) => {
+      if (totalSegments === null) {
+        console.log(`Request ${requestId}: processing ${exact ? "" : "about "}${total} segments`);
+        post({ requestId, status: "started", totalSegments: total, exact });
+      } else {
+        post({ requestId, status: "total_segments", totalSegments: total, exact });
+      }
+      totalSegments = total;
+    };
+    const stream = tts.stream(text, { voice, speed, split_tokens: SPLIT_TOKENS, lexicon, signal, continue_on_error: true, markdown, post_process: postProcessing, start_index: startIndex, split_callback: onSplit, generate_audio: generateSegment });
+    for await (const { index, text: segmentText, audio, startSample, words, sentences, error } of stream) {
+      if (error) {
+        failedSegments++;
+        console.error(`Request ${requestId}: segment ${index + 1} failed:`, error.message);
+        post({ requestId, status: "segment_failed", index, text: segmentText, message: error.message });
+        continue;
+      }
+
+      let ab = audio.audio.buffer;
+      request.bufferQueueSize++;
+      post({ requestId, status: "stream_audio_data", index, text: segmentText, audio: ab, startSample, words, sentences }, [ab]);
+      processedSegments++;
+
+      console.log(`Request ${requestId}: segment ${index + 1}/${totalSegments} processed successfully`);
+
+      await waitForBufferSpace(request);
     }
-    
-    if (waitAttempts >= MAX_WAIT_ATTEMPTS) {
-      console.warn("Buffer timeout, proceeding with smaller queue");
-      bufferQueueSize = Math.min(bufferQueueSize, 2); // Force smaller queue
+
+    console.log(`Request ${requestId} complete with ${processedSegments} segments, ${failedSegments} failed`);
+    post({ requestId, status: "complete", processedSegments, failedSegments });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      console.log(`Request ${requestId} cancelled`);
+      post({ requestId, status: "cancelled" });
+    } else {
+      console.error(`Request ${requestId} failed:`, error.message);
+      post({ requestId, status: "error", message: error.message });
     }
-    
-    // Process sentences with timeout and error handling
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i];
-      if (shouldStop) break;
-      
-      // Reduced delay to prevent timeouts
-      if (i > 0) {
-        await new Promise(resolve => setTimeout(resolve, 400)); // Reduced from 800ms
-      }
-      
+  } finally {
+    requests.delete(requestId);
+  }
+}
+
+self.addEventListener("message", (e) => {
+  const { v, type, requestId } = e.data;
+
+  if (v !== PROTOCOL_VERSION) {
+    console.error(`Ignoring message with protocol version ${v}`);
+    post({ requestId, status: "error", message: `Unsupported protocol version ${v}, expected ${PROTOCOL_VERSION}` });
+    return;
+  }
+
+  switch (type) {
+    case "set_lexicon":
+      lexicon = compileLexicon(e.data.entries);
+      console.log(`Lexicon updated with ${lexicon.length} entries`);
+      break;
+
+    case "set_post_processing":
       try {
-        // Shorter timeout for better responsiveness
-        const audioPromise = currentTTS.generate(sentence, { voice, speed });
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Audio generation timeout')), 15000); // 15 seconds
-        });
-        
-        const audio = await Promise.race([audioPromise, timeoutPromise]);
-        
-        if (shouldStop) break;
-
-        let ab = audio.audio.buffer;
-        bufferQueueSize++;
-        self.postMessage({ status: "stream_audio_data", audio: ab }, [ab]);
-        
-        console.log(`Sentence ${i + 1}/${sentences.length} processed successfully`);
-        
-      } catch (audioError) {
-        const isWebGPUError = audioError.message && 
-          (audioError.message.includes('GPUBuffer') || 
-           audioError.message.includes('webgpu') ||
-           audioError.name === 'AbortError');
-        
-        const isSessionError = audioError.message && 
-          audioError.message.includes('Session already started');
-        
-        if (isWebGPUError || isSessionError) {
-          console.warn("WebGPU error detected, switching to WASM:", audioError.message);
-          useWasmFallback = true;
-          
-          try {
-            currentTTS = tts._wasmFallback;
-            await new Promise(resolve => setTimeout(resolve, 800)); // Shorter delay
-            
-            const audio = await currentTTS.generate(sentence, { voice, speed });
-            let ab = audio.audio.buffer;
-            bufferQueueSize++;
-            self.postMessage({ status: "stream_audio_data", audio: ab }, [ab]);
-            
-            console.log(`Sentence ${i + 1}/${sentences.length} processed with WASM fallback`);
-            
-          } catch (wasmError) {
-            console.error("WASM fallback failed:", wasmError.message);
-            // Continue to next sentence instead of hanging
-          }
-        } else if (audioError.message && audioError.message.includes('timeout')) {
-          console.warn("Timeout, skipping sentence:", sentence.substring(0, 50) + "...");
-        } else {
-          console.error("Generation error:", audioError.message);
-          // Continue processing instead of hanging
-        }
+        postProcessing = validatePostProcessing(e.data.options);
+      } catch (error) {
+        post({ status: "error", message: `Invalid post-processing options: ${error.message}` });
       }
+      break;
+
+    case "load_model":
+      // Chained with the requests, so a running request keeps its model until it is done
+      requestChain = requestChain.then(() => loadModel(e.data.source, e.data.directoryHandle)).catch((error) => {
+        console.error("Failed to load model:", error);
+        post({ status: "loading_model_error", message: error.message, modelLoaded: tts !== null });
+      });
+      break;
+
+    case "generate":
+      if (!requestId || requests.has(requestId)) {
+        post({ requestId, status: "error", message: `Missing or duplicate request id "${requestId}"` });
+      } else if (!e.data.text?.trim()) {
+        post({ requestId, status: "error", message: "No text to generate" });
+      } else {
+        const request = { id: requestId, controller: new AbortController(), bufferQueueSize: 0 };
+        requests.set(requestId, request);
+        requestChain = requestChain.then(() => runRequest(requestId, e.data));
+      }
+      break;
+
+    case "cancel":
+      // Unknown ids belong to requests that have already finished
+      requests.get(requestId)?.controller.abort();
+      break;
+
+    case "buffer_processed": {
+      const request = requests.get(requestId);
+      if (request) {
+        request.bufferQueueSize = Math.max(0, request.bufferQueueSize - 1);
+      }
+      break;
     }
 
-    // Always send complete to prevent hanging
-    console.log(`Chunk #${processedChunks} complete with ${sentences.length} sentences`);
-    self.postMessage({ 
-      status: "complete",
-      processedSentences: sentences.length
-    });
+    default:
+      post({ requestId, status: "error", message: `Unknown message type "${type}"` });
   }
 });
@@ -0,0 +1,124 @@
+// zip.js - Read the files of a ZIP archive (EPUB, DOCX) in the browser, with DecompressionStream
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+/**
+ * Helper function to read part of a blob.
+ * @param {Blob} blob The blob.
+ * @param {number} start The first byte.
+ * @param {number} end The byte after the last one.
+ * @returns {Promise<DataView>} The bytes.
+ */
+async function readRange(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Helper function to inflate raw DEFLATE data.
+ * @param {Blob} data The compressed data.
+ * @returns {Promise<Uint8Array>} The data.
+ */
+async function inflate(data) {
+  const stream = data.stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+class ZipArchive {
+  constructor(blob, entries) {
+    this.blob = blob;
+    this.entries = entries; // name -> {method, compressedSize, size, headerOffset}
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  async bytes(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`"${name}" is not in the archive`);
+    }
+
+    // The local header's name and extra field can differ in length from the central directory's
+    const header = await readRange(this.blob, entry.headerOffset, entry.headerOffset + 30);
+    if (header.getUint32(0, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt archive: no local header for "${name}"`);
+    }
+    const start = entry.headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = this.blob.slice(start, start + entry.compressedSize);
+
+    switch (entry.method) {
+      case 0:
+        return new Uint8Array(await data.arrayBuffer());
+      case 8:
+        return inflate(data);
+      default:
+        throw new Error(`"${name}" uses an unsupported compression method (${entry.method})`);
+    }
+  }
+
+  async text(name) {
+    return new TextDecoder().decode(await this.bytes(name));
+  }
+}
+
+/**
+ * Open a ZIP archive. Only the central directory is read, files are read and inflated when asked for.
+ * ZIP64 archives and encrypted files are not supported.
+ * @param {Blob} blob The archive, e.g. a File.
+ * @returns {Promise<ZipArchive>} The archive, with `has(name)`, `names()`, `bytes(name)` and `text(name)`.
+ */
+export async function openZip(blob) {
+  // The end of central directory record is at the end, before a comment of up to 64 KB
+  const tailStart = Math.max(0, blob.size - 22 - MAX_COMMENT_LENGTH);
+  const tail = await readRange(blob, tailStart, blob.size);
+  let end = -1;
+  for (let i = tail.byteLength - 22; i >= 0; --i) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error("Not a ZIP archive");
+  }
+
+  const count = tail.getUint16(end + 10, true);
+  const directorySize = tail.getUint32(end + 12, true);
+  const directoryOffset = tail.getUint32(end + 16, true);
+  if (directoryOffset === 0xffffffff || count === 0xffff) {
+    throw new Error("ZIP64 archives are not supported");
+  }
+
+  const directory = await readRange(blob, directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  let offset = 0;
+  for (let i = 0; i < count; ++i) {
+    if (directory.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error("Corrupt archive: bad central directory");
+    }
+    const flags = directory.getUint16(offset + 8, true);
+    const nameLength = directory.getUint16(offset + 28, true);
+    const extraLength = directory.getUint16(offset + 30, true);
+    const commentLength = directory.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(directory.buffer, offset + 46, nameLength));
+    if (!(flags & 1) && !name.endsWith("/")) {
+      entries.set(name, {
+        method: directory.getUint16(offset + 10, true),
+        compressedSize: directory.getUint32(offset + 20, true),
+        size: directory.getUint32(offset + 24, true),
+        headerOffset: directory.getUint32(offset + 42, true),
+      });
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return new ZipArchive(blob, entries);
+}